@@ -245,7 +245,7 @@ class LendCity_External_API {
                 ]
             ];
 
-            if ($method === 'POST' && !empty($data)) {
+            if (in_array($method, ['POST', 'DELETE'], true) && !empty($data)) {
                 $args['body'] = json_encode($data);
             }
 
@@ -564,6 +564,7 @@ class LendCity_External_API {
             'content' => $post->post_content,
             'contentType' => $post->post_type,
             'isPillar' => (bool) get_post_meta($post_id, '_lendcity_is_pillar', true),
+            'author' => $this->get_author_payload($post),
             'publishedAt' => $post->post_date,
             'updatedAt' => $post->post_modified,
             'fullEnrichment' => true  // v6.2: Enable full AI semantic enrichment
@@ -572,6 +573,24 @@ class LendCity_External_API {
         return $this->request('api/catalog-sync', $data);
     }
 
+    /**
+     * Post author for catalog sync (E-E-A-T expertise tracking)
+     *
+     * @param WP_Post $post Post
+     * @return array|null { slug, name } or null when the author is gone
+     */
+    private function get_author_payload($post) {
+        $author = get_userdata($post->post_author);
+        if (!$author) {
+            return null;
+        }
+
+        return [
+            'slug' => $author->user_nicename,
+            'name' => $author->display_name
+        ];
+    }
+
     /**
      * Batch sync multiple articles to Pinecone
      * v6.3: Added fullEnrichment parameter for parallel AI enrichment
@@ -599,6 +618,7 @@ class LendCity_External_API {
                 'content' => $post->post_content,
                 'contentType' => $post->post_type,
                 'isPillar' => (bool) get_post_meta($post_id, '_lendcity_is_pillar', true),
+                'author' => $this->get_author_payload($post),
                 'publishedAt' => $post->post_date,
                 'updatedAt' => $post->post_modified
             ];
@@ -618,12 +638,47 @@ class LendCity_External_API {
 
     /**
      * Delete article from Pinecone catalog
+     * Response lists posts that linked to it, each with a replacement target
      *
      * @param int $post_id Post ID
+     * @param bool $queue_rewrites Queue link rewrites for get_link_rewrites()
+     * @return array|WP_Error Result or error
+     */
+    public function delete_from_catalog($post_id, $queue_rewrites = false) {
+        return $this->request('api/catalog-sync', [
+            'postId' => $post_id,
+            'queueRewrites' => (bool) $queue_rewrites
+        ], 'DELETE');
+    }
+
+    /**
+     * Get queued link rewrites created by catalog deletions
+     *
+     * @param int|null $source_post_id Only rewrites for this post
+     * @param string $status pending, applied, dismissed or all
+     * @return array|WP_Error Rewrites or error
+     */
+    public function get_link_rewrites($source_post_id = null, $status = 'pending') {
+        $args = ['status' => $status];
+        if ($source_post_id) {
+            $args['sourcePostId'] = (int) $source_post_id;
+        }
+
+        return $this->request(add_query_arg($args, 'api/link-rewrites'), [], 'GET');
+    }
+
+    /**
+     * Mark link rewrites as applied or dismissed
+     *
+     * @param array $ids Rewrite IDs
+     * @param bool $applied True if the link was swapped, false if it was dropped
      * @return array|WP_Error Result or error
      */
-    public function delete_from_catalog($post_id) {
-        return $this->request('api/catalog-sync', ['postId' => $post_id], 'DELETE');
+    public function resolve_link_rewrites($ids, $applied = true) {
+        return $this->request('api/link-rewrites', [
+            'action' => $applied ? 'complete' : 'dismiss',
+            'ids' => array_values($ids)
+        ]);
     }
 
     /**
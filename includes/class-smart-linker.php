@@ -84,6 +84,9 @@ class LendCity_Smart_Linker {
         add_action('before_delete_post', array($this, 'on_post_delete'));
         add_action('trashed_post', array($this, 'on_post_trash'));
 
+        // Heading ids so section deep links (#fragment) from the API resolve
+        add_filter('the_content', array($this, 'add_heading_ids'), 20);
+
         // Background processing hooks
         add_action('lendcity_process_link_queue', array($this, 'process_queue_batch'));
         add_action('lendcity_process_queue_batch', array($this, 'process_queue_batch'));
@@ -1167,6 +1170,30 @@ class LendCity_Smart_Linker {
         $this->cleanup_deleted_post($post_id);
     }
 
+    /**
+     * Give H2/H3 headings without an id one from sanitize_title()
+     * Same slug the API uses for section anchors
+     */
+    public function add_heading_ids($content) {
+        if (stripos($content, '<h2') === false && stripos($content, '<h3') === false) {
+            return $content;
+        }
+
+        return preg_replace_callback('/<(h[23])(\s[^>]*)?>(.*?)<\/\1>/is', function($match) {
+            $attributes = isset($match[2]) ? $match[2] : '';
+            if (preg_match('/\sid\s*=/i', $attributes)) {
+                return $match[0];
+            }
+
+            $id = sanitize_title(wp_strip_all_tags($match[3]));
+            if ($id === '') {
+                return $match[0];
+            }
+
+            return '<' . $match[1] . $attributes . ' id="' . esc_attr($id) . '">' . $match[3] . '</' . $match[1] . '>';
+        }, $content);
+    }
+
     /**
      * Clean up when a post is deleted or trashed
      */
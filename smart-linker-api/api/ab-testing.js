@@ -10,6 +10,7 @@ const {
   updateExperimentStatus,
   EXPERIMENT_TEMPLATES
 } = require('../lib/ab-testing');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * A/B Testing Endpoint
@@ -18,7 +19,7 @@ const {
  * GET /api/ab-testing - List experiments or get results
  * POST /api/ab-testing - Create experiments, track events, get variants
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -28,9 +29,8 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -40,7 +40,7 @@ module.exports = async function handler(req, res) {
 
       if (experimentId) {
         // Get specific experiment results
-        const results = getExperimentResults(experimentId);
+        const results = await getExperimentResults(experimentId);
         if (!results) {
           return res.status(404).json({ error: 'Experiment not found' });
         }
@@ -51,7 +51,7 @@ module.exports = async function handler(req, res) {
       }
 
       // List all experiments
-      const experiments = listExperiments();
+      const experiments = await listExperiments();
       return res.status(200).json({
         success: true,
         experiments,
@@ -64,7 +64,7 @@ module.exports = async function handler(req, res) {
 
       // Create experiment from template
       if (action === 'create-from-template' && template) {
-        const experiment = createFromTemplate(template);
+        const experiment = await createFromTemplate(template);
         if (!experiment) {
           return res.status(400).json({
             error: 'Invalid template',
@@ -79,7 +79,7 @@ module.exports = async function handler(req, res) {
 
       // Create custom experiment
       if (action === 'create' && config) {
-        const experiment = createExperiment(config);
+        const experiment = await createExperiment(config);
         return res.status(200).json({
           success: true,
           experiment
@@ -88,7 +88,7 @@ module.exports = async function handler(req, res) {
 
       // Get variant for user
       if (action === 'get-variant' && experimentId && userId) {
-        const variant = getVariant(experimentId, userId);
+        const variant = await getVariant(experimentId, userId);
         return res.status(200).json({
           success: true,
           variant
@@ -97,25 +97,25 @@ module.exports = async function handler(req, res) {
 
       // Track impression
       if (action === 'track-impression' && experimentId && variantId) {
-        trackImpression(experimentId, variantId);
+        await trackImpression(experimentId, variantId);
         return res.status(200).json({ success: true });
       }
 
       // Track click
       if (action === 'track-click' && experimentId && variantId) {
-        trackClick(experimentId, variantId);
+        await trackClick(experimentId, variantId);
         return res.status(200).json({ success: true });
       }
 
       // Track conversion
       if (action === 'track-conversion' && experimentId && variantId) {
-        trackConversion(experimentId, variantId);
+        await trackConversion(experimentId, variantId);
         return res.status(200).json({ success: true });
       }
 
       // Update experiment status
       if (action === 'update-status' && experimentId && status) {
-        const experiment = updateExperimentStatus(experimentId, status);
+        const experiment = await updateExperimentStatus(experimentId, status);
         if (!experiment) {
           return res.status(404).json({ error: 'Experiment not found' });
         }
@@ -148,4 +148,4 @@ module.exports = async function handler(req, res) {
       message: error.message
     });
   }
-};
+});
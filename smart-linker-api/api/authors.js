@@ -0,0 +1,148 @@
+const {
+  refreshSEOCache,
+  registerAuthorPage,
+  removeAuthorPage,
+  getAuthorPages,
+  getAuthorExpertise,
+  getCatalogAuthorSlugs,
+  getEEATReport
+} = require('../lib/seo-scoring');
+const { generatePersonSchema } = require('../lib/schema-org');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
+
+// Profile fields accepted on register, besides slug, postId and expertise
+const PROFILE_FIELDS = ['name', 'url', 'jobTitle', 'description', 'image', 'sameAs', 'credentials'];
+
+/**
+ * Authors Endpoint
+ * Author pages with declared and proven expertise (articles per topic cluster,
+ * from the author sent with catalog sync). E-E-A-T scoring boosts links to
+ * articles whose author has proven expertise in the target cluster.
+ *
+ * GET /api/authors - All authors (registered and seen in the catalog) with the E-E-A-T report
+ * GET /api/authors?slug=jane-doe - One author with Person schema
+ * POST /api/authors - Register/update an author page or remove one
+ */
+module.exports = withTenant(async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      await refreshSEOCache();
+      const authorPages = await getAuthorPages();
+      const { slug } = req.query;
+
+      if (slug) {
+        const page = authorPages[slug];
+        const author = describeAuthor(slug, page);
+        if (!page && author.articleCount === 0) {
+          return res.status(404).json({ error: 'Author not found', slug });
+        }
+
+        return res.status(200).json({
+          success: true,
+          author: { ...page, ...author },
+          schema: page?.name
+            ? generatePersonSchema(page, { provenExpertise: author.articlesByTopic })
+            : null
+        });
+      }
+
+      const slugs = [...new Set([...Object.keys(authorPages), ...getCatalogAuthorSlugs()])];
+      const authors = slugs
+        .map(s => describeAuthor(s, authorPages[s]))
+        .sort((a, b) => b.articleCount - a.articleCount);
+
+      return res.status(200).json({
+        success: true,
+        total: authors.length,
+        registered: authors.filter(a => a.registered).length,
+        authors,
+        eeat: getEEATReport()
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { action, slug } = req.body;
+
+      if (!['register', 'remove'].includes(action)) {
+        return res.status(400).json({
+          error: 'Invalid action',
+          validActions: ['register', 'remove']
+        });
+      }
+
+      if (!slug || !/^[a-z0-9_-]+$/.test(slug)) {
+        return res.status(400).json({ error: 'slug is required (lowercase letters, digits, - and _)' });
+      }
+
+      // { slug, name, postId, url, jobTitle, description, image, sameAs, credentials, expertise }
+      if (action === 'register') {
+        const { name, postId = null, expertise = [], sameAs, credentials } = req.body;
+
+        if (!name) {
+          return res.status(400).json({ error: 'name is required' });
+        }
+        if (!Array.isArray(expertise) || (sameAs && !Array.isArray(sameAs)) || (credentials && !Array.isArray(credentials))) {
+          return res.status(400).json({ error: 'expertise, sameAs and credentials must be arrays' });
+        }
+
+        const profile = {};
+        for (const field of PROFILE_FIELDS) {
+          if (req.body[field] !== undefined) profile[field] = req.body[field];
+        }
+
+        const author = await registerAuthorPage(
+          slug,
+          postId !== null ? parseInt(postId) : null,
+          expertise,
+          profile
+        );
+        return res.status(200).json({ success: true, author });
+      }
+
+      const result = await removeAuthorPage(slug);
+      return res.status(200).json(result);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Authors error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Author summary: registration, declared vs proven expertise, articles per cluster
+ */
+function describeAuthor(slug, page) {
+  const articlesByTopic = getAuthorExpertise(slug);
+
+  return {
+    slug,
+    name: page?.name || null,
+    registered: !!page,
+    postId: page?.postId ?? null,
+    url: page?.url || null,
+    declaredExpertise: page?.expertise || [],
+    provenExpertise: articlesByTopic.filter(e => e.proven).map(e => e.topicCluster),
+    articlesByTopic,
+    articleCount: articlesByTopic.reduce((sum, e) => sum + e.articles, 0)
+  };
+}
@@ -0,0 +1,77 @@
+const { findCannibalization, checkArticleCannibalization } = require('../lib/cannibalization');
+const { getLatestJobResult } = require('../lib/jobs');
+require('../lib/scheduled-jobs');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
+
+/**
+ * Cannibalization Endpoint
+ * Article pairs competing for the same intent, with merge / canonicalize /
+ * differentiate recommendations and the canonical internal link target
+ *
+ * GET /api/cannibalization - All competing pairs (?minSimilarity=0.9, ?limit=50,
+ *   ?precomputed=true for the last scheduled run)
+ * GET /api/cannibalization?postId=123 - Articles competing with one article
+ */
+module.exports = withTenant(async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { postId, minSimilarity, limit, precomputed } = req.query;
+
+      const options = {
+        ...(minSimilarity && { minSimilarity: parseFloat(minSimilarity) }),
+        ...(limit && { maxPairs: parseInt(limit) })
+      };
+
+      if (postId) {
+        const analysis = await checkArticleCannibalization(parseInt(postId), options);
+        if (!analysis) {
+          return res.status(404).json({ error: 'Article not found', postId: parseInt(postId) });
+        }
+        return res.status(200).json({ success: true, ...analysis });
+      }
+
+      // Report from the scheduled cannibalization job, if one has completed
+      if (precomputed === 'true') {
+        const latest = await getLatestJobResult('cannibalization');
+        if (latest) {
+          return res.status(200).json({
+            success: true,
+            ...latest.result,
+            generatedAt: latest.generatedAt,
+            precomputed: true
+          });
+        }
+      }
+
+      const report = await findCannibalization(options);
+      return res.status(200).json({
+        success: true,
+        ...report,
+        generatedAt: new Date().toISOString()
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Cannibalization error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
@@ -9,6 +9,13 @@ const {
   extractLSIKeywords,
   calculateComprehensiveness
 } = require('../lib/semantic-enrichment');
+const { extractInternalLinkUrls } = require('../lib/link-integrity');
+const { getStreamFormat, startProgressStream } = require('../lib/progress-stream');
+const { withUsageRoute, withUsageContext } = require('../lib/llm-usage');
+const { getBudgetStatus, isBudgetExceeded, sendBudgetExceeded } = require('../lib/llm-budget');
+const { trackAuthorExpertise } = require('../lib/seo-scoring');
+const { fingerprintArticle } = require('../lib/content-fingerprint');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Batch Catalog Sync Endpoint
@@ -21,8 +28,11 @@ const {
  * Modes:
  * - fullEnrichment=false (default): Light enrichment, fast (~1 sec/article)
  * - fullEnrichment=true: Full AI enrichment in parallel (~30 sec for 5 articles)
+ *
+ * Streaming: send "stream": "ndjson" | "sse" (or an Accept header) to receive
+ * each article's result as soon as it is upserted, with a running total
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(withUsageRoute('catalog-sync-batch', async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -36,14 +46,15 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
+  let stream = null;
+
   try {
-    const { articles, fullEnrichment = false } = req.body;
+    const { articles, fullEnrichment: fullEnrichmentRequested = false } = req.body;
 
     if (!articles || !Array.isArray(articles) || articles.length === 0) {
       return res.status(400).json({
@@ -53,29 +64,37 @@ module.exports = async function handler(req, res) {
 
     // v6.3: Different batch limits for light vs full enrichment
     // Full enrichment uses more API calls, so smaller batches
-    const MAX_BATCH_SIZE = fullEnrichment ? 5 : 20;
+    const MAX_BATCH_SIZE = fullEnrichmentRequested ? 5 : 20;
     if (articles.length > MAX_BATCH_SIZE) {
       return res.status(400).json({
-        error: `Batch size exceeds maximum of ${MAX_BATCH_SIZE} articles for ${fullEnrichment ? 'full' : 'light'} enrichment`
+        error: `Batch size exceeds maximum of ${MAX_BATCH_SIZE} articles for ${fullEnrichmentRequested ? 'full' : 'light'} enrichment`
       });
     }
 
+    // Over an LLM spending cap, full enrichment falls back to light
+    const budgetExceeded = !!fullEnrichmentRequested && (await getBudgetStatus()).exceeded;
+    const fullEnrichment = !!fullEnrichmentRequested && !budgetExceeded;
+
     console.log(`Batch sync: ${articles.length} articles with ${fullEnrichment ? 'FULL' : 'light'} enrichment`);
 
     // Validate required fields for each article
     const validArticles = [];
+    const validIndexes = [];
     const errors = [];
+    const errorIndexes = [];
 
-    for (const article of articles) {
+    articles.forEach((article, index) => {
       if (!article.postId || !article.title || !article.url || !article.content) {
         errors.push({
           postId: article.postId || 'unknown',
           error: 'Missing required fields: postId, title, url, content'
         });
+        errorIndexes.push(index);
       } else {
         validArticles.push(article);
+        validIndexes.push(index);
       }
-    }
+    });
 
     if (validArticles.length === 0) {
       return res.status(400).json({
@@ -84,6 +103,13 @@ module.exports = async function handler(req, res) {
       });
     }
 
+    // Stream per-article results if requested (validation errors count as failed items)
+    const streamFormat = getStreamFormat(req);
+    if (streamFormat) {
+      stream = startProgressStream(res, streamFormat, { total: articles.length, fullEnrichment });
+      errors.forEach((error, i) => stream.item(errorIndexes[i], { ...error, status: 'failed' }));
+    }
+
     // Step 1: Fetch pillar pages once for all articles (cached for batch)
     let pillarPages = [];
     try {
@@ -118,15 +144,14 @@ module.exports = async function handler(req, res) {
     const embeddings = await generateEmbeddings(textsForEmbedding);
 
     // Step 6: Prepare article data with enrichment
-    let articlesToUpsert;
+    let prepareArticle;
 
     if (fullEnrichment) {
       // === v6.3: FULL AI Enrichment (parallel) ===
       // Run full enrichment for all articles in parallel
       console.log(`Running FULL enrichment for ${validArticles.length} articles in parallel...`);
-      const enrichmentStartTime = Date.now();
 
-      const enrichmentPromises = validArticles.map(async (article, index) => {
+      prepareArticle = async (article, index) => {
         const analysis = analysisResults[article.postId] || {};
         const finalTopicCluster = (article.topicCluster && article.topicCluster !== 'general')
           ? article.topicCluster : (analysis.topicCluster || 'general');
@@ -215,14 +240,11 @@ module.exports = async function handler(req, res) {
           enrichmentTime: enrichmentData.enrichmentTime || 0,
           enrichmentMode: 'full'
         };
-      });
-
-      articlesToUpsert = await Promise.all(enrichmentPromises);
-      console.log(`Full batch enrichment completed in ${Date.now() - enrichmentStartTime}ms`);
+      };
 
     } else {
       // === Light Enrichment (fast, no extra API calls) ===
-      articlesToUpsert = validArticles.map((article, index) => {
+      prepareArticle = (article, index) => {
         const analysis = analysisResults[article.postId] || {};
 
         // Merge WordPress data with analysis results
@@ -281,29 +303,73 @@ module.exports = async function handler(req, res) {
           enrichedAt: new Date().toISOString(),
           enrichmentMode: 'light'
         };
-      });
+      };
     }
 
-    // Step 7: Parallel upsert to Pinecone
-    const upsertResults = await Promise.allSettled(
-      articlesToUpsert.map(article => upsertArticle(article))
-    );
+    // Step 7: Enrich and upsert each article in parallel (with internal hrefs for link
+    // integrity scans). A failing article is reported on its own; the rest still sync.
+    const processingStartTime = Date.now();
+    const articlesToUpsert = [];
+
+    const details = await Promise.all(validArticles.map(async (article, index) => {
+      let detail;
+
+      try {
+        const enrichedArticle = await withUsageContext({ postId: article.postId }, () => prepareArticle(article, index));
+        articlesToUpsert.push(enrichedArticle);
+
+        const upserted = await upsertArticle({
+          ...enrichedArticle,
+          internalLinks: extractInternalLinkUrls(article.content),
+          authorSlug: article.author?.slug || '',
+          authorName: article.author?.name || '',
+          contentFingerprint: fingerprintArticle(article)
+        });
+        await trackAuthorExpertise(article.author?.slug, enrichedArticle.topicCluster, article.postId);
+
+        detail = {
+          postId: article.postId,
+          status: 'success',
+          vectorId: upserted.id,
+          enrichment: {
+            lsiKeywords: (enrichedArticle.lsiKeywords || []).length,
+            contentFormat: enrichedArticle.contentStructure?.contentFormat || 'unknown',
+            comprehensiveness: enrichedArticle.comprehensiveness?.totalScore || 0,
+            eeatScore: enrichedArticle.eeatAnalysis?.totalScore || 0
+          }
+        };
+      } catch (error) {
+        console.error(`Sync failed for article ${article.postId}:`, error.message);
+        detail = {
+          postId: article.postId,
+          status: 'failed',
+          error: error.message || 'Unknown error'
+        };
+      }
+
+      if (stream) stream.item(validIndexes[index], detail);
+      return detail;
+    }));
+
+    console.log(`Batch ${fullEnrichment ? 'full' : 'light'} sync completed in ${Date.now() - processingStartTime}ms`);
 
     // Compile results with enrichment stats
+    const enrichedCount = articlesToUpsert.length || 1;
     const results = {
       success: true,
       processed: validArticles.length,
-      succeeded: 0,
-      failed: 0,
-      details: [],
+      succeeded: details.filter(d => d.status === 'success').length,
+      failed: details.filter(d => d.status === 'failed').length,
+      details,
       errors,
+      ...(budgetExceeded && { enrichmentDowngraded: 'budget' }),
       enrichmentStats: {
         articlesEnriched: articlesToUpsert.length,
         averageComprehensiveness: Math.round(
-          articlesToUpsert.reduce((sum, a) => sum + (a.comprehensiveness?.totalScore || 0), 0) / articlesToUpsert.length
+          articlesToUpsert.reduce((sum, a) => sum + (a.comprehensiveness?.totalScore || 0), 0) / enrichedCount
         ),
         averageEEAT: Math.round(
-          articlesToUpsert.reduce((sum, a) => sum + (a.eeatAnalysis?.totalScore || 0), 0) / articlesToUpsert.length
+          articlesToUpsert.reduce((sum, a) => sum + (a.eeatAnalysis?.totalScore || 0), 0) / enrichedCount
         ),
         contentFormats: articlesToUpsert.reduce((acc, a) => {
           const format = a.contentStructure?.contentFormat || 'standard-article';
@@ -314,39 +380,28 @@ module.exports = async function handler(req, res) {
       }
     };
 
-    upsertResults.forEach((result, index) => {
-      const article = validArticles[index];
-      const enrichedArticle = articlesToUpsert[index];
-      if (result.status === 'fulfilled') {
-        results.succeeded++;
-        results.details.push({
-          postId: article.postId,
-          status: 'success',
-          vectorId: result.value.id,
-          enrichment: {
-            lsiKeywords: (enrichedArticle.lsiKeywords || []).length,
-            contentFormat: enrichedArticle.contentStructure?.contentFormat || 'unknown',
-            comprehensiveness: enrichedArticle.comprehensiveness?.totalScore || 0,
-            eeatScore: enrichedArticle.eeatAnalysis?.totalScore || 0
-          }
-        });
-      } else {
-        results.failed++;
-        results.details.push({
-          postId: article.postId,
-          status: 'failed',
-          error: result.reason?.message || 'Unknown error'
-        });
-      }
-    });
+    // Streamed details were already sent item by item
+    if (stream) {
+      return stream.done({ ...results, details: undefined });
+    }
 
     return res.status(200).json(results);
 
   } catch (error) {
     console.error('Batch catalog sync error:', error);
+
+    // Headers are already sent - report on the stream, keeping the items delivered so far
+    if (stream) {
+      return stream.fail(error);
+    }
+
+    if (isBudgetExceeded(error)) {
+      return sendBudgetExceeded(res, error);
+    }
+
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
+}));
@@ -1,4 +1,11 @@
-const { upsertArticle, deleteArticle, getArticle, getPillarPages } = require('../lib/pinecone');
+const {
+  upsertArticle,
+  deleteArticle,
+  getArticle,
+  getPillarPages,
+  updateMetadata,
+  trackUrlHistory
+} = require('../lib/pinecone');
 const { generateArticleEmbedding } = require('../lib/embeddings');
 const { generateSummary, extractKeywords, autoAnalyzeArticle } = require('../lib/claude');
 const {
@@ -8,14 +15,22 @@ const {
   analyzeEEAT,
   enrichArticle
 } = require('../lib/semantic-enrichment');
+const { extractInternalLinkUrls } = require('../lib/link-integrity');
+const { planReplacementLinks } = require('../lib/link-replacement');
+const { withUsageRoute, withUsageContext } = require('../lib/llm-usage');
+const { getBudgetStatus, isBudgetExceeded, sendBudgetExceeded } = require('../lib/llm-budget');
+const { trackAuthorExpertise } = require('../lib/seo-scoring');
+const { fingerprintArticle, classifyContentChange, SYNC_PATHS } = require('../lib/content-fingerprint');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Catalog Sync Endpoint
  * Receives article data from WordPress and syncs to Pinecone
  *
- * POST /api/catalog-sync
+ * POST /api/catalog-sync - Create/update; unchanged or lightly edited posts skip re-embedding
+ * DELETE /api/catalog-sync - Remove an article; reports posts linking to it with replacements
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(withUsageRoute('catalog-sync', async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS');
@@ -25,28 +40,31 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
   try {
     if (req.method === 'POST') {
-      return await handleSync(req, res);
+      return await withUsageContext({ postId: req.body?.postId }, () => handleSync(req, res));
     } else if (req.method === 'DELETE') {
       return await handleDelete(req, res);
     } else {
       return res.status(405).json({ error: 'Method not allowed' });
     }
   } catch (error) {
+    if (isBudgetExceeded(error)) {
+      return sendBudgetExceeded(res, error);
+    }
+
     console.error('Catalog sync error:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
+}));
 
 /**
  * Handle article sync (create/update)
@@ -69,6 +87,8 @@ async function handleSync(req, res) {
     qualityScore = 50,
     contentLifespan = 'evergreen',
     isPillar = false,
+    // Author: { slug, name }
+    author = null,
     // Optional - will generate if not provided
     summary = null,
     mainTopics = null,
@@ -76,7 +96,9 @@ async function handleSync(req, res) {
     anchorPhrases = [],
     // Dates
     publishedAt,
-    updatedAt
+    updatedAt,
+    // Skip change detection and always re-embed
+    force = false
   } = req.body;
 
   // Validate required fields
@@ -91,6 +113,13 @@ async function handleSync(req, res) {
   const existing = await getArticle(postId);
   const isUpdate = !!existing;
 
+  // Compare with the stored fingerprint to pick the sync path
+  const fingerprint = fingerprintArticle({ title, summary, content });
+  const change = force
+    ? { path: SYNC_PATHS.FULL, reason: 'forced', similarity: null }
+    : classifyContentChange(existing, fingerprint);
+  console.log(`Sync path for article ${postId}: ${change.path} (${change.reason})`);
+
   // Auto-analyze with Claude if metadata is missing
   // This makes the system fully intelligent without needing WordPress metadata
   let analyzedData = {};
@@ -99,7 +128,19 @@ async function handleSync(req, res) {
   const needsAnalysis = !topicCluster || topicCluster === 'general' ||
                         !funnelStage || !targetPersona;
 
-  if (needsAnalysis) {
+  if (needsAnalysis && change.path !== SYNC_PATHS.FULL) {
+    // Body barely changed - the stored analysis still applies
+    analyzedData = {
+      topicCluster: existing.topicCluster,
+      relatedClusters: existing.relatedClusters,
+      funnelStage: existing.funnelStage,
+      targetPersona: existing.targetPersona,
+      difficultyLevel: existing.difficultyLevel,
+      qualityScore: existing.qualityScore,
+      contentLifespan: existing.contentLifespan,
+      isPillar: existing.isPillar
+    };
+  } else if (needsAnalysis) {
     console.log(`Auto-analyzing article ${postId}: "${title}"`);
 
     // Fetch pillar pages to use as topic cluster definitions
@@ -133,6 +174,45 @@ async function handleSync(req, res) {
   // Only pages can be pillar content (not posts)
   const finalIsPillar = contentType === 'page' && (isPillar || analyzedData.isPillar || false);
 
+  // Metadata-only: same text, so the embedding and enrichment stay as stored
+  // (links aren't part of the text, so they are re-read from the content every time)
+  if (change.path === SYNC_PATHS.METADATA_ONLY) {
+    await trackUrlHistory({ postId, url, title });
+    await updateMetadata(postId, {
+      url,
+      slug: slug || url.split('/').pop(),
+      contentType,
+      topicCluster: finalTopicCluster,
+      relatedClusters: finalRelatedClusters,
+      funnelStage: finalFunnelStage,
+      targetPersona: finalTargetPersona,
+      difficultyLevel: finalDifficultyLevel,
+      qualityScore: finalQualityScore,
+      contentLifespan: finalContentLifespan,
+      isPillar: finalIsPillar,
+      internalLinks: extractInternalLinkUrls(content).slice(0, 100),
+      authorSlug: author?.slug || '',
+      authorName: author?.name || '',
+      publishedAt: publishedAt || existing.publishedAt || new Date().toISOString(),
+      updatedAt: updatedAt || new Date().toISOString()
+    });
+    await trackAuthorExpertise(author?.slug, finalTopicCluster, postId);
+
+    return res.status(200).json({
+      success: true,
+      action: 'updated',
+      postId,
+      vectorId: existing.id,
+      syncPath: change.path,
+      changeDetection: change,
+      generatedSummary: false,
+      generatedKeywords: false,
+      autoAnalyzed: false,
+      semanticEnrichment: null,
+      metadata: null
+    });
+  }
+
   // Generate embedding
   const embedding = await generateArticleEmbedding({
     title,
@@ -140,22 +220,34 @@ async function handleSync(req, res) {
     body: content
   });
 
+  // Light path keeps the stored summary and keywords instead of regenerating them
+  const isLightPath = change.path === SYNC_PATHS.LIGHT;
+
   // Generate summary if not provided
-  let articleSummary = summary;
+  let articleSummary = summary || (isLightPath ? existing.summary : null);
+  const generatedSummary = !articleSummary;
   if (!articleSummary) {
     articleSummary = await generateSummary(content);
   }
 
   // Extract keywords if not provided
   let keywords = { mainTopics: mainTopics || [], semanticKeywords: semanticKeywords || [] };
-  if (!mainTopics || mainTopics.length === 0) {
+  if (keywords.mainTopics.length === 0 && isLightPath && existing.mainTopics?.length > 0) {
+    keywords = { mainTopics: existing.mainTopics, semanticKeywords: existing.semanticKeywords || [] };
+  }
+  const generatedKeywords = keywords.mainTopics.length === 0;
+  if (generatedKeywords) {
     keywords = await extractKeywords(content);
   }
 
   // === Semantic Enrichment (v2.2) ===
   // Use LIGHT enrichment by default (fast, no extra API calls) to avoid timeouts
   // Full AI enrichment available via fullEnrichment=true parameter
-  const { fullEnrichment = false } = req.body;
+  // Falls back to light enrichment while over an LLM spending cap
+  // The light sync path never re-runs full enrichment
+  const fullEnrichmentRequested = !!req.body.fullEnrichment && !isLightPath;
+  const budgetExceeded = fullEnrichmentRequested && (await getBudgetStatus()).exceeded;
+  const fullEnrichment = fullEnrichmentRequested && !budgetExceeded;
 
   console.log(`Performing ${fullEnrichment ? 'FULL AI' : 'light'} semantic enrichment for article ${postId}...`);
 
@@ -232,6 +324,19 @@ async function handleSync(req, res) {
     console.error('Semantic enrichment failed (continuing with basic data):', enrichError.message);
   }
 
+  // Light path: keep what the last full enrichment extracted from the barely changed body
+  if (isLightPath) {
+    enrichmentData = {
+      ...enrichmentData,
+      lsiKeywords: existing.lsiKeywords?.length > 0 ? existing.lsiKeywords : enrichmentData.lsiKeywords,
+      questionKeywords: existing.questionKeywords || [],
+      linkableMoments: (existing.linkableMoments || []).map(anchorPhrase => ({ anchorPhrase })),
+      anchorPhrases: existing.anchorPhrases?.length > 0 ? existing.anchorPhrases : enrichmentData.anchorPhrases,
+      primaryAnchor: existing.primaryAnchor || '',
+      enrichedAt: existing.enrichedAt || enrichmentData.enrichedAt
+    };
+  }
+
   // Prepare article data with auto-analyzed values AND enrichment data
   const articleData = {
     postId,
@@ -247,6 +352,8 @@ async function handleSync(req, res) {
     qualityScore: finalQualityScore,
     contentLifespan: finalContentLifespan,
     isPillar: finalIsPillar,
+    authorSlug: author?.slug || '',
+    authorName: author?.name || '',
     summary: articleSummary,
     mainTopics: keywords.mainTopics,
     semanticKeywords: keywords.semanticKeywords,
@@ -266,19 +373,27 @@ async function handleSync(req, res) {
     linkableMoments: enrichmentData.linkableMoments || [],
     eeatAnalysis: enrichmentData.eeatAnalysis || {},
     sections: enrichmentData.sections || [], // For section-level embeddings
-    enrichedAt: enrichmentData.enrichedAt || null
+    enrichedAt: enrichmentData.enrichedAt || null,
+
+    // Internal hrefs for link integrity scans
+    internalLinks: extractInternalLinkUrls(content),
+
+    contentFingerprint: fingerprint
   };
 
   // Upsert to Pinecone
   const result = await upsertArticle(articleData);
+  await trackAuthorExpertise(articleData.authorSlug, finalTopicCluster, postId);
 
   return res.status(200).json({
     success: true,
     action: isUpdate ? 'updated' : 'created',
     postId,
     vectorId: result.id,
-    generatedSummary: !summary,
-    generatedKeywords: !mainTopics || mainTopics.length === 0,
+    syncPath: change.path,
+    changeDetection: change,
+    generatedSummary,
+    generatedKeywords,
     autoAnalyzed: wasAutoAnalyzed,
     semanticEnrichment: {
       lsiKeywordsCount: (enrichmentData.lsiKeywords || []).length,
@@ -287,7 +402,8 @@ async function handleSync(req, res) {
       contentFormat: enrichmentData.contentStructure?.contentFormat || 'unknown',
       comprehensivenessScore: enrichmentData.comprehensiveness?.totalScore || 0,
       eeatScore: enrichmentData.eeatAnalysis?.totalScore || 0,
-      enrichmentTime: enrichmentData.enrichmentTime || 0
+      enrichmentTime: enrichmentData.enrichmentTime || 0,
+      ...(budgetExceeded && { downgraded: 'budget' })
     },
     metadata: wasAutoAnalyzed ? {
       topicCluster: finalTopicCluster,
@@ -304,17 +420,33 @@ async function handleSync(req, res) {
  * Handle article deletion
  */
 async function handleDelete(req, res) {
-  const { postId } = req.body;
+  const body = req.body || {};
+  const postId = parseInt(body.postId ?? req.query?.postId);
+  const queueRewrites = body.queueRewrites === true || req.query?.queueRewrites === 'true';
 
   if (!postId) {
     return res.status(400).json({ error: 'postId is required' });
   }
 
-  await deleteArticle(postId);
+  const { article, embedding } = await deleteArticle(postId);
+
+  // Posts that linked to the deleted article, each with a ranked replacement
+  let replacements = null;
+  if (article) {
+    try {
+      replacements = await planReplacementLinks(article, embedding, { queueRewrites });
+    } catch (error) {
+      console.error('Replacement link planning failed:', error.message);
+    }
+  }
 
   return res.status(200).json({
     success: true,
     action: 'deleted',
-    postId
+    postId,
+    found: !!article,
+    affectedCount: replacements?.affectedCount || 0,
+    affected: replacements?.affected || [],
+    queuedRewrites: replacements?.queued || 0
   });
 }
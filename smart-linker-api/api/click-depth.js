@@ -0,0 +1,94 @@
+const { analyzeClickDepths, updateClickDepthMetadata } = require('../lib/click-depth');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
+
+/**
+ * Click Depth Endpoint
+ * BFS click depth over the real internal link graph, from the homepage and navigation
+ *
+ * GET /api/click-depth - Articles deeper than ?maxDepth= (default 3) with link insertions
+ *   that bring them closer (?suggest=false to skip, ?navigationUrls=/a,/b, ?homepageUrl=/)
+ * POST /api/click-depth - Analyze with a supplied navigation menu, or write clickDepth back
+ */
+module.exports = withTenant(async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { maxDepth, suggest, navigationUrls, homepageUrl } = req.query;
+
+      const analysis = await analyzeClickDepths({
+        ...(maxDepth && { maxDepth: parseInt(maxDepth) }),
+        ...(navigationUrls && { navigationUrls: navigationUrls.split(',').map(u => u.trim()).filter(Boolean) }),
+        ...(homepageUrl && { homepageUrl }),
+        suggest: suggest !== 'false'
+      });
+
+      return res.status(200).json({
+        success: true,
+        ...analysis,
+        depths: undefined // Per-bucket lists of every article; deep[] covers what matters
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { action, maxDepth, navigationUrls, homepageUrl, suggest = true } = req.body;
+
+      if (navigationUrls !== undefined && !Array.isArray(navigationUrls)) {
+        return res.status(400).json({ error: 'navigationUrls must be an array of URLs' });
+      }
+
+      const entryOptions = {
+        ...(navigationUrls && { navigationUrls }),
+        ...(homepageUrl && { homepageUrl })
+      };
+
+      if (action === 'analyze') {
+        const analysis = await analyzeClickDepths({
+          ...entryOptions,
+          ...(maxDepth && { maxDepth: parseInt(maxDepth) }),
+          suggest
+        });
+        return res.status(200).json({
+          success: true,
+          ...analysis,
+          depths: undefined
+        });
+      }
+
+      // Recompute and store clickDepth on every article whose depth changed
+      if (action === 'update') {
+        const result = await updateClickDepthMetadata(entryOptions);
+        return res.status(200).json({
+          success: true,
+          ...result
+        });
+      }
+
+      return res.status(400).json({
+        error: 'Invalid action',
+        validActions: ['analyze', 'update']
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Click depth error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
@@ -0,0 +1,129 @@
+const { importCompetitorGaps } = require('../lib/competitor-gaps');
+const {
+  refreshSEOCache,
+  getAllCompetitorGaps,
+  getCompetitorGapOpportunities,
+  getCompetitorGapsForPost,
+  removeCompetitorGaps
+} = require('../lib/seo-scoring');
+const { withUsageRoute } = require('../lib/llm-usage');
+const { isBudgetExceeded, sendBudgetExceeded } = require('../lib/llm-budget');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
+
+/**
+ * Competitor Gaps Endpoint
+ * Rank-tracker keywords mapped to catalog articles; pages ranking 11-20 get a
+ * link-priority boost in calculateSEOScore
+ *
+ * GET /api/competitor-gaps - Keywords by link priority (?band=striking-distance, ?limit=100)
+ * GET /api/competitor-gaps?keyword=brrrr+method - One keyword
+ * GET /api/competitor-gaps?postId=123 - Keywords boosting an article
+ * POST /api/competitor-gaps - Import a CSV/JSON export, remove keywords or clear
+ */
+module.exports = withTenant(withUsageRoute('competitor-gaps', async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      await refreshSEOCache();
+      const { keyword, postId, band, limit } = req.query;
+
+      if (keyword) {
+        const gap = getCompetitorGapOpportunities(keyword);
+        if (!gap) {
+          return res.status(404).json({ error: 'Keyword not found', keyword });
+        }
+        return res.status(200).json({ success: true, gap });
+      }
+
+      if (postId) {
+        const gaps = getCompetitorGapsForPost(parseInt(postId));
+        return res.status(200).json({ success: true, postId: parseInt(postId), gaps });
+      }
+
+      const all = getAllCompetitorGaps();
+      const bands = {};
+      for (const gap of all) {
+        bands[gap.band] = (bands[gap.band] || 0) + 1;
+      }
+
+      const filtered = band ? all.filter(g => g.band === band) : all;
+      return res.status(200).json({
+        success: true,
+        total: all.length,
+        bands,
+        gaps: filtered.slice(0, Math.min(parseInt(limit) || 100, 1000))
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { action } = req.body;
+
+      // { csv: "Keyword,Position,URL,Volume\n..." } or { rows: [{ keyword, position, url, volume }] }
+      if (action === 'import') {
+        const { csv, rows, source, replace = false } = req.body;
+
+        if (!csv && !Array.isArray(rows)) {
+          return res.status(400).json({ error: 'Provide csv (string) or rows (array)' });
+        }
+        if (csv && typeof csv !== 'string') {
+          return res.status(400).json({ error: 'csv must be a string' });
+        }
+
+        try {
+          const result = await importCompetitorGaps({ csv, records: rows, source, replace });
+          return res.status(200).json({ success: true, ...result });
+        } catch (error) {
+          if (error.code === 'TOO_MANY_ROWS') {
+            return res.status(400).json({ error: error.message });
+          }
+          throw error;
+        }
+      }
+
+      if (action === 'remove') {
+        const { keywords } = req.body;
+        if (!Array.isArray(keywords) || keywords.length === 0) {
+          return res.status(400).json({ error: 'keywords must be a non-empty array' });
+        }
+        const result = await removeCompetitorGaps(keywords);
+        return res.status(200).json(result);
+      }
+
+      if (action === 'clear') {
+        const result = await removeCompetitorGaps();
+        return res.status(200).json(result);
+      }
+
+      return res.status(400).json({
+        error: 'Invalid action',
+        validActions: ['import', 'remove', 'clear']
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    if (isBudgetExceeded(error)) {
+      return sendBudgetExceeded(res, error);
+    }
+
+    console.error('Competitor gaps error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}));
@@ -0,0 +1,190 @@
+const {
+  RULE_DEFINITIONS,
+  validateBusinessRules,
+  loadBusinessRules,
+  getBusinessRule,
+  getRuleSource,
+  saveBusinessRules,
+  listRuleVersions,
+  getRuleVersion,
+  restoreRuleVersion
+} = require('../lib/business-rules');
+const { CLUSTER_RELATIONSHIPS, FUNNEL_FLOW, PERSONA_COMPATIBILITY } = require('../lib/scoring');
+const { SEASONAL_CONTENT, MARKET_CYCLES } = require('../lib/seasonal-boosting');
+const { TRUSTED_DOMAINS } = require('../lib/outbound-link');
+const { LSI_KEYWORD_MAP } = require('../lib/semantic-enrichment');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
+
+// Built-in tables, as shipped in each module
+const RULE_DEFAULTS = {
+  CLUSTER_RELATIONSHIPS,
+  FUNNEL_FLOW,
+  PERSONA_COMPATIBILITY,
+  SEASONAL_CONTENT,
+  MARKET_CYCLES,
+  TRUSTED_DOMAINS,
+  LSI_KEYWORD_MAP
+};
+
+/**
+ * Business Rules Config Endpoint
+ * Edit cluster relationships, funnel flow, persona compatibility, the seasonal
+ * calendar, market cycles, trusted domains and LSI keywords without a redeploy.
+ * Every save is validated and stored as a new version.
+ *
+ * GET /api/config - Live rules with their source (saved, tenant or default)
+ * GET /api/config?action=schema - Rule descriptions and shapes
+ * GET /api/config?action=defaults - Built-in tables
+ * GET /api/config?action=history - Saved versions (?limit=50)
+ * GET /api/config?action=version&version=3 - One saved version
+ * POST /api/config - Update, validate, reset or restore rules
+ */
+module.exports = withTenant(async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { action = 'current', version, limit } = req.query;
+
+      if (action === 'current') {
+        const current = await loadBusinessRules({ force: true });
+        const names = Object.keys(RULE_DEFINITIONS);
+
+        return res.status(200).json({
+          success: true,
+          version: current.version,
+          updatedAt: current.updatedAt,
+          note: current.note,
+          rules: Object.fromEntries(names.map(name => [name, getBusinessRule(name, RULE_DEFAULTS[name])])),
+          sources: Object.fromEntries(names.map(name => [name, getRuleSource(name)]))
+        });
+      }
+
+      if (action === 'schema') {
+        const rules = Object.fromEntries(Object.entries(RULE_DEFINITIONS)
+          .map(([name, { module, description, shape, tenantKey }]) => [name, {
+            module,
+            description,
+            shape,
+            tenantConfigKey: tenantKey || null
+          }]));
+        return res.status(200).json({ success: true, rules });
+      }
+
+      if (action === 'defaults') {
+        return res.status(200).json({ success: true, rules: RULE_DEFAULTS });
+      }
+
+      if (action === 'history') {
+        const versions = await listRuleVersions({ limit: parseInt(limit) || 50 });
+        return res.status(200).json({ success: true, versions });
+      }
+
+      if (action === 'version') {
+        if (!version) {
+          return res.status(400).json({ error: 'version is required' });
+        }
+        const saved = await getRuleVersion(parseInt(version));
+        if (!saved) {
+          return res.status(404).json({ error: 'Version not found', version: parseInt(version) });
+        }
+        return res.status(200).json({ success: true, ...saved });
+      }
+
+      return res.status(400).json({
+        error: 'Invalid action',
+        validActions: ['current', 'schema', 'defaults', 'history', 'version']
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { action, rules, names, version, expectedVersion, note } = req.body;
+
+      // { rules: { NAME: value } } - null resets a rule to its default
+      if (action === 'update') {
+        if (!rules || typeof rules !== 'object' || Object.keys(rules).length === 0) {
+          return res.status(400).json({ error: 'rules must be an object of { RULE_NAME: value }' });
+        }
+        const saved = await saveBusinessRules(rules, { expectedVersion, note });
+        return res.status(200).json({
+          success: true,
+          version: saved.version,
+          changed: saved.changed,
+          updatedAt: saved.updatedAt
+        });
+      }
+
+      if (action === 'validate') {
+        const errors = validateBusinessRules(rules);
+        return res.status(200).json({ success: true, valid: errors.length === 0, errors });
+      }
+
+      // { names: [...] } - omit to reset every saved rule
+      if (action === 'reset') {
+        if (names !== undefined && !Array.isArray(names)) {
+          return res.status(400).json({ error: 'names must be an array' });
+        }
+        const current = await loadBusinessRules({ force: true });
+        const resetNames = names || Object.keys(current.rules);
+        if (resetNames.length === 0) {
+          return res.status(200).json({ success: true, version: current.version, changed: [] });
+        }
+
+        const saved = await saveBusinessRules(
+          Object.fromEntries(resetNames.map(name => [name, null])),
+          { expectedVersion, note: note || `Reset ${resetNames.join(', ')}` }
+        );
+        return res.status(200).json({ success: true, version: saved.version, changed: saved.changed });
+      }
+
+      if (action === 'restore') {
+        if (!version) {
+          return res.status(400).json({ error: 'version is required' });
+        }
+        const saved = await restoreRuleVersion(parseInt(version), { expectedVersion, note });
+        return res.status(200).json({
+          success: true,
+          version: saved.version,
+          restoredVersion: parseInt(version),
+          changed: saved.changed
+        });
+      }
+
+      return res.status(400).json({
+        error: 'Invalid action',
+        validActions: ['update', 'validate', 'reset', 'restore']
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    if (error.code === 'INVALID_RULES') {
+      return res.status(400).json({ error: 'Invalid configuration', details: error.details });
+    }
+    if (error.code === 'VERSION_CONFLICT') {
+      return res.status(409).json({ error: error.message, currentVersion: error.currentVersion });
+    }
+    if (error.code === 'VERSION_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    console.error('Config error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
@@ -1,13 +1,17 @@
 const { analyzeContentGaps, getContentSuggestions, findMissingLinks } = require('../lib/content-gaps');
 const { analyzeClickDepths } = require('../lib/click-depth');
+const { generateContentBrief, formatBriefMarkdown } = require('../lib/content-briefs');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Content Gap Analysis Endpoint
  * Analyzes content coverage and identifies gaps
  *
  * GET /api/content-gaps
+ * POST /api/content-gaps - Suggestions, missing links, or a writer brief for a gap
+ *   ({ action: 'brief', gapId } or { gap: { cluster, ... } }, format: 'json' | 'markdown')
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -17,9 +21,8 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -27,7 +30,7 @@ module.exports = async function handler(req, res) {
     if (req.method === 'GET') {
       // Full gap analysis
       const gaps = await analyzeContentGaps();
-      const clickDepth = await analyzeClickDepths();
+      const clickDepth = await analyzeClickDepths({ suggest: false });
 
       return res.status(200).json({
         success: true,
@@ -38,7 +41,7 @@ module.exports = async function handler(req, res) {
     }
 
     if (req.method === 'POST') {
-      const { action, postId, maxSuggestions = 10 } = req.body;
+      const { action, postId, maxSuggestions = 10, gapId, gap, format = 'json' } = req.body;
 
       if (action === 'suggestions') {
         // Get content suggestions
@@ -58,19 +61,45 @@ module.exports = async function handler(req, res) {
         });
       }
 
+      if (action === 'brief') {
+        if (!gapId && !gap) {
+          return res.status(400).json({ error: 'gapId or gap is required' });
+        }
+        if (format !== 'json' && format !== 'markdown') {
+          return res.status(400).json({ error: 'format must be json or markdown' });
+        }
+
+        const brief = await generateContentBrief(gapId || gap);
+        if (format === 'markdown') {
+          res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+          return res.status(200).send(formatBriefMarkdown(brief));
+        }
+        return res.status(200).json({
+          success: true,
+          brief
+        });
+      }
+
       return res.status(400).json({
         error: 'Invalid action',
-        validActions: ['suggestions', 'missing-links']
+        validActions: ['suggestions', 'missing-links', 'brief']
       });
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
 
   } catch (error) {
+    if (error.code === 'GAP_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.code === 'INVALID_GAP') {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Content gaps error:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
+});
@@ -4,6 +4,7 @@ const {
   clearDismissedOpportunities,
   getDismissedOpportunities
 } = require('../lib/seo-scoring');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Dismiss Opportunity Endpoint
@@ -22,7 +23,7 @@ const {
  * This does NOT remove articles from Pinecone - it just marks them as
  * dismissed for the specific source article.
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
@@ -32,9 +33,8 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -185,4 +185,4 @@ module.exports = async function handler(req, res) {
       message: error.message
     });
   }
-};
+});
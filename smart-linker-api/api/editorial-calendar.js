@@ -0,0 +1,69 @@
+const { buildEditorialCalendar, formatCalendarIcs } = require('../lib/editorial-calendar');
+require('../lib/scheduled-jobs');
+const { withTenant, getRequestTenant, createFeedToken } = require('../lib/tenants');
+
+const FEED = 'editorial-calendar';
+
+/**
+ * Editorial Calendar Endpoint
+ * Dated plan of new articles, refreshes and re-linking campaigns from
+ * seasonal peaks, content gaps, decay and link drift
+ *
+ * GET /api/editorial-calendar - JSON plan (?days=90, ?capacity=3 new articles per week)
+ * GET /api/editorial-calendar?format=ics - iCal feed; calendar apps subscribe with the
+ *   icalUrl from the JSON response (?tenant=<id>&token=<feed token> instead of the API key)
+ */
+module.exports = withTenant(async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (one per tenant, see lib/tenants.js) or feed token
+  const tenant = getRequestTenant();
+  if (!tenant) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { format = 'json', days, capacity } = req.query;
+
+      if (!['json', 'ics'].includes(format)) {
+        return res.status(400).json({ error: 'Invalid format', validFormats: ['json', 'ics'] });
+      }
+
+      const calendar = await buildEditorialCalendar({
+        ...(days && { days: Math.min(365, Math.max(7, parseInt(days))) }),
+        ...(capacity && { capacityPerWeek: parseFloat(capacity) })
+      });
+
+      if (format === 'ics') {
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `inline; filename="${FEED}.ics"`);
+        return res.status(200).send(formatCalendarIcs(calendar));
+      }
+
+      const feedQuery = new URLSearchParams({ format: 'ics', tenant: tenant.id, token: createFeedToken(tenant, FEED) });
+      return res.status(200).json({
+        success: true,
+        ...calendar,
+        icalUrl: `https://${req.headers.host}/api/${FEED}?${feedQuery}`,
+        generatedAt: new Date().toISOString()
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Editorial calendar error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}, { feed: FEED });
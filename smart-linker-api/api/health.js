@@ -1,6 +1,7 @@
-const { getClient: getPinecone } = require('../lib/pinecone');
+const { getIndex, getBackendName } = require('../lib/pinecone');
 const { getClient: getOpenAI } = require('../lib/embeddings');
-const { getClient: getClaude } = require('../lib/claude');
+const { getClient: getClaude, getProvider, MODEL_TIERS } = require('../lib/llm');
+const { getTenants } = require('../lib/tenants');
 
 /**
  * Health Check Endpoint
@@ -21,15 +22,19 @@ module.exports = async function handler(req, res) {
     services: {}
   };
 
-  // Check Pinecone
+  // Check vector store
   try {
-    const pinecone = getPinecone();
-    health.services.pinecone = {
+    const backend = getBackendName();
+    getIndex();
+    health.services.vectorStore = {
       status: 'ok',
-      index: process.env.PINECONE_INDEX
+      backend,
+      ...(backend === 'pinecone'
+        ? { index: process.env.PINECONE_INDEX }
+        : { path: process.env.LOCAL_VECTOR_STORE_PATH || '.vector-store' })
     };
   } catch (error) {
-    health.services.pinecone = {
+    health.services.vectorStore = {
       status: 'error',
       message: error.message
     };
@@ -48,10 +53,15 @@ module.exports = async function handler(req, res) {
     health.status = 'degraded';
   }
 
-  // Check Claude
+  // Check Claude (the mock provider needs no client)
   try {
-    const claude = getClaude();
-    health.services.claude = { status: 'ok' };
+    const provider = getProvider();
+    if (provider.name === 'anthropic') getClaude();
+    health.services.claude = {
+      status: 'ok',
+      provider: provider.name,
+      models: MODEL_TIERS
+    };
   } catch (error) {
     health.services.claude = {
       status: 'error',
@@ -63,7 +73,8 @@ module.exports = async function handler(req, res) {
   // Check API key is configured
   health.services.auth = {
     status: process.env.API_SECRET_KEY ? 'ok' : 'warning',
-    message: process.env.API_SECRET_KEY ? 'API key configured' : 'No API key set'
+    message: process.env.API_SECRET_KEY ? 'API key configured' : 'No API key set',
+    tenants: getTenants().size
   };
 
   const statusCode = health.status === 'ok' ? 200 : 503;
@@ -0,0 +1,153 @@
+const {
+  RUN_STATUS,
+  getJobNames,
+  runJob,
+  runDueJobs,
+  runDueJobsForTenants,
+  cancelJob,
+  getJobStatus,
+  getJobHistory,
+  getLatestJobResult
+} = require('../lib/jobs');
+const { withUsageRoute } = require('../lib/llm-usage');
+const { isBudgetExceeded, sendBudgetExceeded } = require('../lib/llm-budget');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
+require('../lib/scheduled-jobs');
+
+/**
+ * Background Jobs Endpoint
+ * Scheduled sweeps (decay, clustering, quality, knowledge graph, link health, SEO cache)
+ *
+ * GET /api/jobs - Status of all jobs (?name= for one job with its run history)
+ * GET /api/jobs?name=quality-scoring&result=latest - Newest completed result
+ * GET /api/jobs?action=tick - Run due jobs (Vercel cron runs them for every tenant)
+ * POST /api/jobs - Run, continue or cancel a job on demand
+ */
+module.exports = withTenant(withUsageRoute('jobs', async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (Vercel cron sends CRON_SECRET)
+  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
+  const cronSecret = process.env.CRON_SECRET;
+  if (!getRequestTenant() && !(cronSecret && apiKey === cronSecret)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { action, name, result } = req.query;
+
+      if (action === 'tick') {
+        const tick = await runTick();
+        return res.status(200).json({
+          success: true,
+          ...tick
+        });
+      }
+
+      if (name && !getJobNames().includes(name)) {
+        return res.status(404).json({ error: `Unknown job: ${name}`, jobs: getJobNames() });
+      }
+
+      if (name && result === 'latest') {
+        const latest = await getLatestJobResult(name);
+        if (!latest) {
+          return res.status(404).json({ error: 'No completed run yet', name });
+        }
+        return res.status(200).json({
+          success: true,
+          name,
+          ...latest
+        });
+      }
+
+      if (name) {
+        const [job, history] = await Promise.all([
+          getJobStatus(name),
+          getJobHistory(name)
+        ]);
+        return res.status(200).json({
+          success: true,
+          job,
+          history
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        jobs: await getJobStatus()
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { action, name, params = {}, restart = false } = req.body;
+
+      if (name && !getJobNames().includes(name)) {
+        return res.status(404).json({ error: `Unknown job: ${name}`, jobs: getJobNames() });
+      }
+
+      // Start a run, or continue the one in progress
+      if (action === 'run' && name) {
+        const run = await runJob(name, { params, restart });
+        return res.status(200).json({
+          success: run.status !== RUN_STATUS.FAILED,
+          ...run
+        });
+      }
+
+      if (action === 'cancel' && name) {
+        const cancelled = await cancelJob(name);
+        return res.status(200).json({
+          success: true,
+          ...cancelled
+        });
+      }
+
+      if (action === 'tick') {
+        const tick = await runTick();
+        return res.status(200).json({
+          success: true,
+          ...tick
+        });
+      }
+
+      return res.status(400).json({
+        error: 'Invalid action',
+        validActions: ['run (requires name)', 'cancel (requires name)', 'tick']
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    if (isBudgetExceeded(error)) {
+      return sendBudgetExceeded(res, error);
+    }
+
+    console.error('Jobs error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}));
+
+/**
+ * Run due jobs for the request's tenant
+ * Cron has no tenant key, and each tenant's schedule lives in its own state,
+ * so a cron tick shares its budget between tenants in turn
+ */
+async function runTick() {
+  if (getRequestTenant()) {
+    return runDueJobs();
+  }
+
+  return runDueJobsForTenants();
+}
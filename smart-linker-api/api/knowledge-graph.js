@@ -3,9 +3,12 @@ const {
   addEntity,
   buildKnowledgeGraph,
   suggestEntityBasedLinks,
-  getEntityStats,
-  findRelatedByEntity
+  getGraphStats,
+  getEntitiesByType
 } = require('../lib/knowledge-graph');
+const { withUsageRoute } = require('../lib/llm-usage');
+const { isBudgetExceeded, sendBudgetExceeded } = require('../lib/llm-budget');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Knowledge Graph / Entity Linking Endpoint
@@ -14,7 +17,7 @@ const {
  * GET /api/knowledge-graph - Get entity statistics
  * POST /api/knowledge-graph - Extract entities, build graph, suggest links
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(withUsageRoute('knowledge-graph', async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -24,16 +27,15 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
   try {
     if (req.method === 'GET') {
       // Get entity statistics
-      const stats = getEntityStats();
+      const stats = await getGraphStats();
       return res.status(200).json({
         success: true,
         stats
@@ -54,7 +56,7 @@ module.exports = async function handler(req, res) {
 
       // Add entity to graph
       if (action === 'add-entity' && entity) {
-        const added = addEntity(entity);
+        const added = await addEntity(entity);
         return res.status(200).json({
           success: true,
           entity: added
@@ -81,7 +83,7 @@ module.exports = async function handler(req, res) {
 
       // Find related articles by entity type
       if (action === 'find-related' && entityType) {
-        const related = findRelatedByEntity(entityType);
+        const related = await getEntitiesByType(entityType);
         return res.status(200).json({
           success: true,
           related
@@ -97,10 +99,14 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
 
   } catch (error) {
+    if (isBudgetExceeded(error)) {
+      return sendBudgetExceeded(res, error);
+    }
+
     console.error('Knowledge graph error:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
+}));
@@ -10,6 +10,8 @@ const {
   getDismissedOpportunities,
   filterDismissedOpportunities
 } = require('../lib/seo-scoring');
+const { getStreamFormat, startProgressStream } = require('../lib/progress-stream');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Batch Link Audit Endpoint
@@ -22,8 +24,11 @@ const {
  * - Batched embedding generation
  * - Parallel article processing
  * - Shared site-wide metrics
+ *
+ * Streaming: send "stream": "ndjson" | "sse" (or an Accept header) to receive
+ * each article's audit as soon as it finishes, with a running total
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -37,12 +42,13 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
+  let stream = null;
+
   try {
     const { articles, includeSEOMetrics = true } = req.body;
 
@@ -63,6 +69,11 @@ module.exports = async function handler(req, res) {
     console.log(`Batch link audit: ${articles.length} articles`);
     const startTime = Date.now();
 
+    const streamFormat = getStreamFormat(req);
+    if (streamFormat) {
+      stream = startProgressStream(res, streamFormat, { total: articles.length });
+    }
+
     // Step 1: Single SEO cache refresh for entire batch
     if (includeSEOMetrics) {
       await refreshSEOCache();
@@ -364,6 +375,11 @@ module.exports = async function handler(req, res) {
       }
     });
 
+    // Report each audit as soon as it finishes
+    if (stream) {
+      auditPromises.forEach((promise, index) => promise.then(result => stream.item(index, result)));
+    }
+
     const auditResults = await Promise.all(auditPromises);
 
     // Aggregate stats
@@ -390,20 +406,33 @@ module.exports = async function handler(req, res) {
 
     console.log(`Batch audit complete in ${Date.now() - startTime}ms`);
 
-    return res.status(200).json({
+    const response = {
       success: true,
       batchSize: articles.length,
       processingTime: Date.now() - startTime,
       stats: aggregateStats,
       results: auditResults,
       sitewideHealth: sitewideMetrics?.health || null
-    });
+    };
+
+    // Streamed results were already sent item by item
+    if (stream) {
+      return stream.done({ ...response, results: undefined });
+    }
+
+    return res.status(200).json(response);
 
   } catch (error) {
     console.error('Batch link audit error:', error);
+
+    // Headers are already sent - report on the stream; audits delivered so far stand
+    if (stream) {
+      return stream.fail(error);
+    }
+
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
+});
@@ -1,13 +1,16 @@
 const { checkArticleDecay, checkAllArticlesForDecay, findDecayedLinks } = require('../lib/link-decay');
+const { getLatestJobResult } = require('../lib/jobs');
+require('../lib/scheduled-jobs');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Link Decay Detection Endpoint
- * Detects stale content and potentially outdated links
+ * Detects stale content and links whose target drifted since they were inserted
  *
- * GET /api/link-decay
- * POST /api/link-decay (for single article check)
+ * GET /api/link-decay (?precomputed=true for the last scheduled run)
+ * POST /api/link-decay (for single article check; content is compared unsaved)
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -22,17 +25,29 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
   try {
     if (req.method === 'GET') {
+      // Report from the scheduled link-decay job, if one has completed
+      if (req.query.precomputed === 'true') {
+        const latest = await getLatestJobResult('link-decay');
+        if (latest) {
+          return res.status(200).json({
+            success: true,
+            ...latest.result,
+            generatedAt: latest.generatedAt,
+            precomputed: true
+          });
+        }
+      }
+
       // Check all articles for decay
       const decayReport = await checkAllArticlesForDecay();
-      const decayedLinks = await findDecayedLinks();
+      const decayedLinks = await findDecayedLinks(decayReport);
 
       return res.status(200).json({
         success: true,
@@ -69,4 +84,4 @@ module.exports = async function handler(req, res) {
       message: error.message
     });
   }
-};
+});
@@ -0,0 +1,99 @@
+const {
+  scanInternalLinks,
+  buildCatalogIndex,
+  resolveInternalLink
+} = require('../lib/link-integrity');
+const { getAllArticles } = require('../lib/pinecone');
+const { getRetiredUrls } = require('../lib/url-history');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
+
+/**
+ * Internal Link Integrity Endpoint
+ * Finds internal links to deleted or moved articles and suggests replacements
+ *
+ * GET /api/link-integrity - Scan links captured at sync time (?postId=, ?suggest=false)
+ * POST /api/link-integrity - Scan supplied content or resolve a single URL
+ */
+module.exports = withTenant(async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { postId, suggest } = req.query;
+
+      const scan = await scanInternalLinks({
+        postIds: postId ? [parseInt(postId)] : null,
+        suggest: suggest !== 'false'
+      });
+
+      return res.status(200).json({
+        success: true,
+        ...scan
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { action, articles, postIds, url, suggest = true, includeOk = false } = req.body;
+
+      // Scan supplied content ([{ postId, content }]) or the stored catalog links
+      if (action === 'scan') {
+        if (articles && !Array.isArray(articles)) {
+          return res.status(400).json({ error: 'articles must be an array of { postId, content }' });
+        }
+
+        const scan = await scanInternalLinks({ articles, postIds, suggest, includeOk });
+        return res.status(200).json({
+          success: true,
+          ...scan
+        });
+      }
+
+      // Resolve a single internal URL
+      if (action === 'resolve' && url) {
+        const [catalog, retiredUrls] = await Promise.all([
+          getAllArticles({ limit: 10000 }),
+          getRetiredUrls()
+        ]);
+        const resolution = resolveInternalLink(url, buildCatalogIndex(catalog), retiredUrls);
+
+        // Don't send stored embeddings back to the client
+        if (resolution.retired) {
+          const { embedding, ...retired } = resolution.retired;
+          resolution.retired = retired;
+        }
+
+        return res.status(200).json({
+          success: true,
+          url,
+          ...resolution
+        });
+      }
+
+      return res.status(400).json({
+        error: 'Invalid action',
+        validActions: ['scan', 'resolve']
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Link integrity error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
@@ -0,0 +1,80 @@
+const {
+  REWRITE_STATUS,
+  getRewriteQueue,
+  resolveRewrites
+} = require('../lib/link-replacement');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
+
+/**
+ * Link Rewrites Endpoint
+ * Queue of link swaps created when an article is deleted from the catalog
+ *
+ * GET /api/link-rewrites - List rewrites (?status=pending|applied|dismissed|all, ?sourcePostId=)
+ * POST /api/link-rewrites - Mark rewrites applied or dismissed once the plugin has handled them
+ */
+module.exports = withTenant(async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { status = REWRITE_STATUS.PENDING, sourcePostId } = req.query;
+
+      const rewrites = await getRewriteQueue({
+        status: status === 'all' ? null : status,
+        sourcePostId: sourcePostId ? parseInt(sourcePostId) : null
+      });
+
+      return res.status(200).json({
+        success: true,
+        count: rewrites.length,
+        rewrites
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { action, ids } = req.body;
+
+      if (action === 'complete' || action === 'dismiss') {
+        if (!Array.isArray(ids) || ids.length === 0) {
+          return res.status(400).json({ error: 'ids array is required' });
+        }
+
+        const status = action === 'complete' ? REWRITE_STATUS.APPLIED : REWRITE_STATUS.DISMISSED;
+        const { resolved, notFound } = await resolveRewrites(ids, status);
+
+        return res.status(200).json({
+          success: true,
+          action,
+          resolved: resolved.length,
+          notFound
+        });
+      }
+
+      return res.status(400).json({
+        error: 'Invalid action',
+        validActions: ['complete', 'dismiss']
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Link rewrites error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
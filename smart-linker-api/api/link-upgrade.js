@@ -4,6 +4,7 @@ const {
   autoUpgradeLinks,
   UPGRADE_THRESHOLD
 } = require('../lib/link-upgrade');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Link Upgrade Endpoint
@@ -11,7 +12,7 @@ const {
  *
  * POST /api/link-upgrade - Analyze single article or batch
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -21,9 +22,8 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -87,4 +87,4 @@ module.exports = async function handler(req, res) {
       message: error.message
     });
   }
-};
+});
@@ -1,6 +1,9 @@
 const { generateMeta, extractKeywords } = require('../lib/claude');
 const { querySimilar } = require('../lib/pinecone');
 const { generateEmbedding, extractBodyText } = require('../lib/embeddings');
+const { withUsageRoute } = require('../lib/llm-usage');
+const { isBudgetExceeded, sendBudgetExceeded } = require('../lib/llm-budget');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Meta Generate Endpoint
@@ -8,7 +11,7 @@ const { generateEmbedding, extractBodyText } = require('../lib/embeddings');
  *
  * POST /api/meta-generate
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(withUsageRoute('meta-generate', async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -22,9 +25,8 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -112,10 +114,14 @@ module.exports = async function handler(req, res) {
     return res.status(200).json(response);
 
   } catch (error) {
+    if (isBudgetExceeded(error)) {
+      return sendBudgetExceeded(res, error);
+    }
+
     console.error('Meta generate error:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
+}));
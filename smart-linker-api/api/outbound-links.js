@@ -1,14 +1,20 @@
 const {
   registerOutboundLink,
+  registerOutboundLinks,
+  assertPublicUrl,
+  checkLinkHealth,
   checkAllLinks,
   getOutboundLinks,
   analyzeOutboundQuality,
   suggestAuthoritativeSources,
   getOutboundDomainStats,
   findArticlesNeedingOutboundLinks,
-  TRUSTED_DOMAINS
+  getTrustedDomains
 } = require('../lib/outbound-link');
 const { getAllArticles } = require('../lib/pinecone');
+const { withUsageRoute } = require('../lib/llm-usage');
+const { isBudgetExceeded, sendBudgetExceeded } = require('../lib/llm-budget');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Outbound Link Management Endpoint
@@ -17,7 +23,7 @@ const { getAllArticles } = require('../lib/pinecone');
  * GET /api/outbound-links - Get outbound link stats
  * POST /api/outbound-links - Register links, analyze quality, get suggestions
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(withUsageRoute('outbound-links', async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -27,9 +33,8 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -39,8 +44,8 @@ module.exports = async function handler(req, res) {
 
       if (postId) {
         // Get outbound links for specific article
-        const links = getOutboundLinks(parseInt(postId));
-        const quality = analyzeOutboundQuality(parseInt(postId));
+        const links = await getOutboundLinks(parseInt(postId));
+        const quality = await analyzeOutboundQuality(parseInt(postId));
 
         return res.status(200).json({
           success: true,
@@ -51,24 +56,24 @@ module.exports = async function handler(req, res) {
       }
 
       // Get overall outbound link statistics
-      const domainStats = getOutboundDomainStats();
+      const domainStats = await getOutboundDomainStats();
       const articles = await getAllArticles();
-      const needingLinks = findArticlesNeedingOutboundLinks(articles);
+      const needingLinks = await findArticlesNeedingOutboundLinks(articles);
 
       return res.status(200).json({
         success: true,
         domainStats,
         articlesNeedingLinks: needingLinks.slice(0, 20),
-        trustedDomains: TRUSTED_DOMAINS
+        trustedDomains: getTrustedDomains()
       });
     }
 
     if (req.method === 'POST') {
-      const { action, postId, link, links, topic, cluster } = req.body;
+      const { action, postId, link, links, topic, cluster, url, force, staleAfterHours, maxLinks } = req.body;
 
       // Register single outbound link
       if (action === 'register' && postId && link) {
-        const registered = registerOutboundLink(postId, link);
+        const registered = await registerOutboundLink(postId, link);
         return res.status(200).json({
           success: true,
           link: registered
@@ -77,25 +82,43 @@ module.exports = async function handler(req, res) {
 
       // Register multiple outbound links
       if (action === 'register-batch' && postId && links) {
-        const registered = links.map(l => registerOutboundLink(postId, l));
+        const registered = await registerOutboundLinks(postId, links);
         return res.status(200).json({
           success: true,
           links: registered
         });
       }
 
-      // Check all registered links for health
+      // Check registered links for health (stale entries only unless force)
       if (action === 'check-health') {
-        const results = await checkAllLinks();
+        const results = await checkAllLinks({
+          force: !!force,
+          postId: postId || null,
+          ...(staleAfterHours !== undefined && { staleAfterHours }),
+          ...(maxLinks !== undefined && { maxLinks })
+        });
         return res.status(200).json({
           success: true,
           ...results
         });
       }
 
+      // Check a single URL without registering it (public http(s) URLs only)
+      if (action === 'check-url' && url) {
+        await assertPublicUrl(url).catch(error => {
+          // DNS failures aren't refused here - the check reports them as broken
+          if (error.code === 'URL_NOT_ALLOWED') throw error;
+        });
+        const health = await checkLinkHealth(url);
+        return res.status(200).json({
+          success: true,
+          health
+        });
+      }
+
       // Analyze outbound quality for article
       if (action === 'analyze' && postId) {
-        const quality = analyzeOutboundQuality(postId);
+        const quality = await analyzeOutboundQuality(postId);
         return res.status(200).json({
           success: true,
           quality
@@ -114,7 +137,7 @@ module.exports = async function handler(req, res) {
       // Find articles needing outbound links
       if (action === 'find-needing-links') {
         const articles = await getAllArticles();
-        const needing = findArticlesNeedingOutboundLinks(articles);
+        const needing = await findArticlesNeedingOutboundLinks(articles);
         return res.status(200).json({
           success: true,
           articles: needing
@@ -127,6 +150,7 @@ module.exports = async function handler(req, res) {
           'register',
           'register-batch',
           'check-health',
+          'check-url',
           'analyze',
           'suggest-sources',
           'find-needing-links'
@@ -137,10 +161,17 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
 
   } catch (error) {
+    if (error.code === 'URL_NOT_ALLOWED') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (isBudgetExceeded(error)) {
+      return sendBudgetExceeded(res, error);
+    }
+
     console.error('Outbound links error:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
+}));
@@ -0,0 +1,90 @@
+const { analyzePillarPages, applyProposedPillars, LINK_DIRECTIONS } = require('../lib/pillar-pages');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
+
+/**
+ * Pillar Pages Endpoint
+ * Proposed pillar per topic cluster and the hub-and-spoke links it is missing
+ *
+ * GET /api/pillar-pages - Every cluster (?cluster=, ?direction=spoke-to-hub|hub-to-spoke,
+ *   ?sourcePostId= for the links one post should add)
+ * POST /api/pillar-pages - Analyze with custom signal weights, or flag proposed pillars
+ */
+module.exports = withTenant(async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { cluster, direction, sourcePostId } = req.query;
+
+      if (direction && !Object.values(LINK_DIRECTIONS).includes(direction)) {
+        return res.status(400).json({
+          error: 'Invalid direction',
+          validDirections: Object.values(LINK_DIRECTIONS)
+        });
+      }
+
+      const analysis = await analyzePillarPages({ ...(cluster && { cluster }) });
+      const missingLinks = analysis.missingLinks.filter(link =>
+        (!direction || link.direction === direction) &&
+        (!sourcePostId || String(link.sourcePostId) === String(sourcePostId))
+      );
+
+      return res.status(200).json({
+        success: true,
+        ...analysis,
+        missingLinks
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { action, cluster, weights, clusters } = req.body;
+
+      // { weights: { topicalAuthority, inboundLinks, comprehensiveness, pageRank } }
+      if (action === 'analyze') {
+        if (weights !== undefined && (typeof weights !== 'object' || Array.isArray(weights))) {
+          return res.status(400).json({ error: 'weights must be an object of { signal: weight }' });
+        }
+        const analysis = await analyzePillarPages({
+          ...(cluster && { cluster }),
+          ...(weights && { weights })
+        });
+        return res.status(200).json({ success: true, ...analysis });
+      }
+
+      // Store the proposed pillars as isPillar, unflagging other pillars in the same clusters
+      if (action === 'apply') {
+        if (clusters !== undefined && !Array.isArray(clusters)) {
+          return res.status(400).json({ error: 'clusters must be an array' });
+        }
+        const result = await applyProposedPillars(clusters || null);
+        return res.status(200).json({ success: true, ...result });
+      }
+
+      return res.status(400).json({
+        error: 'Invalid action',
+        validActions: ['analyze', 'apply']
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Pillar pages error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
@@ -1,13 +1,18 @@
 const { analyzeContentQuality, analyzeAllContentQuality, deepQualityAnalysis } = require('../lib/quality-scoring');
+const { getLatestJobResult } = require('../lib/jobs');
+const { withUsageRoute } = require('../lib/llm-usage');
+const { isBudgetExceeded, sendBudgetExceeded } = require('../lib/llm-budget');
+require('../lib/scheduled-jobs');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Quality Scoring Endpoint
  * Analyze content quality via embeddings and Claude
  *
- * GET /api/quality-scoring - Analyze all articles
+ * GET /api/quality-scoring - Analyze all articles (?precomputed=true for the last scheduled run)
  * POST /api/quality-scoring - Analyze specific content
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(withUsageRoute('quality-scoring', async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -17,14 +22,26 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
   try {
     if (req.method === 'GET') {
+      // Report from the scheduled quality-scoring job, if one has completed
+      if (req.query.precomputed === 'true') {
+        const latest = await getLatestJobResult('quality-scoring');
+        if (latest) {
+          return res.status(200).json({
+            success: true,
+            ...latest.result,
+            generatedAt: latest.generatedAt,
+            precomputed: true
+          });
+        }
+      }
+
       // Analyze all content quality
       const analysis = await analyzeAllContentQuality();
       return res.status(200).json({
@@ -63,10 +80,14 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
 
   } catch (error) {
+    if (isBudgetExceeded(error)) {
+      return sendBudgetExceeded(res, error);
+    }
+
     console.error('Quality scoring error:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
+}));
@@ -5,6 +5,7 @@ const {
   getReadabilityLevel
 } = require('../lib/readability');
 const { getAllArticles, getArticle } = require('../lib/pinecone');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Readability Analysis Endpoint
@@ -13,7 +14,7 @@ const { getAllArticles, getArticle } = require('../lib/pinecone');
  * GET /api/readability - Analyze all articles' readability
  * POST /api/readability - Analyze content or filter by readability
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -23,9 +24,8 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -131,4 +131,4 @@ module.exports = async function handler(req, res) {
       message: error.message
     });
   }
-};
+});
@@ -1,11 +1,16 @@
 const {
   generateArticleSchema,
+  generatePersonSchema,
   generateHowToSchema,
   generateFAQSchema,
   generateBreadcrumbSchema,
   autoGenerateSchema
 } = require('../lib/schema-org');
 const { getArticle } = require('../lib/pinecone');
+const { getAuthorPages } = require('../lib/seo-scoring');
+const { withUsageRoute } = require('../lib/llm-usage');
+const { isBudgetExceeded, sendBudgetExceeded } = require('../lib/llm-budget');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Schema.org Structured Data Endpoint
@@ -14,7 +19,7 @@ const { getArticle } = require('../lib/pinecone');
  * GET /api/schema-org?postId=123 - Get schema for article
  * POST /api/schema-org - Generate schema for content
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(withUsageRoute('schema-org', async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -24,9 +29,8 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -44,8 +48,10 @@ module.exports = async function handler(req, res) {
         return res.status(404).json({ error: 'Article not found' });
       }
 
-      // Generate article schema
-      const schema = generateArticleSchema(article);
+      // Generate article schema, with the registered author as a Person
+      const authorSlug = (article.metadata || article).authorSlug;
+      const authorProfile = authorSlug ? (await getAuthorPages())[authorSlug] : null;
+      const schema = generateArticleSchema(article, authorProfile ? { author: authorProfile } : {});
       return res.status(200).json({
         success: true,
         schema,
@@ -54,7 +60,7 @@ module.exports = async function handler(req, res) {
     }
 
     if (req.method === 'POST') {
-      const { action, article, content, steps, questions, breadcrumbs, options } = req.body;
+      const { action, article, author, content, steps, questions, breadcrumbs, options } = req.body;
 
       // Auto-generate appropriate schema
       if (action === 'auto' && article && content) {
@@ -76,6 +82,16 @@ module.exports = async function handler(req, res) {
         });
       }
 
+      // Generate Person schema for an author
+      if (action === 'person' && author?.name) {
+        const schema = generatePersonSchema(author, options || {});
+        return res.status(200).json({
+          success: true,
+          schema,
+          jsonLd: JSON.stringify(schema, null, 2)
+        });
+      }
+
       // Generate how-to schema
       if (action === 'howto' && article && steps) {
         const schema = generateHowToSchema(article, steps);
@@ -108,17 +124,21 @@ module.exports = async function handler(req, res) {
 
       return res.status(400).json({
         error: 'Invalid action',
-        validActions: ['auto', 'article', 'howto', 'faq', 'breadcrumb']
+        validActions: ['auto', 'article', 'person', 'howto', 'faq', 'breadcrumb']
       });
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
 
   } catch (error) {
+    if (isBudgetExceeded(error)) {
+      return sendBudgetExceeded(res, error);
+    }
+
     console.error('Schema.org error:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
+}));
@@ -3,9 +3,11 @@ const {
   applySeasonalBoosting,
   getUpcomingSeasonalSuggestions,
   getCurrentSeasonalTopics,
-  SEASONAL_CONTENT
+  getSeasonalCalendar,
+  getMarketCycles
 } = require('../lib/seasonal-boosting');
 const { getAllArticles } = require('../lib/pinecone');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Seasonal Boosting Endpoint
@@ -14,7 +16,7 @@ const { getAllArticles } = require('../lib/pinecone');
  * GET /api/seasonal-boosting - Get current seasonal topics and suggestions
  * POST /api/seasonal-boosting - Apply boosting to candidates
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -24,9 +26,8 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -66,7 +67,8 @@ module.exports = async function handler(req, res) {
         currentTopics,
         seasonalArticles: seasonalArticles.slice(0, 20),
         upcomingSuggestions: suggestions,
-        calendar: SEASONAL_CONTENT
+        calendar: getSeasonalCalendar(),
+        marketCycles: getMarketCycles()
       });
     }
 
@@ -106,4 +108,4 @@ module.exports = async function handler(req, res) {
       message: error.message
     });
   }
-};
+});
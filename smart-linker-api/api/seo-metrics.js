@@ -6,6 +6,7 @@ const {
   getPageRankScore
 } = require('../lib/seo-scoring');
 const { getAllArticles } = require('../lib/pinecone');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * SEO Metrics Endpoint
@@ -14,7 +15,7 @@ const { getAllArticles } = require('../lib/pinecone');
  * GET /api/seo-metrics - Get all metrics
  * POST /api/seo-metrics - Get metrics with optional filters
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -24,9 +25,8 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -131,7 +131,7 @@ module.exports = async function handler(req, res) {
       message: error.message
     });
   }
-};
+});
 
 /**
  * Generate SEO recommendations based on metrics
@@ -23,26 +23,41 @@ const {
 const { suggestEntityBasedLinks, getEntity } = require('../lib/knowledge-graph');
 const { twoStageRetrieval, preFilterCandidates } = require('../lib/cross-encoder');
 const { calculateSeasonalScore, applySeasonalBoosting } = require('../lib/seasonal-boosting');
-const { getDecayScore, checkAllArticlesForDecay } = require('../lib/link-decay');
+const { getDecayScore, checkAllArticlesForDecay, trackLinkBaselines } = require('../lib/link-decay');
+
+const { getCachedResponse, setCachedResponse, scheduleCacheStatsFlush } = require('../lib/response-cache');
+const { withUsageRoute, withUsageContext } = require('../lib/llm-usage');
+const { getBudgetStatus, isBudgetExceeded, sendBudgetExceeded } = require('../lib/llm-budget');
+const { planParagraphPlacements, PARAGRAPH_SELECTOR } = require('../lib/paragraph-placement');
+const { applySectionTargeting } = require('../lib/section-targeting');
 
 const cheerio = require('cheerio');
+const {
+  withTenant,
+  withTenantContext,
+  getRequestTenant,
+  getTenant,
+  isSiteUrl,
+  getCrossSiteTenants
+} = require('../lib/tenants');
 
 // ============================================================================
 // RESPONSE CACHE (Perf #11)
 // ============================================================================
 
-// In-memory response cache with 24-hour TTL
-const responseCache = new Map();
-const RESPONSE_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// Response cache storage lives in lib/response-cache.js (24-hour TTL)
 
 // Request deduplication map (Perf #8)
 const pendingRequests = new Map();
 
+// Vector similarity another site's article needs to be suggested
+const CROSS_SITE_MIN_SIMILARITY = 0.5;
+
 /**
  * Generate cache key from request parameters
  */
-function getCacheKey(postId, contentHash, maxLinks) {
-  return `smart-link:${postId}:${contentHash}:${maxLinks}`;
+function getCacheKey(postId, contentHash, maxLinks, sectionLinks = true) {
+  return `smart-link:${getTenant().id}:${postId}:${contentHash}:${maxLinks}${sectionLinks ? '' : ':articles'}`;
 }
 
 /**
@@ -59,33 +74,6 @@ function hashContent(content) {
   return hash.toString(36);
 }
 
-/**
- * Check if cached response is valid
- */
-function getCachedResponse(cacheKey) {
-  const cached = responseCache.get(cacheKey);
-  if (cached && (Date.now() - cached.timestamp) < RESPONSE_CACHE_TTL) {
-    return cached.data;
-  }
-  if (cached) {
-    responseCache.delete(cacheKey);
-  }
-  return null;
-}
-
-/**
- * Store response in cache
- */
-function setCachedResponse(cacheKey, data) {
-  // Limit cache size to prevent memory issues
-  if (responseCache.size > 1000) {
-    // Remove oldest 100 entries
-    const keys = Array.from(responseCache.keys()).slice(0, 100);
-    keys.forEach(k => responseCache.delete(k));
-  }
-  responseCache.set(cacheKey, { data, timestamp: Date.now() });
-}
-
 // ============================================================================
 // CONTENT PRE-PROCESSING (Perf #4)
 // ============================================================================
@@ -186,6 +174,7 @@ function extractPostIdFromUrl(url) {
 /**
  * Insert links into content using cheerio HTML parser
  * More reliable and efficient than string/regex replacement
+ * Links with a planned paragraph go into that paragraph only
  */
 function insertLinksIntoContent(html, links) {
   const $ = cheerio.load(html, { decodeEntities: false });
@@ -196,8 +185,12 @@ function insertLinksIntoContent(html, links) {
     const anchorText = link.anchorText;
     let inserted = false;
 
+    const $targets = link.paragraph
+      ? $(PARAGRAPH_SELECTOR).eq(link.paragraph.index)
+      : $('p, li, td, div');
+
     // Try to find exact text match in paragraphs
-    $('p, li, td, div').each((_, el) => {
+    $targets.each((_, el) => {
       if (inserted) return;
 
       const $el = $(el);
@@ -248,7 +241,7 @@ function insertLinksIntoContent(html, links) {
  * - Optimized content preprocessing
  * - Cheerio-based link insertion
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(withUsageRoute('smart-link', async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -266,9 +259,8 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -289,6 +281,7 @@ module.exports = async function handler(req, res) {
       autoInsert = false,
       strictSilo = false,
       includeSEOMetrics = true,
+      sectionLinks = true, // #fragment deep links to the best-matching target section
       skipCache = false // Allow bypassing cache
     } = req.body;
 
@@ -301,13 +294,14 @@ module.exports = async function handler(req, res) {
 
     // Generate cache key
     const contentHash = hashContent(content);
-    const cacheKey = getCacheKey(postId, contentHash, maxLinks);
+    const cacheKey = getCacheKey(postId, contentHash, maxLinks, sectionLinks);
 
     // Check cache (Perf #11)
     if (!skipCache) {
       const cachedResponse = getCachedResponse(cacheKey);
       if (cachedResponse) {
         console.log(`Cache hit for post ${postId}`);
+        scheduleCacheStatsFlush();
         return res.status(200).json({
           ...cachedResponse,
           cached: true
@@ -327,7 +321,7 @@ module.exports = async function handler(req, res) {
     }
 
     // Create promise for this request (for deduplication)
-    const requestPromise = processSmartLinkRequest({
+    const requestPromise = withUsageContext({ postId }, () => processSmartLinkRequest({
       postId,
       content,
       title,
@@ -342,16 +336,17 @@ module.exports = async function handler(req, res) {
       useClaudeAnalysis,
       autoInsert,
       strictSilo,
-      includeSEOMetrics
-    });
+      includeSEOMetrics,
+      sectionLinks
+    }));
 
     pendingRequests.set(cacheKey, requestPromise);
 
     try {
       const result = await requestPromise;
 
-      // Cache successful response
-      if (result.success) {
+      // Cache successful response (not budget-degraded ones)
+      if (result.success && !result.budgetDegraded) {
         setCachedResponse(cacheKey, result);
       }
 
@@ -360,16 +355,21 @@ module.exports = async function handler(req, res) {
     } finally {
       // Clean up pending request
       pendingRequests.delete(cacheKey);
+      scheduleCacheStatsFlush();
     }
 
   } catch (error) {
+    if (isBudgetExceeded(error)) {
+      return sendBudgetExceeded(res, error);
+    }
+
     console.error('Smart link error:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
+}));
 
 /**
  * Process smart link request (separated for deduplication)
@@ -390,7 +390,8 @@ async function processSmartLinkRequest(params) {
     useClaudeAnalysis,
     autoInsert,
     strictSilo,
-    includeSEOMetrics
+    includeSEOMetrics,
+    sectionLinks
   } = params;
 
   // Refresh SEO cache (uses extended TTL now - 15 min)
@@ -423,7 +424,7 @@ async function processSmartLinkRequest(params) {
 
   // Early exit for fully-linked posts - skip expensive analysis
   const existingLinks = extractExistingLinks(content);
-  const existingSmartLinks = existingLinks.filter(l => l.url && !l.url.startsWith('http://') || l.url.includes(process.env.SITE_DOMAIN || 'lendcity'));
+  const existingSmartLinks = existingLinks.filter(l => isSiteUrl(l.url));
   if (existingSmartLinks.length >= maxLinks) {
     console.log(`Skipping smart linking for post ${postId} - already has ${existingSmartLinks.length} links (max: ${maxLinks})`);
     return {
@@ -479,16 +480,20 @@ async function processSmartLinkRequest(params) {
 
   // v2.2: Apply cross-encoder re-ranking for improved accuracy
   // Uses Claude to score relevance more accurately than vector similarity alone
-  const { results: reRankedCandidates, stats: reRankStats } = await twoStageRetrieval(
-    contentText,
-    title || '',
-    candidates,
-    {
-      preFilterThreshold: 0.25,  // Keep candidates with 25%+ vector similarity
-      maxReRank: 20,             // Re-rank top 20 candidates
-      finalTopK: maxLinks * 3   // Return 3x maxLinks for scoring pipeline
-    }
-  );
+  // Skipped while over an LLM spending cap - vector order is used instead
+  const budget = await getBudgetStatus();
+  const { results: reRankedCandidates, stats: reRankStats } = budget.exceeded
+    ? { results: [], stats: { reRanked: 0, skipped: 'budget' } }
+    : await twoStageRetrieval(
+      contentText,
+      title || '',
+      candidates,
+      {
+        preFilterThreshold: 0.25,  // Keep candidates with 25%+ vector similarity
+        maxReRank: 20,             // Re-rank top 20 candidates
+        finalTopK: maxLinks * 3   // Return 3x maxLinks for scoring pipeline
+      }
+    );
 
   // Use re-ranked candidates if available, otherwise fall back to original
   if (reRankedCandidates.length > 0) {
@@ -795,6 +800,30 @@ async function processSmartLinkRequest(params) {
     }));
   }
 
+  // Step 5b: Place each link in its most relevant paragraph, spread through the article
+  let paragraphStats = { placed: 0, paragraphsEmbedded: 0 };
+  if (finalLinks.length > 0) {
+    try {
+      const placement = await planParagraphPlacements(content, finalLinks);
+      finalLinks = placement.links;
+      paragraphStats = { placed: placement.placed, paragraphsEmbedded: placement.paragraphsEmbedded };
+    } catch (error) {
+      console.error('Paragraph placement failed:', error.message);
+    }
+  }
+
+  // Step 5c: Deep-link to a target section where the source paragraph matches it best
+  let sectionLinked = 0;
+  if (sectionLinks && finalLinks.length > 0) {
+    try {
+      const targeting = await applySectionTargeting(content, finalLinks);
+      finalLinks = targeting.links;
+      sectionLinked = targeting.deepLinked;
+    } catch (error) {
+      console.error('Section targeting failed:', error.message);
+    }
+  }
+
   // Step 6: Insert links if autoInsert enabled (using optimized cheerio method)
   let linkedContent = null;
   if (autoInsert && finalLinks.length > 0) {
@@ -809,9 +838,7 @@ async function processSmartLinkRequest(params) {
     })));
 
     // Track link velocity (v2.1 - prevents over-optimization)
-    for (const link of finalLinks) {
-      trackLinkVelocity(postId, link.postId);
-    }
+    await trackLinkVelocity(postId, finalLinks.length);
 
     // Track in Pinecone in parallel (async persistence)
     const trackingPromises = finalLinks.map(link =>
@@ -821,6 +848,9 @@ async function processSmartLinkRequest(params) {
       ])
     );
 
+    // Remember each target's embedding version for drift-based decay checks
+    trackingPromises.push(trackLinkBaselines(postId, finalLinks));
+
     // Don't await - let persistence happen in background
     Promise.all(trackingPromises).catch(err =>
       console.error('Background tracking error:', err.message)
@@ -836,10 +866,14 @@ async function processSmartLinkRequest(params) {
   // Get velocity report
   const velocityReport = getLinkVelocityScore(postId);
 
+  // Other sites' articles are suggestions only - never inserted
+  const crossSiteSuggestions = await findCrossSiteSuggestions(embedding, maxLinks);
+
   return {
     success: true,
     links: finalLinks,
     linkedContent,
+    ...(crossSiteSuggestions.length > 0 && { crossSiteSuggestions }),
     stats: {
       candidatesFound: totalCandidates,
       passedScoring: passedFilter,
@@ -851,8 +885,13 @@ async function processSmartLinkRequest(params) {
       velocityStatus: velocityReport.status,
       // v2.2: Entity-graph and cross-encoder stats
       entityBasedCandidates: entityCandidates?.length || 0,
-      crossEncoderReRanked: reRankStats?.reRanked || 0
+      crossEncoderReRanked: reRankStats?.reRanked || 0,
+      crossEncoderSkipped: reRankStats?.skipped || null,
+      paragraphsEmbedded: paragraphStats.paragraphsEmbedded,
+      paragraphPlaced: paragraphStats.placed,
+      sectionLinked
     },
+    ...(budget.exceeded && { budgetDegraded: true }),
     seoSummary: includeSEOMetrics ? {
       sitewideHealth: seoMetrics?.health || null,
       anchorDiversityStatus: seoMetrics?.anchors?.overused > 5 ? 'warning' : 'good',
@@ -866,6 +905,41 @@ async function processSmartLinkRequest(params) {
   };
 }
 
+/**
+ * Most similar articles on the sites this tenant may link to (allowCrossSiteLinks)
+ * Empty unless the tenant explicitly allows another tenant
+ */
+async function findCrossSiteSuggestions(embedding, limit) {
+  const suggestions = [];
+
+  for (const tenant of getCrossSiteTenants()) {
+    try {
+      const matches = await withTenantContext(tenant, () => querySimilar(embedding, { topK: limit }));
+      for (const match of matches) {
+        const meta = match.metadata || {};
+        if (match.score < CROSS_SITE_MIN_SIMILARITY) continue;
+        if ((meta.contentType || '').toLowerCase() === 'page') continue;
+
+        suggestions.push({
+          site: tenant.id,
+          siteName: tenant.name,
+          postId: meta.postId,
+          title: meta.title,
+          url: /^https?:\/\//.test(meta.url || '') ? meta.url : `${tenant.baseUrl}${meta.url || ''}`,
+          topicCluster: meta.topicCluster || null,
+          score: Math.round(match.score * 1000) / 1000
+        });
+      }
+    } catch (error) {
+      console.error(`Cross-site suggestions from ${tenant.id} failed:`, error.message);
+    }
+  }
+
+  return suggestions
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
 /**
  * Generate SEO recommendations based on link analysis
  */
@@ -0,0 +1,116 @@
+const { getAllArticles, getIndex, getBackendName } = require('../lib/pinecone');
+const { getCacheStats } = require('../lib/response-cache');
+const { getLLMUsage } = require('../lib/llm-usage');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
+
+// Same threshold as the SEO orphan report (0-2 inbound links)
+const ORPHAN_MAX_INBOUND = 2;
+
+/**
+ * Catalog Stats Endpoint
+ * Single payload for the WordPress admin dashboard
+ *
+ * GET /api/stats - Catalog size, enrichment coverage, clusters, link stats, cache stats, LLM usage
+ */
+module.exports = withTenant(async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const [articles, cache, totalVectors, llm] = await Promise.all([
+      getAllArticles({ limit: 10000 }),
+      getCacheStats(),
+      getTotalVectorCount(),
+      getLLMUsage()
+    ]);
+
+    const catalog = { totalArticles: articles.length, posts: 0, pages: 0, pillars: 0 };
+    const clusterCounts = {};
+    let enriched = 0;
+    let totalInbound = 0;
+    let orphanCount = 0;
+
+    for (const article of articles) {
+      const meta = article.metadata || article;
+
+      if (meta.contentType === 'page') catalog.pages++;
+      else catalog.posts++;
+      if (meta.isPillar) catalog.pillars++;
+
+      if (meta.enrichedAt) enriched++;
+
+      const cluster = meta.topicCluster || 'uncategorized';
+      clusterCounts[cluster] = (clusterCounts[cluster] || 0) + 1;
+
+      const inbound = meta.inboundLinkCount || 0;
+      totalInbound += inbound;
+      if (inbound <= ORPHAN_MAX_INBOUND) orphanCount++;
+    }
+
+    const clusters = Object.entries(clusterCounts)
+      .map(([cluster, count]) => ({ cluster, count }))
+      .sort((a, b) => b.count - a.count);
+
+    return res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      backend: getBackendName(),
+      // Article count - read by the plugin's catalog sync panel
+      vectorCount: articles.length,
+      totalVectors,
+      catalog,
+      enrichment: {
+        enriched,
+        notEnriched: articles.length - enriched,
+        coverage: articles.length > 0 ? Math.round((enriched / articles.length) * 100) : 0
+      },
+      clusters,
+      links: {
+        totalInbound,
+        averageInbound: articles.length > 0
+          ? Math.round((totalInbound / articles.length) * 10) / 10
+          : 0,
+        orphanCount,
+        orphanThreshold: ORPHAN_MAX_INBOUND
+      },
+      cache,
+      llm
+    });
+
+  } catch (error) {
+    console.error('Stats error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Vectors in the tenant's namespace (articles + section embeddings), null if unavailable
+ * Not the index-wide total, which includes other tenants' namespaces
+ */
+async function getTotalVectorCount() {
+  try {
+    const stats = await getIndex().describeIndexStats();
+    return stats.namespaceRecordCount ?? null;
+  } catch (error) {
+    console.warn('describeIndexStats failed:', error.message);
+    return null;
+  }
+}
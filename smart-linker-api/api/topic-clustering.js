@@ -1,4 +1,5 @@
 const { discoverClusters, suggestClusterForArticle, findMisclusteredArticles, getClusterAnalytics } = require('../lib/topic-clustering');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Topic Clustering Endpoint
@@ -7,7 +8,7 @@ const { discoverClusters, suggestClusterForArticle, findMisclusteredArticles, ge
  * GET /api/topic-clustering - Get cluster analytics
  * POST /api/topic-clustering - Discover clusters or suggest cluster for content
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -17,9 +18,8 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -81,4 +81,4 @@ module.exports = async function handler(req, res) {
       message: error.message
     });
   }
-};
+});
@@ -0,0 +1,97 @@
+const {
+  getLLMUsage,
+  getPeriodSpend,
+  getDailySpendHistory
+} = require('../lib/llm-usage');
+const { getAllBudgetStatus } = require('../lib/llm-budget');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
+
+// Posts listed per period, most expensive first
+const TOP_POSTS_LIMIT = 20;
+
+/**
+ * LLM Usage Report Endpoint
+ * Token and cost metering for Claude and OpenAI embedding calls, with spending caps
+ *
+ * GET /api/usage - Today, this month, daily history, all-time per route and budget status
+ * GET /api/usage?date=2025-01-15 - Day and month containing that date
+ * GET /api/usage?days=7 - Length of the daily history (default 30, max 90)
+ */
+module.exports = withTenant(async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { date, days } = req.query;
+
+    const reportDate = date ? new Date(`${date}T00:00:00Z`) : new Date();
+    if (isNaN(reportDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid date (expected YYYY-MM-DD)' });
+    }
+    const historyDays = Math.min(Math.max(parseInt(days) || 30, 1), 90);
+
+    const [spend, history, allTime, budget] = await Promise.all([
+      getPeriodSpend(reportDate),
+      getDailySpendHistory(historyDays),
+      getLLMUsage(),
+      getAllBudgetStatus()
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      budget,
+      day: summarizeLedger(spend.day, reportDate.toISOString().slice(0, 10)),
+      month: summarizeLedger(spend.month, reportDate.toISOString().slice(0, 7)),
+      history,
+      allTime
+    });
+
+  } catch (error) {
+    console.error('Usage report error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Period ledger as sorted breakdowns ({ key, calls, ..., costUsd } lists, most expensive first)
+ */
+function summarizeLedger(ledger, period) {
+  const toList = (buckets = {}, keyName) => Object.entries(buckets)
+    .map(([key, bucket]) => ({ [keyName]: key, ...bucket }))
+    .sort((a, b) => b.costUsd - a.costUsd);
+
+  const posts = toList(ledger?.byPost, 'postId');
+
+  return {
+    period,
+    calls: ledger?.calls || 0,
+    errors: ledger?.errors || 0,
+    inputTokens: ledger?.inputTokens || 0,
+    outputTokens: ledger?.outputTokens || 0,
+    costUsd: ledger?.costUsd || 0,
+    byRoute: toList(ledger?.byRoute, 'route'),
+    byModel: toList(ledger?.byModel, 'model'),
+    byProvider: toList(ledger?.byProvider, 'provider'),
+    topPosts: posts.slice(0, TOP_POSTS_LIMIT),
+    postsMetered: posts.length
+  };
+}
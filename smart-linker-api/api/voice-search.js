@@ -8,6 +8,9 @@ const {
   findVoiceSearchOpportunities
 } = require('../lib/voice-search');
 const { getAllArticles } = require('../lib/pinecone');
+const { withUsageRoute } = require('../lib/llm-usage');
+const { isBudgetExceeded, sendBudgetExceeded } = require('../lib/llm-budget');
+const { withTenant, getRequestTenant } = require('../lib/tenants');
 
 /**
  * Voice Search Optimization Endpoint
@@ -16,7 +19,7 @@ const { getAllArticles } = require('../lib/pinecone');
  * GET /api/voice-search - Find voice search opportunities
  * POST /api/voice-search - Analyze content for voice optimization
  */
-module.exports = async function handler(req, res) {
+module.exports = withTenant(withUsageRoute('voice-search', async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -26,9 +29,8 @@ module.exports = async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Verify API key
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
-  if (apiKey !== process.env.API_SECRET_KEY) {
+  // Verify API key (one per tenant, see lib/tenants.js)
+  if (!getRequestTenant()) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
@@ -121,13 +123,17 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
 
   } catch (error) {
+    if (isBudgetExceeded(error)) {
+      return sendBudgetExceeded(res, error);
+    }
+
     console.error('Voice search error:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
+}));
 
 /**
  * Get top clusters for voice search
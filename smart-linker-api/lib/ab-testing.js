@@ -5,9 +5,10 @@
  */
 
 const crypto = require('crypto');
+const state = require('./state-store');
 
-// Active experiments storage (in production, use database)
-const experiments = new Map();
+// Experiments are persisted in the state store, keyed by experiment id
+const COLLECTION = 'experiments';
 
 /**
  * Experiment configuration
@@ -31,11 +32,12 @@ const DEFAULT_EXPERIMENT = {
 /**
  * Create a new A/B test experiment
  */
-function createExperiment(config) {
+async function createExperiment(config) {
   const experiment = {
     ...DEFAULT_EXPERIMENT,
     ...config,
     id: config.id || crypto.randomUUID(),
+    metrics: { impressions: {}, clicks: {}, conversions: {} },
     createdAt: new Date().toISOString()
   };
 
@@ -46,7 +48,7 @@ function createExperiment(config) {
     experiment.metrics.conversions[v.id] = 0;
   });
 
-  experiments.set(experiment.id, experiment);
+  await state.set(COLLECTION, experiment.id, experiment);
   return experiment;
 }
 
@@ -54,8 +56,8 @@ function createExperiment(config) {
  * Get variant for a user/session
  * Uses consistent hashing so same user always gets same variant
  */
-function getVariant(experimentId, userId) {
-  const experiment = experiments.get(experimentId);
+async function getVariant(experimentId, userId) {
+  const experiment = await state.get(COLLECTION, experimentId);
   if (!experiment || experiment.status !== 'running') {
     return null;
   }
@@ -94,49 +96,43 @@ function applyVariantSettings(baseOptions, variant) {
 }
 
 /**
- * Track impression (link shown)
+ * Increment a variant metric atomically
  */
-function trackImpression(experimentId, variantId) {
-  const experiment = experiments.get(experimentId);
-  if (!experiment) return;
+async function incrementMetric(experimentId, metric, variantId) {
+  await state.update(COLLECTION, experimentId, experiment => {
+    if (!experiment) return experiment;
 
-  if (!experiment.metrics.impressions[variantId]) {
-    experiment.metrics.impressions[variantId] = 0;
-  }
-  experiment.metrics.impressions[variantId]++;
+    experiment.metrics[metric][variantId] = (experiment.metrics[metric][variantId] || 0) + 1;
+    return experiment;
+  });
 }
 
 /**
- * Track click (link clicked)
+ * Track impression (link shown)
  */
-function trackClick(experimentId, variantId) {
-  const experiment = experiments.get(experimentId);
-  if (!experiment) return;
+async function trackImpression(experimentId, variantId) {
+  await incrementMetric(experimentId, 'impressions', variantId);
+}
 
-  if (!experiment.metrics.clicks[variantId]) {
-    experiment.metrics.clicks[variantId] = 0;
-  }
-  experiment.metrics.clicks[variantId]++;
+/**
+ * Track click (link clicked)
+ */
+async function trackClick(experimentId, variantId) {
+  await incrementMetric(experimentId, 'clicks', variantId);
 }
 
 /**
  * Track conversion (goal completed)
  */
-function trackConversion(experimentId, variantId) {
-  const experiment = experiments.get(experimentId);
-  if (!experiment) return;
-
-  if (!experiment.metrics.conversions[variantId]) {
-    experiment.metrics.conversions[variantId] = 0;
-  }
-  experiment.metrics.conversions[variantId]++;
+async function trackConversion(experimentId, variantId) {
+  await incrementMetric(experimentId, 'conversions', variantId);
 }
 
 /**
  * Calculate experiment results
  */
-function getExperimentResults(experimentId) {
-  const experiment = experiments.get(experimentId);
+async function getExperimentResults(experimentId) {
+  const experiment = await state.get(COLLECTION, experimentId);
   if (!experiment) return null;
 
   const results = {
@@ -241,7 +237,7 @@ const EXPERIMENT_TEMPLATES = {
 /**
  * Create experiment from template
  */
-function createFromTemplate(templateName) {
+async function createFromTemplate(templateName) {
   const template = EXPERIMENT_TEMPLATES[templateName];
   if (!template) return null;
 
@@ -254,8 +250,9 @@ function createFromTemplate(templateName) {
 /**
  * List all experiments
  */
-function listExperiments() {
-  return Array.from(experiments.values()).map(e => ({
+async function listExperiments() {
+  const experiments = await state.getAll(COLLECTION);
+  return Object.values(experiments).map(e => ({
     id: e.id,
     name: e.name,
     status: e.status,
@@ -267,18 +264,19 @@ function listExperiments() {
 /**
  * Update experiment status
  */
-function updateExperimentStatus(experimentId, status) {
-  const experiment = experiments.get(experimentId);
-  if (!experiment) return null;
-
-  experiment.status = status;
-  if (status === 'running') {
-    experiment.startDate = new Date().toISOString();
-  } else if (status === 'completed') {
-    experiment.endDate = new Date().toISOString();
-  }
+async function updateExperimentStatus(experimentId, status) {
+  return state.update(COLLECTION, experimentId, experiment => {
+    if (!experiment) return experiment;
+
+    experiment.status = status;
+    if (status === 'running') {
+      experiment.startDate = new Date().toISOString();
+    } else if (status === 'completed') {
+      experiment.endDate = new Date().toISOString();
+    }
 
-  return experiment;
+    return experiment;
+  });
 }
 
 module.exports = {
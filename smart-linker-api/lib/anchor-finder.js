@@ -0,0 +1,450 @@
+/**
+ * Anchor Text Finder
+ *
+ * Picks a link anchor for a target from text that already exists in the
+ * source content - sentences, title n-grams or clauses around distinctive
+ * title words - so inserting the link never rewrites the author's copy.
+ * Used by link-audit for missing-link opportunities and by smart-link to
+ * choose an anchor inside the paragraph a link is placed in.
+ */
+
+const { getTenantConfig } = require('./tenants');
+
+/**
+ * SEO-optimized anchor text finder (Expert Level v2)
+ *
+ * Smart linking strategies:
+ * 1. Avoids generic phrases that could match multiple targets
+ * 2. Requires distinctive words from the target title
+ * 3. Prevents duplicate anchors across opportunities
+ * 4. Supports full sentence anchors for natural reading
+ * 5. Prefers anchors in intro/conclusion (higher SEO value)
+ * 6. Semantic partial matching - finds phrases with multiple target words
+ * 7. Position-based scoring for optimal link placement
+ * 8. Exact match penalty - avoids over-optimization
+ * 9. STRICT word boundary matching - ensures complete words (no cutting)
+ * 10. Natural language preference - prefers readable anchors
+ * 11. Filter anchors starting/ending with conjunctions, prepositions
+ *
+ * @param {string} content - HTML content of source article
+ * @param {string} contentLower - Lowercase version for searching
+ * @param {object} target - Target article with title, topicCluster, etc.
+ * @param {Set} usedAnchors - Set of already-used anchor texts (lowercase)
+ * @returns {{ text: string, context: string, position: string, score: number } | null}
+ */
+function findAnchorInContent(content, contentLower, target, usedAnchors = new Set()) {
+  // Target title normalized for exact match detection
+  const targetTitleLower = (target.title || '').toLowerCase().replace(/[^\w\s]/g, '').trim();
+
+  // Generic phrases that match too many pages - BLACKLIST
+  const genericPhrases = new Set([
+    'mortgage financing', 'real estate', 'investment property', 'property investment',
+    'lending options', 'loan options', 'financing options', 'mortgage options',
+    'property loans', 'real estate loans', 'investment loans', 'home loans',
+    'mortgage rates', 'interest rates', 'loan rates', 'best rates',
+    'how to get', 'guide to', 'tips for', 'what is', 'how does',
+    'learn more', 'find out', 'get started', 'apply now',
+    'property financing', 'real estate financing', 'investment financing',
+    'mortgage lender', 'lending company', 'loan provider', 'property management',
+    'investment strategy', 'financing guide', 'loan guide', 'mortgage guide'
+  ]);
+
+  // Words that should NEVER start or end an anchor text
+  // These create awkward, unnatural-sounding links
+  const badStartEndWords = new Set([
+    // Conjunctions
+    'and', 'or', 'but', 'nor', 'yet', 'so', 'for',
+    // Prepositions
+    'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'as',
+    'into', 'onto', 'upon', 'within', 'without', 'through', 'during',
+    'before', 'after', 'above', 'below', 'between', 'among', 'under',
+    // Articles
+    'the', 'a', 'an',
+    // Pronouns (when starting)
+    'it', 'its', 'their', 'our', 'your', 'his', 'her', 'my',
+    // Other weak words
+    'also', 'both', 'each', 'either', 'neither', 'such', 'very',
+    'just', 'only', 'even', 'still', 'then', 'than', 'that', 'which',
+    // Fragments that indicate cut-off
+    'including', 'especially', 'particularly', 'specifically'
+  ]);
+
+  // Stopwords for distinctive word detection
+  const stopwords = new Set([
+    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+    'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
+    'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+    'should', 'may', 'might', 'must', 'shall', 'can', 'need', 'dare', 'ought',
+    'used', 'get', 'your', 'our', 'their', 'its', 'his', 'her', 'my',
+    'this', 'that', 'these', 'those', 'what', 'which', 'who', 'whom', 'how',
+    'when', 'where', 'why', 'all', 'each', 'every', 'both', 'few', 'more',
+    'most', 'other', 'some', 'such', 'only', 'own', 'same', 'than', 'too',
+    'very', 'just', 'also', 'now', 'here', 'there', 'then', 'once', 'about',
+    'mortgage', 'financing', 'property', 'investment', 'loan', 'lending', 'real', 'estate'
+  ]);
+
+  /**
+   * Check if an anchor text has valid start/end words
+   * Rejects anchors starting or ending with conjunctions, prepositions, etc.
+   */
+  function hasValidBoundaries(text) {
+    const words = text.trim().toLowerCase().split(/\s+/);
+    if (words.length === 0) return false;
+
+    const firstWord = words[0].replace(/[^\w]/g, '');
+    const lastWord = words[words.length - 1].replace(/[^\w]/g, '');
+
+    // Check start word
+    if (badStartEndWords.has(firstWord)) {
+      return false;
+    }
+
+    // Check end word
+    if (badStartEndWords.has(lastWord)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Extract a clean phrase from content at given position
+   * Ensures complete words (no cutting mid-word)
+   */
+  function extractCleanPhrase(text, startPos, endPos) {
+    // Expand backwards to word boundary
+    while (startPos > 0 && /\w/.test(text[startPos - 1])) {
+      startPos--;
+    }
+
+    // Expand forwards to word boundary
+    while (endPos < text.length && /\w/.test(text[endPos])) {
+      endPos++;
+    }
+
+    // Extract and clean
+    let phrase = text.substring(startPos, endPos).trim();
+
+    // Remove leading/trailing punctuation but keep internal punctuation
+    phrase = phrase.replace(/^[^\w]+/, '').replace(/[^\w]+$/, '');
+
+    return phrase;
+  }
+
+  /**
+   * Find all word-boundary positions in text
+   */
+  function getWordBoundaries(text) {
+    const boundaries = [0];
+    for (let i = 1; i < text.length; i++) {
+      const prev = /\w/.test(text[i - 1]);
+      const curr = /\w/.test(text[i]);
+      if (prev !== curr) {
+        boundaries.push(i);
+      }
+    }
+    boundaries.push(text.length);
+    return boundaries;
+  }
+
+  // Extract distinctive words from target title (THE KEY to specificity)
+  const distinctiveWords = [];
+  if (target.title) {
+    const words = target.title.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/);
+    for (const word of words) {
+      if (word.length >= 4 && !stopwords.has(word)) {
+        distinctiveWords.push(word);
+      }
+    }
+  }
+
+  // If no distinctive words found, this target is too generic - skip it
+  if (distinctiveWords.length === 0) {
+    return null;
+  }
+
+  // Remove existing links and strip HTML for searching
+  const contentWithoutLinks = content.replace(/<a[^>]*>.*?<\/a>/gi, '');
+  const plainText = contentWithoutLinks.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  const plainLower = plainText.toLowerCase();
+
+  // Determine content length for position scoring
+  const contentLength = plainText.length;
+  const introEnd = Math.min(contentLength * 0.2, 500); // First 20% or 500 chars
+  const conclusionStart = contentLength * 0.8; // Last 20%
+
+  // All candidate anchors with scores
+  const candidates = [];
+
+  // STRATEGY 1: Find sentences containing multiple distinctive words
+  const sentences = plainText.split(/(?<=[.!?])\s+/).filter(s => s.length > 20 && s.length < 150);
+
+  for (const sentence of sentences) {
+    const sentenceLower = sentence.toLowerCase();
+
+    // Count how many distinctive words appear in this sentence
+    const matchingWords = distinctiveWords.filter(w => {
+      // Ensure word boundary match (not partial word)
+      const regex = new RegExp(`\\b${w}\\b`, 'i');
+      return regex.test(sentenceLower);
+    });
+
+    if (matchingWords.length >= 2) {
+      // Check boundary validity
+      if (!hasValidBoundaries(sentence)) continue;
+
+      // Check if already used
+      const normalizedSentence = sentenceLower.trim();
+      if (usedAnchors.has(normalizedSentence)) continue;
+
+      // Find position in content
+      const pos = plainLower.indexOf(sentenceLower);
+
+      // Calculate position score (intro/conclusion = higher)
+      let positionScore = 1;
+      let positionLabel = 'body';
+      if (pos < introEnd) {
+        positionScore = 1.5;
+        positionLabel = 'intro';
+      } else if (pos > conclusionStart) {
+        positionScore = 1.3;
+        positionLabel = 'conclusion';
+      }
+
+      // Calculate distinctiveness score
+      const distinctScore = matchingWords.length / distinctiveWords.length;
+
+      candidates.push({
+        text: sentence.trim(),
+        type: 'sentence',
+        position: positionLabel,
+        score: distinctScore * positionScore * 100,
+        matchingWords
+      });
+    }
+  }
+
+  // STRATEGY 2: Find exact n-gram phrases from title (3+ words)
+  if (target.title) {
+    const titleWords = target.title
+      .replace(/[^\w\s]/g, '')
+      .split(/\s+/)
+      .filter(w => w.length > 2);
+
+    for (let len = Math.min(6, titleWords.length); len >= 3; len--) {
+      for (let i = 0; i <= titleWords.length - len; i++) {
+        const phrase = titleWords.slice(i, i + len).join(' ');
+        const phraseLower = phrase.toLowerCase();
+
+        if (phrase.length < 12) continue;
+        if (genericPhrases.has(phraseLower)) continue;
+        if (usedAnchors.has(phraseLower)) continue;
+        if (!hasValidBoundaries(phrase)) continue;
+
+        // Must contain at least one distinctive word
+        const hasDistinctive = distinctiveWords.some(w => phraseLower.includes(w));
+        if (!hasDistinctive) continue;
+
+        // Use word boundary regex to find in content
+        const escapedPhrase = phraseLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const phraseRegex = new RegExp(`\\b${escapedPhrase}\\b`, 'i');
+        const match = phraseRegex.exec(plainLower);
+        if (!match) continue;
+
+        const pos = match.index;
+
+        // Position scoring
+        let positionScore = 1;
+        let positionLabel = 'body';
+        if (pos < introEnd) {
+          positionScore = 1.5;
+          positionLabel = 'intro';
+        } else if (pos > conclusionStart) {
+          positionScore = 1.3;
+          positionLabel = 'conclusion';
+        }
+
+        // Longer phrases are more specific = higher score
+        const lengthBonus = len / 3;
+
+        // Extract the actual text from content (preserves original case)
+        const extractedText = plainText.substring(pos, pos + phrase.length);
+
+        candidates.push({
+          text: extractedText,
+          type: 'phrase',
+          position: positionLabel,
+          score: 80 * positionScore * lengthBonus,
+          matchingWords: distinctiveWords.filter(w => phraseLower.includes(w))
+        });
+      }
+    }
+  }
+
+  // STRATEGY 3: Find contextual phrases with distinctive words nearby
+  // IMPROVED: Use word boundaries and smart expansion
+  for (const distinctWord of distinctiveWords) {
+    // Find all occurrences of the distinctive word with word boundaries
+    const wordRegex = new RegExp(`\\b${distinctWord}\\b`, 'gi');
+    let wordMatch;
+
+    while ((wordMatch = wordRegex.exec(plainLower)) !== null) {
+      const wordPos = wordMatch.index;
+
+      // Find the start of this word's sentence/clause
+      let clauseStart = wordPos;
+      let commaCount = 0;
+
+      // Go backwards to find clause start (stop at period, or after 2 commas)
+      for (let i = wordPos - 1; i >= 0 && i >= wordPos - 80; i--) {
+        if ('.!?'.includes(plainText[i])) {
+          clauseStart = i + 1;
+          break;
+        }
+        if (plainText[i] === ',') {
+          commaCount++;
+          if (commaCount >= 2) {
+            clauseStart = i + 1;
+            break;
+          }
+        }
+        clauseStart = i;
+      }
+
+      // Go forwards to find clause end
+      let clauseEnd = wordPos + distinctWord.length;
+      commaCount = 0;
+
+      for (let i = wordPos + distinctWord.length; i < plainText.length && i <= wordPos + 80; i++) {
+        if ('.!?'.includes(plainText[i])) {
+          clauseEnd = i;
+          break;
+        }
+        if (plainText[i] === ',') {
+          commaCount++;
+          if (commaCount >= 2) {
+            clauseEnd = i;
+            break;
+          }
+        }
+        clauseEnd = i + 1;
+      }
+
+      // Extract clean phrase with proper word boundaries
+      const phrase = extractCleanPhrase(plainText, clauseStart, clauseEnd);
+      const phraseLower = phrase.toLowerCase();
+
+      // Length checks
+      if (phrase.length < 15 || phrase.length > 80) continue;
+
+      // Check word count (2-8 words ideal)
+      const wordCount = phrase.split(/\s+/).length;
+      if (wordCount < 2 || wordCount > 10) continue;
+
+      // Check boundaries
+      if (!hasValidBoundaries(phrase)) continue;
+
+      if (usedAnchors.has(phraseLower)) continue;
+
+      // Count distinctive words in this phrase
+      const matchingWords = distinctiveWords.filter(w => {
+        const regex = new RegExp(`\\b${w}\\b`, 'i');
+        return regex.test(phraseLower);
+      });
+      if (matchingWords.length < 1) continue;
+
+      // Skip if too generic
+      let isGeneric = false;
+      for (const gen of genericPhrases) {
+        if (phraseLower.includes(gen)) {
+          isGeneric = true;
+          break;
+        }
+      }
+      if (isGeneric) continue;
+
+      let positionScore = 1;
+      let positionLabel = 'body';
+      if (wordPos < introEnd) {
+        positionScore = 1.5;
+        positionLabel = 'intro';
+      } else if (wordPos > conclusionStart) {
+        positionScore = 1.3;
+        positionLabel = 'conclusion';
+      }
+
+      candidates.push({
+        text: phrase,
+        type: 'contextual',
+        position: positionLabel,
+        score: 60 * positionScore * matchingWords.length,
+        matchingWords
+      });
+    }
+  }
+
+  // Apply SEO penalties and bonuses before sorting
+  for (const candidate of candidates) {
+    const candLower = candidate.text.toLowerCase().replace(/[^\w\s]/g, '').trim();
+
+    // PENALTY: Exact match to target title (over-optimization risk)
+    if (candLower === targetTitleLower) {
+      candidate.score *= 0.6; // 40% penalty
+      candidate.exactMatch = true;
+    }
+
+    // BONUS: Natural language (contains verbs/action words)
+    const naturalWords = ['how', 'why', 'when', 'learn', 'discover', 'explore', 'understand', 'guide', 'about', 'benefits', 'advantages'];
+    const hasNaturalFlow = naturalWords.some(w => candLower.includes(w));
+    if (hasNaturalFlow) {
+      candidate.score *= 1.2; // 20% bonus for natural language
+      candidate.naturalLanguage = true;
+    }
+
+    // BONUS: Contains brand/location signals (more specific)
+    const brandSignals = [...getTenantConfig('brandTerms', ['lendcity']), 'ontario', 'toronto', 'canada', 'gta'];
+    const hasBrandSignal = brandSignals.some(b => candLower.includes(b));
+    if (hasBrandSignal) {
+      candidate.score *= 1.15; // 15% bonus for brand/geo signals
+    }
+
+    // PENALTY: Starts/ends with numbers only (partial content)
+    const words = candidate.text.trim().split(/\s+/);
+    if (/^\d+$/.test(words[0]) || /^\d+$/.test(words[words.length - 1])) {
+      candidate.score *= 0.5; // 50% penalty
+    }
+  }
+
+  // Sort candidates by score (highest first)
+  candidates.sort((a, b) => b.score - a.score);
+
+  // Return best candidate
+  if (candidates.length > 0) {
+    const best = candidates[0];
+
+    // Get context around the anchor
+    const pos = plainLower.indexOf(best.text.toLowerCase());
+    const contextStart = Math.max(0, pos - 30);
+    const contextEnd = Math.min(plainText.length, pos + best.text.length + 30);
+    let context = plainText.substring(contextStart, contextEnd);
+    if (contextStart > 0) context = '...' + context;
+    if (contextEnd < plainText.length) context = context + '...';
+
+    return {
+      text: best.text,
+      context: context,
+      position: best.position,
+      score: Math.round(best.score),
+      type: best.type,
+      matchingWords: best.matchingWords,
+      isExactMatch: best.exactMatch || false,
+      isNaturalLanguage: best.naturalLanguage || false
+    };
+  }
+
+  return null; // No suitable anchor found
+}
+
+module.exports = {
+  findAnchorInContent
+};
@@ -0,0 +1,350 @@
+/**
+ * Business Rules
+ *
+ * Editable versions of the rule tables the scoring modules ship with:
+ * cluster relationships, funnel flow and persona compatibility (scoring),
+ * the seasonal calendar and market cycles (seasonal-boosting), trusted
+ * domains (outbound-link) and the LSI keyword map (semantic-enrichment).
+ *
+ * Each module keeps its table as the default and reads the live value with
+ * getBusinessRule(name, defaults). Precedence: the value saved through
+ * /api/config, then the tenant's site config (TENANTS), then the default.
+ * A saved rule replaces the whole table.
+ *
+ * Saves are validated and versioned in the state store (per tenant). Every
+ * save is a complete new version, so any older version can be restored.
+ * Modules read rules synchronously from an in-memory copy that
+ * loadBusinessRules() refreshes - lib/tenants.js loads it whenever code
+ * starts running as a tenant.
+ */
+
+const state = require('./state-store');
+const { getTenant } = require('./tenants');
+
+// Current version ('current') and every saved version (keyed by version number)
+const RULES_COLLECTION = 'business-rules';
+const HISTORY_COLLECTION = 'business-rules-history';
+
+// How long an instance trusts its copy before re-reading the store
+const RULES_CACHE_TTL = 60 * 1000;
+
+const FUNNEL_STAGES = ['awareness', 'consideration', 'decision'];
+const TRUSTED_DOMAIN_CATEGORIES = ['government', 'financial', 'realEstate', 'statistics'];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate { key: [string, ...] }
+ *
+ * @param {Object} options - { keys, values: allowed values, keyPattern, valuePattern }
+ * @returns {Array} Error messages
+ */
+function validateListMap(value, name, options = {}) {
+  if (!isPlainObject(value)) return [`${name} must be an object of lists`];
+
+  const errors = [];
+  for (const [key, list] of Object.entries(value)) {
+    if (options.keys && !options.keys.includes(key)) {
+      errors.push(`${name}.${key}: unknown key (expected one of ${options.keys.join(', ')})`);
+    } else if (options.keyPattern && !options.keyPattern.test(key)) {
+      errors.push(`${name}.${key}: keys must be lowercase-hyphenated`);
+    }
+
+    if (!Array.isArray(list)) {
+      errors.push(`${name}.${key}: must be a list`);
+      continue;
+    }
+    list.forEach((item, i) => {
+      if (typeof item !== 'string' || !item.trim()) {
+        errors.push(`${name}.${key}[${i}]: must be a non-empty string`);
+      } else if (options.values && !options.values.includes(item)) {
+        errors.push(`${name}.${key}[${i}]: "${item}" is not one of ${options.values.join(', ')}`);
+      } else if (options.valuePattern && !options.valuePattern.test(item)) {
+        errors.push(`${name}.${key}[${i}]: "${item}" is not valid here`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validate { key: { topics: [slug, ...], boost, reason? } }
+ */
+function validateTopicBoosts(value, name, options = {}) {
+  if (!isPlainObject(value)) return [`${name} must be an object`];
+
+  const errors = [];
+  for (const [key, entry] of Object.entries(value)) {
+    if (options.keyPattern && !options.keyPattern.test(key)) {
+      errors.push(`${name}.${key}: ${options.keyMessage}`);
+    }
+    if (!isPlainObject(entry)) {
+      errors.push(`${name}.${key}: must be an object with topics and boost`);
+      continue;
+    }
+    errors.push(...validateListMap({ topics: entry.topics }, `${name}.${key}`, { valuePattern: SLUG_PATTERN }));
+    if (typeof entry.boost !== 'number' || entry.boost < 0.5 || entry.boost > 3) {
+      errors.push(`${name}.${key}.boost: must be a number from 0.5 to 3`);
+    }
+    if (entry.reason !== undefined && typeof entry.reason !== 'string') {
+      errors.push(`${name}.${key}.reason: must be a string`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Editable rules: description, shape (for GET /api/config?action=schema),
+ * validator and the TENANTS site config key that overrides the default
+ */
+const RULE_DEFINITIONS = {
+  CLUSTER_RELATIONSHIPS: {
+    module: 'lib/scoring.js',
+    description: 'Related topic clusters - links between them score as on-topic',
+    shape: '{ "cluster-slug": ["related-cluster", ...] }',
+    tenantKey: 'clusterRelationships',
+    validate: (value, name) => validateListMap(value, name, { keyPattern: SLUG_PATTERN, valuePattern: SLUG_PATTERN })
+  },
+  FUNNEL_FLOW: {
+    module: 'lib/scoring.js',
+    description: 'Funnel stages each stage links to: [same stage, next stage]',
+    shape: `{ "stage": ["stage", "next-stage"] } with stages ${FUNNEL_STAGES.join(', ')}`,
+    validate: (value, name) => validateListMap(value, name, { keys: FUNNEL_STAGES, values: FUNNEL_STAGES })
+  },
+  PERSONA_COMPATIBILITY: {
+    module: 'lib/scoring.js',
+    description: 'Personas whose articles suit readers of each persona',
+    shape: '{ "persona": ["persona", ...] }',
+    validate: (value, name) => validateListMap(value, name, { keyPattern: SLUG_PATTERN, valuePattern: SLUG_PATTERN })
+  },
+  SEASONAL_CONTENT: {
+    module: 'lib/seasonal-boosting.js',
+    description: 'Topics boosted in each month (1-12)',
+    shape: '{ "1": { "topics": ["topic-slug", ...], "boost": 1.3, "reason": "..." } }',
+    tenantKey: 'seasonalContent',
+    mergeTenant: true,
+    validate: (value, name) => validateTopicBoosts(value, name, {
+      keyPattern: /^(?:[1-9]|1[0-2])$/,
+      keyMessage: 'months are 1-12'
+    })
+  },
+  MARKET_CYCLES: {
+    module: 'lib/seasonal-boosting.js',
+    description: 'Topics boosted in each market cycle phase',
+    shape: '{ "phase": { "topics": ["topic-slug", ...], "boost": 1.2 } }',
+    validate: (value, name) => validateTopicBoosts(value, name, {
+      keyPattern: SLUG_PATTERN,
+      keyMessage: 'phases must be lowercase-hyphenated'
+    })
+  },
+  TRUSTED_DOMAINS: {
+    module: 'lib/outbound-link.js',
+    description: 'Domains trusted as outbound citation sources, by category',
+    shape: `{ "category": ["domain.ca", ...] } with categories ${TRUSTED_DOMAIN_CATEGORIES.join(', ')}`,
+    validate: (value, name) => validateListMap(value, name, { keys: TRUSTED_DOMAIN_CATEGORIES, valuePattern: DOMAIN_PATTERN })
+  },
+  LSI_KEYWORD_MAP: {
+    module: 'lib/semantic-enrichment.js',
+    description: 'Related terms added as LSI keywords when a topic is detected',
+    shape: '{ "topic-slug": ["related term", ...] }',
+    validate: (value, name) => validateListMap(value, name, { keyPattern: SLUG_PATTERN })
+  }
+};
+
+/**
+ * Validate rule changes ({ NAME: value }, null resets a rule to its default)
+ *
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateBusinessRules(changes) {
+  if (!isPlainObject(changes)) return ['rules must be an object of { RULE_NAME: value }'];
+
+  const errors = [];
+  for (const [name, value] of Object.entries(changes)) {
+    const definition = RULE_DEFINITIONS[name];
+    if (!definition) {
+      errors.push(`${name}: unknown rule (expected one of ${Object.keys(RULE_DEFINITIONS).join(', ')})`);
+    } else if (value !== null) {
+      errors.push(...definition.validate(value, name));
+    }
+  }
+  return errors;
+}
+
+// ============================================================================
+// RUNTIME ACCESS
+// ============================================================================
+
+// Saved rules per tenant: { version, rules, updatedAt, note, loadedAt }
+const loadedRules = new Map();
+
+/**
+ * Load the current tenant's saved rules into memory (re-read after RULES_CACHE_TTL)
+ * A failed read keeps the previous copy, or the defaults
+ */
+async function loadBusinessRules(options = {}) {
+  const { id } = getTenant();
+  const cached = loadedRules.get(id);
+  if (!options.force && cached && (Date.now() - cached.loadedAt) < RULES_CACHE_TTL) {
+    return cached;
+  }
+
+  try {
+    const current = await state.get(RULES_COLLECTION, 'current');
+    const loaded = { ...emptyVersion(), ...current, loadedAt: Date.now() };
+    loadedRules.set(id, loaded);
+    return loaded;
+  } catch (error) {
+    console.error('Failed to load business rules:', error.message);
+    return cached || { ...emptyVersion(), loadedAt: 0 };
+  }
+}
+
+/**
+ * Version record before anything was saved
+ */
+function emptyVersion() {
+  return { version: 0, rules: {}, updatedAt: null, note: null };
+}
+
+/**
+ * Live value of a rule for the current tenant
+ *
+ * @param {string} name - Rule name (RULE_DEFINITIONS)
+ * @param {Object} defaults - The module's built-in table
+ */
+function getBusinessRule(name, defaults) {
+  const saved = loadedRules.get(getTenant().id)?.rules[name];
+  if (saved) return saved;
+
+  const definition = RULE_DEFINITIONS[name];
+  const tenantValue = definition?.tenantKey ? getTenant()[definition.tenantKey] : null;
+  if (tenantValue) {
+    return definition.mergeTenant ? { ...defaults, ...tenantValue } : tenantValue;
+  }
+  return defaults;
+}
+
+/**
+ * Where a rule's live value comes from: 'saved', 'tenant' or 'default'
+ */
+function getRuleSource(name) {
+  if (loadedRules.get(getTenant().id)?.rules[name]) return 'saved';
+  const { tenantKey } = RULE_DEFINITIONS[name] || {};
+  return tenantKey && getTenant()[tenantKey] ? 'tenant' : 'default';
+}
+
+// ============================================================================
+// VERSIONS
+// ============================================================================
+
+/**
+ * Save rule changes as a new version
+ *
+ * @param {Object} changes - { NAME: value }, null resets a rule to its default
+ * @param {Object} options - { expectedVersion (reject if another save came first), note }
+ * @returns {Object} The new version record
+ */
+async function saveBusinessRules(changes, options = {}) {
+  const errors = validateBusinessRules(changes);
+  if (errors.length > 0) {
+    const error = new Error('Invalid business rules');
+    error.code = 'INVALID_RULES';
+    error.details = errors;
+    throw error;
+  }
+
+  const saved = await state.update(RULES_COLLECTION, 'current', current => {
+    const previous = current || emptyVersion();
+    if (options.expectedVersion !== undefined && options.expectedVersion !== null &&
+        Number(options.expectedVersion) !== previous.version) {
+      const error = new Error(`Rules are at version ${previous.version}, not ${options.expectedVersion}`);
+      error.code = 'VERSION_CONFLICT';
+      error.currentVersion = previous.version;
+      throw error;
+    }
+
+    const rules = { ...previous.rules };
+    for (const [name, value] of Object.entries(changes)) {
+      if (value === null) delete rules[name];
+      else rules[name] = value;
+    }
+
+    return {
+      version: previous.version + 1,
+      rules,
+      changed: Object.keys(changes),
+      note: options.note || null,
+      updatedAt: new Date().toISOString()
+    };
+  });
+
+  await state.set(HISTORY_COLLECTION, String(saved.version), saved);
+  loadedRules.set(getTenant().id, { ...saved, loadedAt: Date.now() });
+  return saved;
+}
+
+/**
+ * Saved versions, newest first (without rule values)
+ */
+async function listRuleVersions(options = {}) {
+  const { limit = 50 } = options;
+  const history = await state.getAll(HISTORY_COLLECTION);
+
+  return Object.values(history)
+    .sort((a, b) => b.version - a.version)
+    .slice(0, limit)
+    .map(({ version, changed, note, updatedAt }) => ({ version, changed, note, updatedAt }));
+}
+
+/**
+ * One saved version with its rule values (null if unknown)
+ */
+async function getRuleVersion(version) {
+  return state.get(HISTORY_COLLECTION, String(version));
+}
+
+/**
+ * Save an older version's rules as a new version
+ */
+async function restoreRuleVersion(version, options = {}) {
+  const target = await getRuleVersion(version);
+  if (!target) {
+    const error = new Error(`Rules version ${version} not found`);
+    error.code = 'VERSION_NOT_FOUND';
+    throw error;
+  }
+
+  const current = await loadBusinessRules({ force: true });
+  const changes = Object.fromEntries(Object.keys(RULE_DEFINITIONS)
+    .filter(name => JSON.stringify(target.rules[name] || null) !== JSON.stringify(current.rules[name] || null))
+    .map(name => [name, target.rules[name] || null]));
+
+  return saveBusinessRules(changes, {
+    expectedVersion: options.expectedVersion,
+    note: options.note || `Restored version ${target.version}`
+  });
+}
+
+module.exports = {
+  RULE_DEFINITIONS,
+  FUNNEL_STAGES,
+  TRUSTED_DOMAIN_CATEGORIES,
+  validateBusinessRules,
+  loadBusinessRules,
+  getBusinessRule,
+  getRuleSource,
+  saveBusinessRules,
+  listRuleVersions,
+  getRuleVersion,
+  restoreRuleVersion
+};
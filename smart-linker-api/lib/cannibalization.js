@@ -0,0 +1,361 @@
+/**
+ * Keyword Cannibalization Detection
+ *
+ * Finds pairs of articles that compete for the same search intent: near
+ * identical embeddings, overlapping main topics or primary anchor, and the
+ * same funnel stage and search intent. Each pair gets a recommendation
+ * (merge, canonicalize or differentiate) and the article that should be the
+ * canonical internal link target.
+ */
+
+const { getAllArticles, getArticleEmbeddings } = require('./pinecone');
+
+const CANNIBALIZATION_SETTINGS = {
+  minSimilarity: 0.88,      // Vector similarity for a pair to be considered
+  mergeSimilarity: 0.95,    // Similarity above which the pair is a near duplicate
+  minTopicOverlap: 0.3,     // Jaccard overlap of mainTopics + primaryAnchor
+  thinRatio: 0.5,           // Word count ratio below which the weaker article is thin
+  maxPairs: 50              // Pairs returned, most severe first
+};
+
+const RECOMMENDATIONS = {
+  MERGE: 'merge',
+  CANONICALIZE: 'canonicalize',
+  DIFFERENTIATE: 'differentiate'
+};
+
+/**
+ * Lowercased mainTopics and primaryAnchor of an article
+ */
+function getTopicTerms(meta) {
+  return new Set(
+    [...(meta.mainTopics || []), meta.primaryAnchor]
+      .filter(Boolean)
+      .map(t => String(t).toLowerCase().trim())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Jaccard overlap of two topic sets (0-1)
+ */
+function topicOverlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Whether two primary anchors target the same phrase (equal or one contains the other)
+ */
+function sameAnchor(a, b) {
+  const anchorA = (a || '').toLowerCase().trim();
+  const anchorB = (b || '').toLowerCase().trim();
+  if (!anchorA || !anchorB) return false;
+  return anchorA === anchorB || anchorA.includes(anchorB) || anchorB.includes(anchorA);
+}
+
+/**
+ * Unit-length copy of a vector, so similarity is a dot product
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * How strong an article is as the canonical link target
+ * Pillars, inbound links, depth and quality count; recent updates break ties
+ */
+function getCanonicalStrength(meta) {
+  const reasons = [];
+  let score = 0;
+
+  if (meta.isPillar) {
+    score += 40;
+    reasons.push('pillar page');
+  }
+
+  const inbound = meta.inboundLinkCount || 0;
+  score += Math.min(inbound, 20) * 2;
+  if (inbound > 0) reasons.push(`${inbound} inbound links`);
+
+  score += (meta.comprehensivenessScore || 50) * 0.2;
+  score += (meta.qualityScore || 50) * 0.1;
+
+  const updatedAt = meta.updatedAt ? new Date(meta.updatedAt).getTime() : 0;
+  if (Date.now() - updatedAt < 365 * 24 * 60 * 60 * 1000) score += 5;
+
+  return { score: Math.round(score * 10) / 10, reasons };
+}
+
+/**
+ * Pick the canonical article of a pair
+ */
+function chooseCanonical(a, b) {
+  const strengthA = getCanonicalStrength(a);
+  const strengthB = getCanonicalStrength(b);
+
+  // Equal strength: the longer article, then the older one (it has had longer to rank)
+  let aWins = strengthA.score > strengthB.score;
+  if (strengthA.score === strengthB.score) {
+    aWins = (a.wordCount || 0) !== (b.wordCount || 0)
+      ? (a.wordCount || 0) > (b.wordCount || 0)
+      : new Date(a.publishedAt || 0) <= new Date(b.publishedAt || 0);
+  }
+
+  return aWins
+    ? { canonical: a, other: b, strength: strengthA, otherStrength: strengthB }
+    : { canonical: b, other: a, strength: strengthB, otherStrength: strengthA };
+}
+
+/**
+ * Recommendation for a competing pair
+ *
+ * - merge: near duplicates - fold the other article into the canonical and redirect it
+ * - canonicalize: both must stay published (different formats, or the other is a thin
+ *   version) - rel=canonical and internal links point at the canonical
+ * - differentiate: related but distinct - give the other article its own angle
+ */
+function recommendAction(pair, canonical, other, settings) {
+  const canonicalWords = canonical.wordCount || 0;
+  const otherWords = other.wordCount || 0;
+  const differentFormat = (canonical.contentType || 'article') !== (other.contentType || 'article') ||
+    (canonical.contentFormat && other.contentFormat && canonical.contentFormat !== other.contentFormat);
+
+  if (differentFormat) {
+    return {
+      action: RECOMMENDATIONS.CANONICALIZE,
+      reason: `Same intent in different formats (${other.contentFormat || other.contentType} vs ${canonical.contentFormat || canonical.contentType}) - keep both, point rel=canonical and internal links at "${canonical.title}"`
+    };
+  }
+
+  if (pair.similarity >= settings.mergeSimilarity) {
+    return {
+      action: RECOMMENDATIONS.MERGE,
+      reason: `Near duplicates (similarity ${pair.similarity}) - merge "${other.title}" into "${canonical.title}" and 301 redirect it`
+    };
+  }
+
+  if (canonicalWords > 0 && otherWords < canonicalWords * settings.thinRatio) {
+    return {
+      action: RECOMMENDATIONS.CANONICALIZE,
+      reason: `"${other.title}" is a thinner take on the same topic (${otherWords} vs ${canonicalWords} words) - set rel=canonical to "${canonical.title}" or fold its unique points in`
+    };
+  }
+
+  const uniqueTopics = [...getTopicTerms(other)].filter(t => !getTopicTerms(canonical).has(t));
+  return {
+    action: RECOMMENDATIONS.DIFFERENTIATE,
+    reason: uniqueTopics.length > 0
+      ? `Refocus "${other.title}" on what only it covers (${uniqueTopics.slice(0, 3).join(', ')}) and a different primary keyword`
+      : `Refocus "${other.title}" on a different primary keyword, persona or funnel stage`
+  };
+}
+
+/**
+ * Compare two articles (null unless they compete for the same intent)
+ */
+function evaluatePair(a, b, similarity, settings) {
+  if (similarity < settings.minSimilarity) return null;
+  if ((a.funnelStage || null) !== (b.funnelStage || null)) return null;
+  if ((a.searchIntent || 'informational') !== (b.searchIntent || 'informational')) return null;
+
+  const overlap = topicOverlap(getTopicTerms(a), getTopicTerms(b));
+  const anchorMatch = sameAnchor(a.primaryAnchor, b.primaryAnchor);
+  if (overlap < settings.minTopicOverlap && !anchorMatch) return null;
+
+  const pair = {
+    similarity: Math.round(similarity * 1000) / 1000,
+    topicOverlap: Math.round(overlap * 100) / 100,
+    sameAnchor: anchorMatch,
+    sharedTopics: [...getTopicTerms(a)].filter(t => getTopicTerms(b).has(t)),
+    funnelStage: a.funnelStage || null,
+    searchIntent: a.searchIntent || 'informational'
+  };
+
+  const { canonical, other, strength, otherStrength } = chooseCanonical(a, b);
+  const recommendation = recommendAction(pair, canonical, other, settings);
+
+  // 0-100: mostly similarity above the threshold, plus topic overlap
+  const severity = Math.round(Math.min(100,
+    ((similarity - settings.minSimilarity) / (1 - settings.minSimilarity)) * 70 +
+    overlap * 20 +
+    (anchorMatch ? 10 : 0)
+  ));
+
+  return {
+    articles: [a, b].map(meta => ({
+      postId: meta.postId,
+      title: meta.title,
+      url: meta.url,
+      wordCount: meta.wordCount || 0,
+      inboundLinkCount: meta.inboundLinkCount || 0
+    })),
+    ...pair,
+    severity,
+    recommendation: recommendation.action,
+    reason: recommendation.reason,
+    canonicalTarget: {
+      postId: canonical.postId,
+      title: canonical.title,
+      url: canonical.url,
+      strength: strength.score,
+      reasons: strength.reasons
+    },
+    redirectLinksFrom: {
+      postId: other.postId,
+      title: other.title,
+      strength: otherStrength.score
+    }
+  };
+}
+
+/**
+ * Catalog metadata with unit-length embeddings
+ */
+async function loadComparableArticles() {
+  const articles = (await getAllArticles()).map(a => a.metadata || a);
+  const embeddings = await getArticleEmbeddings(articles.map(a => a.postId));
+
+  return articles
+    .filter(meta => embeddings[meta.postId])
+    .map(meta => ({ meta, vector: normalize(embeddings[meta.postId]) }));
+}
+
+/**
+ * Competing pairs between rows [from, to) of the catalog and every later article
+ * Missing entries (articles removed since a chunked run started) are skipped
+ */
+function findPairsInRows(articles, from, to, settings) {
+  const pairs = [];
+
+  for (let i = from; i < Math.min(to, articles.length); i++) {
+    if (!articles[i]) continue;
+
+    for (let j = i + 1; j < articles.length; j++) {
+      if (!articles[j] || articles[i].vector.length !== articles[j].vector.length) continue;
+
+      const pair = evaluatePair(articles[i].meta, articles[j].meta, dot(articles[i].vector, articles[j].vector), settings);
+      if (pair) pairs.push(pair);
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Empty running count of found pairs
+ */
+function createPairTally() {
+  return {
+    pairs: [],
+    pairsFound: 0,
+    involved: [],
+    byRecommendation: Object.fromEntries(Object.values(RECOMMENDATIONS).map(r => [r, 0]))
+  };
+}
+
+/**
+ * Add pairs to a tally: counts cover every pair, only the maxPairs most severe are kept
+ * (the cannibalization job carries the tally in its cursor, so it stays small)
+ */
+function tallyPairs(tally, pairs, maxPairs = Infinity) {
+  const involved = new Set(tally.involved);
+
+  for (const pair of pairs) {
+    tally.byRecommendation[pair.recommendation]++;
+    pair.articles.forEach(a => involved.add(a.postId));
+  }
+
+  tally.pairsFound += pairs.length;
+  tally.involved = [...involved];
+  tally.pairs = [...tally.pairs, ...pairs]
+    .sort((a, b) => b.severity - a.severity || b.similarity - a.similarity)
+    .slice(0, maxPairs);
+  return tally;
+}
+
+/**
+ * Summary counts of a tally
+ */
+function summarizeTally(tally, articlesChecked) {
+  return {
+    articlesChecked,
+    pairsFound: tally.pairsFound,
+    articlesInvolved: tally.involved.length,
+    byRecommendation: tally.byRecommendation
+  };
+}
+
+/**
+ * Summary counts for a list of pairs
+ */
+function summarizePairs(pairs, articlesChecked) {
+  return summarizeTally(tallyPairs(createPairTally(), pairs), articlesChecked);
+}
+
+/**
+ * Find every pair of articles cannibalizing each other
+ * (the cannibalization job runs the same scan a slice of rows per step)
+ *
+ * @param {Object} options - Overrides of CANNIBALIZATION_SETTINGS
+ * @returns {Object} { pairs, summary, settings }
+ */
+async function findCannibalization(options = {}) {
+  const settings = { ...CANNIBALIZATION_SETTINGS, ...options };
+  const articles = await loadComparableArticles();
+  const tally = tallyPairs(createPairTally(), findPairsInRows(articles, 0, articles.length, settings), settings.maxPairs);
+
+  return {
+    pairs: tally.pairs,
+    summary: summarizeTally(tally, articles.length),
+    settings
+  };
+}
+
+/**
+ * Articles cannibalizing one article
+ *
+ * @returns {Object|null} { postId, title, pairs, summary } (null if the article has no embedding)
+ */
+async function checkArticleCannibalization(postId, options = {}) {
+  const settings = { ...CANNIBALIZATION_SETTINGS, ...options };
+  const articles = await loadComparableArticles();
+  const target = articles.find(a => String(a.meta.postId) === String(postId));
+  if (!target) return null;
+
+  const pairs = articles
+    .filter(a => a !== target && a.vector.length === target.vector.length)
+    .map(a => evaluatePair(target.meta, a.meta, dot(target.vector, a.vector), settings))
+    .filter(Boolean)
+    .sort((a, b) => b.severity - a.severity);
+
+  return {
+    postId: target.meta.postId,
+    title: target.meta.title,
+    pairs,
+    summary: summarizePairs(pairs, articles.length)
+  };
+}
+
+module.exports = {
+  CANNIBALIZATION_SETTINGS,
+  RECOMMENDATIONS,
+  loadComparableArticles,
+  findPairsInRows,
+  createPairTally,
+  tallyPairs,
+  summarizeTally,
+  findCannibalization,
+  checkArticleCannibalization
+};
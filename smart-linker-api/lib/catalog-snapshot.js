@@ -0,0 +1,379 @@
+/**
+ * Catalog Snapshots
+ *
+ * Versioned copies of every vector in the catalog (article and section
+ * vectors, values and metadata) in a local archive, so a bad enrichment run
+ * can be rolled back. Each snapshot is one gzipped JSON file plus a small
+ * manifest for listing:
+ *
+ *   CATALOG_SNAPSHOT_PATH/v0003-20261019T120000Z.json.gz
+ *   CATALOG_SNAPSHOT_PATH/v0003-20261019T120000Z.manifest.json
+ *
+ * Snapshots are referenced by id, version number, "latest" or "previous".
+ * The live index can be compared as "current". Tenants other than the default
+ * one keep their snapshots in a subdirectory named after the tenant.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { getIndex, getBackendName } = require('./pinecone');
+const { getTenant, DEFAULT_TENANT_ID } = require('./tenants');
+
+const DEFAULT_SNAPSHOT_PATH = path.join(process.cwd(), '.catalog-snapshots');
+
+const SNAPSHOT_SETTINGS = {
+  listPageSize: 1000,
+  fetchBatchSize: 100,   // Ids per fetch request
+  upsertBatchSize: 100,  // Vectors per upsert request (Pinecone 2MB request limit)
+  deleteBatchSize: 1000
+};
+
+// Article metadata compared by diffSnapshots
+const DIFF_FIELDS = [
+  'topicCluster',
+  'funnelStage',
+  'isPillar',
+  'targetPersona',
+  'contentType',
+  'mainTopics',
+  'relatedClusters',
+  'title',
+  'url'
+];
+
+/**
+ * Archive directory of the current tenant
+ */
+function getSnapshotDir(options = {}) {
+  if (options.dir) return options.dir;
+
+  const base = process.env.CATALOG_SNAPSHOT_PATH || DEFAULT_SNAPSHOT_PATH;
+  const { id } = getTenant();
+  return id === DEFAULT_TENANT_ID ? base : path.join(base, id);
+}
+
+/**
+ * Ids of all vectors matching any of the prefixes ('' lists the whole index)
+ */
+async function listVectorIds(prefixes, settings = SNAPSHOT_SETTINGS) {
+  const index = getIndex();
+  const ids = [];
+
+  for (const prefix of prefixes) {
+    let paginationToken = null;
+    do {
+      const listResult = await index.listPaginated({
+        limit: settings.listPageSize,
+        ...(prefix && { prefix }),
+        ...(paginationToken && { paginationToken })
+      });
+      ids.push(...(listResult.vectors || []).map(v => v.id));
+      paginationToken = listResult.pagination?.next || null;
+    } while (paginationToken);
+  }
+
+  return ids;
+}
+
+/**
+ * Every vector in the index with values and metadata
+ */
+async function exportAllVectors(settings = SNAPSHOT_SETTINGS) {
+  const index = getIndex();
+  const ids = await listVectorIds([''], settings);
+
+  const records = [];
+  for (let i = 0; i < ids.length; i += settings.fetchBatchSize) {
+    const batch = ids.slice(i, i + settings.fetchBatchSize);
+    const fetchResult = await index.fetch(batch);
+    for (const id of batch) {
+      const record = fetchResult.records[id];
+      if (record) {
+        records.push({ id, values: Array.from(record.values || []), metadata: record.metadata || {} });
+      }
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Manifests of all archived snapshots, oldest first
+ */
+async function listSnapshots(options = {}) {
+  const dir = getSnapshotDir(options);
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const manifests = await Promise.all(files
+    .filter(f => f.endsWith('.manifest.json'))
+    .map(async f => JSON.parse(await fs.promises.readFile(path.join(dir, f), 'utf8'))));
+
+  return manifests.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Resolve a snapshot reference (id, version number, "latest", "previous") to its manifest
+ */
+async function resolveSnapshot(ref, options = {}) {
+  const snapshots = await listSnapshots(options);
+  const value = String(ref);
+  let manifest;
+
+  if (value === 'latest') {
+    manifest = snapshots[snapshots.length - 1];
+  } else if (value === 'previous') {
+    manifest = snapshots[snapshots.length - 2];
+  } else if (/^\d+$/.test(value)) {
+    manifest = snapshots.find(s => s.version === parseInt(value, 10));
+  } else {
+    manifest = snapshots.find(s => s.id === value);
+  }
+
+  if (!manifest) {
+    const error = new Error(`Snapshot "${value}" not found`);
+    error.code = 'SNAPSHOT_NOT_FOUND';
+    throw error;
+  }
+  return manifest;
+}
+
+/**
+ * Export the whole index to a new snapshot
+ *
+ * @param {Object} options - { label, dir }
+ * @returns {Object} Manifest of the new snapshot
+ */
+async function createSnapshot(options = {}) {
+  const settings = { ...SNAPSHOT_SETTINGS, ...options };
+  const dir = getSnapshotDir(options);
+  const snapshots = await listSnapshots(options);
+  const version = (snapshots[snapshots.length - 1]?.version || 0) + 1;
+  const createdAt = new Date().toISOString();
+  const id = `v${String(version).padStart(4, '0')}-${createdAt.replace(/[-:]/g, '').replace(/\.\d+/, '')}`;
+
+  const records = await exportAllVectors(settings);
+  const manifest = {
+    id,
+    version,
+    label: options.label || null,
+    createdAt,
+    backend: getBackendName(),
+    dimension: records.find(r => r.values.length > 0)?.values.length || 0,
+    vectorCount: records.length,
+    articleCount: records.filter(r => r.id.startsWith('article-')).length,
+    sectionCount: records.filter(r => r.id.startsWith('section-')).length
+  };
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  const archivePath = path.join(dir, `${id}.json.gz`);
+  const tmpPath = `${archivePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpPath, zlib.gzipSync(JSON.stringify({ manifest, records })));
+  await fs.promises.rename(tmpPath, archivePath);
+
+  // Manifest last - a snapshot is only listed once its archive is complete
+  await fs.promises.writeFile(path.join(dir, `${id}.manifest.json`), JSON.stringify(manifest, null, 2));
+
+  return manifest;
+}
+
+/**
+ * Load a snapshot's records
+ *
+ * @returns {Object} { manifest, records }
+ */
+async function loadSnapshot(ref, options = {}) {
+  const manifest = await resolveSnapshot(ref, options);
+  const raw = await fs.promises.readFile(path.join(getSnapshotDir(options), `${manifest.id}.json.gz`));
+  const { records } = JSON.parse(zlib.gunzipSync(raw).toString('utf8'));
+  return { manifest, records };
+}
+
+/**
+ * Records for a snapshot reference, or the live index for "current"
+ */
+async function loadRecords(ref, options = {}) {
+  if (ref === 'current') {
+    return { manifest: { id: 'current', backend: getBackendName() }, records: await exportAllVectors() };
+  }
+  return loadSnapshot(ref, options);
+}
+
+/**
+ * Compare metadata values (arrays compare as unordered sets)
+ */
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const left = [...(a || [])].map(String).sort();
+    const right = [...(b || [])].map(String).sort();
+    return left.length === right.length && left.every((v, i) => v === right[i]);
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Diff two snapshots (or a snapshot and "current")
+ * Reports added/removed articles, per-article changes to DIFF_FIELDS,
+ * cluster moves and articles whose embedding changed
+ *
+ * @returns {Object} Diff summary and per-article changes
+ */
+async function diffSnapshots(fromRef, toRef = 'current', options = {}) {
+  const fields = options.fields || DIFF_FIELDS;
+  const [from, to] = await Promise.all([loadRecords(fromRef, options), loadRecords(toRef, options)]);
+
+  const articlesById = records => new Map(records
+    .filter(r => r.id.startsWith('article-'))
+    .map(r => [r.id, r]));
+  const before = articlesById(from.records);
+  const after = articlesById(to.records);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const fieldCounts = Object.fromEntries(fields.map(f => [f, 0]));
+  const clusterMoves = {};
+  let reembedded = 0;
+
+  for (const [id, record] of before) {
+    if (!after.has(id)) {
+      removed.push({ postId: record.metadata.postId, title: record.metadata.title });
+    }
+  }
+
+  for (const [id, record] of after) {
+    const previous = before.get(id);
+    if (!previous) {
+      added.push({ postId: record.metadata.postId, title: record.metadata.title });
+      continue;
+    }
+
+    const changes = {};
+    for (const field of fields) {
+      if (!sameValue(previous.metadata[field], record.metadata[field])) {
+        changes[field] = { from: previous.metadata[field] ?? null, to: record.metadata[field] ?? null };
+        fieldCounts[field]++;
+      }
+    }
+
+    if (changes.topicCluster) {
+      const move = `${changes.topicCluster.from || '(none)'} -> ${changes.topicCluster.to || '(none)'}`;
+      clusterMoves[move] = (clusterMoves[move] || 0) + 1;
+    }
+
+    const embeddingChanged = previous.values.length !== record.values.length ||
+      previous.values.some((v, i) => v !== record.values[i]);
+    if (embeddingChanged) reembedded++;
+
+    if (Object.keys(changes).length > 0 || embeddingChanged) {
+      changed.push({
+        postId: record.metadata.postId,
+        title: record.metadata.title,
+        changes,
+        embeddingChanged
+      });
+    }
+  }
+
+  return {
+    from: from.manifest.id,
+    to: to.manifest.id,
+    summary: {
+      articlesBefore: before.size,
+      articlesAfter: after.size,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      reembedded,
+      fieldChanges: fieldCounts,
+      clusterMoves
+    },
+    added,
+    removed,
+    changed
+  };
+}
+
+/**
+ * Write a snapshot back to the index
+ * Takes a pre-restore snapshot first, so a restore can itself be undone.
+ * With postIds only those articles (and their section vectors) are restored;
+ * prune deletes every vector that is not in the snapshot (whole-catalog restores only).
+ *
+ * @param {string|number} ref - Snapshot reference
+ * @param {Object} options - { postIds, prune, dryRun, backup, dir }
+ * @returns {Object} Restore summary
+ */
+async function restoreSnapshot(ref, options = {}) {
+  const settings = { ...SNAPSHOT_SETTINGS, ...options };
+  const { postIds = null, prune = false, dryRun = false, backup = true } = options;
+
+  if (prune && postIds) {
+    const error = new Error('prune restores the whole catalog and cannot be combined with postIds');
+    error.code = 'INVALID_RESTORE';
+    throw error;
+  }
+
+  const { manifest, records } = await loadSnapshot(ref, options);
+  const wanted = postIds ? new Set(postIds.map(String)) : null;
+  const selected = wanted
+    ? records.filter(r => {
+      const match = r.id.match(/^(?:article|section)-(\d+)/);
+      return match && wanted.has(match[1]);
+    })
+    : records;
+
+  // Section vectors the snapshot doesn't have would point at headings that no longer exist
+  let extraIds = [];
+  const snapshotIds = new Set(records.map(r => r.id));
+  if (prune) {
+    extraIds = (await exportAllVectors(settings)).map(r => r.id).filter(id => !snapshotIds.has(id));
+  } else if (wanted) {
+    const restoredPostIds = [...wanted].filter(postId => snapshotIds.has(`article-${postId}`));
+    extraIds = (await listVectorIds(restoredPostIds.map(postId => `section-${postId}-`), settings))
+      .filter(id => !snapshotIds.has(id));
+  }
+
+  const result = {
+    snapshot: manifest.id,
+    restored: selected.length,
+    articles: selected.filter(r => r.id.startsWith('article-')).length,
+    removed: extraIds.length,
+    backup: null,
+    dryRun
+  };
+  if (dryRun) return result;
+
+  if (backup) {
+    result.backup = (await createSnapshot({ ...options, label: `before restore of ${manifest.id}` })).id;
+  }
+
+  const index = getIndex();
+  for (let i = 0; i < selected.length; i += settings.upsertBatchSize) {
+    await index.upsert(selected.slice(i, i + settings.upsertBatchSize));
+  }
+  for (let i = 0; i < extraIds.length; i += settings.deleteBatchSize) {
+    await index.deleteMany(extraIds.slice(i, i + settings.deleteBatchSize));
+  }
+
+  return result;
+}
+
+module.exports = {
+  SNAPSHOT_SETTINGS,
+  DIFF_FIELDS,
+  getSnapshotDir,
+  exportAllVectors,
+  listSnapshots,
+  resolveSnapshot,
+  createSnapshot,
+  loadSnapshot,
+  diffSnapshots,
+  restoreSnapshot
+};
@@ -1,24 +1,10 @@
-const Anthropic = require('@anthropic-ai/sdk');
-
-let anthropicClient = null;
-
-/**
- * Initialize Anthropic client (singleton)
- */
-function getClient() {
-  if (!anthropicClient) {
-    anthropicClient = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-  }
-  return anthropicClient;
-}
+const { getClient, createMessage } = require('./llm');
+const { getTenant } = require('./tenants');
 
 /**
  * Generate optimal anchor text for a link
  */
 async function generateAnchorText(sourceContext, targetArticle, options = {}) {
-  const client = getClient();
   const { maxAnchors = 3 } = options;
 
   const prompt = `You are an SEO expert selecting anchor text for internal links.
@@ -41,8 +27,7 @@ TASK: Suggest ${maxAnchors} natural anchor text options that:
 Return JSON array of strings only, no explanation.
 Example: ["BRRRR strategy", "buy rehab rent refinance method", "learn how the BRRRR approach works"]`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('anchor-text', {
     max_tokens: 200,
     messages: [{ role: 'user', content: prompt }]
   });
@@ -60,7 +45,6 @@ Example: ["BRRRR strategy", "buy rehab rent refinance method", "learn how the BR
  * Generate meta title and description for an article
  */
 async function generateMeta(article, options = {}) {
-  const client = getClient();
   const { focusKeyword = null } = options;
 
   const prompt = `You are an SEO expert writing meta titles and descriptions.
@@ -75,7 +59,7 @@ ${focusKeyword ? `Focus Keyword: ${focusKeyword}` : ''}
 REQUIREMENTS:
 - Meta title: 50-60 characters, include primary keyword near start
 - Meta description: 150-160 characters, compelling, include call-to-action
-- Canadian real estate focus (LendCity)
+- Canadian real estate focus (${getTenant().name})
 
 Return JSON object:
 {
@@ -84,8 +68,7 @@ Return JSON object:
   "reasoning": "brief explanation of choices"
 }`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('meta', {
     max_tokens: 300,
     messages: [{ role: 'user', content: prompt }]
   });
@@ -107,7 +90,6 @@ Return JSON object:
  * IMPORTANT: Anchor text must be EXACT phrases that exist in the content
  */
 async function analyzeContentForLinking(content, candidates, options = {}) {
-  const client = getClient();
   const { maxLinks = 5, existingLinks = [] } = options;
 
   const candidateList = candidates.map((c, i) =>
@@ -159,8 +141,7 @@ Return JSON:
 
 IMPORTANT: Before returning, verify each anchorText appears EXACTLY in the content above. If you cannot find a good matching phrase for a candidate, skip it.`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('link-analysis', {
     max_tokens: 1500,
     messages: [{ role: 'user', content: prompt }]
   });
@@ -205,7 +186,6 @@ IMPORTANT: Before returning, verify each anchorText appears EXACTLY in the conte
  * Generate article summary for catalog
  */
 async function generateSummary(content, options = {}) {
-  const client = getClient();
   const { maxLength = 300 } = options;
 
   const prompt = `Summarize this real estate article in ${maxLength} characters or less.
@@ -216,8 +196,7 @@ ${content}
 
 Return only the summary, no quotes or labels.`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('summary', {
     max_tokens: 150,
     messages: [{ role: 'user', content: prompt }]
   });
@@ -229,7 +208,6 @@ Return only the summary, no quotes or labels.`;
  * Extract semantic keywords and entities from content
  */
 async function extractKeywords(content, options = {}) {
-  const client = getClient();
   const { maxKeywords = 10 } = options;
 
   const prompt = `Extract the ${maxKeywords} most important keywords and entities from this real estate content.
@@ -245,8 +223,7 @@ Return JSON:
   "readerIntent": "what the reader is trying to learn/do"
 }`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('extract-keywords', {
     max_tokens: 300,
     messages: [{ role: 'user', content: prompt }]
   });
@@ -278,8 +255,6 @@ Return JSON:
  * @param {Array} pillarPages - Array of pillar pages with keywords (optional)
  */
 async function autoAnalyzeArticle(title, content, pillarPages = []) {
-  const client = getClient();
-
   // Build pillar context if available
   let pillarContext = '';
   let clusterInstruction = '';
@@ -324,8 +299,7 @@ IMPORTANT:
 
 Return ONLY valid JSON, no explanation.`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('auto-analyze', {
     max_tokens: 400,
     messages: [{ role: 'user', content: prompt }]
   });
@@ -362,8 +336,6 @@ Return ONLY valid JSON, no explanation.`;
  * @returns {Object} Results keyed by postId
  */
 async function batchAnalyzeArticles(articles, pillarPages = []) {
-  const client = getClient();
-
   if (!articles || articles.length === 0) {
     return {};
   }
@@ -435,8 +407,7 @@ Return JSON object with postId as keys:
 Return ONLY valid JSON, no explanation or markdown.`;
 
   try {
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const response = await createMessage('batch-analyze', {
       max_tokens: 3000,
       messages: [{ role: 'user', content: prompt }]
     });
@@ -1,73 +1,182 @@
 /**
  * Click Depth Optimization
  *
- * Calculates how many clicks from homepage each article is,
- * and boosts deep pages in link suggestions to improve crawlability.
+ * Calculates how many clicks from the homepage each article is, using the
+ * real internal link graph: hrefs captured at sync time (internalLinks) and
+ * links inserted by smart-link (outboundLinks). BFS starts at the homepage
+ * and the navigation entry points (menu links, 1 click away).
+ *
+ * Deep pages get boosted in link suggestions to improve crawlability, and
+ * the analysis suggests the link insertions that bring them closest.
  */
 
-const { getAllArticles, updateMetadata } = require('./pinecone');
+const { getAllArticles, updateMetadata, querySimilar, getArticleEmbeddings } = require('./pinecone');
+const { buildCatalogIndex, resolveInternalLink, LINK_INTEGRITY } = require('./link-integrity');
+const { normalizeUrlPath } = require('./url-history');
+
+// Depth stored for articles no entry point reaches
+const UNREACHABLE_DEPTH = 99;
+
+const CLICK_DEPTH_SETTINGS = {
+  maxDepth: 3,            // Articles deeper than this are reported
+  maxTargets: 25,         // Deep articles that get insertion suggestions
+  maxSuggestions: 3,      // Suggestions per deep article
+  candidatePool: 30,      // Similar articles considered per deep article
+  depthPenalty: 0.1       // Similarity discount per click of source depth
+};
+
+/**
+ * Navigation entry points from CLICK_DEPTH_ENTRY_URLS (comma-separated)
+ */
+function getDefaultEntryUrls() {
+  return (process.env.CLICK_DEPTH_ENTRY_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
 
 /**
- * Build link graph from articles
- * Returns adjacency list: { url: [linked_urls] }
+ * Build the directed internal link graph from articles
+ * Returns adjacency list keyed by postId: { postId: [linked postIds] }
  */
 async function buildLinkGraph(articles) {
+  const catalogIndex = buildCatalogIndex(articles);
   const graph = {};
   const urlToId = {};
+  let withoutLinkData = 0;
+
+  for (const article of articles) {
+    const meta = article.metadata || article;
+    graph[meta.postId] = [];
+    if (meta.url) urlToId[meta.url] = meta.postId;
+  }
 
-  // Initialize graph and URL mapping
   for (const article of articles) {
-    const url = article.metadata?.url || article.url;
-    const postId = article.metadata?.postId || article.postId;
-    graph[url] = [];
-    urlToId[url] = postId;
+    const meta = article.metadata || article;
+    const internalLinks = meta.internalLinks || [];
+    const outboundLinks = meta.outboundLinks || [];
+    const targets = new Set();
+
+    if (internalLinks.length === 0 && outboundLinks.length === 0) {
+      withoutLinkData++;
+    }
+
+    // Hrefs captured at sync time - moved URLs still reach the article via redirect
+    for (const href of internalLinks) {
+      const resolution = resolveInternalLink(href, catalogIndex);
+      if ((resolution.status === LINK_INTEGRITY.OK || resolution.status === LINK_INTEGRITY.MOVED) && resolution.target) {
+        targets.add(resolution.target.postId);
+      }
+    }
+
+    // Links inserted by smart-link
+    for (const link of outboundLinks) {
+      const targetId = link.targetId ?? link;
+      if (catalogIndex.byPostId.has(targetId)) targets.add(targetId);
+    }
+
+    targets.delete(meta.postId);
+    graph[meta.postId] = [...targets];
   }
 
-  // Note: In production, you'd parse actual content for links
-  // For now, we use inboundLinkCount as a proxy
-  // This could be enhanced by storing outbound links in metadata
+  return { graph, urlToId, catalogIndex, withoutLinkData };
+}
+
+/**
+ * Resolve the homepage and navigation URLs to BFS start nodes
+ * Without navigation URLs, pillar pages stand in for the main menu
+ *
+ * @returns {Object} { entries: [{ postId, depth, url }], unresolved: [url] }
+ */
+function resolveEntryPoints(articles, catalogIndex, homepageUrl = '/', navigationUrls = []) {
+  const entries = new Map();
+  const unresolved = [];
+
+  const addEntry = (postId, depth, url) => {
+    if (!entries.has(postId) || entries.get(postId).depth > depth) {
+      entries.set(postId, { postId, depth, url });
+    }
+  };
+
+  // The homepage itself, when it is a catalog page
+  const homepage = catalogIndex.byPath.get(normalizeUrlPath(homepageUrl));
+  if (homepage) addEntry(homepage.postId, 0, homepage.url);
 
-  return { graph, urlToId };
+  if (navigationUrls.length > 0) {
+    for (const url of navigationUrls) {
+      const resolution = resolveInternalLink(url, catalogIndex);
+      if (resolution.target) addEntry(resolution.target.postId, 1, resolution.target.url);
+      else unresolved.push(url);
+    }
+  } else {
+    for (const article of articles) {
+      const meta = article.metadata || article;
+      if (meta.isPillar) addEntry(meta.postId, 1, meta.url);
+    }
+  }
+
+  return { entries: [...entries.values()], unresolved };
 }
 
 /**
- * Calculate click depth using BFS from homepage
+ * Calculate click depth using multi-source BFS
  *
- * @param {string} homepageUrl - The homepage URL
- * @param {Object} graph - Adjacency list of links
- * @returns {Object} Map of URL to click depth
+ * @param {Array} entries - Start nodes [{ postId, depth }]
+ * @param {Object} graph - Adjacency list of links (postId -> [postIds])
+ * @returns {Object} Map of postId to click depth (UNREACHABLE_DEPTH when no path)
  */
-function calculateClickDepths(homepageUrl, graph) {
+function calculateClickDepths(entries, graph) {
   const depths = {};
-  const visited = new Set();
-  const queue = [[homepageUrl, 0]];
+  const queue = [...entries]
+    .sort((a, b) => a.depth - b.depth)
+    .map(e => [e.postId, e.depth]);
 
-  // BFS traversal
-  while (queue.length > 0) {
-    const [url, depth] = queue.shift();
+  // BFS traversal (queue stays depth-ordered; index pointer instead of shift)
+  for (let i = 0; i < queue.length; i++) {
+    const [postId, depth] = queue[i];
 
-    if (visited.has(url)) continue;
-    visited.add(url);
-    depths[url] = depth;
+    if (postId in depths) continue;
+    depths[postId] = depth;
 
-    const links = graph[url] || [];
-    for (const linkedUrl of links) {
-      if (!visited.has(linkedUrl)) {
-        queue.push([linkedUrl, depth + 1]);
+    for (const linkedId of graph[postId] || []) {
+      if (!(linkedId in depths)) {
+        queue.push([linkedId, depth + 1]);
       }
     }
   }
 
   // Mark unreachable pages with high depth
-  for (const url of Object.keys(graph)) {
-    if (!(url in depths)) {
-      depths[url] = 99; // Orphaned/unreachable
+  for (const postId of Object.keys(graph)) {
+    if (!(postId in depths)) {
+      depths[postId] = UNREACHABLE_DEPTH;
     }
   }
 
   return depths;
 }
 
+/**
+ * Number of articles that would get closer if target moved to newDepth
+ * (target plus everything downstream whose shortest path improves)
+ */
+function countImprovedArticles(targetId, newDepth, depths, graph) {
+  const improved = { [targetId]: newDepth };
+  const queue = [[targetId, newDepth]];
+
+  for (let i = 0; i < queue.length; i++) {
+    const [postId, depth] = queue[i];
+    for (const linkedId of graph[postId] || []) {
+      const current = improved[linkedId] ?? depths[linkedId];
+      if (depth + 1 < current) {
+        improved[linkedId] = depth + 1;
+        queue.push([linkedId, depth + 1]);
+      }
+    }
+  }
+
+  return Object.keys(improved).length;
+}
+
 /**
  * Get click depth score for scoring system
  * Deep pages get higher scores to encourage linking to them
@@ -76,7 +185,7 @@ function calculateClickDepths(homepageUrl, graph) {
  * @returns {number} Score boost (0-25)
  */
 function getClickDepthScore(depth) {
-  if (depth === 99) return 25;  // Orphaned - highest priority
+  if (depth === UNREACHABLE_DEPTH) return 25;  // Orphaned - highest priority
   if (depth >= 5) return 20;    // Very deep
   if (depth >= 4) return 15;    // Deep
   if (depth >= 3) return 10;    // Medium
@@ -84,69 +193,210 @@ function getClickDepthScore(depth) {
   return 0;                      // Homepage or 1 click away
 }
 
+/**
+ * Suggest source articles that should link to a deep article
+ * Topically similar, shallow enough that the new link brings it within maxDepth,
+ * and not already linking to it
+ */
+async function suggestLinkInsertions(target, embedding, context, options = {}) {
+  const { depths, graph, catalogIndex } = context;
+  const {
+    maxDepth = CLICK_DEPTH_SETTINGS.maxDepth,
+    maxSuggestions = CLICK_DEPTH_SETTINGS.maxSuggestions
+  } = options;
+
+  let candidates;
+  if (embedding) {
+    const matches = await querySimilar(embedding, {
+      topK: CLICK_DEPTH_SETTINGS.candidatePool,
+      excludeIds: [target.postId]
+    });
+    candidates = matches
+      .filter(m => m.id.startsWith('article-') && m.metadata?.postId !== undefined)
+      .map(m => ({ meta: m.metadata, similarity: m.score }));
+  } else {
+    // No stored vector - fall back to the same topic cluster
+    candidates = [...catalogIndex.byPostId.values()]
+      .filter(meta => meta.postId !== target.postId && meta.topicCluster && meta.topicCluster === target.topicCluster)
+      .map(meta => ({ meta, similarity: null }));
+  }
+
+  return candidates
+    .filter(({ meta }) => {
+      const sourceDepth = depths[meta.postId];
+      return sourceDepth !== undefined &&
+        sourceDepth < maxDepth &&
+        sourceDepth + 1 < target.clickDepth &&
+        !(graph[meta.postId] || []).includes(target.postId);
+    })
+    .map(({ meta, similarity }) => {
+      const sourceDepth = depths[meta.postId];
+      return {
+        sourcePostId: meta.postId,
+        title: meta.title,
+        url: meta.url,
+        contentType: meta.contentType || 'post',
+        sourceDepth,
+        newDepth: sourceDepth + 1,
+        similarity: similarity !== null ? Math.round(similarity * 100) / 100 : null,
+        score: (similarity ?? 0.5) * (1 - CLICK_DEPTH_SETTINGS.depthPenalty * sourceDepth)
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.sourceDepth - b.sourceDepth)
+    .slice(0, maxSuggestions)
+    .map(({ score, ...suggestion }) => ({
+      ...suggestion,
+      articlesBroughtCloser: countImprovedArticles(target.postId, suggestion.newDepth, depths, graph)
+    }));
+}
+
 /**
  * Analyze site for click depth issues
+ *
+ * @param {Object} options
+ * @param {string} options.homepageUrl - Homepage URL (depth 0 if it is a catalog page)
+ * @param {Array} options.navigationUrls - Menu links, 1 click from the homepage
+ *                                         (default CLICK_DEPTH_ENTRY_URLS, else pillar pages)
+ * @param {number} options.maxDepth - Report articles deeper than this
+ * @param {boolean} options.suggest - Suggest link insertions for deep articles
+ * @returns {Object} { total, summary, distribution, entryPoints, deep, depths, recommendations }
  */
-async function analyzeClickDepths(homepageUrl = '/') {
-  const articles = await getAllArticles();
+async function analyzeClickDepths(options = {}) {
+  const {
+    homepageUrl = '/',
+    navigationUrls = getDefaultEntryUrls(),
+    maxDepth = CLICK_DEPTH_SETTINGS.maxDepth,
+    maxTargets = CLICK_DEPTH_SETTINGS.maxTargets,
+    maxSuggestions = CLICK_DEPTH_SETTINGS.maxSuggestions,
+    suggest = true
+  } = options;
+
+  const articles = await getAllArticles({ limit: 10000 });
+  const { graph, catalogIndex, withoutLinkData } = await buildLinkGraph(articles);
+  const { entries, unresolved } = resolveEntryPoints(articles, catalogIndex, homepageUrl, navigationUrls);
+  const depths = calculateClickDepths(entries, graph);
 
-  // Build simple depth estimate based on URL structure
-  // In production, this would use actual link graph
   const analysis = {
     total: articles.length,
+    summary: {
+      reachable: 0,
+      unreachable: 0,
+      deeperThanMax: 0,
+      averageDepth: 0,
+      maxDepthFound: 0,
+      articlesWithoutLinkData: withoutLinkData
+    },
+    maxDepth,
+    distribution: {},
+    entryPoints: {
+      homepageUrl,
+      source: navigationUrls.length > 0 ? 'navigation' : 'pillar-pages',
+      resolved: entries,
+      unresolved
+    },
+    deep: [],
     depths: {
-      shallow: [],    // 1-2 clicks
+      shallow: [],    // 0-2 clicks
       medium: [],     // 3 clicks
       deep: [],       // 4+ clicks
-      orphaned: []    // No inbound links
+      orphaned: []    // Not reachable from any entry point
     },
     recommendations: []
   };
 
+  let depthSum = 0;
+
   for (const article of articles) {
     const meta = article.metadata || article;
-    const url = meta.url || '';
-    const inboundLinks = meta.inboundLinkCount || 0;
-
-    // Estimate depth from URL structure and inbound links
-    const urlDepth = (url.match(/\//g) || []).length;
-    const estimatedDepth = inboundLinks === 0 ? 99 : Math.max(1, urlDepth - 1);
+    const clickDepth = depths[meta.postId];
 
     const item = {
       postId: meta.postId,
       title: meta.title,
       url: meta.url,
-      inboundLinks,
-      estimatedDepth
+      topicCluster: meta.topicCluster,
+      inboundLinks: meta.inboundLinkCount || 0,
+      clickDepth
     };
 
-    if (inboundLinks === 0) {
+    const bucket = clickDepth === UNREACHABLE_DEPTH ? 'unreachable' : String(clickDepth);
+    analysis.distribution[bucket] = (analysis.distribution[bucket] || 0) + 1;
+
+    if (clickDepth === UNREACHABLE_DEPTH) {
+      analysis.summary.unreachable++;
       analysis.depths.orphaned.push(item);
-    } else if (estimatedDepth <= 2) {
-      analysis.depths.shallow.push(item);
-    } else if (estimatedDepth === 3) {
-      analysis.depths.medium.push(item);
     } else {
-      analysis.depths.deep.push(item);
+      analysis.summary.reachable++;
+      depthSum += clickDepth;
+      analysis.summary.maxDepthFound = Math.max(analysis.summary.maxDepthFound, clickDepth);
+
+      if (clickDepth <= 2) analysis.depths.shallow.push(item);
+      else if (clickDepth === 3) analysis.depths.medium.push(item);
+      else analysis.depths.deep.push(item);
+    }
+
+    if (clickDepth > maxDepth) analysis.deep.push({ ...item });
+  }
+
+  analysis.summary.deeperThanMax = analysis.deep.length;
+  analysis.summary.averageDepth = analysis.summary.reachable > 0
+    ? Math.round((depthSum / analysis.summary.reachable) * 10) / 10
+    : 0;
+
+  // Deepest first; unreachable articles lead
+  analysis.deep.sort((a, b) => b.clickDepth - a.clickDepth || a.inboundLinks - b.inboundLinks);
+
+  if (suggest && analysis.deep.length > 0) {
+    const targets = analysis.deep.slice(0, maxTargets);
+    const embeddings = await getArticleEmbeddings(targets.map(t => t.postId));
+    const context = { depths, graph, catalogIndex };
+
+    for (const target of targets) {
+      try {
+        target.suggestions = await suggestLinkInsertions(target, embeddings[target.postId] || null, context, {
+          maxDepth,
+          maxSuggestions
+        });
+      } catch (error) {
+        console.error(`Click depth suggestions failed for ${target.postId}:`, error.message);
+        target.suggestions = [];
+      }
     }
   }
 
   // Generate recommendations
+  if (entries.length === 0) {
+    analysis.recommendations.push({
+      priority: 'high',
+      issue: 'No entry points resolved to catalog articles - every article is unreachable',
+      action: 'Pass navigationUrls (or set CLICK_DEPTH_ENTRY_URLS) with the main menu links, or mark pillar pages'
+    });
+  }
+
   if (analysis.depths.orphaned.length > 0) {
     analysis.recommendations.push({
       priority: 'high',
-      issue: `${analysis.depths.orphaned.length} orphaned articles with no inbound links`,
-      action: 'Create content that links to these articles or add links from existing content',
+      issue: `${analysis.depths.orphaned.length} articles cannot be reached from the homepage or navigation`,
+      action: 'Link to these articles from pages in the navigation or from well-linked posts',
       articles: analysis.depths.orphaned.slice(0, 5)
     });
   }
 
-  if (analysis.depths.deep.length > 0) {
+  const deepReachable = analysis.deep.filter(a => a.clickDepth !== UNREACHABLE_DEPTH);
+  if (deepReachable.length > 0) {
     analysis.recommendations.push({
       priority: 'medium',
-      issue: `${analysis.depths.deep.length} articles are 4+ clicks from homepage`,
-      action: 'Add links from higher-level pages to improve accessibility',
-      articles: analysis.depths.deep.slice(0, 5)
+      issue: `${deepReachable.length} articles are more than ${maxDepth} clicks from the homepage`,
+      action: 'Add links from shallower, related pages (see deep[].suggestions)',
+      articles: deepReachable.slice(0, 5)
+    });
+  }
+
+  if (withoutLinkData > 0) {
+    analysis.recommendations.push({
+      priority: 'low',
+      issue: `${withoutLinkData} articles have no stored internal links`,
+      action: 'Re-sync them so their links count toward the graph - depths may be overstated'
     });
   }
 
@@ -154,29 +404,72 @@ async function analyzeClickDepths(homepageUrl = '/') {
 }
 
 /**
- * Update click depth metadata for all articles
+ * Click depths that differ from the stored ones, without writing them
+ *
+ * @returns {Object} { changes: [{ postId, clickDepth }], total, entryPoints, unreachable }
  */
-async function updateClickDepthMetadata(homepageUrl = '/') {
-  const articles = await getAllArticles();
-  const { graph, urlToId } = await buildLinkGraph(articles);
-  const depths = calculateClickDepths(homepageUrl, graph);
-
-  let updated = 0;
-  for (const [url, depth] of Object.entries(depths)) {
-    const postId = urlToId[url];
-    if (postId) {
-      await updateMetadata(postId, { clickDepth: depth });
-      updated++;
+async function planClickDepthUpdates(options = {}) {
+  const { homepageUrl = '/', navigationUrls = getDefaultEntryUrls() } = options;
+
+  const articles = await getAllArticles({ limit: 10000 });
+  const { graph, catalogIndex } = await buildLinkGraph(articles);
+  const { entries } = resolveEntryPoints(articles, catalogIndex, homepageUrl, navigationUrls);
+  const depths = calculateClickDepths(entries, graph);
+
+  const changes = [];
+  for (const article of articles) {
+    const meta = article.metadata || article;
+    const depth = depths[meta.postId];
+    if (meta.clickDepth !== depth) {
+      changes.push({ postId: meta.postId, clickDepth: depth });
     }
   }
 
-  return { updated, depths };
+  return {
+    changes,
+    total: articles.length,
+    entryPoints: entries.length,
+    unreachable: Object.values(depths).filter(d => d === UNREACHABLE_DEPTH).length
+  };
+}
+
+/**
+ * Write planned click depths (planClickDepthUpdates)
+ */
+async function applyClickDepthUpdates(changes) {
+  for (const { postId, clickDepth } of changes) {
+    await updateMetadata(postId, { clickDepth });
+  }
+  return changes.length;
+}
+
+/**
+ * Update click depth metadata for all articles
+ * Only articles whose depth changed are written
+ */
+async function updateClickDepthMetadata(options = {}) {
+  const { changes, total, entryPoints, unreachable } = await planClickDepthUpdates(options);
+  const updated = await applyClickDepthUpdates(changes);
+
+  return {
+    total,
+    updated,
+    unchanged: total - updated,
+    entryPoints,
+    unreachable
+  };
 }
 
 module.exports = {
+  UNREACHABLE_DEPTH,
+  CLICK_DEPTH_SETTINGS,
   buildLinkGraph,
+  resolveEntryPoints,
   calculateClickDepths,
   getClickDepthScore,
+  suggestLinkInsertions,
   analyzeClickDepths,
+  planClickDepthUpdates,
+  applyClickDepthUpdates,
   updateClickDepthMetadata
 };
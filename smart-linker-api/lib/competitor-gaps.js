@@ -0,0 +1,278 @@
+/**
+ * Competitor Gap Import
+ *
+ * Reads keyword exports from rank trackers (Ahrefs, SEMrush, Search Console
+ * or any CSV/JSON with keyword, position, URL and volume columns), maps each
+ * keyword to the catalog - the ranking URL when it is a catalog article, and
+ * the closest articles by vector similarity - and stores the result through
+ * seo-scoring, where calculateSEOScore turns it into a ranking-position boost.
+ */
+
+const { getAllArticles, querySimilar } = require('./pinecone');
+const { generateEmbeddings } = require('./embeddings');
+const { buildCatalogIndex, resolveInternalLink, LINK_INTEGRITY } = require('./link-integrity');
+const { getRetiredUrls } = require('./url-history');
+const { setCompetitorGaps } = require('./seo-scoring');
+
+const COMPETITOR_GAP_SETTINGS = {
+  maxRows: 2000,            // Keywords per import request
+  matchesPerKeyword: 3,     // Catalog articles kept per keyword
+  minMatchSimilarity: 0.45, // Vector matches below this are dropped
+  embeddingBatchSize: 100,
+  queryConcurrency: 10,
+  maxReportedErrors: 20
+};
+
+// Column names used by common exports, matched case-insensitively
+const COLUMN_ALIASES = {
+  keyword: ['keyword', 'keywords', 'query', 'top queries', 'search term', 'search query', 'keyphrase'],
+  ranking: ['position', 'current position', 'rank', 'ranking', 'current rank', 'pos', 'average position', 'avg. position'],
+  url: ['url', 'current url', 'ranking url', 'landing page', 'page', 'target url'],
+  volume: ['volume', 'search volume', 'avg. monthly searches', 'monthly volume', 'sv']
+};
+
+/**
+ * Parse CSV/TSV text into rows of fields
+ * Handles quoted fields, escaped quotes, embedded newlines and a BOM;
+ * the delimiter (comma, tab or semicolon) is detected from the header line
+ */
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const headerLine = input.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', '\t', ';']
+    .map(d => ({ d, count: headerLine.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * CSV text to records keyed by header
+ */
+function csvToRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  return rows.map(fields => Object.fromEntries(
+    header.map((name, i) => [name, fields[i] ?? ''])
+  ));
+}
+
+/**
+ * Field value by alias ({ "Current position": 12 } -> ranking)
+ */
+function pickField(record, field) {
+  for (const [name, value] of Object.entries(record)) {
+    if (COLUMN_ALIASES[field].includes(name.toLowerCase().trim())) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parse a number that may carry thousands separators ("1,900"); null when absent
+ */
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Normalize records to { keyword, ranking, url, volume }
+ * Duplicate keywords keep the best (lowest) ranking
+ *
+ * @returns {Object} { rows, errors: [{ row, reason }] }
+ */
+function normalizeRecords(records) {
+  const byKeyword = new Map();
+  const errors = [];
+
+  records.forEach((record, i) => {
+    if (!record || typeof record !== 'object') {
+      errors.push({ row: i + 1, reason: 'Not an object' });
+      return;
+    }
+
+    const keyword = String(pickField(record, 'keyword') ?? '').trim();
+    if (!keyword) {
+      errors.push({ row: i + 1, reason: 'Missing keyword' });
+      return;
+    }
+
+    // Search Console reports average positions (12.4); 0 means not ranking
+    const position = parseNumber(pickField(record, 'ranking'));
+    const ranking = position && position > 0 ? Math.round(position) : null;
+    const volume = parseNumber(pickField(record, 'volume'));
+    const url = String(pickField(record, 'url') ?? '').trim() || null;
+
+    const key = keyword.toLowerCase();
+    const existing = byKeyword.get(key);
+    if (existing && existing.ranking && (!ranking || existing.ranking <= ranking)) {
+      return;
+    }
+
+    byKeyword.set(key, {
+      keyword,
+      ranking,
+      url,
+      volume: volume !== null ? Math.round(volume) : (existing?.volume ?? null)
+    });
+  });
+
+  return { rows: [...byKeyword.values()], errors };
+}
+
+/**
+ * Closest catalog articles for each keyword embedding
+ */
+async function findSimilarArticles(embeddings, settings) {
+  const results = new Array(embeddings.length);
+
+  for (let i = 0; i < embeddings.length; i += settings.queryConcurrency) {
+    const chunk = embeddings.slice(i, i + settings.queryConcurrency);
+    const matches = await Promise.all(chunk.map(embedding =>
+      // Section vectors share the index - over-fetch so enough article vectors remain
+      querySimilar(embedding, { topK: settings.matchesPerKeyword * 4 })
+    ));
+
+    matches.forEach((keywordMatches, j) => {
+      results[i + j] = keywordMatches
+        .filter(m => m.id.startsWith('article-') && m.metadata?.postId !== undefined)
+        .filter(m => m.score >= settings.minMatchSimilarity)
+        .slice(0, settings.matchesPerKeyword)
+        .map(m => ({
+          postId: m.metadata.postId,
+          title: m.metadata.title,
+          url: m.metadata.url,
+          similarity: Math.round(m.score * 1000) / 1000
+        }));
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Map normalized rows to catalog articles
+ * The ranking URL resolves to the page that gets the boost; vector matches are
+ * the candidates when the keyword ranks with a page outside the catalog or not at all
+ */
+async function mapKeywordsToCatalog(rows, settings = COMPETITOR_GAP_SETTINGS) {
+  const [articles, retiredUrls] = await Promise.all([
+    getAllArticles({ limit: 5000 }),
+    getRetiredUrls()
+  ]);
+  const catalogIndex = buildCatalogIndex(articles);
+
+  const embeddings = [];
+  for (let i = 0; i < rows.length; i += settings.embeddingBatchSize) {
+    const batch = rows.slice(i, i + settings.embeddingBatchSize);
+    embeddings.push(...await generateEmbeddings(batch.map(r => r.keyword)));
+  }
+  const similar = await findSimilarArticles(embeddings, settings);
+
+  return rows.map((row, i) => {
+    let rankingPage = null;
+    if (row.url) {
+      const resolution = resolveInternalLink(row.url, catalogIndex, retiredUrls);
+      if ((resolution.status === LINK_INTEGRITY.OK || resolution.status === LINK_INTEGRITY.MOVED) && resolution.target) {
+        rankingPage = resolution.target;
+      }
+    }
+
+    return {
+      ...row,
+      postId: rankingPage?.postId ?? null,
+      potentialBoost: similar[i].map(m => m.postId),
+      matches: similar[i]
+    };
+  });
+}
+
+/**
+ * Import a rank-tracker export
+ *
+ * @param {Object} params - { csv } or { records }, plus source and replace
+ * @returns {Object} Import summary
+ */
+async function importCompetitorGaps(params, options = {}) {
+  const settings = { ...COMPETITOR_GAP_SETTINGS, ...options };
+  const { csv, records, source = null, replace = false } = params;
+
+  const input = csv ? csvToRecords(csv) : records;
+  if (input.length > settings.maxRows) {
+    const error = new Error(`Too many rows (${input.length}) - import at most ${settings.maxRows} keywords per request`);
+    error.code = 'TOO_MANY_ROWS';
+    throw error;
+  }
+
+  const { rows, errors } = normalizeRecords(input);
+  const mapped = rows.length > 0 ? await mapKeywordsToCatalog(rows, settings) : [];
+
+  await setCompetitorGaps(
+    Object.fromEntries(mapped.map(gap => [gap.keyword, { ...gap, source }])),
+    { replace }
+  );
+
+  return {
+    received: input.length,
+    imported: mapped.length,
+    skipped: errors.length,
+    errors: errors.slice(0, settings.maxReportedErrors),
+    rankingPagesResolved: mapped.filter(g => g.postId !== null).length,
+    matchedByVector: mapped.filter(g => g.postId === null && g.potentialBoost.length > 0).length,
+    unmapped: mapped
+      .filter(g => g.postId === null && g.potentialBoost.length === 0)
+      .map(g => g.keyword),
+    replaced: replace
+  };
+}
+
+module.exports = {
+  COMPETITOR_GAP_SETTINGS,
+  parseCsv,
+  csvToRecords,
+  normalizeRecords,
+  mapKeywordsToCatalog,
+  importCompetitorGaps
+};
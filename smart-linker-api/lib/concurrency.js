@@ -0,0 +1,37 @@
+/**
+ * Concurrency Limiter
+ *
+ * Shared by the LLM gateway (process-wide cap on Claude calls) and the
+ * outbound link checker (overall and per-domain caps on requests).
+ */
+
+/**
+ * Create a concurrency limiter - limit(fn) runs fn once a slot is free
+ * and resolves with its result
+ *
+ * @param {number} max - Calls allowed in flight at once
+ * @returns {Function} limit(fn), where fn returns a promise
+ */
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    fn().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+module.exports = {
+  createLimiter
+};
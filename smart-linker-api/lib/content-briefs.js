@@ -0,0 +1,337 @@
+/**
+ * Content Briefs
+ *
+ * Turns a content gap (a getContentSuggestions item, or a custom
+ * { cluster, funnelStage, title }) into a writer brief: target keyword, LSI
+ * terms, H2 outline, questions to answer, the articles it must link to and be
+ * linked from, a target word count and a schema type.
+ *
+ * Everything is derived from the catalog (cluster peers' metadata), so
+ * briefs cost no LLM calls. Export as JSON or with formatBriefMarkdown().
+ */
+
+const { getAllArticles } = require('./pinecone');
+const { getContentSuggestions, formatClusterName } = require('./content-gaps');
+const { FUNNEL_FLOW } = require('./scoring');
+const { LSI_KEYWORD_MAP } = require('./semantic-enrichment');
+const { getBusinessRule } = require('./business-rules');
+
+const BRIEF_SETTINGS = {
+  maxLsiTerms: 15,
+  maxQuestions: 8,
+  maxLinkTargets: 5,
+  maxLinkSources: 5,
+  defaultWordCount: 1500,
+  guideWordCountMultiplier: 1.5   // Bridge guides cover several articles, so run longer than peers
+};
+
+// Target keyword per funnel stage, from the cluster name
+const FUNNEL_KEYWORD_PATTERNS = {
+  awareness: name => `what is ${name}`,
+  consideration: name => `${name} pros and cons`,
+  decision: name => `how to choose ${name}`
+};
+
+// Opening H2s per funnel stage
+const FUNNEL_OUTLINES = {
+  awareness: name => [
+    { heading: `What Is ${name}?`, notes: 'Plain-language definition and who it is for' },
+    { heading: `How ${name} Works`, notes: 'The mechanics, with a worked example' },
+    { heading: 'Benefits and Risks', notes: 'Balanced view before the reader commits' }
+  ],
+  consideration: name => [
+    { heading: `${name} Options Compared`, notes: 'Side-by-side comparison (a table works well)' },
+    { heading: 'Pros and Cons', notes: 'Trade-offs for each option' },
+    { heading: 'Costs to Expect', notes: 'Realistic numbers and what drives them' }
+  ],
+  decision: name => [
+    { heading: `How to Choose the Right ${name} Approach`, notes: 'Decision criteria the reader can apply' },
+    { heading: 'Step-by-Step: Getting Started', notes: 'Numbered steps from decision to action' },
+    { heading: 'Checklist Before You Commit', notes: 'Documents, numbers and questions to have ready' }
+  ]
+};
+
+/**
+ * Terms ordered by how many articles use them
+ */
+function rankByFrequency(lists) {
+  const counts = new Map();
+  for (const list of lists) {
+    for (const term of new Set((list || []).map(t => String(t).trim()).filter(Boolean))) {
+      const key = term.toLowerCase();
+      const entry = counts.get(key) || { term, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count).map(e => e.term);
+}
+
+/**
+ * Median and interquartile range of numbers
+ */
+function quartiles(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  return { p25: at(0.25), median: at(0.5), p75: at(0.75) };
+}
+
+const roundTo100 = n => Math.round(n / 100) * 100;
+
+/**
+ * Resolve a gap id from getContentSuggestions, or normalize a custom gap
+ */
+async function resolveGap(gapOrId) {
+  if (typeof gapOrId === 'string') {
+    const suggestions = await getContentSuggestions({ maxSuggestions: Infinity });
+    const gap = suggestions.find(s => s.gapId === gapOrId);
+    if (!gap) {
+      const error = new Error(`Content gap not found: ${gapOrId}`);
+      error.code = 'GAP_NOT_FOUND';
+      throw error;
+    }
+    return gap;
+  }
+
+  if (!gapOrId?.cluster) {
+    const error = new Error('A gap needs at least a cluster');
+    error.code = 'INVALID_GAP';
+    throw error;
+  }
+  return { type: 'custom', priority: 'medium', ...gapOrId };
+}
+
+/**
+ * LSI terms for a cluster: the LSI map entries it matches, then peers' extracted terms
+ */
+function getLsiTerms(cluster, peers, settings) {
+  const lsiMap = getBusinessRule('LSI_KEYWORD_MAP', LSI_KEYWORD_MAP);
+  const clusterWords = cluster.split('-');
+
+  const mapped = Object.entries(lsiMap)
+    .filter(([key]) => key === cluster || clusterWords.includes(key) || cluster.startsWith(`${key}-`))
+    .flatMap(([, terms]) => terms);
+
+  return rankByFrequency([mapped, ...peers.map(p => p.lsiKeywords)]).slice(0, settings.maxLsiTerms);
+}
+
+/**
+ * Target keyword for the gap, and the peers' keywords it must not compete with
+ */
+function chooseTargetKeyword(gap, stage, peers, lsiTerms) {
+  const name = formatClusterName(gap.cluster).toLowerCase();
+  const taken = new Set(peers.flatMap(p => [p.primaryAnchor, ...(p.mainTopics || [])])
+    .filter(Boolean)
+    .map(t => t.toLowerCase()));
+
+  let keyword = gap.targetKeyword;
+  if (!keyword && gap.type === 'bridge_content') keyword = `${name} guide`;
+  if (!keyword && gap.type === 'cluster_expansion') keyword = lsiTerms.find(t => !taken.has(t.toLowerCase()));
+  if (!keyword) keyword = (FUNNEL_KEYWORD_PATTERNS[stage] || (n => n))(name);
+
+  return {
+    targetKeyword: keyword,
+    avoidKeywords: [...new Set(peers.map(p => p.primaryAnchor).filter(Boolean))],
+    keywordConflicts: peers
+      .filter(p => (p.primaryAnchor || '').toLowerCase() === keyword.toLowerCase())
+      .map(p => ({ postId: p.postId, title: p.title }))
+  };
+}
+
+/**
+ * Articles the new one should link to, and articles that should link to it
+ * peers are the related cluster's articles when the gap's cluster has none
+ */
+function planLinks(gap, stage, peers, articles, settings) {
+  const inCluster = peers.length === 0 || peers[0].topicCluster === gap.cluster;
+  const peerReason = inCluster ? 'Same topic cluster' : `Related cluster (${gap.relatedCluster})`;
+  const byAuthority = [...peers].sort((a, b) =>
+    (b.isPillar ? 1 : 0) - (a.isPillar ? 1 : 0) || (b.inboundLinkCount || 0) - (a.inboundLinkCount || 0)
+  );
+  const pillar = byAuthority.find(p => p.isPillar) || byAuthority[0] || null;
+  const funnelFlow = getBusinessRule('FUNNEL_FLOW', FUNNEL_FLOW);
+  const describe = (meta, reason) => ({ postId: meta.postId, title: meta.title, url: meta.url, reason });
+
+  const linkTo = new Map();
+  const addTo = (meta, reason) => {
+    if (meta && !linkTo.has(meta.postId)) linkTo.set(meta.postId, describe(meta, reason));
+  };
+
+  // Orphans a bridge guide exists to link
+  for (const postId of gap.linkedPostIds || []) {
+    addTo(articles.find(a => a.postId === postId), 'Orphaned article this guide should link');
+  }
+  if (pillar) addTo(pillar, `${pillar.isPillar ? 'Pillar page' : 'Strongest article'} of ${inCluster ? 'the cluster' : gap.relatedCluster}`);
+  for (const meta of byAuthority.filter(p => p.funnelStage !== stage && (funnelFlow[stage] || []).includes(p.funnelStage))) {
+    addTo(meta, `Next step for readers (${meta.funnelStage})`);
+  }
+  for (const meta of byAuthority) addTo(meta, peerReason);
+
+  const linkFrom = new Map();
+  const addFrom = (meta, reason) => {
+    if (meta && !linkFrom.has(meta.postId)) linkFrom.set(meta.postId, describe(meta, reason));
+  };
+
+  if (pillar) {
+    addFrom(pillar, inCluster ? 'Pillar should link down to every cluster article' : `Pillar of ${gap.relatedCluster}`);
+  }
+  for (const meta of byAuthority.filter(p => p.funnelStage !== stage && (funnelFlow[p.funnelStage] || []).includes(stage))) {
+    addFrom(meta, `Leads into ${stage} content`);
+  }
+  for (const meta of byAuthority) addFrom(meta, peerReason);
+
+  return {
+    pillar: pillar ? describe(pillar, null) : null,
+    linkTo: [...linkTo.values()].slice(0, settings.maxLinkTargets),
+    linkFrom: [...linkFrom.values()].slice(0, settings.maxLinkSources)
+  };
+}
+
+/**
+ * Word count target from cluster peers
+ */
+function planWordCount(gap, peers, settings) {
+  const counts = peers.map(p => p.wordCount || 0).filter(n => n > 0);
+  if (counts.length === 0) {
+    return { target: settings.defaultWordCount, min: settings.defaultWordCount - 300, max: settings.defaultWordCount + 500, basedOn: 0 };
+  }
+
+  const { p25, median, p75 } = quartiles(counts);
+  const multiplier = gap.type === 'bridge_content' ? settings.guideWordCountMultiplier : 1;
+  return {
+    target: roundTo100(Math.max(median * multiplier, gap.type === 'bridge_content' ? p75 : 0)),
+    min: roundTo100(p25 * multiplier),
+    max: roundTo100(p75 * multiplier),
+    basedOn: counts.length
+  };
+}
+
+/**
+ * H2 outline: funnel-stage openers, a section per linked orphan (guides), then FAQ
+ */
+function buildOutline(gap, stage, questions, links) {
+  const name = formatClusterName(gap.cluster);
+  const outline = [...(FUNNEL_OUTLINES[stage] || FUNNEL_OUTLINES.awareness)(name)];
+
+  if (gap.type === 'bridge_content') {
+    for (const target of links.linkTo.filter(l => (gap.linkedPostIds || []).includes(l.postId))) {
+      outline.push({ heading: target.title, notes: 'Summarize, then link to the full article', linksTo: target.postId });
+    }
+  }
+
+  if (questions.length > 0) {
+    outline.push({ heading: 'Frequently Asked Questions', notes: 'Answer each question below in 2-3 sentences' });
+  }
+  outline.push({ heading: 'Next Steps', notes: 'Point readers to the next-stage articles in the link plan' });
+
+  return outline;
+}
+
+/**
+ * Schema type for the brief
+ */
+function chooseSchema(stage, title, questions) {
+  const isHowTo = stage === 'decision' || /^how to\b/i.test(title);
+  return {
+    suggestedSchema: isHowTo ? 'HowTo' : 'Article',
+    additionalSchema: [
+      ...(isHowTo ? ['Article'] : []),
+      ...(questions.length >= 3 ? ['FAQPage'] : []),
+      'BreadcrumbList'
+    ]
+  };
+}
+
+/**
+ * Generate a writer brief for a content gap
+ *
+ * @param {string|Object} gapOrId - gapId from getContentSuggestions, or { cluster, funnelStage,
+ *   title, targetKeyword, targetPersona }
+ * @returns {Object} Brief (see formatBriefMarkdown for the layout)
+ */
+async function generateContentBrief(gapOrId, options = {}) {
+  const settings = { ...BRIEF_SETTINGS, ...options };
+  const gap = await resolveGap(gapOrId);
+  const articles = (await getAllArticles()).map(a => a.metadata || a);
+
+  const peers = articles.filter(a => a.topicCluster === gap.cluster);
+  const neighbours = peers.length > 0 ? peers : articles.filter(a => a.topicCluster === gap.relatedCluster);
+  const stage = gap.funnelStage || 'awareness';
+  const title = gap.title || gap.suggestedTitle || formatClusterName(gap.cluster);
+
+  const lsiTerms = getLsiTerms(gap.cluster, neighbours, settings);
+  const keyword = chooseTargetKeyword(gap, stage, peers, lsiTerms);
+  const questions = rankByFrequency(neighbours.map(p => p.questionKeywords)).slice(0, settings.maxQuestions);
+  const links = planLinks(gap, stage, neighbours, articles, settings);
+
+  return {
+    gapId: gap.gapId || null,
+    gapType: gap.type,
+    priority: gap.priority,
+    reasoning: gap.reasoning || null,
+    title,
+    cluster: gap.cluster,
+    funnelStage: stage,
+    targetPersona: gap.targetPersona || rankByFrequency(peers.map(p => [p.targetPersona]))[0] || null,
+    ...keyword,
+    lsiTerms,
+    outline: buildOutline(gap, stage, questions, links),
+    questions,
+    links,
+    wordCount: planWordCount(gap, peers, settings),
+    ...chooseSchema(stage, title, questions),
+    peersAnalyzed: neighbours.length,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Markdown export of a brief
+ */
+function formatBriefMarkdown(brief) {
+  const lines = [
+    `# Content Brief: ${brief.title}`,
+    '',
+    `- **Cluster:** ${brief.cluster}`,
+    `- **Funnel stage:** ${brief.funnelStage}`,
+    ...(brief.targetPersona ? [`- **Persona:** ${brief.targetPersona}`] : []),
+    `- **Target keyword:** ${brief.targetKeyword}`,
+    `- **Word count:** ${brief.wordCount.target} (${brief.wordCount.min}-${brief.wordCount.max})`,
+    `- **Schema:** ${brief.suggestedSchema}${brief.additionalSchema.length ? ` (+ ${brief.additionalSchema.join(', ')})` : ''}`,
+    ...(brief.reasoning ? ['', `> ${brief.reasoning}`] : []),
+    ''
+  ];
+
+  if (brief.avoidKeywords.length > 0) {
+    lines.push(`Don't target keywords other articles in the cluster already own: ${brief.avoidKeywords.join(', ')}`, '');
+  }
+
+  lines.push('## LSI Terms', '', brief.lsiTerms.length ? brief.lsiTerms.join(', ') : '_None found_', '');
+
+  lines.push('## Outline', '');
+  for (const section of brief.outline) {
+    lines.push(`### ${section.heading}`, '', section.notes, '');
+  }
+
+  if (brief.questions.length > 0) {
+    lines.push('## Questions to Answer', '', ...brief.questions.map(q => `- ${q}`), '');
+  }
+
+  lines.push('## Internal Links', '', '**Link to:**', '');
+  lines.push(...(brief.links.linkTo.length
+    ? brief.links.linkTo.map(l => `- [${l.title}](${l.url}) - ${l.reason}`)
+    : ['- _No existing articles in this cluster_']));
+  lines.push('', '**Get links from (after publishing):**', '');
+  lines.push(...(brief.links.linkFrom.length
+    ? brief.links.linkFrom.map(l => `- [${l.title}](${l.url}) - ${l.reason}`)
+    : ['- _No existing articles in this cluster_']));
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  BRIEF_SETTINGS,
+  generateContentBrief,
+  formatBriefMarkdown
+};
@@ -0,0 +1,150 @@
+/**
+ * Content Fingerprints
+ *
+ * Stored with each article so a re-sync can tell how much the post changed
+ * and pick the cheapest sync path:
+ *
+ * - metadata-only: title, summary, body and headings unchanged - update
+ *   metadata (including internal links, which the hashes ignore) in place,
+ *   no embedding or enrichment calls
+ * - light: small body edits or a new title - re-embed the article and re-run
+ *   light enrichment, keep summary, keywords, AI enrichment and section vectors
+ * - full: new article, rewritten body or changed headings - the regular sync
+ *
+ * How much the body changed is estimated from a MinHash signature of word
+ * shingles, so the previous text never has to be stored.
+ */
+
+const crypto = require('crypto');
+const { extractBodyText } = require('./embeddings');
+
+const FINGERPRINT_SETTINGS = {
+  shingleSize: 5,           // Words per shingle
+  signatureSize: 32,        // MinHash slots (stored as 8 hex chars each)
+  lightMinSimilarity: 0.8   // Estimated body similarity needed for the light path
+};
+
+const SYNC_PATHS = {
+  METADATA_ONLY: 'metadata-only',
+  LIGHT: 'light',
+  FULL: 'full'
+};
+
+/**
+ * SHA-256 hex digest
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * MinHash signature of word shingles, one string of hex slots
+ * Slot i uses h1 + i * h2 (double hashing) over each shingle's MD5
+ */
+function computeSignature(text, settings = FINGERPRINT_SETTINGS) {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  const mins = new Array(settings.signatureSize).fill(0xffffffff);
+  const shingleCount = Math.max(1, words.length - settings.shingleSize + 1);
+
+  for (let i = 0; i < shingleCount; i++) {
+    const digest = crypto.createHash('md5')
+      .update(words.slice(i, i + settings.shingleSize).join(' '))
+      .digest();
+    const h1 = digest.readUInt32BE(0);
+    const h2 = digest.readUInt32BE(4);
+
+    for (let slot = 0; slot < settings.signatureSize; slot++) {
+      const value = (h1 + Math.imul(slot, h2)) >>> 0;
+      if (value < mins[slot]) mins[slot] = value;
+    }
+  }
+
+  return mins.map(v => v.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Estimated Jaccard similarity of two signatures (0-1), null when they can't be compared
+ */
+function compareSignatures(a, b) {
+  if (!a || !b || a.length !== b.length || a.length % 8 !== 0) return null;
+
+  const slots = a.length / 8;
+  let equal = 0;
+  for (let i = 0; i < a.length; i += 8) {
+    if (a.slice(i, i + 8) === b.slice(i, i + 8)) equal++;
+  }
+  return equal / slots;
+}
+
+/**
+ * Fingerprint an article for change detection
+ *
+ * @param {Object} article - { title, summary, content }; summary is the one sent
+ *   by WordPress (part of the embedding input), not a generated one
+ * @returns {Object} { contentHash, embeddingHash, headingsHash, contentSignature }
+ */
+function fingerprintArticle({ title = '', summary = '', content = '' }, options = {}) {
+  const settings = { ...FINGERPRINT_SETTINGS, ...options };
+  const bodyText = extractBodyText(content || '');
+
+  const headings = [];
+  const headingRegex = /<h([23])[^>]*>([\s\S]*?)<\/h\1>/gi;
+  let match;
+  while ((match = headingRegex.exec(content || '')) !== null) {
+    headings.push(`${match[1]}:${match[2].replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim()}`);
+  }
+
+  return {
+    contentHash: sha256(bodyText),
+    embeddingHash: sha256(`${title}\n${summary || ''}\n${bodyText}`),
+    headingsHash: sha256(headings.join('\n')),
+    contentSignature: computeSignature(bodyText, settings)
+  };
+}
+
+/**
+ * Decide the sync path from the stored article metadata and a new fingerprint
+ *
+ * @param {Object|null} existing - Stored article metadata (getArticle)
+ * @param {Object} fingerprint - From fingerprintArticle
+ * @returns {Object} { path, reason, similarity }
+ */
+function classifyContentChange(existing, fingerprint, options = {}) {
+  const settings = { ...FINGERPRINT_SETTINGS, ...options };
+
+  if (!existing) {
+    return { path: SYNC_PATHS.FULL, reason: 'new article', similarity: null };
+  }
+  if (!existing.contentHash || !existing.contentSignature) {
+    return { path: SYNC_PATHS.FULL, reason: 'no stored fingerprint', similarity: null };
+  }
+
+  if (existing.headingsHash !== fingerprint.headingsHash) {
+    return { path: SYNC_PATHS.FULL, reason: 'section headings changed', similarity: null };
+  }
+  if (existing.embeddingHash === fingerprint.embeddingHash) {
+    return { path: SYNC_PATHS.METADATA_ONLY, reason: 'content unchanged', similarity: 1 };
+  }
+  if (existing.contentHash === fingerprint.contentHash) {
+    return { path: SYNC_PATHS.LIGHT, reason: 'title or summary changed', similarity: 1 };
+  }
+
+  const similarity = compareSignatures(existing.contentSignature, fingerprint.contentSignature);
+  if (similarity === null) {
+    return { path: SYNC_PATHS.FULL, reason: 'stored fingerprint incompatible', similarity: null };
+  }
+
+  const rounded = Math.round(similarity * 100) / 100;
+  return similarity >= settings.lightMinSimilarity
+    ? { path: SYNC_PATHS.LIGHT, reason: 'minor body edits', similarity: rounded }
+    : { path: SYNC_PATHS.FULL, reason: 'body rewritten', similarity: rounded };
+}
+
+module.exports = {
+  FINGERPRINT_SETTINGS,
+  SYNC_PATHS,
+  computeSignature,
+  compareSignatures,
+  fingerprintArticle,
+  classifyContentChange
+};
@@ -7,6 +7,7 @@
 
 const { getAllArticles } = require('./pinecone');
 const { CLUSTER_RELATIONSHIPS, FUNNEL_FLOW, PERSONA_COMPATIBILITY } = require('./scoring');
+const { getBusinessRule } = require('./business-rules');
 
 /**
  * Analyze content gaps across all dimensions
@@ -99,7 +100,7 @@ async function analyzeContentGaps() {
   }
 
   // Find missing related cluster coverage
-  for (const [cluster, relatedClusters] of Object.entries(CLUSTER_RELATIONSHIPS)) {
+  for (const [cluster, relatedClusters] of Object.entries(getBusinessRule('CLUSTER_RELATIONSHIPS', CLUSTER_RELATIONSHIPS))) {
     if (clusterCoverage[cluster] && clusterCoverage[cluster] > 0) {
       const missingRelated = relatedClusters.filter(rc => !clusterCoverage[rc] || clusterCoverage[rc] === 0);
       if (missingRelated.length > 0) {
@@ -214,6 +215,7 @@ async function getContentSuggestions(options = {}) {
   for (const gap of gaps.funnelGaps) {
     if (gap.missingStages.includes('decision')) {
       suggestions.push({
+        gapId: `funnel_completion:${gap.cluster}:decision`,
         type: 'funnel_completion',
         priority: 'high',
         cluster: gap.cluster,
@@ -237,12 +239,14 @@ async function getContentSuggestions(options = {}) {
   for (const [cluster, orphans] of Object.entries(orphansByCluster)) {
     if (orphans.length >= 2) {
       suggestions.push({
+        gapId: `bridge_content:${cluster}`,
         type: 'bridge_content',
         priority: 'medium',
         cluster,
         suggestedTitle: `Complete Guide to ${formatClusterName(cluster)}`,
         reasoning: `Would naturally link to ${orphans.length} orphaned articles`,
-        linkedArticles: orphans.slice(0, 3).map(o => o.title)
+        linkedArticles: orphans.slice(0, 3).map(o => o.title),
+        linkedPostIds: orphans.slice(0, 3).map(o => o.postId)
       });
     }
   }
@@ -250,6 +254,7 @@ async function getContentSuggestions(options = {}) {
   // Suggest cluster expansion
   for (const thin of gaps.thinClusters) {
     suggestions.push({
+      gapId: `cluster_expansion:${thin.cluster}`,
       type: 'cluster_expansion',
       priority: 'medium',
       cluster: thin.cluster,
@@ -258,6 +263,22 @@ async function getContentSuggestions(options = {}) {
     });
   }
 
+  // Suggest first articles for related clusters with no coverage
+  for (const gap of gaps.clusterGaps) {
+    for (const missing of gap.missingRelated) {
+      if (suggestions.some(s => s.gapId === `topic_expansion:${missing}`)) continue;
+      suggestions.push({
+        gapId: `topic_expansion:${missing}`,
+        type: 'topic_expansion',
+        priority: 'low',
+        cluster: missing,
+        relatedCluster: gap.cluster,
+        suggestedTitle: `${formatClusterName(missing)} for ${formatClusterName(gap.cluster)} Investors`,
+        reasoning: `Related to "${gap.cluster}" but has no articles`
+      });
+    }
+  }
+
   return suggestions.slice(0, maxSuggestions);
 }
 
@@ -5,7 +5,7 @@
  * more accurate cross-encoder scoring for top candidates.
  */
 
-const { getClient } = require('./claude');
+const { createMessage } = require('./llm');
 
 /**
  * Re-rank candidates using Claude as a cross-encoder
@@ -19,8 +19,6 @@ async function reRankWithCrossEncoder(sourceContent, candidates, options = {}) {
 
   if (candidates.length === 0) return [];
 
-  const client = getClient();
-
   // Prepare candidate list for Claude
   const candidateList = candidates.slice(0, maxCandidates).map((c, i) => {
     const meta = c.metadata || c;
@@ -49,8 +47,7 @@ Return JSON array with scores:
   {"index": 2, "score": 45, "reason": "brief reason"}
 ]`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('rerank', {
     max_tokens: 600,
     messages: [{ role: 'user', content: prompt }]
   });
@@ -0,0 +1,462 @@
+/**
+ * Editorial Calendar
+ *
+ * Combines the timing signals into one dated plan: seasonal peaks
+ * (lib/seasonal-boosting.js), content gaps (getProactiveContentPlan), stale
+ * content and drifted links (lib/link-decay.js).
+ *
+ * Three kinds of work are scheduled, each with its own lead time before a
+ * seasonal peak and its own share of the weekly publishing capacity:
+ *
+ * - new-article: seasonal topics nothing covers yet, and content gaps
+ * - refresh: stale articles and seasonal articles due before their peak
+ * - relink: links to retarget (drifted targets) or to point at seasonal articles
+ *
+ * Higher-value items are placed first, as close to their due date as the
+ * capacity allows. Items that don't fit the horizon are returned unscheduled.
+ */
+
+const { getAllArticles } = require('./pinecone');
+const {
+  getSeasonalCalendar,
+  generateSeasonalTitle,
+  needsSeasonalUpdate
+} = require('./seasonal-boosting');
+const { checkAllArticlesForDecay, findDecayedLinks } = require('./link-decay');
+const { getProactiveContentPlan } = require('./strategic-content');
+const { getLatestJobResult } = require('./jobs');
+const { getTenant, getTenantConfig, getSiteDomain } = require('./tenants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CALENDAR_SETTINGS = {
+  horizonDays: 90,
+  defaultCapacityPerWeek: 3,    // New articles per week (refreshes and relinks count as a share)
+  leadTimeDays: {               // How long before a seasonal peak the work should be live
+    'new-article': 42,          // Time to get indexed and ranking
+    'refresh': 21,
+    'relink': 7
+  },
+  effort: {                     // Share of one capacity slot
+    'new-article': 1,
+    'refresh': 0.5,
+    'relink': 0.25
+  },
+  minTimeliness: 0.25           // Value kept when a peak is closer than the lead time
+};
+
+const ITEM_TYPES = {
+  NEW_ARTICLE: 'new-article',
+  REFRESH: 'refresh',
+  RELINK: 'relink'
+};
+
+// Value of each source before seasonal and timeliness weighting
+const BASE_VALUES = {
+  seasonal: 50,
+  gap: { high: 70, medium: 50, low: 30 },
+  stale: 60,
+  needsReview: 40,
+  drift: 40,
+  seasonalRelink: 30
+};
+
+// Week of the proactive content plan each bucket should land in
+const PLAN_BUCKET_WEEKS = { immediate: 0, shortTerm: 1, strategic: 3 };
+
+const toDateString = date => new Date(date).toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Publishing capacity: option, then tenant site config, then EDITORIAL_CAPACITY_PER_WEEK
+ */
+function getCapacityPerWeek(override) {
+  const value = override ??
+    getTenantConfig('publishingCapacityPerWeek') ??
+    parseFloat(process.env.EDITORIAL_CAPACITY_PER_WEEK);
+  return value > 0 ? value : CALENDAR_SETTINGS.defaultCapacityPerWeek;
+}
+
+/**
+ * Seasonal peaks (first day of each calendar month) that work started in the horizon can target
+ */
+function getUpcomingPeaks(start, settings) {
+  const calendar = getSeasonalCalendar();
+  const lastPeak = addDays(start, settings.horizonDays + settings.leadTimeDays[ITEM_TYPES.NEW_ARTICLE]);
+  const peaks = [];
+
+  for (let offset = 1; offset <= 12; offset++) {
+    const peak = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + offset, 1));
+    if (peak > lastPeak) break;
+
+    const month = peak.getUTCMonth() + 1;
+    if (calendar[month]) {
+      peaks.push({ month, date: peak, year: peak.getUTCFullYear(), ...calendar[month] });
+    }
+  }
+
+  return peaks;
+}
+
+/**
+ * Due date for work of a type before a peak, and how much of its value survives
+ * a peak closer than the lead time
+ */
+function weighPeak(peak, type, start, settings) {
+  const lead = settings.leadTimeDays[type];
+  const daysUntilPeak = Math.round((peak.date - start) / DAY_MS);
+  const timeliness = Math.max(settings.minTimeliness, Math.min(1, daysUntilPeak / lead));
+
+  return {
+    dueDate: daysUntilPeak >= lead ? addDays(peak.date, -lead) : start,
+    peakDate: toDateString(peak.date),
+    timeliness: Math.round(timeliness * 100) / 100,
+    lateForPeak: daysUntilPeak < lead
+  };
+}
+
+/**
+ * Whether an article covers a seasonal topic (same matching as calculateSeasonalScore)
+ */
+function coversTopic(meta, topic) {
+  const terms = [meta.topicCluster || '', ...(meta.mainTopics || []), ...(meta.semanticKeywords || [])]
+    .filter(Boolean)
+    .map(t => t.toLowerCase());
+  return terms.some(t => t.includes(topic) || topic.includes(t));
+}
+
+/**
+ * New articles, refreshes and relink campaigns for upcoming seasonal peaks
+ */
+function collectSeasonalItems(articles, start, settings) {
+  const items = [];
+
+  for (const peak of getUpcomingPeaks(start, settings)) {
+    for (const topic of peak.topics) {
+      const covering = articles.filter(meta => coversTopic(meta, topic));
+
+      if (covering.length === 0) {
+        const timing = weighPeak(peak, ITEM_TYPES.NEW_ARTICLE, start, settings);
+        items.push({
+          id: `new-article:seasonal:${topic}:${peak.year}-${peak.month}`,
+          type: ITEM_TYPES.NEW_ARTICLE,
+          source: 'seasonal',
+          title: generateSeasonalTitle(topic, peak.month, peak.year),
+          topic,
+          value: BASE_VALUES.seasonal * (peak.boost || 1) * timing.timeliness,
+          ...timing,
+          reason: `${peak.reason} - nothing covers "${topic}" yet`
+        });
+        continue;
+      }
+
+      // Refresh covering articles that are due, then point links at the best one
+      for (const meta of covering.filter(m => needsSeasonalUpdate(m))) {
+        const timing = weighPeak(peak, ITEM_TYPES.REFRESH, start, settings);
+        items.push({
+          id: `refresh:seasonal:${meta.postId}:${peak.year}-${peak.month}`,
+          type: ITEM_TYPES.REFRESH,
+          source: 'seasonal',
+          title: `Refresh: ${meta.title}`,
+          postId: meta.postId,
+          url: meta.url,
+          topic,
+          value: BASE_VALUES.seasonal * (peak.boost || 1) * timing.timeliness,
+          ...timing,
+          reason: `Update before the ${topic} peak (${peak.reason})`
+        });
+      }
+
+      const best = [...covering].sort((a, b) => (b.inboundLinkCount || 0) - (a.inboundLinkCount || 0))[0];
+      const timing = weighPeak(peak, ITEM_TYPES.RELINK, start, settings);
+      items.push({
+        id: `relink:seasonal:${best.postId}:${peak.year}-${peak.month}`,
+        type: ITEM_TYPES.RELINK,
+        source: 'seasonal',
+        title: `Link to "${best.title}" from related articles`,
+        postId: best.postId,
+        url: best.url,
+        topic,
+        value: BASE_VALUES.seasonalRelink * (peak.boost || 1) * timing.timeliness,
+        ...timing,
+        reason: `Send internal links to the ${topic} article before its peak`
+      });
+    }
+  }
+
+  // A topic in season for consecutive months is planned once, for its most valuable peak
+  const byTopic = new Map();
+  for (const item of items) {
+    const key = `${item.type}:${item.topic}:${item.postId ?? ''}`;
+    if (!byTopic.has(key) || item.value > byTopic.get(key).value) byTopic.set(key, item);
+  }
+
+  return [...byTopic.values()];
+}
+
+/**
+ * New articles from the proactive content plan
+ */
+async function collectGapItems(start) {
+  const { plan } = await getProactiveContentPlan();
+  const items = [];
+
+  for (const [bucket, suggestions] of Object.entries(plan)) {
+    for (const suggestion of suggestions) {
+      items.push({
+        id: `new-article:gap:${suggestion.gapId || suggestion.suggestedTitle}`,
+        type: ITEM_TYPES.NEW_ARTICLE,
+        source: 'content-gap',
+        title: suggestion.suggestedTitle,
+        cluster: suggestion.cluster,
+        gapId: suggestion.gapId || null,
+        value: BASE_VALUES.gap[suggestion.priority] || BASE_VALUES.gap.medium,
+        dueDate: addDays(start, (PLAN_BUCKET_WEEKS[bucket] ?? 0) * 7 + 6),
+        reason: suggestion.reasoning
+      });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Refreshes for stale content and relink campaigns for drifted links
+ * Uses the last scheduled link-decay run when there is one
+ */
+async function collectDecayItems(start) {
+  const latest = await getLatestJobResult('link-decay');
+  const report = latest?.result?.report || await checkAllArticlesForDecay();
+  const linkIssues = latest?.result?.potentialLinkIssues || await findDecayedLinks(report);
+  const items = [];
+
+  for (const [bucket, value] of [['stale', BASE_VALUES.stale], ['needsReview', BASE_VALUES.needsReview]]) {
+    for (const article of report[bucket] || []) {
+      items.push({
+        id: `refresh:decay:${article.postId}`,
+        type: ITEM_TYPES.REFRESH,
+        source: 'decay',
+        title: `Refresh: ${article.title}`,
+        postId: article.postId,
+        url: article.url,
+        cluster: article.cluster,
+        value,
+        dueDate: addDays(start, bucket === 'stale' ? 13 : 41),
+        reason: article.reason
+      });
+    }
+  }
+
+  // One campaign per drifted target
+  const byTarget = {};
+  for (const link of linkIssues.driftedLinks || []) {
+    (byTarget[link.targetId] = byTarget[link.targetId] || []).push(link);
+  }
+  for (const [targetId, links] of Object.entries(byTarget)) {
+    items.push({
+      id: `relink:drift:${targetId}`,
+      type: ITEM_TYPES.RELINK,
+      source: 'link-drift',
+      title: `Review ${links.length} link(s) to "${links[0].targetTitle || targetId}"`,
+      postId: links[0].targetId,
+      sourcePostIds: links.map(l => l.sourceId),
+      anchors: links.map(l => l.anchorText),
+      value: Math.min(80, BASE_VALUES.drift + links.length * 5),
+      dueDate: addDays(start, 13),
+      reason: 'Target changed since these links were inserted'
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Place items into weeks, highest value first
+ * Dated work goes in the latest week with room up to its due date, then later (late)
+ */
+function scheduleItems(items, start, capacityPerWeek, settings) {
+  const weekCount = Math.ceil(settings.horizonDays / 7);
+  const weeks = Array.from({ length: weekCount }, (_, i) => {
+    const weekStart = addDays(start, i * 7);
+    return {
+      week: i + 1,
+      start: toDateString(weekStart),
+      end: toDateString(addDays(weekStart, Math.min(6, settings.horizonDays - 1 - i * 7))),
+      capacityUsed: 0,
+      items: []
+    };
+  });
+
+  const scheduled = [];
+  const unscheduled = [];
+  const seen = new Set();
+
+  for (const item of [...items].sort((a, b) => b.value - a.value)) {
+    if (seen.has(item.id)) continue;
+    seen.add(item.id);
+
+    const effort = settings.effort[item.type];
+    const dueWeek = Math.max(0, Math.min(weekCount - 1, Math.floor((item.dueDate - start) / (7 * DAY_MS))));
+    const order = [
+      ...Array.from({ length: dueWeek + 1 }, (_, i) => dueWeek - i),
+      ...Array.from({ length: weekCount - dueWeek - 1 }, (_, i) => dueWeek + 1 + i)
+    ];
+    // Seasonal work done after its peak is worthless, so it never goes past it
+    const weekIndex = order.find(i =>
+      weeks[i].capacityUsed + effort <= capacityPerWeek + 1e-9 &&
+      (!item.peakDate || weeks[i].start < item.peakDate)
+    );
+
+    const { dueDate, value, ...rest } = item;
+    const entry = { ...rest, value: Math.round(value), effort, dueDate: toDateString(dueDate) };
+
+    if (weekIndex === undefined) {
+      unscheduled.push(entry);
+      continue;
+    }
+
+    const week = weeks[weekIndex];
+    // In its due week the item keeps its due date; elsewhere it spreads over the working days
+    const date = weekIndex === dueWeek && dueDate >= new Date(week.start)
+      ? dueDate
+      : addDays(new Date(week.start), Math.min(4, Math.floor((week.capacityUsed / capacityPerWeek) * 5)));
+
+    week.capacityUsed += effort;
+    const placed = { ...entry, date: toDateString(date), late: toDateString(date) > entry.dueDate };
+    week.items.push(placed);
+    scheduled.push(placed);
+  }
+
+  for (const week of weeks) {
+    week.items.sort((a, b) => a.date.localeCompare(b.date));
+    week.capacityUsed = Math.round(week.capacityUsed * 100) / 100;
+  }
+  scheduled.sort((a, b) => a.date.localeCompare(b.date) || b.value - a.value);
+
+  return { weeks, scheduled, unscheduled };
+}
+
+/**
+ * Build the dated editorial plan
+ *
+ * @param {Object} options
+ * @param {number} options.days - Horizon in days (default 90)
+ * @param {number} options.capacityPerWeek - New articles per week (default tenant config / env / 3)
+ * @param {Date} options.startDate - First day of the plan (default today)
+ * @returns {Object} { startDate, endDate, capacityPerWeek, weeks, items, unscheduled, summary }
+ */
+async function buildEditorialCalendar(options = {}) {
+  const settings = { ...CALENDAR_SETTINGS, ...(options.days && { horizonDays: options.days }) };
+  const today = options.startDate ? new Date(options.startDate) : new Date();
+  const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  const capacityPerWeek = getCapacityPerWeek(options.capacityPerWeek);
+
+  const articles = (await getAllArticles()).map(a => a.metadata || a);
+  const items = [
+    ...collectSeasonalItems(articles, start, settings),
+    ...await collectGapItems(start),
+    ...await collectDecayItems(start)
+  ];
+
+  const { weeks, scheduled, unscheduled } = scheduleItems(items, start, capacityPerWeek, settings);
+  const count = type => scheduled.filter(i => i.type === type).length;
+
+  return {
+    startDate: toDateString(start),
+    endDate: toDateString(addDays(start, settings.horizonDays - 1)),
+    capacityPerWeek,
+    weeks,
+    items: scheduled,
+    unscheduled,
+    summary: {
+      newArticles: count(ITEM_TYPES.NEW_ARTICLE),
+      refreshes: count(ITEM_TYPES.REFRESH),
+      relinkCampaigns: count(ITEM_TYPES.RELINK),
+      lateForPeak: scheduled.filter(i => i.lateForPeak).length,
+      pastDueDate: scheduled.filter(i => i.late).length,
+      unscheduled: unscheduled.length
+    }
+  };
+}
+
+/**
+ * Escape iCal TEXT values (RFC 5545 3.3.11)
+ */
+function escapeIcsText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 3.1)
+ */
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * iCal feed of a calendar: one all-day event per scheduled item
+ */
+function formatCalendarIcs(calendar) {
+  const domain = getSiteDomain() || 'smart-linker';
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const labels = { [ITEM_TYPES.NEW_ARTICLE]: 'New', [ITEM_TYPES.REFRESH]: 'Refresh', [ITEM_TYPES.RELINK]: 'Relink' };
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Smart Linker//Editorial Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(`${getTenant().name} editorial calendar`)}`
+  ];
+
+  for (const item of calendar.items) {
+    const date = item.date.replace(/-/g, '');
+    const end = toDateString(addDays(item.date, 1)).replace(/-/g, '');
+    const details = [
+      item.reason,
+      item.peakDate && `Seasonal peak: ${item.peakDate}`,
+      item.gapId && `Brief: POST /api/content-gaps {"action": "brief", "gapId": "${item.gapId}"}`,
+      item.url
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${escapeIcsText(item.id)}@${domain}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${date}`,
+      `DTEND;VALUE=DATE:${end}`,
+      `SUMMARY:${escapeIcsText(`[${labels[item.type]}] ${item.title}`)}`,
+      `DESCRIPTION:${escapeIcsText(details)}`,
+      `CATEGORIES:${escapeIcsText(item.type)}`,
+      ...(item.url ? [`URL:${item.url}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  CALENDAR_SETTINGS,
+  ITEM_TYPES,
+  buildEditorialCalendar,
+  formatCalendarIcs
+};
@@ -0,0 +1,216 @@
+/**
+ * Embedding History
+ *
+ * Keeps earlier article embeddings so link decay can be measured as real
+ * drift: every re-embedded article adds a version, and every inserted link
+ * records which version of its target it was chosen against.
+ *
+ * Versions are stored in the state store as 8-bit quantized vectors (cosine
+ * similarity survives quantization to about 0.001). Each article keeps its
+ * latest versions plus any version a link still points at.
+ *
+ * Every article has its own collection holding its versions and the baselines
+ * of links to it, so a sync only rewrites that article's history, and pruning
+ * sees every linked version in the same atomic update.
+ */
+
+const state = require('./state-store');
+
+// Per article: { versions: [{ version, vector, recordedAt }], "link:<sourceId>": baseline }
+// baseline: { sourceId, targetId, anchorText, targetVersion, linkedAt }
+const ARTICLE_COLLECTION_PREFIX = 'embedding-history:';
+const BASELINE_KEY_PREFIX = 'link:';
+
+// { postId: { linksTo: [targetId] } } - articles with a history collection, and the targets they link to
+const INDEX_COLLECTION = 'embedding-history-index';
+
+const HISTORY_SETTINGS = {
+  maxVersions: 5,          // Latest versions kept per article (besides linked ones)
+  minChange: 0.9999        // Similarity above which a new embedding isn't a new version
+};
+
+/**
+ * Quantize a vector to base64 int8 (scaled by its largest component)
+ */
+function encodeVector(vector) {
+  const maxAbs = vector.reduce((max, v) => Math.max(max, Math.abs(v)), 0) || 1;
+  const bytes = Int8Array.from(vector, v => Math.round((v / maxAbs) * 127));
+  return Buffer.from(bytes.buffer).toString('base64');
+}
+
+/**
+ * Decode a quantized vector (same direction as the original, not the same length)
+ */
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  return Array.from(new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+function articleCollection(postId) {
+  return `${ARTICLE_COLLECTION_PREFIX}${postId}`;
+}
+
+function baselinesOf(data) {
+  return Object.entries(data)
+    .filter(([key]) => key.startsWith(BASELINE_KEY_PREFIX))
+    .map(([, baseline]) => baseline);
+}
+
+function decodeVersions(versions = []) {
+  return versions.map(v => ({ ...v, vector: decodeVector(v.vector) }));
+}
+
+/**
+ * List an article in the index (with a target it links to), unless it already is
+ */
+async function addToIndex(postId, targetId = null) {
+  const entry = await state.get(INDEX_COLLECTION, String(postId));
+  if (entry && (targetId === null || entry.linksTo.includes(String(targetId)))) return;
+
+  await state.update(INDEX_COLLECTION, String(postId), current => ({
+    linksTo: [...new Set([...(current?.linksTo || []), ...(targetId === null ? [] : [String(targetId)])])]
+  }));
+}
+
+/**
+ * Record an article's embedding as a new version (skipped when unchanged)
+ *
+ * @returns {number} Current version number
+ */
+async function recordEmbeddingVersion(postId, embedding, options = {}) {
+  const settings = { ...HISTORY_SETTINGS, ...options };
+  if (!embedding?.length) return null;
+
+  const vector = encodeVector(embedding);
+
+  const versions = await state.updateAll(articleCollection(postId), data => {
+    const current = data.versions || [];
+    const latest = current[current.length - 1];
+    if (latest && cosine(decodeVector(latest.vector), decodeVector(vector)) >= settings.minChange) {
+      return current;
+    }
+
+    current.push({
+      version: (latest?.version || 0) + 1,
+      vector,
+      recordedAt: options.recordedAt || new Date().toISOString()
+    });
+
+    // Baselines are read in the same update, so a link recorded meanwhile keeps its version
+    const linked = new Set(baselinesOf(data).map(b => b.targetVersion));
+    const keepFrom = current.length - settings.maxVersions;
+    data.versions = current.filter((v, i) => i >= keepFrom || linked.has(v.version));
+    return data.versions;
+  });
+  await addToIndex(postId);
+
+  return versions[versions.length - 1].version;
+}
+
+/**
+ * Decoded embedding versions of an article, oldest first
+ */
+async function getEmbeddingHistory(postId) {
+  const data = await state.getAll(articleCollection(postId));
+  return decodeVersions(data.versions);
+}
+
+/**
+ * Decoded embedding versions of every article ({ postId: versions })
+ * Reads each article's collection - jobs should walk getEmbeddingHistory in chunks instead
+ */
+async function getAllEmbeddingHistory() {
+  const history = {};
+  for (const postId of Object.keys(await state.getAll(INDEX_COLLECTION))) {
+    const data = await state.getAll(articleCollection(postId));
+    if (data.versions?.length) history[postId] = decodeVersions(data.versions);
+  }
+  return history;
+}
+
+/**
+ * Record the target version a link was created against
+ * An existing baseline for the same source and target is kept (the link is not new)
+ *
+ * @param {Object} link - { sourceId, targetId, anchorText, targetVersion }
+ */
+async function recordLinkBaseline(link) {
+  const baseline = await state.update(articleCollection(link.targetId), `${BASELINE_KEY_PREFIX}${link.sourceId}`, existing =>
+    existing && existing.anchorText === link.anchorText
+      ? existing
+      : {
+        sourceId: link.sourceId,
+        targetId: link.targetId,
+        anchorText: link.anchorText || '',
+        targetVersion: link.targetVersion,
+        linkedAt: new Date().toISOString()
+      });
+  await addToIndex(link.targetId);
+  await addToIndex(link.sourceId, link.targetId);
+
+  return baseline;
+}
+
+/**
+ * Post ids that link baselines may point at
+ */
+async function getLinkTargetIds() {
+  const index = await state.getAll(INDEX_COLLECTION);
+  return [...new Set(Object.values(index).flatMap(entry => entry.linksTo))];
+}
+
+/**
+ * All link baselines, optionally only those pointing at targetId
+ */
+async function getLinkBaselines(options = {}) {
+  const targetIds = options.targetId !== undefined ? [options.targetId] : await getLinkTargetIds();
+
+  const baselines = [];
+  for (const targetId of targetIds) {
+    baselines.push(...baselinesOf(await state.getAll(articleCollection(targetId))));
+  }
+  return baselines;
+}
+
+/**
+ * Forget an article's versions and every baseline from or to it
+ */
+async function removeEmbeddingHistory(postId) {
+  const entry = await state.get(INDEX_COLLECTION, String(postId));
+
+  // Its own collection holds the baselines of links to it
+  await state.clear(articleCollection(postId));
+  for (const targetId of entry?.linksTo || []) {
+    await state.remove(articleCollection(targetId), `${BASELINE_KEY_PREFIX}${postId}`);
+  }
+
+  await state.updateAll(INDEX_COLLECTION, index => {
+    delete index[String(postId)];
+    for (const other of Object.values(index)) {
+      other.linksTo = other.linksTo.filter(targetId => targetId !== String(postId));
+    }
+  });
+}
+
+module.exports = {
+  HISTORY_SETTINGS,
+  recordEmbeddingVersion,
+  getEmbeddingHistory,
+  getAllEmbeddingHistory,
+  recordLinkBaseline,
+  getLinkTargetIds,
+  getLinkBaselines,
+  removeEmbeddingHistory
+};
@@ -1,4 +1,5 @@
 const OpenAI = require('openai');
+const { recordLLMUsage } = require('./llm-usage');
 
 let openaiClient = null;
 
@@ -64,6 +65,18 @@ function getClient() {
   return openaiClient;
 }
 
+/**
+ * Meter an embeddings call (tokens and cost against the current route)
+ */
+function recordEmbeddingUsage(model, response) {
+  return recordLLMUsage({
+    task: 'embedding',
+    model,
+    provider: 'openai',
+    inputTokens: response.usage?.prompt_tokens || 0
+  });
+}
+
 /**
  * Generate embedding for text
  * Uses text-embedding-3-small for cost efficiency
@@ -92,6 +105,7 @@ async function generateEmbedding(text, options = {}) {
     model,
     input: cleanText
   });
+  await recordEmbeddingUsage(model, response);
 
   const embedding = response.data[0].embedding;
 
@@ -117,6 +131,7 @@ async function generateEmbeddings(texts, options = {}) {
     model,
     input: cleanTexts
   });
+  await recordEmbeddingUsage(model, response);
 
   return response.data.map(d => d.embedding);
 }
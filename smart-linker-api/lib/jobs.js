@@ -0,0 +1,699 @@
+/**
+ * Background Jobs Runner
+ *
+ * Named jobs with cron-style schedules, run from a Vercel cron tick or on
+ * demand. Long sweeps are split into steps: the cursor is saved to the state
+ * store after every step, so a run that hits the invocation time budget
+ * resumes on the next tick instead of starting over. Finished runs keep their
+ * result in a capped history that admin screens can read without waiting.
+ *
+ * Job definition:
+ * - name, description, schedule (5-field cron, UTC)
+ * - run(params) -> result                        single-step job, or
+ * - start(params, data) -> cursor
+ *   step(cursor, params, data) -> { cursor, done, processed, total }
+ *   finish(cursor, params, data) -> result       chunked job
+ *
+ * Storage: the jobs collection holds one small record per job (lock, schedule,
+ * last outcome, history ids); each run in progress has its own key with the
+ * cursor, which should stay small since it is saved after every step. Bulky
+ * intermediate data (id lists, per-step output) goes through `data`
+ * (createRunData), one key per chunk, and is deleted when the run ends.
+ */
+
+const crypto = require('crypto');
+const state = require('./state-store');
+const { createLimiter } = require('./concurrency');
+const { withUsageContext } = require('./llm-usage');
+const { getTenants, withTenantContext } = require('./tenants');
+
+const JOBS_COLLECTION = 'jobs';
+const RUNS_COLLECTION = 'job-runs';            // Runs in progress by runId
+const RUN_DATA_COLLECTION = 'job-run-data';    // "<runId>/<name>" values and "<runId>/<name>/<n>" chunks
+const HISTORY_COLLECTION = 'job-history';      // Finished runs by runId
+const TICK_COLLECTION = 'job-ticks';
+
+const JOB_SETTINGS = {
+  timeBudgetMs: parseInt(process.env.JOBS_TIME_BUDGET_MS) || 45000, // Under the 60s maxDuration
+  lockGraceMs: 15000,   // Lock outlives the budget by this much in case a step overruns
+  minSliceMs: 5000,     // Don't start another job with less time than this left
+  historyLimit: 10,     // Finished runs kept per job
+  readConcurrency: 10   // Run data chunks read at once
+};
+
+const JOB_STATUS = {
+  IDLE: 'idle',
+  RUNNING: 'running',     // Run in progress, continues on the next invocation
+  FAILED: 'failed'
+};
+
+const RUN_STATUS = {
+  COMPLETED: 'completed',
+  IN_PROGRESS: 'in-progress',
+  FAILED: 'failed',
+  LOCKED: 'locked',       // Another invocation holds the job
+  CANCELLED: 'cancelled'
+};
+
+// ============================================
+// CRON SCHEDULES
+// ============================================
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "0,30") into a set of values
+ */
+function parseCronField(expr, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of expr.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+
+    const stepSize = match[4] ? parseInt(match[4]) : 1;
+    let start = min;
+    let end = max;
+
+    if (match[1] !== '*') {
+      start = parseInt(match[2]);
+      end = match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : start);
+    }
+
+    if (start < min || end > max || start > end || stepSize < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+
+    for (let v = start; v <= end; v += stepSize) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields: "${expression}"`);
+  }
+
+  const schedule = {};
+  CRON_FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseCronField(parts[i], field);
+  });
+
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+  schedule.dayOfMonthRestricted = parts[2] !== '*';
+  schedule.dayOfWeekRestricted = parts[4] !== '*';
+
+  return schedule;
+}
+
+/**
+ * Next time (UTC) after `from` that matches the cron expression
+ */
+function getNextRunTime(expression, from = new Date()) {
+  const schedule = parseCron(expression);
+  const t = new Date(from.getTime());
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+
+  // Standard cron: when both day fields are restricted, either may match
+  const dayMatches = () => {
+    const dom = schedule.dayOfMonth.has(t.getUTCDate());
+    const dow = schedule.dayOfWeek.has(t.getUTCDay());
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return dom || dow;
+    if (schedule.dayOfMonthRestricted) return dom;
+    if (schedule.dayOfWeekRestricted) return dow;
+    return true;
+  };
+
+  // Jump by month/day/hour where possible; bounded to a few years of search
+  for (let i = 0; i < 100000; i++) {
+    if (!schedule.month.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches()) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return t;
+    }
+  }
+
+  throw new Error(`Cron expression never matches: "${expression}"`);
+}
+
+// ============================================
+// JOB REGISTRY
+// ============================================
+
+const jobs = new Map();
+
+/**
+ * Register a job definition
+ */
+function registerJob(definition) {
+  const { name, schedule, run, step } = definition;
+
+  if (!name) throw new Error('Job name is required');
+  if (!run && !step) throw new Error(`Job ${name} needs run() or step()`);
+  if (schedule) parseCron(schedule); // Fail fast on bad schedules
+
+  jobs.set(name, definition);
+  return definition;
+}
+
+/**
+ * Get a registered job (throws for unknown names)
+ */
+function getJob(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  return job;
+}
+
+/**
+ * Names of all registered jobs
+ */
+function getJobNames() {
+  return [...jobs.keys()];
+}
+
+// ============================================
+// RUNNER
+// ============================================
+
+/**
+ * Run (or continue) a job within a time budget
+ *
+ * @param {string} name - Job name
+ * @param {Object} options
+ * @param {Object} options.params - Passed to the job when a new run starts
+ * @param {number} options.budgetMs - Stop starting new steps after this long
+ * @param {string} options.trigger - 'schedule' or 'manual'
+ * @param {boolean} options.restart - Discard an in-progress run and start fresh
+ * @returns {Object} { name, runId, status, progress, result?, error? }
+ */
+async function runJob(name, options = {}) {
+  // LLM usage during the run is billed to the job, not the route that triggered it
+  return withUsageContext({ route: `job:${name}` }, () => executeRun(name, options));
+}
+
+/**
+ * Body of runJob, inside the job's usage context
+ */
+async function executeRun(name, options) {
+  const job = getJob(name);
+  const {
+    params = {},
+    budgetMs = JOB_SETTINGS.timeBudgetMs,
+    trigger = 'manual',
+    restart = false
+  } = options;
+
+  const startedAt = Date.now();
+  const deadline = startedAt + budgetMs;
+
+  const record = await acquireLock(name, budgetMs);
+  if (!record) {
+    return { name, status: RUN_STATUS.LOCKED };
+  }
+
+  const previous = record.runId ? await state.get(RUNS_COLLECTION, record.runId) : null;
+  let run = restart ? null : previous;
+  if (restart && previous) await deleteRun(previous);
+
+  if (!run) {
+    run = {
+      runId: `${name}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      name,
+      trigger,
+      params,
+      startedAt: new Date().toISOString(),
+      cursor: null,
+      started: false,
+      processed: 0,
+      total: null,
+      invocations: 0,
+      chunks: {},
+      values: []
+    };
+    await state.set(RUNS_COLLECTION, run.runId, run);
+    await state.update(JOBS_COLLECTION, name, current => ({
+      ...(current || createRecord(name)),
+      status: JOB_STATUS.RUNNING,
+      runId: run.runId
+    }));
+  }
+  run.invocations++;
+  const data = createRunData(run);
+
+  try {
+    let result;
+    let done = false;
+
+    if (job.run) {
+      result = await job.run(run.params);
+      done = true;
+    } else {
+      if (!run.started) {
+        run.cursor = job.start ? await job.start(run.params, data) : null;
+        run.started = true;
+      }
+
+      do {
+        const stepResult = await job.step(run.cursor, run.params, data);
+        run.cursor = stepResult.cursor;
+        run.processed = stepResult.processed ?? run.processed;
+        run.total = stepResult.total ?? run.total;
+        done = !!stepResult.done;
+
+        if (!done && !(await saveRun(run))) {
+          // Cancelled meanwhile - drop anything this step wrote after the cancel cleaned up
+          await deleteRun(run);
+          await releaseLock(name, {});
+          return { name, runId: run.runId, status: RUN_STATUS.CANCELLED, progress: getProgress(run) };
+        }
+      } while (!done && Date.now() < deadline);
+
+      if (done) {
+        result = job.finish ? await job.finish(run.cursor, run.params, data) : run.cursor;
+      }
+    }
+
+    if (!done) {
+      await releaseLock(name, {});
+      return { name, runId: run.runId, status: RUN_STATUS.IN_PROGRESS, progress: getProgress(run) };
+    }
+
+    await finishRun(job, run, RUN_STATUS.COMPLETED, { result });
+    return { name, runId: run.runId, status: RUN_STATUS.COMPLETED, progress: getProgress(run), result };
+
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    await finishRun(job, run, RUN_STATUS.FAILED, { error: error.message });
+    return { name, runId: run.runId, status: RUN_STATUS.FAILED, progress: getProgress(run), error: error.message };
+  }
+}
+
+/**
+ * Run every job that is due (or has a run in progress) within one time budget
+ * Called by the cron tick; in-progress runs go first so they finish before new ones start
+ */
+async function runDueJobs(options = {}) {
+  const { budgetMs = JOB_SETTINGS.timeBudgetMs } = options;
+  const deadline = Date.now() + budgetMs;
+  const now = new Date();
+
+  const records = await state.getAll(JOBS_COLLECTION);
+  const due = [];
+
+  for (const name of getJobNames()) {
+    const job = getJob(name);
+    const record = records[name];
+
+    if (record?.runId) {
+      due.push({ name, order: 0 });
+    } else if (job.schedule) {
+      if (!record?.nextRunAt) {
+        // First sighting - schedule the next occurrence rather than running everything at once
+        await state.update(JOBS_COLLECTION, name, current => ({
+          ...(current || createRecord(name)),
+          nextRunAt: getNextRunTime(job.schedule, now).toISOString()
+        }));
+      } else if (new Date(record.nextRunAt) <= now) {
+        due.push({ name, order: new Date(record.nextRunAt).getTime() });
+      }
+    }
+  }
+
+  due.sort((a, b) => a.order - b.order);
+
+  const runs = [];
+  for (const { name } of due) {
+    const remaining = deadline - Date.now();
+    if (remaining < JOB_SETTINGS.minSliceMs) break;
+
+    runs.push(await runJob(name, { budgetMs: remaining, trigger: 'schedule' }));
+  }
+
+  return {
+    due: due.map(d => d.name),
+    ran: runs.map(({ result, ...run }) => run),
+    deferred: due.slice(runs.length).map(d => d.name)
+  };
+}
+
+/**
+ * Run due jobs for every tenant within one shared time budget (the cron tick)
+ * Tenants take turns going first: each tick starts one tenant further along
+ * than the last, and later tenants only get the budget that is left, so one
+ * busy tenant can't starve the others or hold the tick past maxDuration
+ */
+async function runDueJobsForTenants(options = {}) {
+  const { budgetMs = JOB_SETTINGS.timeBudgetMs } = options;
+  const deadline = Date.now() + budgetMs;
+  const tenants = [...getTenants().values()];
+
+  // Called outside any tenant, so the rotation is kept in the default tenant's state
+  const { offset } = await state.update(TICK_COLLECTION, 'rotation', current => ({
+    offset: ((current?.offset ?? -1) + 1) % tenants.length,
+    updatedAt: new Date().toISOString()
+  }));
+
+  const ran = {};
+  const deferred = [];
+  for (let i = 0; i < tenants.length; i++) {
+    const tenant = tenants[(offset + i) % tenants.length];
+    const remaining = deadline - Date.now();
+    if (remaining < JOB_SETTINGS.minSliceMs) {
+      deferred.push(tenant.id);
+      continue;
+    }
+
+    ran[tenant.id] = await withTenantContext(tenant, () => runDueJobs({ budgetMs: remaining }));
+  }
+
+  return { tenants: ran, deferredTenants: deferred };
+}
+
+/**
+ * Cancel an in-progress run
+ */
+async function cancelJob(name) {
+  const job = getJob(name);
+  const record = await state.get(JOBS_COLLECTION, name);
+  const run = record?.runId ? await state.get(RUNS_COLLECTION, record.runId) : null;
+  if (!run) return { name, cancelled: false };
+
+  // An invocation still stepping through this run stops at its next save
+  await finishRun(job, run, RUN_STATUS.CANCELLED, { error: 'Cancelled' });
+  return { name, runId: run.runId, cancelled: true };
+}
+
+/**
+ * Empty job record
+ */
+function createRecord(name) {
+  return {
+    name,
+    status: JOB_STATUS.IDLE,
+    runId: null,
+    lockedUntil: null,
+    lastRunAt: null,
+    lastStatus: null,
+    lastError: null,
+    lastDurationMs: null,
+    nextRunAt: null,
+    history: []
+  };
+}
+
+/**
+ * Take the job lock; returns the record, or null if another invocation holds it
+ */
+async function acquireLock(name, budgetMs) {
+  const now = Date.now();
+
+  return state.update(JOBS_COLLECTION, name, current => {
+    const record = current || createRecord(name);
+    if (record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+      return null;
+    }
+    return {
+      ...record,
+      lockedUntil: new Date(now + budgetMs + JOB_SETTINGS.lockGraceMs).toISOString()
+    };
+  });
+}
+
+/**
+ * Release the job lock with record changes
+ */
+async function releaseLock(name, changes) {
+  await state.update(JOBS_COLLECTION, name, current => {
+    // Records written before runs had their own keys carried the whole run
+    const { run, cancelledRunId, ...record } = current || createRecord(name);
+    return { ...record, ...changes, lockedUntil: null };
+  });
+}
+
+/**
+ * Save run progress after a step (keeps the lock)
+ * Returns null if the run was cancelled (and its key deleted) in the meantime
+ */
+async function saveRun(run) {
+  return state.update(RUNS_COLLECTION, run.runId, current => current ? run : null);
+}
+
+/**
+ * Delete a run's key and its data
+ */
+async function deleteRun(run) {
+  await state.removeMany(RUN_DATA_COLLECTION, getRunDataKeys(run));
+  await state.remove(RUNS_COLLECTION, run.runId);
+}
+
+/**
+ * Record a finished run in history, delete its run data and schedule the next one
+ */
+async function finishRun(job, run, status, { result = null, error = null } = {}) {
+  const finishedAt = new Date();
+  const durationMs = finishedAt - new Date(run.startedAt);
+
+  await state.set(HISTORY_COLLECTION, run.runId, {
+    runId: run.runId,
+    name: job.name,
+    trigger: run.trigger,
+    status,
+    startedAt: run.startedAt,
+    finishedAt: finishedAt.toISOString(),
+    durationMs,
+    invocations: run.invocations,
+    processed: run.processed,
+    total: run.total,
+    result,
+    error
+  });
+  await deleteRun(run);
+
+  // Keep the newest runs per job
+  const record = await state.get(JOBS_COLLECTION, job.name);
+  const history = [run.runId, ...(await getHistoryIds(job.name, record)).filter(id => id !== run.runId)];
+  await state.removeMany(HISTORY_COLLECTION, history.slice(JOB_SETTINGS.historyLimit));
+
+  await releaseLock(job.name, {
+    status: status === RUN_STATUS.FAILED ? JOB_STATUS.FAILED : JOB_STATUS.IDLE,
+    runId: null,
+    lastRunAt: finishedAt.toISOString(),
+    lastStatus: status,
+    lastError: error,
+    lastDurationMs: durationMs,
+    nextRunAt: job.schedule ? getNextRunTime(job.schedule, finishedAt).toISOString() : null,
+    history: history.slice(0, JOB_SETTINGS.historyLimit)
+  });
+}
+
+/**
+ * History run ids of a job, newest first
+ */
+async function getHistoryIds(name, record) {
+  if (record?.history) return record.history;
+
+  // Records from before per-job history lists: find the job's runs once
+  return Object.values(await state.getAll(HISTORY_COLLECTION))
+    .filter(h => h.name === name)
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+    .map(h => h.runId);
+}
+
+// ============================================
+// RUN DATA
+// ============================================
+
+/**
+ * Bulky data of one run, stored beside its cursor
+ * Lists are written in chunks, so a step reads and writes only its own slice:
+ * - write(name, items, chunkSize) - store a whole list (e.g. ids snapshotted in start)
+ * - append(name, items) - add one chunk (e.g. a step's output)
+ * - chunk(name, index), chunkCount(name), readAll(name)
+ * - set(name, value), get(name) - single values
+ * Which chunks and values exist is tracked on the run, so it is saved with the cursor
+ */
+function createRunData(run) {
+  const valueKey = name => `${run.runId}/${name}`;
+  const chunkKey = (name, index) => `${run.runId}/${name}/${index}`;
+  const limit = createLimiter(JOB_SETTINGS.readConcurrency);
+
+  const data = {
+    async write(name, items, chunkSize) {
+      const entries = {};
+      for (let i = 0; i * chunkSize < items.length; i++) {
+        entries[chunkKey(name, i)] = items.slice(i * chunkSize, (i + 1) * chunkSize);
+      }
+      await state.setMany(RUN_DATA_COLLECTION, entries);
+      run.chunks[name] = Object.keys(entries).length;
+    },
+
+    async append(name, items) {
+      if (!items.length) return;
+      const index = run.chunks[name] || 0;
+      await state.set(RUN_DATA_COLLECTION, chunkKey(name, index), items);
+      run.chunks[name] = index + 1;
+    },
+
+    chunkCount: name => run.chunks[name] || 0,
+
+    async chunk(name, index) {
+      return (await state.get(RUN_DATA_COLLECTION, chunkKey(name, index))) || [];
+    },
+
+    async readAll(name) {
+      const chunks = await Promise.all(Array.from({ length: data.chunkCount(name) }, (_, i) =>
+        limit(() => data.chunk(name, i))
+      ));
+      return chunks.flat();
+    },
+
+    async set(name, value) {
+      await state.set(RUN_DATA_COLLECTION, valueKey(name), value);
+      if (!run.values.includes(name)) run.values.push(name);
+    },
+
+    get: name => state.get(RUN_DATA_COLLECTION, valueKey(name))
+  };
+
+  return data;
+}
+
+/**
+ * Keys of everything a run stored through createRunData
+ */
+function getRunDataKeys(run) {
+  return [
+    ...(run.values || []).map(name => `${run.runId}/${name}`),
+    ...Object.entries(run.chunks || {}).flatMap(([name, count]) =>
+      Array.from({ length: count }, (_, i) => `${run.runId}/${name}/${i}`)
+    )
+  ];
+}
+
+/**
+ * Progress summary for a run
+ */
+function getProgress(run) {
+  return {
+    processed: run.processed,
+    total: run.total,
+    percent: run.total ? Math.min(100, Math.round((run.processed / run.total) * 100)) : null,
+    invocations: run.invocations
+  };
+}
+
+// ============================================
+// STATUS & HISTORY
+// ============================================
+
+/**
+ * Status of all jobs, or one job
+ */
+async function getJobStatus(name = null) {
+  const records = await state.getAll(JOBS_COLLECTION);
+  const names = name ? [getJob(name).name] : getJobNames();
+
+  const statuses = await Promise.all(names.map(async jobName => {
+    const job = getJob(jobName);
+    const record = records[jobName] || createRecord(jobName);
+    const run = record.runId ? await state.get(RUNS_COLLECTION, record.runId) : null;
+
+    return {
+      name: jobName,
+      description: job.description || '',
+      schedule: job.schedule || null,
+      chunked: !job.run,
+      status: record.status,
+      locked: !!record.lockedUntil && new Date(record.lockedUntil) > new Date(),
+      currentRun: run
+        ? {
+          runId: run.runId,
+          trigger: run.trigger,
+          startedAt: run.startedAt,
+          progress: getProgress(run)
+        }
+        : null,
+      lastRunAt: record.lastRunAt,
+      lastStatus: record.lastStatus,
+      lastError: record.lastError,
+      lastDurationMs: record.lastDurationMs,
+      nextRunAt: record.nextRunAt
+    };
+  }));
+
+  return name ? statuses[0] : statuses;
+}
+
+/**
+ * Finished runs for a job, newest first (results omitted unless requested)
+ */
+async function getJobHistory(name, options = {}) {
+  const { limit = JOB_SETTINGS.historyLimit, includeResults = false } = options;
+  getJob(name);
+
+  const ids = (await getHistoryIds(name, await state.get(JOBS_COLLECTION, name))).slice(0, limit);
+  const history = await Promise.all(ids.map(id => state.get(HISTORY_COLLECTION, id)));
+
+  return history
+    .filter(Boolean)
+    .map(h => includeResults ? h : { ...h, result: undefined });
+}
+
+/**
+ * Result of the newest completed run, or null
+ */
+async function getLatestJobResult(name) {
+  const history = await getJobHistory(name, { includeResults: true });
+  const latest = history.find(h => h.status === RUN_STATUS.COMPLETED);
+
+  if (!latest) return null;
+
+  return {
+    runId: latest.runId,
+    generatedAt: latest.finishedAt,
+    result: latest.result
+  };
+}
+
+module.exports = {
+  JOB_SETTINGS,
+  JOB_STATUS,
+  RUN_STATUS,
+  parseCron,
+  getNextRunTime,
+  registerJob,
+  getJob,
+  getJobNames,
+  runJob,
+  runDueJobs,
+  runDueJobsForTenants,
+  cancelJob,
+  getJobStatus,
+  getJobHistory,
+  getLatestJobResult
+};
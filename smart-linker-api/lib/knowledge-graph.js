@@ -7,7 +7,8 @@
 
 const { getAllArticles, querySimilar } = require('./pinecone');
 const { generateEmbedding } = require('./embeddings');
-const { getClient } = require('./claude');
+const { createMessage } = require('./llm');
+const state = require('./state-store');
 
 // Entity types for real estate domain
 const ENTITY_TYPES = {
@@ -20,18 +21,15 @@ const ENTITY_TYPES = {
   PERSON: 'person'           // Experts, authors
 };
 
-// Knowledge graph storage (in production, use a graph database)
-const knowledgeGraph = {
-  entities: new Map(),
-  relationships: []
-};
+// Knowledge graph is persisted in the state store
+// Entities are keyed by normalized name, relationships by "from|type|to"
+const ENTITY_COLLECTION = 'kg-entities';
+const RELATIONSHIP_COLLECTION = 'kg-relationships';
 
 /**
  * Extract entities from content using Claude
  */
 async function extractEntities(content, title = '') {
-  const client = getClient();
-
   const prompt = `Extract real estate entities from this content.
 
 Entity types:
@@ -58,8 +56,7 @@ Return JSON:
   ]
 }`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('extract-entities', {
     max_tokens: 800,
     messages: [{ role: 'user', content: prompt }]
   });
@@ -76,21 +73,25 @@ Return JSON:
 /**
  * Add entity to knowledge graph
  */
-function addEntity(entity) {
+async function addEntity(entity) {
   const key = normalizeEntityName(entity.name);
+  return state.update(ENTITY_COLLECTION, key, existing => mergeEntity(existing, entity));
+}
 
-  if (!knowledgeGraph.entities.has(key)) {
-    knowledgeGraph.entities.set(key, {
+/**
+ * Merge an entity mention into an existing entity record (or create one)
+ */
+function mergeEntity(existing, entity) {
+  if (!existing) {
+    existing = {
       name: entity.name,
-      normalizedName: key,
+      normalizedName: normalizeEntityName(entity.name),
       type: entity.type,
       mentions: [],
       relatedArticles: []
-    });
+    };
   }
 
-  const existing = knowledgeGraph.entities.get(key);
-
   if (entity.articleId && !existing.relatedArticles.includes(entity.articleId)) {
     existing.relatedArticles.push(entity.articleId);
   }
@@ -108,24 +109,20 @@ function addEntity(entity) {
 /**
  * Add relationship between entities
  */
-function addRelationship(from, to, type) {
+async function addRelationship(from, to, type) {
   const relationship = {
     from: normalizeEntityName(from),
     to: normalizeEntityName(to),
     type
   };
 
-  // Avoid duplicates
-  const exists = knowledgeGraph.relationships.some(r =>
-    r.from === relationship.from &&
-    r.to === relationship.to &&
-    r.type === relationship.type
+  // Keyed by endpoints + type, so duplicates overwrite themselves
+  await state.set(
+    RELATIONSHIP_COLLECTION,
+    `${relationship.from}|${relationship.type}|${relationship.to}`,
+    relationship
   );
 
-  if (!exists) {
-    knowledgeGraph.relationships.push(relationship);
-  }
-
   return relationship;
 }
 
@@ -139,26 +136,28 @@ function normalizeEntityName(name) {
 /**
  * Get entity by name
  */
-function getEntity(name) {
-  return knowledgeGraph.entities.get(normalizeEntityName(name));
+async function getEntity(name) {
+  return state.get(ENTITY_COLLECTION, normalizeEntityName(name));
 }
 
 /**
  * Get related entities
  */
-function getRelatedEntities(entityName) {
+async function getRelatedEntities(entityName) {
   const normalized = normalizeEntityName(entityName);
+  const entities = await state.getAll(ENTITY_COLLECTION);
+  const relationships = await state.getAll(RELATIONSHIP_COLLECTION);
   const related = [];
 
-  for (const rel of knowledgeGraph.relationships) {
+  for (const rel of Object.values(relationships)) {
     if (rel.from === normalized) {
-      const entity = knowledgeGraph.entities.get(rel.to);
+      const entity = entities[rel.to];
       if (entity) {
         related.push({ entity, relationship: rel.type, direction: 'outgoing' });
       }
     }
     if (rel.to === normalized) {
-      const entity = knowledgeGraph.entities.get(rel.from);
+      const entity = entities[rel.from];
       if (entity) {
         related.push({ entity, relationship: rel.type, direction: 'incoming' });
       }
@@ -169,34 +168,48 @@ function getRelatedEntities(entityName) {
 }
 
 /**
- * Build knowledge graph from all articles
+ * Merge a batch of articles' entities and clusters into the graph
+ * Merging is idempotent, so a batch can be re-run after an interrupted job
  */
-async function buildKnowledgeGraph() {
-  const articles = await getAllArticles();
-
-  for (const article of articles) {
-    const meta = article.metadata || article;
-
-    // Extract entities (using cached if available)
-    const entities = meta.entities || [];
+async function addArticlesToGraph(articles) {
+  await state.updateAll(ENTITY_COLLECTION, graphEntities => {
+    const addToGraph = (entity) => {
+      const key = normalizeEntityName(entity.name);
+      graphEntities[key] = mergeEntity(graphEntities[key], entity);
+    };
+
+    for (const article of articles) {
+      const meta = article.metadata || article;
+
+      // Extract entities (using cached if available)
+      const entities = meta.entities || [];
+
+      for (const entityName of entities) {
+        addToGraph({
+          name: entityName,
+          type: guessEntityType(entityName),
+          articleId: meta.postId
+        });
+      }
 
-    for (const entityName of entities) {
-      addEntity({
-        name: entityName,
-        type: guessEntityType(entityName),
-        articleId: meta.postId
-      });
+      // Add cluster as a concept entity
+      if (meta.topicCluster) {
+        addToGraph({
+          name: formatClusterName(meta.topicCluster),
+          type: ENTITY_TYPES.CONCEPT,
+          articleId: meta.postId
+        });
+      }
     }
+  });
+}
 
-    // Add cluster as a concept entity
-    if (meta.topicCluster) {
-      addEntity({
-        name: formatClusterName(meta.topicCluster),
-        type: ENTITY_TYPES.CONCEPT,
-        articleId: meta.postId
-      });
-    }
-  }
+/**
+ * Build knowledge graph from all articles
+ */
+async function buildKnowledgeGraph() {
+  const articles = await getAllArticles();
+  await addArticlesToGraph(articles);
 
   return getGraphStats();
 }
@@ -239,15 +252,18 @@ function formatClusterName(cluster) {
 /**
  * Get knowledge graph statistics
  */
-function getGraphStats() {
+async function getGraphStats() {
+  const entities = Object.values(await state.getAll(ENTITY_COLLECTION));
+  const relationships = await state.getAll(RELATIONSHIP_COLLECTION);
+
   const typeCount = {};
-  for (const entity of knowledgeGraph.entities.values()) {
+  for (const entity of entities) {
     typeCount[entity.type] = (typeCount[entity.type] || 0) + 1;
   }
 
   return {
-    totalEntities: knowledgeGraph.entities.size,
-    totalRelationships: knowledgeGraph.relationships.length,
+    totalEntities: entities.length,
+    totalRelationships: Object.keys(relationships).length,
     entitiesByType: typeCount
   };
 }
@@ -255,13 +271,29 @@ function getGraphStats() {
 /**
  * Find articles about an entity
  */
-function findArticlesAboutEntity(entityName) {
-  const entity = getEntity(entityName);
+async function findArticlesAboutEntity(entityName) {
+  const entity = await getEntity(entityName);
   if (!entity) return [];
 
   return entity.relatedArticles;
 }
 
+/**
+ * Get entities of a given type, most-referenced first
+ */
+async function getEntitiesByType(type) {
+  const entities = Object.values(await state.getAll(ENTITY_COLLECTION));
+
+  return entities
+    .filter(e => e.type === type)
+    .sort((a, b) => b.relatedArticles.length - a.relatedArticles.length)
+    .map(e => ({
+      name: e.name,
+      type: e.type,
+      relatedArticles: e.relatedArticles
+    }));
+}
+
 /**
  * Suggest entity-based links
  * Links articles that share common entities
@@ -307,11 +339,13 @@ async function suggestEntityBasedLinks(postId) {
 /**
  * Export graph for visualization
  */
-function exportGraphForVisualization() {
+async function exportGraphForVisualization() {
+  const entities = await state.getAll(ENTITY_COLLECTION);
+  const relationships = await state.getAll(RELATIONSHIP_COLLECTION);
   const nodes = [];
   const edges = [];
 
-  for (const [key, entity] of knowledgeGraph.entities) {
+  for (const [key, entity] of Object.entries(entities)) {
     nodes.push({
       id: key,
       label: entity.name,
@@ -320,7 +354,7 @@ function exportGraphForVisualization() {
     });
   }
 
-  for (const rel of knowledgeGraph.relationships) {
+  for (const rel of Object.values(relationships)) {
     edges.push({
       source: rel.from,
       target: rel.to,
@@ -339,8 +373,10 @@ module.exports = {
   getEntity,
   getRelatedEntities,
   buildKnowledgeGraph,
+  addArticlesToGraph,
   getGraphStats,
   findArticlesAboutEntity,
+  getEntitiesByType,
   suggestEntityBasedLinks,
   exportGraphForVisualization
 };
@@ -3,10 +3,20 @@
  *
  * Detects when content has drifted semantically from its original
  * version, suggesting that internal links may no longer be relevant.
+ *
+ * Drift is the cosine similarity between a target's embedding when a link
+ * to it was inserted (lib/embedding-history.js) and its embedding now.
  */
 
-const { getAllArticles, getArticle, updateMetadata } = require('./pinecone');
-const { generateEmbedding, cosineSimilarity } = require('./embeddings');
+const { getAllArticles, getArticle, getArticleEmbeddings } = require('./pinecone');
+const { generateArticleEmbedding, cosineSimilarity } = require('./embeddings');
+const {
+  recordEmbeddingVersion,
+  getEmbeddingHistory,
+  getAllEmbeddingHistory,
+  recordLinkBaseline,
+  getLinkBaselines
+} = require('./embedding-history');
 
 /**
  * Thresholds for decay detection
@@ -15,9 +25,127 @@ const DECAY_THRESHOLDS = {
   HEALTHY: 0.95,      // > 0.95 similarity = content unchanged
   MINOR: 0.85,        // 0.85-0.95 = minor updates
   MODERATE: 0.70,     // 0.70-0.85 = significant changes
-  MAJOR: 0.50         // < 0.70 = major rewrite, links may be stale
+  MAJOR: 0.50         // 0.50-0.70 = major rewrite, links may be stale; below = different article
 };
 
+// Words ignored when checking whether an anchor still fits its target
+const ANCHOR_STOPWORDS = new Set(['the', 'and', 'for', 'with', 'your', 'how', 'what', 'why', 'when', 'this', 'that', 'from', 'into', 'about']);
+
+/**
+ * Drift status for the similarity between two versions of an article
+ */
+function classifyDrift(similarity) {
+  if (similarity === null || similarity === undefined) return 'unknown';
+  if (similarity >= DECAY_THRESHOLDS.HEALTHY) return 'healthy';
+  if (similarity >= DECAY_THRESHOLDS.MINOR) return 'minor';
+  if (similarity >= DECAY_THRESHOLDS.MODERATE) return 'moderate';
+  if (similarity >= DECAY_THRESHOLDS.MAJOR) return 'major';
+  return 'rewritten';
+}
+
+/**
+ * Cosine similarity rounded for reports (null when the vectors can't be compared)
+ */
+function compareVectors(a, b) {
+  if (!a?.length || !b?.length || a.length !== b.length) return null;
+  return Math.round(cosineSimilarity(a, b) * 1000) / 1000;
+}
+
+/**
+ * Whether most of the anchor's words still appear in the target's current title, summary and topics
+ */
+function anchorStillFits(anchorText, target = {}) {
+  const words = (anchorText || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  const significant = words.filter(w => w.length > 2 && !ANCHOR_STOPWORDS.has(w));
+  if (significant.length === 0) return true;
+
+  const targetText = [
+    target.title,
+    target.summary,
+    ...(target.mainTopics || []),
+    ...(target.anchorPhrases || [])
+  ].filter(Boolean).join(' ').toLowerCase();
+
+  const found = significant.filter(w => targetText.includes(w)).length;
+  return found / significant.length >= 0.5;
+}
+
+/**
+ * Drift of each linked target since its link was inserted
+ *
+ * @param {Array} baselines - Link baselines (embedding-history)
+ * @param {Object} historyByPost - { postId: versions }
+ * @param {Object} currentVectors - { postId: vector } overrides (e.g. unsaved content)
+ * @returns {Array} { baseline, similarity, driftStatus, currentVersion } per comparable link
+ */
+function measureLinkDrift(baselines, historyByPost, currentVectors = {}) {
+  const results = [];
+
+  for (const baseline of baselines) {
+    const versions = historyByPost[baseline.targetId] || [];
+    const linkedVersion = versions.find(v => v.version === baseline.targetVersion);
+    const latest = versions[versions.length - 1];
+    const current = currentVectors[baseline.targetId] || latest?.vector;
+
+    const similarity = linkedVersion ? compareVectors(linkedVersion.vector, current) : null;
+    if (similarity === null) continue;
+
+    results.push({
+      baseline,
+      similarity,
+      driftStatus: classifyDrift(similarity),
+      currentVersion: currentVectors[baseline.targetId] ? 'unsaved' : latest.version
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Report entry for a link whose target drifted past MODERATE
+ */
+function describeDecayedLink({ baseline, similarity, driftStatus, currentVersion }, articlesById) {
+  const source = articlesById[baseline.sourceId] || {};
+  const target = articlesById[baseline.targetId] || {};
+  const fits = anchorStillFits(baseline.anchorText, target);
+
+  return {
+    sourceId: baseline.sourceId,
+    sourceTitle: source.title || null,
+    targetId: baseline.targetId,
+    targetTitle: target.title || null,
+    anchorText: baseline.anchorText,
+    similarity,
+    driftStatus,
+    linkedAt: baseline.linkedAt,
+    linkedVersion: baseline.targetVersion,
+    currentVersion,
+    anchorStillFits: fits,
+    reason: fits
+      ? `Target changed since the link was inserted (similarity ${similarity}) - check the link still belongs here`
+      : `Anchor "${baseline.anchorText}" was chosen for an earlier version of the target and no longer matches it`
+  };
+}
+
+/**
+ * Record the target versions newly inserted links were chosen against
+ * Targets without history get their stored embedding as the first version
+ *
+ * @param {number} sourceId - Post the links were inserted into
+ * @param {Array} links - [{ postId, anchorText }]
+ */
+async function trackLinkBaselines(sourceId, links) {
+  const embeddings = await getArticleEmbeddings([...new Set(links.map(l => l.postId))]);
+
+  for (const link of links) {
+    const embedding = embeddings[link.postId];
+    if (!embedding) continue;
+
+    const targetVersion = await recordEmbeddingVersion(link.postId, embedding);
+    await recordLinkBaseline({ sourceId, targetId: link.postId, anchorText: link.anchorText, targetVersion });
+  }
+}
+
 /**
  * Check if a single article has decayed
  *
@@ -32,23 +160,57 @@ async function checkArticleDecay(postId, currentContent) {
     return { error: 'Article not found in catalog' };
   }
 
-  // Get stored embedding
-  // Note: In production, you'd fetch the actual vector from Pinecone
-  // For now, we regenerate and compare metadata signals
+  const history = await getEmbeddingHistory(postId);
+  const first = history[0];
+  const latest = history[history.length - 1];
 
-  // Generate new embedding for current content
-  const currentEmbedding = await generateEmbedding(currentContent);
+  // Unsaved content is compared as it would be embedded on its next sync
+  const currentEmbedding = currentContent
+    ? await generateArticleEmbedding({ title: article.title, summary: article.summary, content: currentContent })
+    : latest?.vector || (await getArticleEmbeddings([postId]))[postId] || null;
+
+  const similarity = compareVectors(first?.vector, currentEmbedding);
+  const previous = currentContent ? latest : history[history.length - 2];
+
+  const articlesById = { [postId]: article };
+  const baselines = await getLinkBaselines({ targetId: postId });
+  for (const baseline of baselines) {
+    articlesById[baseline.sourceId] = articlesById[baseline.sourceId] || await getArticle(baseline.sourceId) || {};
+  }
+  const decayedLinks = measureLinkDrift(
+    baselines,
+    { [postId]: history },
+    currentContent && currentEmbedding ? { [postId]: currentEmbedding } : {}
+  )
+    .filter(link => link.similarity < DECAY_THRESHOLDS.MODERATE)
+    .map(link => describeDecayedLink(link, articlesById));
 
-  // Compare with stored metadata signals
   const analysis = {
     postId,
     title: article.title,
     lastUpdated: article.updatedAt,
-    decayStatus: 'unknown',
-    similarity: null,
+    decayStatus: classifyDrift(similarity),
+    similarity,
+    drift: {
+      versions: history.length,
+      firstRecordedAt: first?.recordedAt || null,
+      sinceFirst: similarity,
+      sincePrevious: compareVectors(previous?.vector, currentEmbedding),
+      comparedContent: currentContent ? 'submitted' : 'stored'
+    },
+    linksChecked: baselines.length,
+    decayedLinks,
     recommendations: []
   };
 
+  if (decayedLinks.length > 0) {
+    analysis.recommendations.push({
+      type: 'review_links',
+      reason: `${decayedLinks.length} inbound link(s) were inserted when this article covered different content`,
+      priority: 'high'
+    });
+  }
+
   // Check freshness based on update date
   const daysSinceUpdate = article.updatedAt
     ? (Date.now() - new Date(article.updatedAt).getTime()) / (1000 * 60 * 60 * 24)
@@ -77,68 +239,82 @@ async function checkArticleDecay(postId, currentContent) {
     }
   }
 
-  // If we detect the embedding has drifted significantly
-  // this would require storing previous embeddings for comparison
-  // For MVP, we flag based on metadata changes
-
   return analysis;
 }
 
 /**
- * Batch check all articles for decay signals
+ * Freshness and embedding drift of one article
+ *
+ * @param {Object} meta - Article metadata
+ * @param {Array} versions - Its embedding history (oldest first)
+ * @returns {Object} { status: 'healthy'|'needs_review'|'stale', item }
  */
-async function checkAllArticlesForDecay() {
-  const articles = await getAllArticles();
-  const now = Date.now();
+function assessArticleDecay(meta, versions = [], now = Date.now()) {
+  const updatedAt = meta.updatedAt ? new Date(meta.updatedAt).getTime() : 0;
+  const daysSinceUpdate = (now - updatedAt) / (1000 * 60 * 60 * 24);
+  const lifespan = meta.contentLifespan || 'evergreen';
 
-  const results = {
-    healthy: [],
-    needsReview: [],
-    stale: [],
-    summary: {}
-  };
+  let status = 'healthy';
+  let reason = null;
 
-  for (const article of articles) {
-    const meta = article.metadata || article;
-    const updatedAt = meta.updatedAt ? new Date(meta.updatedAt).getTime() : 0;
-    const daysSinceUpdate = (now - updatedAt) / (1000 * 60 * 60 * 24);
-    const lifespan = meta.contentLifespan || 'evergreen';
-
-    let status = 'healthy';
-    let reason = null;
-
-    // Check based on content lifespan
-    if (lifespan === 'time-sensitive') {
-      if (daysSinceUpdate > 180) {
-        status = 'stale';
-        reason = 'Time-sensitive content over 6 months old';
-      } else if (daysSinceUpdate > 90) {
-        status = 'needs_review';
-        reason = 'Time-sensitive content over 3 months old';
-      }
-    } else if (lifespan === 'seasonal') {
-      if (daysSinceUpdate > 365) {
-        status = 'needs_review';
-        reason = 'Seasonal content not updated this year';
-      }
-    } else {
-      // Evergreen
-      if (daysSinceUpdate > 730) {
-        status = 'needs_review';
-        reason = 'Content not updated in 2+ years';
-      }
+  // Check based on content lifespan
+  if (lifespan === 'time-sensitive') {
+    if (daysSinceUpdate > 180) {
+      status = 'stale';
+      reason = 'Time-sensitive content over 6 months old';
+    } else if (daysSinceUpdate > 90) {
+      status = 'needs_review';
+      reason = 'Time-sensitive content over 3 months old';
     }
+  } else if (lifespan === 'seasonal') {
+    if (daysSinceUpdate > 365) {
+      status = 'needs_review';
+      reason = 'Seasonal content not updated this year';
+    }
+  } else {
+    // Evergreen
+    if (daysSinceUpdate > 730) {
+      status = 'needs_review';
+      reason = 'Content not updated in 2+ years';
+    }
+  }
 
-    const item = {
+  // Drift of the current embedding from the first recorded one
+  const driftSimilarity = versions.length > 1
+    ? compareVectors(versions[0].vector, versions[versions.length - 1].vector)
+    : null;
+
+  return {
+    status,
+    item: {
       postId: meta.postId,
       title: meta.title,
       url: meta.url,
       cluster: meta.topicCluster,
       lifespan,
       daysSinceUpdate: Math.round(daysSinceUpdate),
-      reason
-    };
+      reason,
+      embeddingDrift: {
+        versions: versions.length,
+        similarity: driftSimilarity,
+        status: versions.length > 0 ? classifyDrift(driftSimilarity ?? 1) : 'unknown'
+      }
+    }
+  };
+}
+
+/**
+ * Decay report from assessed articles ([{ status, item }] from assessArticleDecay)
+ */
+function summarizeDecayResults(assessed) {
+  const results = {
+    healthy: [],
+    needsReview: [],
+    stale: [],
+    summary: {}
+  };
 
+  for (const { status, item } of assessed) {
     if (status === 'stale') {
       results.stale.push(item);
     } else if (status === 'needs_review') {
@@ -152,25 +328,55 @@ async function checkAllArticlesForDecay() {
   results.stale.sort((a, b) => b.daysSinceUpdate - a.daysSinceUpdate);
   results.needsReview.sort((a, b) => b.daysSinceUpdate - a.daysSinceUpdate);
 
+  const items = assessed.map(a => a.item);
   results.summary = {
-    total: articles.length,
+    total: assessed.length,
     healthy: results.healthy.length,
     needsReview: results.needsReview.length,
     stale: results.stale.length,
-    healthPercentage: Math.round((results.healthy.length / articles.length) * 100)
+    healthPercentage: assessed.length ? Math.round((results.healthy.length / assessed.length) * 100) : 100,
+    withEmbeddingHistory: items.filter(item => item.embeddingDrift.versions > 0).length,
+    drifted: items
+      .filter(item => item.embeddingDrift.similarity !== null && item.embeddingDrift.similarity < DECAY_THRESHOLDS.MODERATE)
+      .length
   };
 
   return results;
 }
 
 /**
- * Find links that may have decayed
- * (Links from fresh content to stale content)
+ * Batch check all articles for decay signals
  */
-async function findDecayedLinks() {
-  const decayCheck = await checkAllArticlesForDecay();
-  const staleIds = new Set(decayCheck.stale.map(a => a.postId));
+async function checkAllArticlesForDecay() {
   const articles = await getAllArticles();
+  const historyByPost = await getAllEmbeddingHistory();
+  const now = Date.now();
+
+  return summarizeDecayResults(articles.map(article =>
+    assessArticleDecay(article.metadata || article, historyByPost[(article.metadata || article).postId], now)
+  ));
+}
+
+/**
+ * Link decay report from measured link drift (measureLinkDrift) and a decay report
+ * driftedLinks: inserted links whose target drifted past MODERATE since
+ * decayedLinks: fresh articles in the same cluster as stale content
+ *
+ * @param {Array} measured - Drift of every comparable link
+ * @param {number} baselineCount - Links with a baseline, comparable or not
+ * @param {Object} decayCheck - checkAllArticlesForDecay report
+ * @param {Array} articles - Catalog (getAllArticles)
+ */
+function reportDecayedLinks(measured, baselineCount, decayCheck, articles) {
+  const articlesById = Object.fromEntries(articles.map(a => {
+    const meta = a.metadata || a;
+    return [meta.postId, meta];
+  }));
+
+  const driftedLinks = measured
+    .filter(link => link.similarity < DECAY_THRESHOLDS.MODERATE)
+    .sort((a, b) => a.similarity - b.similarity)
+    .map(link => describeDecayedLink(link, articlesById));
 
   const decayedLinks = [];
 
@@ -203,15 +409,37 @@ async function findDecayedLinks() {
     }
   }
 
+  let recommendation = 'No immediate link decay issues detected';
+  if (driftedLinks.length > 0) {
+    recommendation = 'Re-check the anchors of drifted links and update or remove links whose target changed topic';
+  } else if (decayedLinks.length > 0) {
+    recommendation = 'Review these articles and update or remove links to stale content';
+  }
+
   return {
+    driftedLinks,
+    linksChecked: measured.length,
+    linksWithoutHistory: baselineCount - measured.length,
     decayedLinks,
     totalStale: decayCheck.stale.length,
-    recommendation: decayedLinks.length > 0
-      ? 'Review these articles and update or remove links to stale content'
-      : 'No immediate link decay issues detected'
+    recommendation
   };
 }
 
+/**
+ * Find links that may have decayed
+ *
+ * @param {Object} decayCheck - checkAllArticlesForDecay report, when the caller already has one
+ */
+async function findDecayedLinks(decayCheck = null) {
+  const report = decayCheck || await checkAllArticlesForDecay();
+  const articles = await getAllArticles();
+  const baselines = await getLinkBaselines();
+  const measured = measureLinkDrift(baselines, await getAllEmbeddingHistory());
+
+  return reportDecayedLinks(measured, baselines.length, report, articles);
+}
+
 /**
  * Get decay score for use in link scoring
  * Fresh content scores higher
@@ -246,7 +474,13 @@ function getDecayScore(article) {
 module.exports = {
   checkArticleDecay,
   checkAllArticlesForDecay,
+  assessArticleDecay,
+  summarizeDecayResults,
+  measureLinkDrift,
+  reportDecayedLinks,
   findDecayedLinks,
   getDecayScore,
+  classifyDrift,
+  trackLinkBaselines,
   DECAY_THRESHOLDS
 };
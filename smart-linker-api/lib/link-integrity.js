@@ -0,0 +1,288 @@
+/**
+ * Internal Link Integrity
+ *
+ * Site-wide scan of internal links: resolves every internal href against
+ * catalog URLs, slugs and the retired URL history, flags links to deleted
+ * or moved articles, and suggests the closest live replacement.
+ */
+
+const { getAllArticles, querySimilar } = require('./pinecone');
+const { generateEmbedding } = require('./embeddings');
+const { extractExistingLinks } = require('./link-upgrade');
+const {
+  RETIRED_REASONS,
+  normalizeUrlPath,
+  getSlugFromUrl,
+  getRetiredUrls
+} = require('./url-history');
+
+// Link resolution results
+const LINK_INTEGRITY = {
+  OK: 'ok',                 // Resolves to a live catalog article
+  MOVED: 'moved',           // Article still exists under a different URL
+  DELETED: 'deleted',       // Article was removed from the catalog
+  UNRESOLVED: 'unresolved'  // No catalog match and no history (may be a non-article page)
+};
+
+// Hrefs that are never catalog articles
+const IGNORED_HREF = /^(#|mailto:|tel:|javascript:)|\/wp-(admin|content|json)\/|\.(pdf|jpe?g|png|gif|webp|svg|zip|docx?|xlsx?)(\?|#|$)/i;
+
+/**
+ * Extract internal article hrefs from HTML content
+ */
+function extractInternalLinkUrls(content) {
+  if (!content) return [];
+
+  const urls = extractExistingLinks(content)
+    .map(link => link.url)
+    .filter(url => !IGNORED_HREF.test(url));
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Build lookup tables for resolving hrefs
+ */
+function buildCatalogIndex(articles) {
+  const byPath = new Map();
+  const bySlug = new Map();
+  const byPostId = new Map();
+
+  for (const article of articles) {
+    const meta = article.metadata || article;
+    byPostId.set(meta.postId, meta);
+
+    const path = normalizeUrlPath(meta.url);
+    if (path) byPath.set(path, meta);
+
+    const slug = (meta.slug || getSlugFromUrl(meta.url) || '').toLowerCase();
+    if (slug) {
+      if (!bySlug.has(slug)) bySlug.set(slug, []);
+      bySlug.get(slug).push(meta);
+    }
+  }
+
+  return { byPath, bySlug, byPostId };
+}
+
+/**
+ * Resolve one internal href
+ *
+ * @param {string} href - Link target as written in the content
+ * @param {Object} catalogIndex - From buildCatalogIndex
+ * @param {Object} retiredUrls - From getRetiredUrls ({ path: entry })
+ * @returns {Object} { status, target, retired, reason }
+ */
+function resolveInternalLink(href, catalogIndex, retiredUrls = {}) {
+  const path = normalizeUrlPath(href);
+  const describe = meta => ({ postId: meta.postId, title: meta.title, url: meta.url });
+
+  // Exact URL match
+  if (path && catalogIndex.byPath.has(path)) {
+    return { status: LINK_INTEGRITY.OK, target: describe(catalogIndex.byPath.get(path)) };
+  }
+
+  // ?p=123 style links
+  const postIdMatch = href.match(/[?&]p=(\d+)/);
+  if (postIdMatch && catalogIndex.byPostId.has(parseInt(postIdMatch[1]))) {
+    return { status: LINK_INTEGRITY.OK, target: describe(catalogIndex.byPostId.get(parseInt(postIdMatch[1]))) };
+  }
+
+  // Known retired URL
+  const retired = path ? retiredUrls[path] : null;
+  if (retired?.reason === RETIRED_REASONS.MOVED) {
+    const current = catalogIndex.byPostId.get(retired.postId);
+    if (current) {
+      return {
+        status: LINK_INTEGRITY.MOVED,
+        target: describe(current),
+        retired,
+        reason: `URL changed to ${current.url}`
+      };
+    }
+  }
+  if (retired) {
+    return {
+      status: LINK_INTEGRITY.DELETED,
+      target: null,
+      retired,
+      reason: `"${retired.title}" was removed from the catalog`
+    };
+  }
+
+  // Same slug under a different path (category/permalink change)
+  const slug = getSlugFromUrl(href);
+  const slugMatches = slug ? catalogIndex.bySlug.get(slug) || [] : [];
+  if (slugMatches.length === 1) {
+    return {
+      status: LINK_INTEGRITY.MOVED,
+      target: describe(slugMatches[0]),
+      reason: `Slug "${slug}" now lives at ${slugMatches[0].url}`
+    };
+  }
+
+  return {
+    status: LINK_INTEGRITY.UNRESOLVED,
+    target: null,
+    reason: 'No catalog article at this URL'
+  };
+}
+
+/**
+ * Suggest live replacements for a dead link
+ * Uses the deleted article's stored embedding, or the anchor text + slug
+ */
+async function suggestReplacements(link, sourcePostId, resolution, limit = 3) {
+  let embedding = resolution.retired?.embedding || null;
+
+  if (!embedding) {
+    const slugWords = (getSlugFromUrl(link.url) || '').replace(/[-_]+/g, ' ');
+    const text = [link.anchorText, resolution.retired?.title, slugWords].filter(Boolean).join(' - ');
+    if (!text.trim()) return [];
+    embedding = await generateEmbedding(text);
+  }
+
+  const matches = await querySimilar(embedding, {
+    topK: limit + 5,
+    excludeIds: [sourcePostId]
+  });
+
+  return matches
+    .filter(m => m.metadata?.postId !== undefined && m.id.startsWith('article-'))
+    .slice(0, limit)
+    .map(m => ({
+      postId: m.metadata.postId,
+      title: m.metadata.title,
+      url: m.metadata.url,
+      similarity: Math.round(m.score * 100) / 100
+    }));
+}
+
+/**
+ * Scan internal links across the catalog
+ *
+ * @param {Object} options
+ * @param {Array} options.articles - Optional [{ postId, content }] to scan live content
+ *                                   instead of the internalLinks stored at sync time
+ * @param {Array} options.postIds - Limit the scan to these source posts
+ * @param {boolean} options.suggest - Suggest replacements for dead links (default true)
+ * @param {boolean} options.includeOk - Include healthy links in per-post results
+ * @returns {Object} { posts, summary }
+ */
+async function scanInternalLinks(options = {}) {
+  const {
+    articles = null,
+    postIds = null,
+    suggest = true,
+    includeOk = false,
+    maxSuggestions = 3
+  } = options;
+
+  const catalog = await getAllArticles({ limit: 10000 });
+  const catalogIndex = buildCatalogIndex(catalog);
+  const retiredUrls = await getRetiredUrls();
+
+  // Sources: supplied content, or hrefs captured at sync time
+  let sources;
+  if (articles && articles.length > 0) {
+    sources = articles.map(a => {
+      const meta = catalogIndex.byPostId.get(a.postId) || {};
+      return {
+        postId: a.postId,
+        title: a.title || meta.title,
+        url: a.url || meta.url,
+        links: extractExistingLinks(a.content || '')
+          .filter(l => !IGNORED_HREF.test(l.url))
+          .map(l => ({ url: l.url, anchorText: l.anchorText }))
+      };
+    });
+  } else {
+    sources = catalog.map(a => a.metadata || a).map(meta => ({
+      postId: meta.postId,
+      title: meta.title,
+      url: meta.url,
+      links: (meta.internalLinks || []).map(url => ({ url, anchorText: '' }))
+    }));
+  }
+
+  if (postIds && postIds.length > 0) {
+    sources = sources.filter(s => postIds.includes(s.postId));
+  }
+
+  const summary = {
+    postsScanned: sources.length,
+    postsWithIssues: 0,
+    linksChecked: 0,
+    [LINK_INTEGRITY.OK]: 0,
+    [LINK_INTEGRITY.MOVED]: 0,
+    [LINK_INTEGRITY.DELETED]: 0,
+    [LINK_INTEGRITY.UNRESOLVED]: 0,
+    postsWithoutLinkData: 0
+  };
+  const posts = [];
+
+  for (const source of sources) {
+    if (source.links.length === 0) {
+      summary.postsWithoutLinkData++;
+      continue;
+    }
+
+    const results = [];
+
+    for (const link of source.links) {
+      const resolution = resolveInternalLink(link.url, catalogIndex, retiredUrls);
+      summary.linksChecked++;
+      summary[resolution.status]++;
+
+      if (resolution.status === LINK_INTEGRITY.OK && !includeOk) continue;
+
+      const result = {
+        href: link.url,
+        anchorText: link.anchorText,
+        status: resolution.status,
+        reason: resolution.reason || null,
+        target: resolution.target
+      };
+
+      if (resolution.status === LINK_INTEGRITY.MOVED) {
+        result.replacement = resolution.target;
+      } else if (suggest && resolution.status !== LINK_INTEGRITY.OK) {
+        try {
+          result.suggestions = await suggestReplacements(link, source.postId, resolution, maxSuggestions);
+        } catch (error) {
+          console.error('Replacement suggestion failed:', error.message);
+          result.suggestions = [];
+        }
+      }
+
+      results.push(result);
+    }
+
+    const issues = results.filter(r => r.status !== LINK_INTEGRITY.OK).length;
+    if (issues > 0) summary.postsWithIssues++;
+
+    if (results.length > 0) {
+      posts.push({
+        postId: source.postId,
+        title: source.title,
+        url: source.url,
+        linkCount: source.links.length,
+        issues,
+        links: results
+      });
+    }
+  }
+
+  posts.sort((a, b) => b.issues - a.issues);
+
+  return { posts, summary };
+}
+
+module.exports = {
+  LINK_INTEGRITY,
+  extractInternalLinkUrls,
+  buildCatalogIndex,
+  resolveInternalLink,
+  suggestReplacements,
+  scanInternalLinks
+};
@@ -0,0 +1,304 @@
+/**
+ * Deleted Article Link Replacement
+ *
+ * When an article is removed from the catalog, finds every post that linked
+ * to it, ranks replacement targets (same topicCluster first) by similarity to
+ * the deleted article, and optionally queues rewrite instructions for the
+ * WordPress plugin to apply.
+ */
+
+const state = require('./state-store');
+const {
+  getAllArticles,
+  getArticle,
+  querySimilar,
+  updateMetadata,
+  incrementInboundLinks
+} = require('./pinecone');
+const { generateEmbedding } = require('./embeddings');
+const { normalizeUrlPath } = require('./url-history');
+const { trackLinkBaselines } = require('./link-decay');
+
+const COLLECTION = 'link-rewrites';
+
+const REWRITE_STATUS = {
+  PENDING: 'pending',
+  APPLIED: 'applied',     // Plugin swapped the link to the replacement
+  DISMISSED: 'dismissed'  // Plugin removed the link or an editor rejected the swap
+};
+
+// ============================================
+// AFFECTED SOURCES
+// ============================================
+
+/**
+ * Find catalog posts that link to a deleted article
+ * Uses the deleted article's inbound anchors, the sources' outboundLinks
+ * and the internal hrefs captured at sync time
+ */
+function findAffectedSources(deleted, catalog) {
+  const deletedPath = normalizeUrlPath(deleted.url);
+  const affected = new Map();
+
+  const addSource = (meta, link) => {
+    if (!meta || meta.postId === deleted.postId) return;
+
+    const entry = affected.get(meta.postId) || {
+      postId: meta.postId,
+      title: meta.title,
+      url: meta.url,
+      topicCluster: meta.topicCluster || null,
+      href: null,
+      anchorText: null
+    };
+    entry.href = entry.href || link.href || null;
+    entry.anchorText = entry.anchorText || link.anchorText || null;
+    affected.set(meta.postId, entry);
+  };
+
+  const byPostId = new Map(catalog.map(a => {
+    const meta = a.metadata || a;
+    return [meta.postId, meta];
+  }));
+
+  for (const anchor of deleted.inboundAnchors || []) {
+    addSource(byPostId.get(anchor.sourceId), { anchorText: anchor.text });
+  }
+
+  for (const meta of byPostId.values()) {
+    const outbound = (meta.outboundLinks || []).find(l => (l.targetId ?? l) === deleted.postId);
+    if (outbound) {
+      addSource(meta, { anchorText: outbound.anchor });
+    }
+
+    const href = deletedPath
+      ? (meta.internalLinks || []).find(u => normalizeUrlPath(u) === deletedPath)
+      : null;
+    if (href) {
+      addSource(meta, { href });
+    }
+  }
+
+  return [...affected.values()];
+}
+
+// ============================================
+// REPLACEMENT RANKING
+// ============================================
+
+/**
+ * Rank live replacement candidates for a deleted article
+ * Same-cluster matches come first; other clusters are only used as a fallback
+ */
+async function rankReplacementCandidates(deleted, embedding, limit = 10) {
+  if (!embedding) {
+    const text = [deleted.title, deleted.summary].filter(Boolean).join(' - ');
+    if (!text.trim()) return [];
+    embedding = await generateEmbedding(text);
+  }
+
+  const toCandidate = m => ({
+    postId: m.metadata.postId,
+    title: m.metadata.title,
+    url: m.metadata.url,
+    topicCluster: m.metadata.topicCluster || null,
+    similarity: Math.round(m.score * 100) / 100,
+    sameCluster: !!deleted.topicCluster && m.metadata.topicCluster === deleted.topicCluster
+  });
+  const isArticle = m => m.metadata?.postId !== undefined && m.id.startsWith('article-');
+
+  const candidates = [];
+
+  if (deleted.topicCluster) {
+    const matches = await querySimilar(embedding, {
+      topK: limit + 5,
+      filter: { topicCluster: deleted.topicCluster },
+      excludeIds: [deleted.postId]
+    });
+    candidates.push(...matches.filter(isArticle).map(toCandidate));
+  }
+
+  if (candidates.length < limit) {
+    const seen = new Set(candidates.map(c => c.postId));
+    const matches = await querySimilar(embedding, {
+      topK: limit + 5,
+      excludeIds: [deleted.postId]
+    });
+    candidates.push(...matches
+      .filter(m => isArticle(m) && !seen.has(m.metadata.postId))
+      .map(toCandidate));
+  }
+
+  return candidates.slice(0, limit);
+}
+
+// ============================================
+// DELETION REPORT
+// ============================================
+
+/**
+ * Build the replacement report for a deleted article
+ *
+ * @param {Object} deleted - Deleted article metadata (postId, url, title, topicCluster, ...)
+ * @param {Array|null} embedding - Deleted article embedding, if it was still stored
+ * @param {Object} options
+ * @param {boolean} options.queueRewrites - Queue rewrite instructions for the plugin
+ * @param {number} options.alternatives - Extra ranked candidates per source (default 2)
+ * @returns {Object} { deletedPostId, deletedUrl, topicCluster, affectedCount, affected, queued }
+ */
+async function planReplacementLinks(deleted, embedding = null, options = {}) {
+  const { queueRewrites = false, alternatives = 2 } = options;
+
+  const catalog = await getAllArticles({ limit: 10000 });
+  const affected = findAffectedSources(deleted, catalog);
+
+  const report = {
+    deletedPostId: deleted.postId,
+    deletedUrl: deleted.url,
+    topicCluster: deleted.topicCluster || null,
+    affectedCount: affected.length,
+    affected: [],
+    queued: 0
+  };
+
+  if (affected.length === 0) return report;
+
+  // One ranking for the deleted article; each source skips itself
+  const candidates = await rankReplacementCandidates(deleted, embedding, alternatives + 6);
+
+  for (const source of affected) {
+    const ranked = candidates.filter(c => c.postId !== source.postId);
+
+    report.affected.push({
+      sourcePostId: source.postId,
+      title: source.title,
+      url: source.url,
+      oldUrl: source.href || deleted.url,
+      anchorText: source.anchorText,
+      replacement: ranked[0] || null,
+      alternatives: ranked.slice(1, alternatives + 1)
+    });
+  }
+
+  if (queueRewrites) {
+    report.queued = await queueRewriteInstructions(deleted, report.affected);
+  }
+
+  return report;
+}
+
+// ============================================
+// REWRITE QUEUE
+// ============================================
+
+/**
+ * Queue one rewrite per affected source that has a replacement
+ */
+async function queueRewriteInstructions(deleted, affected) {
+  const now = new Date().toISOString();
+  const entries = {};
+
+  for (const item of affected) {
+    if (!item.replacement) continue;
+
+    const id = `${item.sourcePostId}:${deleted.postId}`;
+    entries[id] = {
+      id,
+      sourcePostId: item.sourcePostId,
+      deletedPostId: deleted.postId,
+      oldUrl: item.oldUrl,
+      newUrl: item.replacement.url,
+      newPostId: item.replacement.postId,
+      newTitle: item.replacement.title,
+      anchorText: item.anchorText,
+      status: REWRITE_STATUS.PENDING,
+      createdAt: now
+    };
+  }
+
+  const count = Object.keys(entries).length;
+  if (count > 0) {
+    await state.setMany(COLLECTION, entries);
+  }
+
+  return count;
+}
+
+/**
+ * Get queued rewrites, oldest first
+ */
+async function getRewriteQueue(options = {}) {
+  const { status = REWRITE_STATUS.PENDING, sourcePostId = null } = options;
+
+  return Object.values(await state.getAll(COLLECTION))
+    .filter(r => !status || r.status === status)
+    .filter(r => sourcePostId === null || r.sourcePostId === sourcePostId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Mark rewrites as applied or dismissed
+ * Applied rewrites move the source's outbound link and inbound count to the replacement
+ */
+async function resolveRewrites(ids, status = REWRITE_STATUS.APPLIED) {
+  if (status !== REWRITE_STATUS.APPLIED && status !== REWRITE_STATUS.DISMISSED) {
+    throw new Error(`Invalid rewrite status: ${status}`);
+  }
+
+  const resolved = [];
+  const notFound = [];
+
+  for (const id of ids) {
+    const rewrite = await state.update(COLLECTION, id, existing => {
+      if (!existing || existing.status !== REWRITE_STATUS.PENDING) return null;
+      return { ...existing, status, resolvedAt: new Date().toISOString() };
+    });
+
+    if (!rewrite) {
+      notFound.push(id);
+      continue;
+    }
+
+    try {
+      await updateSourceLinks(rewrite);
+    } catch (error) {
+      console.error('Failed to update link metadata for rewrite:', id, error.message);
+    }
+
+    resolved.push(rewrite);
+  }
+
+  return { resolved, notFound };
+}
+
+/**
+ * Drop the dead target from the source's outboundLinks and credit the replacement
+ */
+async function updateSourceLinks(rewrite) {
+  const source = await getArticle(rewrite.sourcePostId);
+  if (!source) return;
+
+  const outboundLinks = (source.outboundLinks || [])
+    .filter(l => (l.targetId ?? l) !== rewrite.deletedPostId);
+
+  if (rewrite.status === REWRITE_STATUS.APPLIED) {
+    outboundLinks.push({
+      targetId: rewrite.newPostId,
+      anchor: rewrite.anchorText || '',
+      createdAt: new Date().toISOString()
+    });
+    await incrementInboundLinks(rewrite.newPostId);
+    await trackLinkBaselines(rewrite.sourcePostId, [{ postId: rewrite.newPostId, anchorText: rewrite.anchorText }]);
+  }
+
+  await updateMetadata(rewrite.sourcePostId, { outboundLinks });
+}
+
+module.exports = {
+  REWRITE_STATUS,
+  findAffectedSources,
+  rankReplacementCandidates,
+  planReplacementLinks,
+  getRewriteQueue,
+  resolveRewrites
+};
@@ -8,6 +8,7 @@
 const { querySimilar, getArticle } = require('./pinecone');
 const { generateEmbedding } = require('./embeddings');
 const { calculateHybridScore } = require('./scoring');
+const { isSiteUrl } = require('./tenants');
 
 // Minimum improvement threshold to trigger upgrade (percentage)
 const UPGRADE_THRESHOLD = 15; // 15% better score required
@@ -33,7 +34,7 @@ function extractExistingLinks(content) {
     const anchorText = match[2].replace(/<[^>]*>/g, '').trim();
 
     // Only internal links
-    if (!url.startsWith('http') || url.includes('lendcity.ca')) {
+    if (isSiteUrl(url)) {
       links.push({
         url,
         anchorText,
@@ -0,0 +1,196 @@
+/**
+ * LLM Spending Limits
+ *
+ * Daily and monthly USD caps, site-wide and per route, checked against the
+ * spend ledgers in lib/llm-usage.js. Going over a cap degrades rather than
+ * breaks the API:
+ * - the gateway refuses optional tasks (re-ranking, AI enrichment, content
+ *   generation) with a BUDGET_EXCEEDED error
+ * - routes check getBudgetStatus() up front and take their cheap path
+ *   (no cross-encoder re-rank, enrichArticleLight)
+ * - essential tasks (sync analysis, summaries, link placement, meta) and
+ *   embeddings keep running so the catalog and linking stay usable
+ *
+ * Configure with LLM_DAILY_BUDGET_USD, LLM_MONTHLY_BUDGET_USD and
+ * LLM_ROUTE_BUDGETS ({"smart-link": {"daily": 2, "monthly": 40}}).
+ */
+
+const { getUsageContext, getPeriodSpend } = require('./llm-usage');
+
+// Share of a cap at which status turns to warning
+const BUDGET_WARNING_RATIO = 0.8;
+
+// Tasks that keep running over budget - everything else is deferrable
+const ESSENTIAL_TASKS = [
+  'anchor-text',
+  'meta',
+  'link-analysis',
+  'summary',
+  'extract-keywords',
+  'auto-analyze',
+  'batch-analyze',
+  'embedding'
+];
+
+/**
+ * Parse a USD amount from the environment (null when unset or invalid)
+ */
+function parseLimit(value) {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+/**
+ * Configured caps: { daily, monthly, routes: { route: { daily, monthly } } }
+ */
+function getBudgetConfig() {
+  let routes = {};
+  if (process.env.LLM_ROUTE_BUDGETS) {
+    try {
+      const parsed = JSON.parse(process.env.LLM_ROUTE_BUDGETS);
+      for (const [route, limits] of Object.entries(parsed)) {
+        routes[route] = {
+          daily: parseLimit(limits?.daily),
+          monthly: parseLimit(limits?.monthly)
+        };
+      }
+    } catch (error) {
+      console.error('Invalid LLM_ROUTE_BUDGETS JSON:', error.message);
+      routes = {};
+    }
+  }
+
+  return {
+    daily: parseLimit(process.env.LLM_DAILY_BUDGET_USD),
+    monthly: parseLimit(process.env.LLM_MONTHLY_BUDGET_USD),
+    routes
+  };
+}
+
+/**
+ * Whether any cap is configured
+ */
+function hasBudgets(config = getBudgetConfig()) {
+  return config.daily !== null || config.monthly !== null ||
+    Object.values(config.routes).some(r => r.daily !== null || r.monthly !== null);
+}
+
+/**
+ * One cap compared with its ledger
+ */
+function checkLimit(scope, period, limitUsd, ledger, route = null) {
+  const spentUsd = ledger?.costUsd || 0;
+  const ratio = limitUsd > 0 ? spentUsd / limitUsd : (spentUsd > 0 ? Infinity : 1);
+
+  return {
+    scope,
+    period,
+    ...(route && { route }),
+    limitUsd,
+    spentUsd,
+    remainingUsd: Math.max(0, Math.round((limitUsd - spentUsd) * 1e6) / 1e6),
+    percent: Number.isFinite(ratio) ? Math.round(ratio * 100) : 100,
+    status: ratio >= 1 ? 'exceeded' : ratio >= BUDGET_WARNING_RATIO ? 'warning' : 'ok'
+  };
+}
+
+/**
+ * Budget status for a route (defaults to the current usage context)
+ *
+ * @param {string} route - Route name as passed to withUsageRoute
+ * @returns {Object} { configured, exceeded, warning, limits: [...] }
+ */
+async function getBudgetStatus(route = getUsageContext().route) {
+  const config = getBudgetConfig();
+  if (!hasBudgets(config)) {
+    return { configured: false, exceeded: false, warning: false, limits: [] };
+  }
+
+  const { day, month } = await getPeriodSpend();
+  const limits = [];
+
+  if (config.daily !== null) limits.push(checkLimit('site', 'daily', config.daily, day));
+  if (config.monthly !== null) limits.push(checkLimit('site', 'monthly', config.monthly, month));
+
+  const routeLimits = route ? config.routes[route] : null;
+  if (routeLimits?.daily != null) {
+    limits.push(checkLimit('route', 'daily', routeLimits.daily, day?.byRoute?.[route], route));
+  }
+  if (routeLimits?.monthly != null) {
+    limits.push(checkLimit('route', 'monthly', routeLimits.monthly, month?.byRoute?.[route], route));
+  }
+
+  return {
+    configured: true,
+    ...(route && { route }),
+    exceeded: limits.some(l => l.status === 'exceeded'),
+    warning: limits.some(l => l.status !== 'ok'),
+    limits
+  };
+}
+
+/**
+ * Status of every configured cap, site-wide and for each route with limits
+ */
+async function getAllBudgetStatus() {
+  const config = getBudgetConfig();
+  const [site, ...routes] = await Promise.all([
+    getBudgetStatus(null),
+    ...Object.keys(config.routes).map(route => getBudgetStatus(route))
+  ]);
+
+  return {
+    ...site,
+    exceeded: site.exceeded || routes.some(r => r.exceeded),
+    warning: site.warning || routes.some(r => r.warning),
+    limits: [...site.limits, ...routes.flatMap(r => r.limits.filter(l => l.scope === 'route'))]
+  };
+}
+
+/**
+ * Throw BUDGET_EXCEEDED if the task is deferrable and the current route is over a cap
+ * Called by the LLM gateway before each request
+ */
+async function assertWithinBudget(task) {
+  if (ESSENTIAL_TASKS.includes(task) || !hasBudgets()) return;
+
+  const status = await getBudgetStatus();
+  if (!status.exceeded) return;
+
+  const exceeded = status.limits.find(l => l.status === 'exceeded');
+  const error = new Error(
+    `LLM ${exceeded.period} budget exceeded (${exceeded.scope === 'route' ? `route ${exceeded.route}` : 'site'}: ` +
+    `$${exceeded.spentUsd.toFixed(2)} of $${exceeded.limitUsd.toFixed(2)}) - skipped ${task}`
+  );
+  error.code = 'BUDGET_EXCEEDED';
+  error.budget = status;
+  throw error;
+}
+
+/**
+ * Whether an error is the gateway refusing a task over budget
+ */
+function isBudgetExceeded(error) {
+  return error?.code === 'BUDGET_EXCEEDED';
+}
+
+/**
+ * 429 response for a BUDGET_EXCEEDED error (route catch blocks, before their 500)
+ */
+function sendBudgetExceeded(res, error) {
+  return res.status(429).json({
+    error: 'LLM budget exceeded',
+    message: error.message,
+    budget: error.budget
+  });
+}
+
+module.exports = {
+  ESSENTIAL_TASKS,
+  getBudgetConfig,
+  getBudgetStatus,
+  getAllBudgetStatus,
+  assertWithinBudget,
+  isBudgetExceeded,
+  sendBudgetExceeded
+};
@@ -0,0 +1,272 @@
+/**
+ * LLM Usage Accounting
+ *
+ * Token and cost totals for every Claude and OpenAI embedding call:
+ * - llm-usage: all-time totals per route, by task and model
+ * - llm-spend: one key per day and per month ("day:2026-01-31", "month:2026-01")
+ *   with totals by route, model, provider and the most expensive posts, read by
+ *   the budget caps (lib/llm-budget.js) and the usage report
+ *
+ * Recording a call updates three single keys (route, day, month), so the cost
+ * on the request path doesn't grow with history or catalog size.
+ *
+ * The route and postId come from an async context that API handlers set with
+ * withUsageRoute() / withUsageContext(), so library code doesn't pass them along.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const state = require('./state-store');
+
+const COLLECTION = 'llm-usage';
+const SPEND_COLLECTION = 'llm-spend';
+
+// Day ledgers older than this are dropped; month ledgers are kept
+const SPEND_RETENTION_DAYS = 90;
+
+// Posts kept per ledger (the most expensive) - the breakdown must not grow with the catalog
+const LEDGER_POST_LIMIT = 100;
+
+// USD per million tokens
+const MODEL_PRICING = {
+  'claude-opus-4-20250514': { input: 15, output: 75 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.1, output: 0 },
+  mock: { input: 0, output: 0 }
+};
+const DEFAULT_PRICING = { input: 3, output: 15 };
+
+const usageContext = new AsyncLocalStorage();
+
+// ============================================
+// CONTEXT
+// ============================================
+
+/**
+ * Run fn with usage context (route, ...) merged over the current one
+ */
+function withUsageContext(context, fn) {
+  return usageContext.run({ ...usageContext.getStore(), ...context }, fn);
+}
+
+/**
+ * Wrap an API handler so LLM calls made while serving it are billed to the route
+ */
+function withUsageRoute(route, handler) {
+  return function (req, res) {
+    return withUsageContext({ route }, () => handler(req, res));
+  };
+}
+
+/**
+ * Current usage context ({} outside a tracked route)
+ */
+function getUsageContext() {
+  return usageContext.getStore() || {};
+}
+
+// ============================================
+// COSTS
+// ============================================
+
+/**
+ * Pricing for a model (USD per million tokens)
+ */
+function getModelPricing(model) {
+  return MODEL_PRICING[model] || DEFAULT_PRICING;
+}
+
+/**
+ * Cost of one call in USD
+ */
+function estimateCost(model, inputTokens = 0, outputTokens = 0) {
+  const pricing = getModelPricing(model);
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6;
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Add one call to a { calls, errors, inputTokens, outputTokens, costUsd } bucket
+ */
+function addToBucket(bucket, call) {
+  const next = bucket || { calls: 0, errors: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  next.calls++;
+  if (call.error) next.errors++;
+  next.inputTokens += call.inputTokens;
+  next.outputTokens += call.outputTokens;
+  next.costUsd = Math.round((next.costUsd + call.costUsd) * 1e6) / 1e6;
+  return next;
+}
+
+/**
+ * Ledger keys for the day and month containing date
+ */
+function getPeriodKeys(date = new Date()) {
+  const iso = date.toISOString();
+  return {
+    day: `day:${iso.slice(0, 10)}`,
+    month: `month:${iso.slice(0, 7)}`
+  };
+}
+
+/**
+ * Add one call to a period ledger
+ */
+function addToLedger(ledger, period, call) {
+  const next = addToBucket(ledger, call);
+  next.period = period;
+  next.byRoute = ledger?.byRoute || {};
+  next.byModel = ledger?.byModel || {};
+  next.byProvider = ledger?.byProvider || {};
+  next.byPost = ledger?.byPost || {};
+  next.byRoute[call.route] = addToBucket(next.byRoute[call.route], call);
+  next.byModel[call.model] = addToBucket(next.byModel[call.model], call);
+  next.byProvider[call.provider] = addToBucket(next.byProvider[call.provider], call);
+  if (call.postId != null) {
+    next.byPost[call.postId] = addToBucket(next.byPost[call.postId], call);
+    capPosts(next.byPost);
+  }
+  return next;
+}
+
+/**
+ * Drop the cheapest posts once a ledger tracks more than LEDGER_POST_LIMIT
+ */
+function capPosts(byPost) {
+  const postIds = Object.keys(byPost);
+  if (postIds.length <= LEDGER_POST_LIMIT) return;
+
+  postIds
+    .sort((a, b) => byPost[b].costUsd - byPost[a].costUsd)
+    .slice(LEDGER_POST_LIMIT)
+    .forEach(postId => delete byPost[postId]);
+}
+
+/**
+ * Record one LLM or embedding call against the current route (and postId, if set)
+ * Failures are logged, never thrown - accounting must not break a request
+ */
+async function recordLLMUsage({ task, model, provider, inputTokens = 0, outputTokens = 0, error = null, postId = null }) {
+  const context = getUsageContext();
+  const route = context.route || 'unattributed';
+  const call = {
+    route,
+    model,
+    provider,
+    postId: postId ?? context.postId ?? null,
+    inputTokens,
+    outputTokens,
+    costUsd: estimateCost(model, inputTokens, outputTokens),
+    error
+  };
+
+  try {
+    await state.update(COLLECTION, route, current => {
+      const usage = addToBucket(current, call);
+      usage.route = route;
+      usage.byTask = current?.byTask || {};
+      usage.byModel = current?.byModel || {};
+      usage.byTask[task] = addToBucket(usage.byTask[task], call);
+      usage.byModel[model] = addToBucket(usage.byModel[model], call);
+      usage.since = current?.since || new Date().toISOString();
+      usage.updatedAt = new Date().toISOString();
+      return usage;
+    });
+
+    const keys = getPeriodKeys();
+    const day = await state.update(SPEND_COLLECTION, keys.day, ledger => addToLedger(ledger, keys.day.slice(4), call));
+    await state.update(SPEND_COLLECTION, keys.month, ledger => addToLedger(ledger, keys.month.slice(6), call));
+
+    // First call of a new day
+    if (day.calls === 1) await pruneDayLedgers();
+  } catch (err) {
+    console.error('Failed to record LLM usage:', err.message);
+  }
+
+  return call;
+}
+
+/**
+ * Drop day ledgers past the retention window (runs when a new day starts)
+ */
+async function pruneDayLedgers() {
+  const cutoff = getPeriodKeys(new Date(Date.now() - SPEND_RETENTION_DAYS * 86400000)).day;
+  await state.updateAll(SPEND_COLLECTION, ledgers => {
+    for (const key of Object.keys(ledgers)) {
+      if (key.startsWith('day:') && key < cutoff) delete ledgers[key];
+    }
+  });
+}
+
+/**
+ * Spend ledgers for the day and month containing date (null when nothing was spent)
+ * Two single-key reads - the budget check runs before every deferrable LLM call
+ */
+async function getPeriodSpend(date = new Date()) {
+  const keys = getPeriodKeys(date);
+  const [day, month] = await Promise.all([
+    state.get(SPEND_COLLECTION, keys.day),
+    state.get(SPEND_COLLECTION, keys.month)
+  ]);
+  return { day, month };
+}
+
+/**
+ * Daily cost totals for the last N days, oldest first
+ */
+async function getDailySpendHistory(days = 30) {
+  const keys = Array.from({ length: days }, (_, i) => getPeriodKeys(new Date(Date.now() - (days - 1 - i) * 86400000)).day);
+  const ledgers = await Promise.all(keys.map(key => state.get(SPEND_COLLECTION, key)));
+  const history = [];
+
+  for (const [i, key] of keys.entries()) {
+    const ledger = ledgers[i];
+    history.push({
+      date: key.slice(4),
+      calls: ledger?.calls || 0,
+      inputTokens: ledger?.inputTokens || 0,
+      outputTokens: ledger?.outputTokens || 0,
+      costUsd: ledger?.costUsd || 0
+    });
+  }
+
+  return history;
+}
+
+/**
+ * Usage per route, most expensive first, with overall totals
+ */
+async function getLLMUsage() {
+  const usage = await state.getAll(COLLECTION);
+  const routes = Object.values(usage).sort((a, b) => b.costUsd - a.costUsd);
+
+  const totals = routes.reduce((sum, r) => ({
+    calls: sum.calls + r.calls,
+    errors: sum.errors + r.errors,
+    inputTokens: sum.inputTokens + r.inputTokens,
+    outputTokens: sum.outputTokens + r.outputTokens,
+    costUsd: Math.round((sum.costUsd + r.costUsd) * 1e6) / 1e6
+  }), { calls: 0, errors: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+  return { totals, routes };
+}
+
+module.exports = {
+  MODEL_PRICING,
+  LEDGER_POST_LIMIT,
+  withUsageContext,
+  withUsageRoute,
+  getUsageContext,
+  getModelPricing,
+  estimateCost,
+  getPeriodKeys,
+  recordLLMUsage,
+  getLLMUsage,
+  getPeriodSpend,
+  getDailySpendHistory
+};
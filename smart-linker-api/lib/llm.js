@@ -0,0 +1,358 @@
+/**
+ * LLM Gateway
+ *
+ * Single entry point for every Claude call:
+ * - per-task model selection (fast / standard / strong tiers, env overrides)
+ * - shared retry with backoff for rate limits, overloads and network errors
+ * - a process-wide concurrency cap
+ * - token and cost accounting per route (lib/llm-usage.js)
+ * - spending caps that refuse optional tasks when exceeded (lib/llm-budget.js)
+ * - a deterministic mock provider for offline runs (LLM_PROVIDER=mock)
+ *
+ * createMessage() takes Anthropic messages.create params (minus model) and
+ * returns the same response shape, so call sites keep reading
+ * response.content[0].text.
+ */
+
+const { recordLLMUsage } = require('./llm-usage');
+const { assertWithinBudget } = require('./llm-budget');
+const { createLimiter } = require('./concurrency');
+
+const LLM_SETTINGS = {
+  maxRetries: 3,
+  retryBackoff: 1000,       // Base delay, doubled per attempt
+  maxRetryAfter: 30000,     // Cap on a server-requested retry-after
+  maxConcurrency: parseInt(process.env.LLM_MAX_CONCURRENCY) || 5
+};
+
+// Status codes worth retrying (rate limit, server errors, overloaded)
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504, 529];
+
+// ============================================
+// MODEL SELECTION
+// ============================================
+
+const MODEL_TIERS = {
+  fast: process.env.LLM_MODEL_FAST || 'claude-3-5-haiku-20241022',
+  standard: process.env.LLM_MODEL_STANDARD || 'claude-sonnet-4-20250514',
+  strong: process.env.LLM_MODEL_STRONG || 'claude-opus-4-20250514'
+};
+
+// Tier per task; unlisted tasks use standard
+const TASK_TIERS = {
+  'anchor-text': 'fast',
+  'summary': 'fast',
+  'extract-keywords': 'fast',
+  'extract-entities': 'fast',
+  'extract-steps': 'fast',
+  'extract-questions': 'fast',
+  'voice-summary': 'fast',
+  'lsi-keywords': 'fast',
+  'anchor-phrases': 'fast',
+  'meta': 'standard',
+  'link-analysis': 'standard',
+  'auto-analyze': 'standard',
+  'batch-analyze': 'standard',
+  'rerank': 'standard',
+  'linkable-moments': 'standard',
+  'outbound-sources': 'standard',
+  'quality-deep': 'standard',
+  'transcript-analysis': 'standard',
+  'strategic-article': 'strong'
+};
+
+/**
+ * Per-task overrides from LLM_TASK_MODELS, e.g. {"summary":"standard","rerank":"claude-..."}
+ */
+function getTaskOverrides() {
+  if (!process.env.LLM_TASK_MODELS) return {};
+  try {
+    return JSON.parse(process.env.LLM_TASK_MODELS);
+  } catch (error) {
+    console.error('Invalid LLM_TASK_MODELS JSON:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Model id for a task (tier names resolve through MODEL_TIERS)
+ */
+function resolveModel(task) {
+  const choice = getTaskOverrides()[task] || TASK_TIERS[task] || 'standard';
+  return MODEL_TIERS[choice] || choice;
+}
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+let anthropicClient = null;
+
+/**
+ * Initialize Anthropic client (singleton)
+ * Retries are handled by the gateway, not the SDK
+ */
+function getClient() {
+  if (!anthropicClient) {
+    const Anthropic = require('@anthropic-ai/sdk');
+    anthropicClient = new Anthropic({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      maxRetries: 0
+    });
+  }
+  return anthropicClient;
+}
+
+const anthropicProvider = {
+  name: 'anthropic',
+  async createMessage(params) {
+    return getClient().messages.create(params);
+  }
+};
+
+const mockResponders = {};
+
+const mockProvider = {
+  name: 'mock',
+  async createMessage(params) {
+    const prompt = params.messages.map(m => typeof m.content === 'string' ? m.content : '').join('\n');
+    const responder = mockResponders[params.task] || MOCK_RESPONDERS[params.task] || (() => '{}');
+    const text = await responder(prompt, params);
+
+    return {
+      id: `mock-${hashString(prompt)}`,
+      type: 'message',
+      role: 'assistant',
+      model: 'mock',
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      usage: {
+        input_tokens: Math.ceil(prompt.length / 4),
+        output_tokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+};
+
+const PROVIDERS = {
+  anthropic: anthropicProvider,
+  mock: mockProvider
+};
+
+/**
+ * Active provider (LLM_PROVIDER, default anthropic)
+ */
+function getProvider() {
+  const name = (process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+// ============================================
+// GATEWAY
+// ============================================
+
+const limit = createLimiter(LLM_SETTINGS.maxConcurrency);
+
+/**
+ * Whether an error is worth retrying
+ */
+function isRetryable(error) {
+  if (error.status) return RETRYABLE_STATUS.includes(error.status);
+  // Connection errors and timeouts carry no status
+  return true;
+}
+
+/**
+ * Delay before the next attempt, honouring retry-after when the API sends one
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = parseFloat(error.headers?.['retry-after']);
+  if (!isNaN(retryAfter)) {
+    return Math.min(retryAfter * 1000, LLM_SETTINGS.maxRetryAfter);
+  }
+  return LLM_SETTINGS.retryBackoff * Math.pow(2, attempt);
+}
+
+/**
+ * Send a message through the gateway
+ *
+ * @param {string} task - Task name, used for model selection and accounting
+ * @param {Object} params - messages.create params without model (max_tokens, messages, system, ...)
+ * @returns {Object} Anthropic-style response ({ content: [{ text }], usage, model })
+ * @throws BUDGET_EXCEEDED (error.code) for optional tasks while over a spending cap
+ */
+async function createMessage(task, params) {
+  const provider = getProvider();
+  const model = provider.name === 'mock' ? 'mock' : resolveModel(task);
+
+  await assertWithinBudget(task);
+
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= LLM_SETTINGS.maxRetries; attempt++) {
+    if (attempt > 0) {
+      await sleep(getRetryDelay(lastError, attempt - 1));
+    }
+
+    try {
+      const response = await limit(() => provider.createMessage({
+        ...params,
+        model,
+        ...(provider.name === 'mock' && { task })
+      }));
+
+      await recordLLMUsage({
+        task,
+        model,
+        provider: provider.name,
+        inputTokens: response.usage?.input_tokens || 0,
+        outputTokens: response.usage?.output_tokens || 0
+      });
+
+      return response;
+    } catch (error) {
+      lastError = error;
+      if (!isRetryable(error) || attempt === LLM_SETTINGS.maxRetries) break;
+      console.warn(`LLM ${task} failed (attempt ${attempt + 1}), retrying:`, error.message);
+    }
+  }
+
+  await recordLLMUsage({ task, model, provider: provider.name, error: lastError.message });
+  throw lastError;
+}
+
+/**
+ * Sleep helper for retry backoff
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================
+// MOCK RESPONSES
+// ============================================
+
+/**
+ * Stable short hash for mock message ids
+ */
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash).toString(36);
+}
+
+/**
+ * Value of a "LABEL: value" line, or the block under a bare "LABEL:" line
+ */
+function promptField(prompt, label) {
+  const inline = prompt.match(new RegExp(`^${label}:[ \\t]*(\\S[^\\n]*)$`, 'm'));
+  if (inline) return inline[1].trim();
+  const block = prompt.match(new RegExp(`^${label}:\\s*\\n([\\s\\S]*?)(?:\\n\\s*\\n|(?![\\s\\S]))`, 'm'));
+  return block ? block[1].trim() : '';
+}
+
+/**
+ * Most frequent longer words in the prompt, in a stable order
+ */
+function topWords(text, count) {
+  const stopWords = new Set(['about', 'their', 'there', 'which', 'would', 'these', 'those', 'should', 'return', 'article', 'content', 'title']);
+  const counts = {};
+  for (const word of text.toLowerCase().replace(/<[^>]+>/g, ' ').match(/[a-z]{5,}/g) || []) {
+    if (!stopWords.has(word)) counts[word] = (counts[word] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, count)
+    .map(([word]) => word);
+}
+
+// Deterministic responses shaped like what each call site parses
+const MOCK_RESPONDERS = {
+  'anchor-text': prompt => JSON.stringify([promptField(prompt, 'Title') || 'related article']),
+  'meta': prompt => {
+    const title = promptField(prompt, 'Title');
+    return JSON.stringify({
+      metaTitle: title.slice(0, 60),
+      metaDescription: (promptField(prompt, 'Summary') || title).slice(0, 160),
+      reasoning: 'Mock provider'
+    });
+  },
+  'summary': prompt => promptField(prompt, 'FULL ARTICLE CONTENT').replace(/<[^>]+>/g, '').slice(0, 200),
+  'extract-keywords': prompt => {
+    const words = topWords(promptField(prompt, 'FULL ARTICLE CONTENT'), 10);
+    return JSON.stringify({
+      mainTopics: words.slice(0, 3),
+      semanticKeywords: words,
+      entities: [],
+      readerIntent: 'learn'
+    });
+  },
+  'link-analysis': () => JSON.stringify({ links: [], skipped: ['Mock provider - no links selected'] }),
+  'auto-analyze': () => JSON.stringify({
+    topicCluster: 'general',
+    relatedClusters: [],
+    funnelStage: 'awareness',
+    targetPersona: 'general',
+    difficultyLevel: 'intermediate',
+    contentLifespan: 'evergreen',
+    isPillar: false,
+    qualityScore: 50,
+    matchedPillarId: null
+  }),
+  'batch-analyze': prompt => {
+    const results = {};
+    for (const match of prompt.matchAll(/--- ARTICLE (\S+) ---\nTitle: ([^\n]*)/g)) {
+      const words = topWords(match[2], 3);
+      results[match[1]] = {
+        topicCluster: 'general',
+        relatedClusters: [],
+        funnelStage: 'awareness',
+        targetPersona: 'general',
+        difficultyLevel: 'intermediate',
+        qualityScore: 50,
+        summary: match[2],
+        mainTopics: words,
+        semanticKeywords: words
+      };
+    }
+    return JSON.stringify(results);
+  },
+  'rerank': prompt => {
+    const indexes = [...prompt.matchAll(/^(\d+)\. "/gm)].map(m => parseInt(m[1]));
+    return JSON.stringify(indexes.map(index => ({ index, score: Math.max(0, 90 - index * 5), reason: 'Mock provider' })));
+  },
+  'extract-entities': () => JSON.stringify({ entities: [] }),
+  'lsi-keywords': prompt => JSON.stringify({
+    lsiKeywords: topWords(promptField(prompt, 'CONTENT PREVIEW'), 15),
+    semanticNeighbors: {},
+    questionKeywords: []
+  }),
+  'anchor-phrases': () => JSON.stringify({ anchorPhrases: [], primaryAnchor: '' })
+};
+
+/**
+ * Override the mock response for a task (tests)
+ * The responder may return a promise, and may throw to simulate API errors
+ */
+function setMockResponder(task, responder) {
+  if (responder) mockResponders[task] = responder;
+  else delete mockResponders[task];
+}
+
+module.exports = {
+  LLM_SETTINGS,
+  MODEL_TIERS,
+  TASK_TIERS,
+  PROVIDERS,
+  getClient,
+  getProvider,
+  resolveModel,
+  createMessage,
+  setMockResponder
+};
@@ -5,9 +5,17 @@
  * and suggests authoritative sources for citation.
  */
 
-const { getClient } = require('./claude');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createMessage } = require('./llm');
+const { createLimiter } = require('./concurrency');
+const state = require('./state-store');
+const { getBusinessRule } = require('./business-rules');
 
 // Trusted domains for real estate/finance content
+// (defaults for the editable rules in lib/business-rules.js)
 const TRUSTED_DOMAINS = {
   government: [
     'canada.ca',
@@ -42,19 +50,49 @@ const LINK_STATUS = {
   BROKEN: 'broken',
   REDIRECTED: 'redirected',
   TIMEOUT: 'timeout',
+  BLOCKED: 'blocked',         // Refused by assertPublicUrl - never requested
   UNCHECKED: 'unchecked'
 };
 
-// In-memory link registry (use database in production)
-const linkRegistry = new Map();
+// Link registry is persisted in the state store, keyed by "sourcePostId:url"
+const COLLECTION = 'outbound-links';
+
+// Health check settings
+const HEALTH_CHECK = {
+  timeout: 10000,             // Per request (ms)
+  maxRedirects: 5,
+  retries: 2,                 // Retries for timeouts, network errors, 429 and 5xx
+  retryBackoff: 1000,         // Doubles per retry (ms)
+  concurrency: 10,            // Requests in flight overall
+  perDomainConcurrency: 2,    // Requests in flight per domain
+  staleAfterHours: 24,        // Skip links checked more recently than this
+  maxLinksPerRun: 100,        // Links probed per run
+  maxRunMs: 25000,            // Checks still running are cut short, and none start, after this long
+  userAgent: 'LendCity-LinkChecker/1.0 (+https://lendcity.ca)'
+};
+
+// HEAD is refused by some servers - retry these with GET
+const HEAD_UNSUPPORTED = [403, 405, 501];
+
+// Addresses a health check must never reach (private, loopback, link-local incl. cloud metadata, etc.)
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges by BlockList itself;
+// NAT64 prefixes are refused whole, since they can embed any IPv4 address
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const BLOCKED_HOSTNAMES = /(^|\.)(localhost|internal|local)$/i;
 
 /**
- * Register an outbound link
+ * Build a registry entry for an outbound link
  */
-function registerOutboundLink(sourcePostId, link) {
-  const key = `${sourcePostId}:${link.url}`;
-
-  linkRegistry.set(key, {
+function buildRegistryEntry(sourcePostId, link) {
+  return {
     sourcePostId,
     url: link.url,
     anchorText: link.anchorText || '',
@@ -63,9 +101,51 @@ function registerOutboundLink(sourcePostId, link) {
     lastChecked: null,
     status: LINK_STATUS.UNCHECKED,
     trustScore: calculateDomainTrust(extractDomain(link.url))
+  };
+}
+
+/**
+ * Register an outbound link
+ */
+async function registerOutboundLink(sourcePostId, link) {
+  const entry = buildRegistryEntry(sourcePostId, link);
+  return state.update(COLLECTION, `${sourcePostId}:${link.url}`, existing =>
+    mergeRegistryEntry(existing, entry)
+  );
+}
+
+/**
+ * Re-registering a link keeps its registration date and last health check
+ */
+function mergeRegistryEntry(existing, entry) {
+  if (!existing) return entry;
+
+  return {
+    ...existing,
+    anchorText: entry.anchorText || existing.anchorText
+  };
+}
+
+/**
+ * Register several outbound links for one article in a single write
+ */
+async function registerOutboundLinks(sourcePostId, links) {
+  const registered = [];
+  await state.updateAll(COLLECTION, registry => {
+    for (const link of links) {
+      const key = `${sourcePostId}:${link.url}`;
+      registry[key] = mergeRegistryEntry(registry[key], buildRegistryEntry(sourcePostId, link));
+      registered.push(registry[key]);
+    }
   });
+  return registered;
+}
 
-  return linkRegistry.get(key);
+/**
+ * Get all registered outbound links as { key: link }
+ */
+async function getLinkRegistry() {
+  return state.getAll(COLLECTION);
 }
 
 /**
@@ -80,29 +160,37 @@ function extractDomain(url) {
   }
 }
 
+/**
+ * Trusted domains of the current tenant, by category
+ */
+function getTrustedDomains() {
+  return { government: [], financial: [], realEstate: [], statistics: [], ...getBusinessRule('TRUSTED_DOMAINS', TRUSTED_DOMAINS) };
+}
+
 /**
  * Calculate trust score for a domain
  */
 function calculateDomainTrust(domain) {
   if (!domain) return 0;
+  const trustedDomains = getTrustedDomains();
 
   // Government sources = highest trust
-  if (TRUSTED_DOMAINS.government.some(d => domain.includes(d))) {
+  if (trustedDomains.government.some(d => domain.includes(d))) {
     return 100;
   }
 
   // Official real estate associations
-  if (TRUSTED_DOMAINS.realEstate.some(d => domain.includes(d))) {
+  if (trustedDomains.realEstate.some(d => domain.includes(d))) {
     return 90;
   }
 
   // Statistics/data sources
-  if (TRUSTED_DOMAINS.statistics.some(d => domain.includes(d))) {
+  if (trustedDomains.statistics.some(d => domain.includes(d))) {
     return 90;
   }
 
   // Financial institutions
-  if (TRUSTED_DOMAINS.financial.some(d => domain.includes(d))) {
+  if (trustedDomains.financial.some(d => domain.includes(d))) {
     return 80;
   }
 
@@ -122,74 +210,361 @@ function calculateDomainTrust(domain) {
 }
 
 /**
- * Check link health (simulated - real implementation would make HTTP requests)
+ * URL_NOT_ALLOWED error for assertPublicUrl and the pinned lookup
+ */
+function urlNotAllowed(reason) {
+  const error = new Error(`URL not allowed: ${reason}`);
+  error.code = 'URL_NOT_ALLOWED';
+  return error;
+}
+
+/**
+ * Whether an IP address is in a range a health check must not reach
+ */
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Checks that need no DNS: http(s) only, no internal hostnames or blocked IP literals
+ *
+ * @returns {string} Hostname, without IPv6 brackets
+ * @throws {Error} code URL_NOT_ALLOWED
+ */
+function assertAllowedUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw urlNotAllowed('invalid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw urlNotAllowed(`${parsed.protocol} is not http or https`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (BLOCKED_HOSTNAMES.test(hostname)) {
+    throw urlNotAllowed(`${hostname} is an internal host`);
+  }
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw urlNotAllowed(`${hostname} is not a public address`);
+  }
+
+  return hostname;
+}
+
+/**
+ * Refuse URLs a health check must not request: anything but http(s), and
+ * hosts that are or resolve to private, loopback or link-local addresses
+ * Health checks themselves don't rely on this lookup - their requests connect
+ * through publicLookup, so a host can't resolve differently at connect time
+ *
+ * @throws {Error} code URL_NOT_ALLOWED
+ */
+async function assertPublicUrl(url) {
+  const hostname = assertAllowedUrl(url);
+  if (net.isIP(hostname)) return;
+
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw urlNotAllowed(`${hostname} is not a public address`);
+  }
+}
+
+/**
+ * dns.lookup for health check requests - fails with URL_NOT_ALLOWED when the
+ * host resolves to a blocked address, so the socket only ever connects to the
+ * addresses that were checked
  */
-async function checkLinkHealth(url) {
-  // In production, make HEAD request to check status
-  // For now, return unchecked status
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(urlNotAllowed(`${hostname} is not a public address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Check link health with HTTP probing
+ * HEAD first (GET fallback), follows the redirect chain manually, retries
+ * transient failures with exponential backoff
+ *
+ * @param {string} url - Link to check
+ * @param {Object} options - Overrides for HEALTH_CHECK settings
+ * @returns {Object} { url, status, httpStatus, finalUrl, redirectChain, responseTime, attempts, error, checkedAt }
+ */
+async function checkLinkHealth(url, options = {}) {
+  const settings = { ...HEALTH_CHECK, ...options };
+  const startTime = Date.now();
+  let attempts = 0;
+  let result;
+
+  while (true) {
+    attempts++;
+    result = await probeUrl(url, settings);
+
+    const backoff = settings.retryBackoff * Math.pow(2, attempts - 1);
+    if (!result.transient || attempts > settings.retries) break;
+    if (settings.deadline && Date.now() + backoff >= settings.deadline) break;
+    await sleep(backoff);
+  }
+
   return {
     url,
-    status: LINK_STATUS.UNCHECKED,
-    checkedAt: new Date().toISOString(),
-    responseTime: null,
-    finalUrl: url
+    status: classifyHealth(result),
+    httpStatus: result.httpStatus || null,
+    finalUrl: result.finalUrl || url,
+    redirectChain: result.redirectChain,
+    responseTime: Date.now() - startTime,
+    attempts,
+    error: result.error || null,
+    checkedAt: new Date().toISOString()
   };
 }
 
 /**
- * Batch check all registered links
+ * Follow a URL through its redirects once (no retries)
+ * Every hop is checked (assertAllowedUrl, then publicLookup on connect), so a
+ * redirect can't reach an internal host
  */
-async function checkAllLinks() {
+async function probeUrl(url, settings) {
+  const redirectChain = [];
+  let currentUrl = url;
+
+  try {
+    for (let hop = 0; hop <= settings.maxRedirects; hop++) {
+      assertAllowedUrl(currentUrl);
+
+      let response = await requestStatus(currentUrl, 'HEAD', settings);
+      if (HEAD_UNSUPPORTED.includes(response.status)) {
+        response = await requestStatus(currentUrl, 'GET', settings);
+      }
+
+      const { location } = response;
+      if (response.status >= 300 && response.status < 400 && location) {
+        redirectChain.push({ url: currentUrl, httpStatus: response.status });
+        currentUrl = new URL(location, currentUrl).toString();
+        continue;
+      }
+
+      return {
+        httpStatus: response.status,
+        finalUrl: currentUrl,
+        redirectChain,
+        transient: response.status === 429 || response.status >= 500
+      };
+    }
+
+    return { finalUrl: currentUrl, redirectChain, error: 'Too many redirects', transient: false };
+
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    const cutShort = timedOut && settings.deadline && Date.now() >= settings.deadline;
+    const blocked = error.code === 'URL_NOT_ALLOWED';
+    return {
+      finalUrl: currentUrl,
+      redirectChain,
+      timedOut,
+      blocked,
+      error: cutShort
+        ? 'No response before the run time limit'
+        : timedOut ? `Timed out after ${settings.timeout}ms` : blocked ? error.message : (error.code || error.message),
+      // DNS failures, invalid URLs and blocked hosts won't fix themselves on retry
+      transient: timedOut || !['ENOTFOUND', 'ERR_INVALID_URL', 'URL_NOT_ALLOWED'].includes(error.code)
+    };
+  }
+}
+
+/**
+ * Single request without following redirects, resolving the host through publicLookup
+ * (times out at settings.timeout, or sooner at settings.deadline)
+ *
+ * @returns {Object} { status, location }
+ */
+function requestStatus(url, method, settings) {
+  const timeout = settings.deadline
+    ? Math.max(1, Math.min(settings.timeout, settings.deadline - Date.now()))
+    : settings.timeout;
+  const client = new URL(url).protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method,
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(timeout),
+      headers: { 'User-Agent': settings.userAgent }
+    }, response => {
+      // Don't download bodies - only the status matters
+      response.destroy();
+      resolve({ status: response.statusCode, location: response.headers.location });
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Map a probe result onto LINK_STATUS
+ */
+function classifyHealth(result) {
+  if (result.blocked) return LINK_STATUS.BLOCKED;
+  if (result.timedOut) return LINK_STATUS.TIMEOUT;
+  if (!result.httpStatus) return LINK_STATUS.BROKEN;
+  if (result.httpStatus >= 400) return LINK_STATUS.BROKEN;
+  if (result.redirectChain.length > 0) return LINK_STATUS.REDIRECTED;
+  return LINK_STATUS.HEALTHY;
+}
+
+/**
+ * Check whether a registry entry is due for a re-check
+ */
+function isStale(link, staleAfterHours) {
+  if (!link.lastChecked || link.status === LINK_STATUS.UNCHECKED) return true;
+  return Date.now() - new Date(link.lastChecked).getTime() > staleAfterHours * 60 * 60 * 1000;
+}
+
+/**
+ * Batch check registered links
+ * Only stale entries are probed (oldest first); fresh entries are reported
+ * with their stored status. Results are persisted back to the registry.
+ * After maxRunMs no new checks start (the rest count as deferred) and checks
+ * in flight are cut short, so a run fits in one function invocation.
+ *
+ * @param {Object} options - { force, staleAfterHours, maxLinks, postId, ...HEALTH_CHECK overrides }
+ */
+async function checkAllLinks(options = {}) {
+  const settings = { ...HEALTH_CHECK, ...options };
+  settings.deadline = Date.now() + settings.maxRunMs;
+  const {
+    force = false,
+    staleAfterHours = settings.staleAfterHours,
+    maxLinks = settings.maxLinksPerRun,
+    postId = null
+  } = options;
+
   const results = {
     healthy: [],
     broken: [],
     redirected: [],
+    timeout: [],
+    blocked: [],
     unchecked: []
   };
 
-  for (const [key, link] of linkRegistry) {
-    const health = await checkLinkHealth(link.url);
-    link.lastChecked = health.checkedAt;
-    link.status = health.status;
+  const registry = await getLinkRegistry();
+  const entries = Object.entries(registry)
+    .filter(([, link]) => postId === null || link.sourcePostId === postId);
+
+  // Oldest checks first so repeated runs cycle through the whole registry
+  const stale = entries
+    .filter(([, link]) => force || isStale(link, staleAfterHours))
+    .sort(([, a], [, b]) => new Date(a.lastChecked || 0) - new Date(b.lastChecked || 0));
+  const candidates = stale.slice(0, maxLinks);
+
+  // Probe unique URLs once, limited overall and per domain
+  const globalLimit = createLimiter(settings.concurrency);
+  const domainLimits = new Map();
+  const checksByUrl = new Map();
+
+  for (const [, link] of candidates) {
+    if (checksByUrl.has(link.url)) continue;
+
+    const domain = link.domain || extractDomain(link.url) || 'unknown';
+    if (!domainLimits.has(domain)) {
+      domainLimits.set(domain, createLimiter(settings.perDomainConcurrency));
+    }
+
+    // Checks still queued at the deadline are skipped - the link stays stale for the next run
+    checksByUrl.set(link.url, domainLimits.get(domain)(() =>
+      globalLimit(async () => Date.now() < settings.deadline ? checkLinkHealth(link.url, settings) : null)
+    ));
+  }
+
+  const healthByUrl = new Map();
+  for (const [url, check] of checksByUrl) {
+    const health = await check;
+    if (health) healthByUrl.set(url, health);
+  }
+
+  const due = candidates.filter(([, link]) => healthByUrl.has(link.url));
+  const dueKeys = new Set(due.map(([key]) => key));
+
+  // Persist health fields only, so concurrent registrations aren't overwritten
+  await state.updateAll(COLLECTION, stored => {
+    for (const [key, link] of due) {
+      const health = healthByUrl.get(link.url);
+      if (!stored[key]) continue;
+
+      Object.assign(stored[key], {
+        status: health.status,
+        lastChecked: health.checkedAt,
+        httpStatus: health.httpStatus,
+        finalUrl: health.finalUrl,
+        responseTime: health.responseTime,
+        lastError: health.error
+      });
+    }
+  });
 
-    results[health.status === LINK_STATUS.HEALTHY ? 'healthy' :
-            health.status === LINK_STATUS.BROKEN ? 'broken' :
-            health.status === LINK_STATUS.REDIRECTED ? 'redirected' : 'unchecked']
-      .push({ ...link, health });
+  for (const [key, link] of entries) {
+    const health = healthByUrl.get(link.url);
+    const current = dueKeys.has(key)
+      ? { ...link, status: health.status, lastChecked: health.checkedAt, health }
+      : link;
+
+    const bucket = {
+      [LINK_STATUS.HEALTHY]: 'healthy',
+      [LINK_STATUS.BROKEN]: 'broken',
+      [LINK_STATUS.REDIRECTED]: 'redirected',
+      [LINK_STATUS.TIMEOUT]: 'timeout',
+      [LINK_STATUS.BLOCKED]: 'blocked'
+    }[current.status] || 'unchecked';
+
+    results[bucket].push(current);
   }
 
   return {
     ...results,
     summary: {
-      total: linkRegistry.size,
+      total: entries.length,
+      checked: due.length,
+      skippedFresh: entries.length - stale.length,
+      deferred: stale.length - due.length, // Stale but over maxLinks or maxRunMs - picked up next run
       healthy: results.healthy.length,
       broken: results.broken.length,
       redirected: results.redirected.length,
+      timeout: results.timeout.length,
+      blocked: results.blocked.length,
       unchecked: results.unchecked.length
     }
   };
 }
 
 /**
- * Get outbound links for a specific article
+ * Sleep helper for retry backoff
  */
-function getOutboundLinks(postId) {
-  const links = [];
-
-  for (const [key, link] of linkRegistry) {
-    if (link.sourcePostId === postId) {
-      links.push(link);
-    }
-  }
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-  return links;
+/**
+ * Get outbound links for a specific article
+ */
+async function getOutboundLinks(postId) {
+  const registry = await getLinkRegistry();
+  return Object.values(registry).filter(link => link.sourcePostId === postId);
 }
 
 /**
  * Analyze outbound link quality for an article
  */
-function analyzeOutboundQuality(postId) {
-  const links = getOutboundLinks(postId);
+async function analyzeOutboundQuality(postId) {
+  const links = await getOutboundLinks(postId);
 
   if (links.length === 0) {
     return {
@@ -261,8 +636,6 @@ function generateOutboundRecommendation(links, averageTrust) {
  * Suggest authoritative sources for a topic
  */
 async function suggestAuthoritativeSources(topic, cluster = null) {
-  const client = getClient();
-
   const prompt = `You are a content specialist for a Canadian real estate investment education website.
 
 TOPIC: ${topic}
@@ -294,8 +667,7 @@ Return JSON:
   ]
 }`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('outbound-sources', {
     max_tokens: 1000,
     messages: [{ role: 'user', content: prompt }]
   });
@@ -324,11 +696,12 @@ Return JSON:
 /**
  * Get domain statistics across all articles
  */
-function getOutboundDomainStats() {
+async function getOutboundDomainStats() {
+  const registry = await getLinkRegistry();
   const domainCounts = {};
   const domainTrust = {};
 
-  for (const [, link] of linkRegistry) {
+  for (const link of Object.values(registry)) {
     const domain = link.domain;
     if (domain) {
       domainCounts[domain] = (domainCounts[domain] || 0) + 1;
@@ -347,7 +720,7 @@ function getOutboundDomainStats() {
 
   return {
     domains: sorted,
-    totalLinks: linkRegistry.size,
+    totalLinks: Object.keys(registry).length,
     uniqueDomains: sorted.length,
     averageTrust: sorted.length > 0
       ? Math.round(sorted.reduce((sum, d) => sum + d.trustScore, 0) / sorted.length)
@@ -358,13 +731,14 @@ function getOutboundDomainStats() {
 /**
  * Identify articles needing outbound links
  */
-function findArticlesNeedingOutboundLinks(articles) {
+async function findArticlesNeedingOutboundLinks(articles) {
+  const registry = Object.values(await getLinkRegistry());
   const needs = [];
 
   for (const article of articles) {
     const meta = article.metadata || article;
     const postId = meta.postId;
-    const links = getOutboundLinks(postId);
+    const links = registry.filter(link => link.sourcePostId === postId);
 
     // Articles with no outbound links
     if (links.length === 0) {
@@ -393,8 +767,12 @@ function findArticlesNeedingOutboundLinks(articles) {
 
 module.exports = {
   TRUSTED_DOMAINS,
+  getTrustedDomains,
   LINK_STATUS,
+  HEALTH_CHECK,
+  assertPublicUrl,
   registerOutboundLink,
+  registerOutboundLinks,
   extractDomain,
   calculateDomainTrust,
   checkLinkHealth,
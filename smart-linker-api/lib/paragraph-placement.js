@@ -0,0 +1,207 @@
+/**
+ * Paragraph-Level Link Placement
+ *
+ * Embeds each paragraph of the source article and matches it against the
+ * recommended targets, so every link lands in the paragraph that is most
+ * about its target, with an anchor taken from that paragraph. Assignment is
+ * greedy with a spacing penalty: links spread through the article instead
+ * of piling up wherever the target titles' words happen to appear.
+ */
+
+const cheerio = require('cheerio');
+const { generateEmbeddings, cosineSimilarity } = require('./embeddings');
+const { getArticleEmbeddings } = require('./pinecone');
+const { findAnchorInContent } = require('./anchor-finder');
+
+// Elements a link can be placed in - insertion addresses them by index in this selection
+const PARAGRAPH_SELECTOR = 'p, li';
+
+const PARAGRAPH_PLACEMENT_SETTINGS = {
+  minParagraphLength: 80,     // Shorter paragraphs (captions, one-liners) are skipped
+  maxParagraphs: 60,          // Longest paragraphs embedded per article
+  maxPassageLength: 2000,     // Characters of each paragraph embedded
+  minGap: 3,                  // Paragraphs apart before two links stop competing
+  spreadPenalty: 0.05,        // Similarity lost per paragraph closer than minGap
+  proposedAnchorBonus: 0.02,  // Preference for the paragraph holding Claude's anchor
+  previewLength: 160
+};
+
+/**
+ * Paragraphs eligible for a link: { index, ordinal, text, html, plainLower }
+ * index is the position in $(PARAGRAPH_SELECTOR), ordinal the position among eligible ones
+ */
+function extractParagraphs($, settings = PARAGRAPH_PLACEMENT_SETTINGS) {
+  const paragraphs = [];
+
+  $(PARAGRAPH_SELECTOR).each((index, el) => {
+    const $el = $(el);
+    // List items wrapping paragraphs are covered by the inner <p>
+    if (el.tagName === 'li' && $el.find('p').length > 0) return;
+
+    const text = $el.text().replace(/\s+/g, ' ').trim();
+    if (text.length < settings.minParagraphLength) return;
+
+    const $unlinked = $el.clone();
+    $unlinked.find('a').remove();
+
+    paragraphs.push({
+      index,
+      text,
+      html: $el.html() || '',
+      plainLower: $unlinked.text().replace(/\s+/g, ' ').toLowerCase()
+    });
+  });
+
+  // Keep the longest paragraphs when over the cap, in document order
+  const kept = paragraphs.length > settings.maxParagraphs
+    ? [...paragraphs]
+      .sort((a, b) => b.text.length - a.text.length)
+      .slice(0, settings.maxParagraphs)
+      .sort((a, b) => a.index - b.index)
+    : paragraphs;
+
+  return kept.map((p, ordinal) => ({ ...p, ordinal }));
+}
+
+/**
+ * Anchor for a target inside one paragraph
+ * Prefers the already-proposed anchor when it appears unlinked in the paragraph
+ */
+function findParagraphAnchor(paragraph, link) {
+  const proposed = (link.anchorText || '').trim();
+  if (proposed && paragraph.plainLower.includes(proposed.toLowerCase())) {
+    return { text: proposed, proposed: true };
+  }
+
+  const anchor = findAnchorInContent(
+    paragraph.html,
+    paragraph.html.toLowerCase(),
+    { title: link.title, topicCluster: link.topicCluster }
+  );
+  return anchor ? { text: anchor.text, proposed: false } : null;
+}
+
+/**
+ * Sentence of the paragraph that contains the anchor
+ */
+function getAnchorSentence(text, anchorText) {
+  const anchorLower = anchorText.toLowerCase();
+  const sentence = text
+    .split(/(?<=[.!?])\s+/)
+    .find(s => s.toLowerCase().includes(anchorLower));
+  return sentence || text;
+}
+
+/**
+ * Spacing penalty for placing a link near already-used paragraphs
+ */
+function getSpreadPenalty(ordinal, usedOrdinals, settings) {
+  let penalty = 0;
+  for (const used of usedOrdinals) {
+    const distance = Math.abs(ordinal - used);
+    if (distance < settings.minGap) {
+      penalty = Math.max(penalty, settings.spreadPenalty * (settings.minGap - distance));
+    }
+  }
+  return penalty;
+}
+
+/**
+ * Place each link in its most relevant source paragraph, with an anchor from that paragraph
+ *
+ * @param {string} content - Source HTML
+ * @param {Array} links - Smart-link results ({ postId, title, anchorText, placement, ... })
+ * @param {Object} options - Overrides for PARAGRAPH_PLACEMENT_SETTINGS
+ * @returns {Object} { links, placed, paragraphsEmbedded }
+ */
+async function planParagraphPlacements(content, links, options = {}) {
+  const settings = { ...PARAGRAPH_PLACEMENT_SETTINGS, ...options };
+  const $ = cheerio.load(content || '', { decodeEntities: false });
+  const paragraphs = extractParagraphs($, settings);
+
+  const targetIds = [...new Set(links.filter(l => l.postId != null).map(l => l.postId))];
+  if (paragraphs.length === 0 || targetIds.length === 0) {
+    return { links, placed: 0, paragraphsEmbedded: 0 };
+  }
+
+  const [paragraphEmbeddings, targetEmbeddings] = await Promise.all([
+    generateEmbeddings(paragraphs.map(p => p.text.slice(0, settings.maxPassageLength))),
+    getArticleEmbeddings(targetIds)
+  ]);
+
+  // Every (link, paragraph) pair that has an anchor, scored by similarity
+  const pairs = links.map((link) => {
+    const targetEmbedding = targetEmbeddings[link.postId];
+    if (!targetEmbedding) return [];
+
+    return paragraphs
+      .map((paragraph, p) => {
+        const anchor = findParagraphAnchor(paragraph, link);
+        if (!anchor) return null;
+
+        const similarity = cosineSimilarity(paragraphEmbeddings[p], targetEmbedding);
+        return {
+          paragraph,
+          anchor,
+          similarity,
+          score: similarity + (anchor.proposed ? settings.proposedAnchorBonus : 0)
+        };
+      })
+      .filter(Boolean);
+  });
+
+  // Greedy: repeatedly place the link whose best remaining paragraph scores highest
+  const assignments = new Map();
+  const usedOrdinals = new Set();
+
+  while (true) {
+    let best = null;
+
+    links.forEach((_, i) => {
+      if (assignments.has(i)) return;
+      for (const option of pairs[i]) {
+        if (usedOrdinals.has(option.paragraph.ordinal)) continue;
+        const adjusted = option.score - getSpreadPenalty(option.paragraph.ordinal, usedOrdinals, settings);
+        if (!best || adjusted > best.adjusted) {
+          best = { i, option, adjusted };
+        }
+      }
+    });
+
+    if (!best) break;
+    assignments.set(best.i, best.option);
+    usedOrdinals.add(best.option.paragraph.ordinal);
+  }
+
+  const placedLinks = links.map((link, i) => {
+    const assignment = assignments.get(i);
+    if (!assignment) return link;
+
+    const { paragraph, anchor, similarity } = assignment;
+    return {
+      ...link,
+      anchorText: anchor.text,
+      placement: getAnchorSentence(paragraph.text, anchor.text),
+      paragraph: {
+        index: paragraph.index,
+        number: paragraph.ordinal + 1,
+        of: paragraphs.length,
+        similarity: Math.round(similarity * 1000) / 1000,
+        preview: paragraph.text.slice(0, settings.previewLength)
+      }
+    };
+  });
+
+  return {
+    links: placedLinks,
+    placed: assignments.size,
+    paragraphsEmbedded: paragraphs.length
+  };
+}
+
+module.exports = {
+  PARAGRAPH_SELECTOR,
+  PARAGRAPH_PLACEMENT_SETTINGS,
+  extractParagraphs,
+  planParagraphPlacements
+};
@@ -0,0 +1,240 @@
+/**
+ * Pillar Page Detection and Hub-and-Spoke Checks
+ *
+ * Proposes a pillar for each topic cluster from topical authority, inbound
+ * links, comprehensiveness and internal PageRank, instead of relying only on
+ * articles flagged isPillar by hand. Then checks the cluster is a hub and
+ * spoke: every article links up to its pillar and the pillar links down to
+ * every article.
+ *
+ * Missing links are returned with a target URL and anchor text, the fields
+ * the plugin's accept-opportunity action inserts in one click.
+ */
+
+const { getAllArticles, updateMetadata } = require('./pinecone');
+const { calculateTopicalAuthority } = require('./semantic-enrichment');
+const { getInternalPageRanks } = require('./seo-scoring');
+const { buildLinkGraph } = require('./click-depth');
+
+const PILLAR_SETTINGS = {
+  minClusterSize: 3,        // Clusters smaller than this get no pillar
+  maxCandidates: 3,         // Runner-up candidates reported per cluster
+  maxAlternativeAnchors: 3,
+  weights: {
+    topicalAuthority: 0.35,
+    inboundLinks: 0.2,
+    comprehensiveness: 0.25,
+    pageRank: 0.2
+  }
+};
+
+const LINK_DIRECTIONS = {
+  SPOKE_TO_HUB: 'spoke-to-hub',
+  HUB_TO_SPOKE: 'hub-to-spoke'
+};
+
+/**
+ * Score every article of a cluster as a pillar candidate, best first
+ *
+ * @param {Array} clusterArticles - Article metadata of one cluster
+ * @param {Object} graph - Internal link graph (postId -> [postIds])
+ * @param {Object} pageRanks - Internal PageRank (postId -> 0-100)
+ */
+function scorePillarCandidates(clusterArticles, graph, pageRanks, settings = PILLAR_SETTINGS) {
+  const { weights } = settings;
+  const maxInbound = Math.max(1, ...clusterArticles.map(a => a.inboundLinkCount || 0));
+
+  return clusterArticles
+    .map(meta => {
+      // Metadata has no body, so authority's content depth is equal for all - comprehensiveness covers depth
+      const authority = calculateTopicalAuthority(meta, clusterArticles, graph);
+      const breakdown = {
+        topicalAuthority: authority.totalScore,
+        inboundLinks: Math.round(((meta.inboundLinkCount || 0) / maxInbound) * 100),
+        comprehensiveness: meta.comprehensivenessScore || 50,
+        pageRank: pageRanks[meta.postId] ?? 50
+      };
+
+      const score = Object.entries(weights)
+        .reduce((sum, [signal, weight]) => sum + breakdown[signal] * weight, 0);
+
+      return { meta, score: Math.round(score * 10) / 10, breakdown };
+    })
+    .sort((a, b) => b.score - a.score || (b.meta.wordCount || 0) - (a.meta.wordCount || 0));
+}
+
+/**
+ * Anchor text for a link to target, plus alternatives the plugin can try
+ */
+function suggestAnchors(target, settings = PILLAR_SETTINGS) {
+  const phrases = [
+    target.primaryAnchor,
+    ...(target.anchorPhrases || []),
+    target.title
+  ].filter(Boolean);
+  const unique = [...new Map(phrases.map(p => [p.toLowerCase(), p])).values()];
+
+  return {
+    anchorText: unique[0] || '',
+    alternativeAnchors: unique.slice(1, 1 + settings.maxAlternativeAnchors)
+  };
+}
+
+/**
+ * A missing hub-and-spoke link, ready for insertion
+ */
+function describeMissingLink(direction, source, target, settings) {
+  return {
+    direction,
+    sourcePostId: source.postId,
+    sourceTitle: source.title,
+    targetPostId: target.postId,
+    targetTitle: target.title,
+    targetUrl: target.url,
+    ...suggestAnchors(target, settings)
+  };
+}
+
+/**
+ * Summary of a candidate for the report
+ */
+function describeCandidate({ meta, score, breakdown }) {
+  return {
+    postId: meta.postId,
+    title: meta.title,
+    url: meta.url,
+    contentType: meta.contentType || 'post',
+    isPillar: meta.isPillar || false,
+    score,
+    breakdown
+  };
+}
+
+/**
+ * Propose a pillar per topic cluster and list missing hub-and-spoke links
+ *
+ * The hub is the article already flagged isPillar when a cluster has one,
+ * otherwise the proposed pillar.
+ *
+ * @param {Object} options - Overrides of PILLAR_SETTINGS, plus cluster (one cluster only)
+ * @returns {Object} { clusters, missingLinks, summary }
+ */
+async function analyzePillarPages(options = {}) {
+  const settings = { ...PILLAR_SETTINGS, ...options, weights: { ...PILLAR_SETTINGS.weights, ...options.weights } };
+  const articles = await getAllArticles();
+  const { graph } = await buildLinkGraph(articles);
+  const pageRanks = await getInternalPageRanks();
+
+  const byCluster = {};
+  for (const article of articles) {
+    const meta = article.metadata || article;
+    if (!meta.topicCluster || meta.topicCluster === 'general') continue;
+    if (options.cluster && meta.topicCluster !== options.cluster) continue;
+    (byCluster[meta.topicCluster] = byCluster[meta.topicCluster] || []).push(meta);
+  }
+
+  const clusters = [];
+  const missingLinks = [];
+  const skipped = [];
+
+  for (const [cluster, clusterArticles] of Object.entries(byCluster)) {
+    if (clusterArticles.length < settings.minClusterSize) {
+      skipped.push({ cluster, articleCount: clusterArticles.length });
+      continue;
+    }
+
+    const candidates = scorePillarCandidates(clusterArticles, graph, pageRanks, settings);
+    const proposed = candidates[0];
+    const flagged = candidates.find(c => c.meta.isPillar);
+    const hub = (flagged || proposed).meta;
+
+    const clusterMissing = [];
+    let linkingUp = 0;
+    let linkedDown = 0;
+
+    for (const spoke of clusterArticles) {
+      if (spoke.postId === hub.postId) continue;
+
+      if ((graph[spoke.postId] || []).includes(hub.postId)) linkingUp++;
+      else clusterMissing.push(describeMissingLink(LINK_DIRECTIONS.SPOKE_TO_HUB, spoke, hub, settings));
+
+      if ((graph[hub.postId] || []).includes(spoke.postId)) linkedDown++;
+      else clusterMissing.push(describeMissingLink(LINK_DIRECTIONS.HUB_TO_SPOKE, hub, spoke, settings));
+    }
+
+    const spokes = clusterArticles.length - 1;
+    clusters.push({
+      cluster,
+      articleCount: clusterArticles.length,
+      hub: { postId: hub.postId, title: hub.title, url: hub.url, source: flagged ? 'flagged' : 'proposed' },
+      proposedPillar: describeCandidate(proposed),
+      flaggedPillar: flagged ? describeCandidate(flagged) : null,
+      agreesWithFlagged: flagged ? flagged.meta.postId === proposed.meta.postId : null,
+      candidates: candidates.slice(1, 1 + settings.maxCandidates).map(describeCandidate),
+      hubAndSpoke: {
+        spokes,
+        linkingUp,
+        linkedDown,
+        coverage: Math.round(((linkingUp + linkedDown) / (spokes * 2)) * 100),
+        missing: clusterMissing.length
+      }
+    });
+    missingLinks.push(...clusterMissing);
+  }
+
+  clusters.sort((a, b) => a.hubAndSpoke.coverage - b.hubAndSpoke.coverage);
+
+  return {
+    clusters,
+    missingLinks,
+    summary: {
+      clusters: clusters.length,
+      withoutFlaggedPillar: clusters.filter(c => !c.flaggedPillar).length,
+      disagreeingWithFlagged: clusters.filter(c => c.agreesWithFlagged === false).length,
+      missingSpokeToHub: missingLinks.filter(l => l.direction === LINK_DIRECTIONS.SPOKE_TO_HUB).length,
+      missingHubToSpoke: missingLinks.filter(l => l.direction === LINK_DIRECTIONS.HUB_TO_SPOKE).length,
+      skippedClusters: skipped
+    }
+  };
+}
+
+/**
+ * Flag the proposed pillars as isPillar (and unflag other pillars in their clusters)
+ *
+ * @param {Array} clusters - Clusters to apply (all analyzed clusters if omitted)
+ * @returns {Object} { flagged: [postId], unflagged: [postId] }
+ */
+async function applyProposedPillars(clusters = null) {
+  const analysis = await analyzePillarPages();
+  const articles = (await getAllArticles()).map(a => a.metadata || a);
+  const flagged = [];
+  const unflagged = [];
+
+  for (const cluster of analysis.clusters) {
+    if (clusters && !clusters.includes(cluster.cluster)) continue;
+
+    const proposedId = cluster.proposedPillar.postId;
+    if (!cluster.proposedPillar.isPillar) {
+      await updateMetadata(proposedId, { isPillar: true });
+      flagged.push(proposedId);
+    }
+
+    const otherPillars = articles.filter(meta =>
+      meta.topicCluster === cluster.cluster && meta.isPillar && meta.postId !== proposedId
+    );
+    for (const meta of otherPillars) {
+      await updateMetadata(meta.postId, { isPillar: false });
+      unflagged.push(meta.postId);
+    }
+  }
+
+  return { flagged, unflagged };
+}
+
+module.exports = {
+  PILLAR_SETTINGS,
+  LINK_DIRECTIONS,
+  scorePillarCandidates,
+  analyzePillarPages,
+  applyProposedPillars
+};
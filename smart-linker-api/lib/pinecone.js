@@ -1,29 +1,20 @@
-const { Pinecone } = require('@pinecone-database/pinecone');
-
-let pineconeClient = null;
-let pineconeIndex = null;
-
 /**
- * Initialize Pinecone client (singleton)
+ * Catalog Data Access
+ *
+ * Article and section vectors live in the configured vector store
+ * (see lib/vector-store.js). Pinecone is the default backend.
  */
-function getClient() {
-  if (!pineconeClient) {
-    pineconeClient = new Pinecone({
-      apiKey: process.env.PINECONE_API_KEY
-    });
-  }
-  return pineconeClient;
-}
+
+const { getVectorStore, getBackendName } = require('./vector-store');
+const { getClient } = require('./vector-store-pinecone');
+const { recordDeletedArticle, recordUrlChange, clearRetiredUrl } = require('./url-history');
+const { recordEmbeddingVersion, removeEmbeddingHistory } = require('./embedding-history');
 
 /**
- * Get Pinecone index
+ * Get the active vector store index
  */
 function getIndex() {
-  if (!pineconeIndex) {
-    const client = getClient();
-    pineconeIndex = client.index(process.env.PINECONE_INDEX);
-  }
-  return pineconeIndex;
+  return getVectorStore();
 }
 
 /**
@@ -52,6 +43,8 @@ async function upsertArticle(article) {
       .filter(Boolean);
   }
 
+  await trackUrlHistory(article);
+
   await index.upsert([{
     id: `article-${article.postId}`,
     values: article.embedding,
@@ -69,6 +62,10 @@ async function upsertArticle(article) {
       targetPersona: article.targetPersona,
       difficultyLevel: article.difficultyLevel || 'intermediate',
 
+      // Author (E-E-A-T expertise by topic)
+      authorSlug: article.authorSlug || '',
+      authorName: article.authorName || '',
+
       // Quality signals
       qualityScore: article.qualityScore || 50,
       contentLifespan: article.contentLifespan || 'evergreen',
@@ -105,6 +102,9 @@ async function upsertArticle(article) {
       // Linkable Moments (pre-identified link insertion opportunities)
       linkableMoments: linkableMomentsForStorage,
 
+      // Internal hrefs in the article body (for link integrity scans)
+      internalLinks: (article.internalLinks || []).slice(0, 100),
+
       // Content Comprehensiveness
       wordCount: article.comprehensiveness?.wordCount || 0,
       comprehensivenessScore: article.comprehensiveness?.totalScore || 50,
@@ -125,6 +125,12 @@ async function upsertArticle(article) {
       // Search Intent (from voice-search integration)
       searchIntent: article.searchIntent || 'informational',
 
+      // Content fingerprint (sync path selection on the next save)
+      contentHash: article.contentFingerprint?.contentHash || '',
+      embeddingHash: article.contentFingerprint?.embeddingHash || '',
+      headingsHash: article.contentFingerprint?.headingsHash || '',
+      contentSignature: article.contentFingerprint?.contentSignature || '',
+
       // Dates
       publishedAt: article.publishedAt,
       updatedAt: article.updatedAt || new Date().toISOString(),
@@ -137,9 +143,35 @@ async function upsertArticle(article) {
     await storeSectionEmbeddings(article.postId, article.sections);
   }
 
+  // Keep the embedding as a version for link decay (drift since links were inserted)
+  try {
+    await recordEmbeddingVersion(article.postId, article.embedding);
+  } catch (error) {
+    console.error('Failed to record embedding history:', error.message);
+  }
+
   return { success: true, id: `article-${article.postId}` };
 }
 
+/**
+ * Record URL changes and clear tombstones before an upsert
+ * History failures never block the sync
+ */
+async function trackUrlHistory(article) {
+  try {
+    const previous = await getArticle(article.postId);
+
+    if (!previous) {
+      // New or restored article - its URL is live again
+      await clearRetiredUrl(article.url);
+    } else if (previous.url && article.url && previous.url !== article.url) {
+      await recordUrlChange(article.postId, previous.url, article.url, article.title);
+    }
+  } catch (error) {
+    console.error('Failed to track URL history:', error.message);
+  }
+}
+
 /**
  * Store section-level embeddings for an article
  * Uses a separate ID pattern: section-{postId}-{sectionIndex}
@@ -156,6 +188,7 @@ async function storeSectionEmbeddings(postId, sections) {
         parentPostId: postId,
         sectionIndex: idx,
         sectionHeader: section.header || '',
+        sectionAnchor: section.anchor || '',
         sectionType: section.type || 'section',
         contentPreview: (section.content || '').slice(0, 500)
       }
@@ -170,17 +203,18 @@ async function storeSectionEmbeddings(postId, sections) {
 
 /**
  * Query similar sections (for precise content matching)
+ * postIds limits the search to sections of those articles
  */
 async function querySimilarSections(embedding, options = {}) {
   const index = getIndex();
-  const { topK = 20, excludePostIds = [] } = options;
+  const { topK = 20, excludePostIds = [], postIds = null } = options;
 
   const results = await index.query({
     vector: embedding,
     topK,
-    filter: {
-      parentPostId: { $nin: excludePostIds }
-    },
+    filter: postIds
+      ? { parentPostId: { $in: postIds } }
+      : { parentPostId: { $nin: excludePostIds } },
     includeMetadata: true
   });
 
@@ -233,13 +267,102 @@ async function getArticle(postId) {
   };
 }
 
+/**
+ * Catalog entries for a list of postIds, in the same shape as getAllArticles
+ * ({ id, score, metadata }); ids no longer in the catalog are skipped
+ */
+async function getArticlesById(postIds) {
+  const index = getIndex();
+  const articles = [];
+
+  for (let i = 0; i < postIds.length; i += 100) {
+    const ids = postIds.slice(i, i + 100).map(postId => `article-${postId}`);
+    const result = await index.fetch(ids);
+
+    for (const id of ids) {
+      const record = result.records?.[id];
+      if (record?.metadata) {
+        articles.push({ id: record.id, score: 1, metadata: record.metadata });
+      }
+    }
+  }
+
+  return articles;
+}
+
+/**
+ * Get stored article embeddings by postId ({ postId: vector }, missing ids omitted)
+ */
+async function getArticleEmbeddings(postIds) {
+  const index = getIndex();
+  const embeddings = {};
+
+  for (let i = 0; i < postIds.length; i += 100) {
+    const ids = postIds.slice(i, i + 100).map(postId => `article-${postId}`);
+    const result = await index.fetch(ids);
+
+    for (const record of Object.values(result.records || {})) {
+      if (record?.values?.length) {
+        embeddings[record.metadata?.postId ?? record.id.replace('article-', '')] = record.values;
+      }
+    }
+  }
+
+  return embeddings;
+}
+
 /**
  * Delete article from catalog
+ * Also removes its section vectors and records the URL as retired.
+ * Returns the deleted metadata and embedding for replacement-link planning.
  */
 async function deleteArticle(postId) {
   const index = getIndex();
-  await index.deleteOne(`article-${postId}`);
-  return { success: true };
+  const id = `article-${postId}`;
+
+  const result = await index.fetch([id]);
+  const record = result.records[id];
+
+  await index.deleteOne(id);
+
+  try {
+    const sectionIds = [];
+    let paginationToken = null;
+    do {
+      const listResult = await index.listPaginated({
+        prefix: `section-${postId}-`,
+        ...(paginationToken && { paginationToken })
+      });
+      sectionIds.push(...(listResult.vectors || []).map(v => v.id));
+      paginationToken = listResult.pagination?.next || null;
+    } while (paginationToken);
+
+    if (sectionIds.length > 0) {
+      await index.deleteMany(sectionIds);
+    }
+  } catch (error) {
+    console.error('Failed to delete section vectors:', error.message);
+  }
+
+  if (record?.metadata) {
+    try {
+      await recordDeletedArticle(record.metadata, record.values || null);
+    } catch (error) {
+      console.error('Failed to record deleted article:', error.message);
+    }
+  }
+
+  try {
+    await removeEmbeddingHistory(postId);
+  } catch (error) {
+    console.error('Failed to remove embedding history:', error.message);
+  }
+
+  return {
+    success: true,
+    article: record?.metadata || null,
+    embedding: record?.values || null
+  };
 }
 
 /**
@@ -423,12 +546,16 @@ async function getPillarPages() {
 
 module.exports = {
   getClient,
+  getBackendName,
   getIndex,
   upsertArticle,
   querySimilar,
   querySimilarSections,
   storeSectionEmbeddings,
   getArticle,
+  getArticlesById,
+  getArticleEmbeddings,
+  trackUrlHistory,
   deleteArticle,
   getAllArticles,
   updateMetadata,
@@ -0,0 +1,117 @@
+/**
+ * Batch Progress Streaming
+ *
+ * Lets batch routes report each item as it finishes instead of one JSON
+ * body at the end. Two wire formats:
+ * - ndjson: one JSON object per line (application/x-ndjson)
+ * - sse: Server-Sent Events, event name = type (text/event-stream)
+ *
+ * Events: start { total }, item { index, postId, success, result, progress },
+ * done { ...summary, progress }, error { error, message, progress }.
+ * Items already streamed stay delivered even if the batch fails later.
+ */
+
+const STREAM_FORMATS = {
+  NDJSON: 'ndjson',
+  SSE: 'sse'
+};
+
+/**
+ * Streaming format requested by the client, or null for a plain JSON response
+ * Body `stream: true | "ndjson" | "sse"` or an Accept header selects it
+ */
+function getStreamFormat(req) {
+  const requested = req.body?.stream ?? req.query?.stream;
+
+  if (requested === STREAM_FORMATS.SSE) return STREAM_FORMATS.SSE;
+  if (requested === true || requested === 'true' || requested === STREAM_FORMATS.NDJSON) {
+    return STREAM_FORMATS.NDJSON;
+  }
+
+  const accept = req.headers?.accept || '';
+  if (accept.includes('text/event-stream')) return STREAM_FORMATS.SSE;
+  if (accept.includes('application/x-ndjson')) return STREAM_FORMATS.NDJSON;
+
+  return null;
+}
+
+/**
+ * Start a progress stream on the response
+ *
+ * @param {Object} res - Node/Vercel response
+ * @param {string} format - STREAM_FORMATS value
+ * @param {Object} meta - Sent with the start event; `total` is the item count
+ * @returns {Object} { item, done, fail, progress }
+ */
+function startProgressStream(res, format, meta = {}) {
+  const total = meta.total || 0;
+  const counts = { completed: 0, succeeded: 0, failed: 0 };
+  let ended = false;
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', format === STREAM_FORMATS.SSE
+    ? 'text/event-stream; charset=utf-8'
+    : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  const send = (type, data) => {
+    if (ended) return;
+    const event = { type, ...data };
+    res.write(format === STREAM_FORMATS.SSE
+      ? `event: ${type}\ndata: ${JSON.stringify(event)}\n\n`
+      : `${JSON.stringify(event)}\n`);
+  };
+
+  const progress = () => ({
+    ...counts,
+    total,
+    percent: total > 0 ? Math.round((counts.completed / total) * 100) : 100
+  });
+
+  const finish = (type, data) => {
+    send(type, { ...data, progress: progress() });
+    ended = true;
+    res.end();
+  };
+
+  send('start', { ...meta, total, startedAt: new Date().toISOString() });
+
+  return {
+    // One finished item (success or failure)
+    item(index, result) {
+      counts.completed++;
+      if (result.success === false || result.status === 'failed') counts.failed++;
+      else counts.succeeded++;
+
+      send('item', {
+        index,
+        postId: result.postId,
+        success: result.success !== false && result.status !== 'failed',
+        result,
+        progress: progress()
+      });
+    },
+    // Final summary
+    done(summary = {}) {
+      finish('done', summary);
+    },
+    // Batch-level failure; items already sent remain valid
+    fail(error, summary = {}) {
+      finish('error', {
+        ...summary,
+        error: 'Internal server error',
+        message: error.message
+      });
+    },
+    progress
+  };
+}
+
+module.exports = {
+  STREAM_FORMATS,
+  getStreamFormat,
+  startProgressStream
+};
@@ -7,7 +7,7 @@
 
 const { getAllArticles, querySimilar, updateMetadata } = require('./pinecone');
 const { generateEmbedding, cosineSimilarity } = require('./embeddings');
-const { getClient } = require('./claude');
+const { createMessage } = require('./llm');
 
 /**
  * Quality indicators detected from embeddings and metadata
@@ -21,9 +21,10 @@ const QUALITY_SIGNALS = {
 
 /**
  * Analyze content quality using embedding patterns
+ * Pass a preloaded catalog when scoring many articles in a row
  */
-async function analyzeContentQuality(postId, content = null) {
-  const articles = await getAllArticles();
+async function analyzeContentQuality(postId, content = null, catalog = null) {
+  const articles = catalog || await getAllArticles();
   const targetArticle = articles.find(a =>
     (a.metadata?.postId || a.postId) === postId
   );
@@ -168,6 +169,38 @@ function generateQualityRecommendations(scores) {
  */
 async function analyzeAllContentQuality() {
   const articles = await getAllArticles();
+  const items = [];
+
+  for (const article of articles) {
+    const meta = article.metadata || article;
+    const item = await scoreArticleQuality(meta.postId, articles);
+    if (item) items.push(item);
+  }
+
+  return summarizeQualityResults(items, articles.length);
+}
+
+/**
+ * Score one article for the batch report (null if it can't be analyzed)
+ */
+async function scoreArticleQuality(postId, catalog) {
+  const analysis = await analyzeContentQuality(postId, null, catalog);
+
+  if (analysis.error) return null;
+
+  return {
+    postId,
+    title: analysis.title,
+    score: analysis.overallScore,
+    tier: analysis.tier,
+    topIssue: analysis.recommendations[0]?.area || null
+  };
+}
+
+/**
+ * Bucket scored articles into the batch report
+ */
+function summarizeQualityResults(items, total) {
   const results = {
     excellent: [],
     good: [],
@@ -175,37 +208,23 @@ async function analyzeAllContentQuality() {
     needsWork: []
   };
 
-  for (const article of articles) {
-    const meta = article.metadata || article;
-    const analysis = await analyzeContentQuality(meta.postId);
-
-    if (analysis.error) continue;
-
-    const item = {
-      postId: meta.postId,
-      title: meta.title,
-      score: analysis.overallScore,
-      tier: analysis.tier,
-      topIssue: analysis.recommendations[0]?.area || null
-    };
-
-    if (analysis.overallScore >= 80) results.excellent.push(item);
-    else if (analysis.overallScore >= 60) results.good.push(item);
-    else if (analysis.overallScore >= 40) results.average.push(item);
+  for (const item of items) {
+    if (item.score >= 80) results.excellent.push(item);
+    else if (item.score >= 60) results.good.push(item);
+    else if (item.score >= 40) results.average.push(item);
     else results.needsWork.push(item);
   }
 
   return {
     summary: {
-      total: articles.length,
+      total,
       excellent: results.excellent.length,
       good: results.good.length,
       average: results.average.length,
       needsWork: results.needsWork.length,
-      averageScore: Math.round(
-        [...results.excellent, ...results.good, ...results.average, ...results.needsWork]
-          .reduce((sum, a) => sum + a.score, 0) / articles.length
-      )
+      averageScore: total > 0
+        ? Math.round(items.reduce((sum, a) => sum + a.score, 0) / total)
+        : 0
     },
     distribution: results,
     priorityFixes: results.needsWork.slice(0, 10)
@@ -216,8 +235,6 @@ async function analyzeAllContentQuality() {
  * Use Claude to analyze content quality in depth
  */
 async function deepQualityAnalysis(content, title) {
-  const client = getClient();
-
   const prompt = `Analyze this article's quality for SEO and user value.
 
 TITLE: ${title}
@@ -247,8 +264,7 @@ Return JSON:
   "improvements": ["specific suggestion 1", "specific suggestion 2"]
 }`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('quality-deep', {
     max_tokens: 800,
     messages: [{ role: 'user', content: prompt }]
   });
@@ -265,6 +281,8 @@ Return JSON:
 module.exports = {
   analyzeContentQuality,
   analyzeAllContentQuality,
+  scoreArticleQuality,
+  summarizeQualityResults,
   deepQualityAnalysis,
   getQualityTier,
   QUALITY_SIGNALS
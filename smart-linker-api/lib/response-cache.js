@@ -0,0 +1,163 @@
+/**
+ * Smart Link Response Cache
+ *
+ * In-memory response cache with 24-hour TTL (per function instance).
+ * Hit/miss counters are kept per tenant and flushed to the tenant's state
+ * store so /api/stats can report cache effectiveness across all instances.
+ */
+
+const state = require('./state-store');
+const { getTenant } = require('./tenants');
+
+const responseCache = new Map();
+const RESPONSE_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_ENTRIES = 1000;
+
+const STATS_COLLECTION = 'cache-stats';
+const STATS_KEY = 'smart-link';
+const STATS_FLUSH_INTERVAL = 60 * 1000; // flush at most once a minute...
+const STATS_FLUSH_BATCH = 50; // ...unless this many events are pending
+
+// Per tenant: counters since process start, and deltas not yet flushed to the state store
+const tenantStats = new Map();
+
+function createCounters() {
+  return { hits: 0, misses: 0, evictions: 0 };
+}
+
+/**
+ * Counters of a tenant (the current one by default)
+ */
+function getTenantStats(tenantId = getTenant().id) {
+  if (!tenantStats.has(tenantId)) {
+    tenantStats.set(tenantId, { local: createCounters(), pending: createCounters(), lastFlush: 0 });
+  }
+  return tenantStats.get(tenantId);
+}
+
+/**
+ * Record a cache event
+ */
+function recordEvent(type, count = 1, tenantId) {
+  const stats = getTenantStats(tenantId);
+  stats.local[type] += count;
+  stats.pending[type] += count;
+}
+
+/**
+ * Check if cached response is valid
+ */
+function getCachedResponse(cacheKey) {
+  const cached = responseCache.get(cacheKey);
+  if (cached && (Date.now() - cached.timestamp) < RESPONSE_CACHE_TTL) {
+    recordEvent('hits');
+    return cached.data;
+  }
+  if (cached) {
+    responseCache.delete(cacheKey);
+  }
+  recordEvent('misses');
+  return null;
+}
+
+/**
+ * Store response in cache
+ */
+function setCachedResponse(cacheKey, data) {
+  // Limit cache size to prevent memory issues
+  if (responseCache.size > MAX_ENTRIES) {
+    // Remove oldest 100 entries, counted against the tenant that cached each one
+    const keys = Array.from(responseCache.keys()).slice(0, 100);
+    for (const key of keys) {
+      recordEvent('evictions', 1, responseCache.get(key).tenantId);
+      responseCache.delete(key);
+    }
+  }
+  responseCache.set(cacheKey, { data, timestamp: Date.now(), tenantId: getTenant().id });
+}
+
+/**
+ * Flush the current tenant's unrecorded counters to its state store
+ */
+async function flushCacheStats() {
+  const stats = getTenantStats();
+  const delta = stats.pending;
+  if (!delta.hits && !delta.misses && !delta.evictions) return;
+  stats.pending = createCounters();
+  stats.lastFlush = Date.now();
+
+  try {
+    await state.update(STATS_COLLECTION, STATS_KEY, totals => ({
+      hits: (totals?.hits || 0) + delta.hits,
+      misses: (totals?.misses || 0) + delta.misses,
+      evictions: (totals?.evictions || 0) + delta.evictions,
+      since: totals?.since || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error('Failed to flush cache stats:', error.message);
+    // Put the delta back so it is retried on the next flush
+    for (const key of Object.keys(delta)) stats.pending[key] += delta[key];
+  }
+}
+
+/**
+ * Flush the current tenant's counters in the background once enough time has
+ * passed or enough events are pending; request handlers call this without awaiting
+ */
+function scheduleCacheStatsFlush() {
+  const stats = getTenantStats();
+  const { hits, misses, evictions } = stats.pending;
+  const pendingCount = hits + misses + evictions;
+  if (!pendingCount) return;
+  if (pendingCount < STATS_FLUSH_BATCH && Date.now() - stats.lastFlush < STATS_FLUSH_INTERVAL) return;
+  // flushCacheStats handles its own errors and requeues the delta
+  flushCacheStats();
+}
+
+/**
+ * Get the current tenant's cache statistics
+ * Totals cover every instance that has flushed; instance covers this process only
+ */
+async function getCacheStats() {
+  await flushCacheStats();
+  const { id: tenantId } = getTenant();
+  const localStats = getTenantStats(tenantId).local;
+
+  let totals = null;
+  try {
+    totals = await state.get(STATS_COLLECTION, STATS_KEY);
+  } catch (error) {
+    console.error('Failed to load cache stats:', error.message);
+  }
+
+  const hitRate = (hits, misses) => (hits + misses) > 0
+    ? Math.round((hits / (hits + misses)) * 1000) / 10
+    : 0;
+
+  const all = totals || { ...localStats, since: null };
+
+  return {
+    ttlHours: RESPONSE_CACHE_TTL / (60 * 60 * 1000),
+    hits: all.hits,
+    misses: all.misses,
+    evictions: all.evictions,
+    hitRate: hitRate(all.hits, all.misses),
+    since: all.since,
+    instance: {
+      entries: [...responseCache.values()].filter(entry => entry.tenantId === tenantId).length,
+      hits: localStats.hits,
+      misses: localStats.misses,
+      hitRate: hitRate(localStats.hits, localStats.misses)
+    }
+  };
+}
+
+module.exports = {
+  RESPONSE_CACHE_TTL,
+  getCachedResponse,
+  setCachedResponse,
+  flushCacheStats,
+  scheduleCacheStatsFlush,
+  getCacheStats
+};
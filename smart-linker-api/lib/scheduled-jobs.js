@@ -0,0 +1,388 @@
+/**
+ * Scheduled Job Definitions
+ *
+ * The expensive catalog sweeps, registered with the jobs runner so they run
+ * on a schedule and their results can be read back from job history.
+ * Schedules are UTC.
+ *
+ * Chunked jobs snapshot their id lists into run data when they start, and
+ * each step fetches only its own slice of the catalog; per-step output is
+ * appended to run data and combined once, in finish.
+ */
+
+const crypto = require('crypto');
+const { registerJob } = require('./jobs');
+const { getAllArticles, getArticlesById, getArticleEmbeddings } = require('./pinecone');
+const {
+  assessArticleDecay,
+  summarizeDecayResults,
+  measureLinkDrift,
+  reportDecayedLinks
+} = require('./link-decay');
+const { getEmbeddingHistory, getLinkTargetIds, getLinkBaselines } = require('./embedding-history');
+const {
+  groupByCluster,
+  countMembers,
+  addToCentroidSums,
+  mergeCentroidSums,
+  centroidsFromSums,
+  suggestClusters,
+  summarizeClusters
+} = require('./topic-clustering');
+const { scoreArticleQuality, summarizeQualityResults } = require('./quality-scoring');
+const { addArticlesToGraph, getGraphStats } = require('./knowledge-graph');
+const { checkAllLinks } = require('./outbound-link');
+const { startSEOCacheBuild, indexSEOCacheBatch, finishSEOCacheBuild } = require('./seo-scoring');
+const { planClickDepthUpdates, applyClickDepthUpdates } = require('./click-depth');
+const {
+  CANNIBALIZATION_SETTINGS,
+  loadComparableArticles,
+  findPairsInRows,
+  createPairTally,
+  tallyPairs,
+  summarizeTally
+} = require('./cannibalization');
+const { getTenant } = require('./tenants');
+
+// Items per step of each chunked job, sized to stay well under the time budget
+const QUALITY_CHUNK_SIZE = 25;        // Articles scored
+const LINK_HEALTH_CHUNK_SIZE = 50;    // Links probed
+const DECAY_CHUNK_SIZE = 100;         // Articles assessed, then link targets measured
+const CLUSTERING_CHUNK_SIZE = 100;    // Embeddings fetched
+const KNOWLEDGE_GRAPH_CHUNK_SIZE = 200;
+const CLICK_DEPTH_CHUNK_SIZE = 50;    // Metadata writes
+const CANNIBALIZATION_ROWS_PER_STEP = 50; // Each row is compared with every later article
+
+// Catalogs with embeddings of in-progress cannibalization runs per tenant ({ runId, articles })
+const cannibalizationCatalogs = new Map();
+
+/**
+ * Comparable articles of a cannibalization run, in the run's row order
+ * Loaded once per instance; articles removed since the run started are left as gaps
+ */
+async function getCannibalizationCatalog(cursor, data) {
+  const tenantId = getTenant().id;
+  const current = cannibalizationCatalogs.get(tenantId);
+  if (current?.runId === cursor.runId) return current.articles;
+
+  const byId = new Map((await loadComparableArticles()).map(a => [String(a.meta.postId), a]));
+  const articles = (await data.readAll('postIds')).map(postId => byId.get(String(postId)) || null);
+  cannibalizationCatalogs.set(tenantId, { runId: cursor.runId, articles });
+  return articles;
+}
+
+/**
+ * Catalog metadata for a slice of post ids (ids no longer in the catalog are skipped)
+ */
+async function getCatalogSlice(postIds) {
+  return (await getArticlesById(postIds)).map(a => a.metadata);
+}
+
+/**
+ * Post ids of the whole catalog
+ */
+async function getCatalogPostIds() {
+  return (await getAllArticles()).map(a => (a.metadata || a).postId);
+}
+
+/**
+ * Step result of a job that walks one chunked list
+ */
+function listProgress(cursor, data, list) {
+  return {
+    cursor,
+    processed: cursor.processed,
+    total: cursor.total,
+    done: cursor.chunk >= data.chunkCount(list)
+  };
+}
+
+registerJob({
+  name: 'link-decay',
+  description: 'Content freshness report and links from fresh to stale content',
+  schedule: '0 3 * * *',
+  // Articles are assessed first, then the drift of each linked target is measured
+  start: async (params, data) => {
+    const postIds = await getCatalogPostIds();
+    const targetIds = await getLinkTargetIds();
+    await data.write('postIds', postIds, DECAY_CHUNK_SIZE);
+    await data.write('targetIds', targetIds, DECAY_CHUNK_SIZE);
+
+    return {
+      articleChunk: 0,
+      targetChunk: 0,
+      processed: 0,
+      total: postIds.length + targetIds.length,
+      baselineCount: 0
+    };
+  },
+  step: async (cursor, params, data) => {
+    if (cursor.articleChunk < data.chunkCount('postIds')) {
+      const chunk = await data.chunk('postIds', cursor.articleChunk);
+      const now = Date.now();
+      const assessed = [];
+
+      for (const meta of await getCatalogSlice(chunk)) {
+        assessed.push(assessArticleDecay(meta, await getEmbeddingHistory(meta.postId), now));
+      }
+      await data.append('assessed', assessed);
+      cursor.articleChunk++;
+      cursor.processed += chunk.length;
+    } else {
+      const chunk = await data.chunk('targetIds', cursor.targetChunk);
+      const measured = [];
+
+      for (const targetId of chunk) {
+        const baselines = await getLinkBaselines({ targetId });
+        cursor.baselineCount += baselines.length;
+        measured.push(...measureLinkDrift(baselines, { [targetId]: await getEmbeddingHistory(targetId) }));
+      }
+      await data.append('measured', measured);
+      cursor.targetChunk++;
+      cursor.processed += chunk.length;
+    }
+
+    return {
+      cursor,
+      processed: cursor.processed,
+      total: cursor.total,
+      done: cursor.articleChunk >= data.chunkCount('postIds') && cursor.targetChunk >= data.chunkCount('targetIds')
+    };
+  },
+  finish: async (cursor, params, data) => {
+    const report = summarizeDecayResults(await data.readAll('assessed'));
+    const measured = await data.readAll('measured');
+    const potentialLinkIssues = reportDecayedLinks(measured, cursor.baselineCount, report, await getAllArticles());
+    return { report, potentialLinkIssues };
+  }
+});
+
+registerJob({
+  name: 'topic-clustering',
+  description: 'Discover topic clusters from article embeddings',
+  schedule: '0 4 * * 0',
+  // Each member chunk stores its own per-cluster sums; they are combined into
+  // centroids once, then unclustered articles are matched against them
+  start: async (params, data) => {
+    const { members, unclustered } = groupByCluster(await getAllArticles());
+    await data.write('members', members, CLUSTERING_CHUNK_SIZE);
+    await data.write('unclustered', unclustered, CLUSTERING_CHUNK_SIZE);
+
+    return {
+      memberCounts: countMembers(members),
+      unclusteredCount: unclustered.length,
+      memberChunk: 0,
+      unclusteredChunk: 0,
+      processed: 0,
+      total: members.length + unclustered.length
+    };
+  },
+  step: async (cursor, params, data) => {
+    if (cursor.memberChunk < data.chunkCount('members')) {
+      const chunk = await data.chunk('members', cursor.memberChunk);
+      const sums = addToCentroidSums({}, chunk, await getArticleEmbeddings(chunk.map(m => m.postId)));
+      await data.append('sums', [sums]);
+      cursor.memberChunk++;
+      cursor.processed += chunk.length;
+    } else if (cursor.unclusteredChunk < data.chunkCount('unclustered')) {
+      let centroids = await data.get('centroids');
+      if (!centroids) {
+        const sums = (await data.readAll('sums')).reduce(mergeCentroidSums, {});
+        centroids = centroidsFromSums(sums, cursor.memberCounts, params.minClusterSize || 3);
+        await data.set('centroids', centroids);
+      }
+
+      const chunk = await data.chunk('unclustered', cursor.unclusteredChunk);
+      const embeddings = await getArticleEmbeddings(chunk.map(a => a.postId));
+      await data.append('suggestions', suggestClusters(chunk, embeddings, centroids, params.similarityThreshold || 0.75));
+      cursor.unclusteredChunk++;
+      cursor.processed += chunk.length;
+    }
+
+    return {
+      cursor,
+      processed: cursor.processed,
+      total: cursor.total,
+      done: cursor.memberChunk >= data.chunkCount('members') && cursor.unclusteredChunk >= data.chunkCount('unclustered')
+    };
+  },
+  finish: async (cursor, params, data) =>
+    summarizeClusters(cursor.memberCounts, cursor.unclusteredCount, await data.readAll('suggestions'))
+});
+
+registerJob({
+  name: 'quality-scoring',
+  description: 'Score every article for content quality',
+  schedule: '30 3 * * *',
+  start: async (params, data) => {
+    const postIds = await getCatalogPostIds();
+    await data.write('postIds', postIds, QUALITY_CHUNK_SIZE);
+    return { chunk: 0, processed: 0, total: postIds.length };
+  },
+  step: async (cursor, params, data) => {
+    const chunk = await data.chunk('postIds', cursor.chunk);
+    const catalog = await getArticlesById(chunk);
+    const items = [];
+
+    for (const postId of chunk) {
+      const item = await scoreArticleQuality(postId, catalog);
+      if (item) items.push(item);
+    }
+    await data.append('items', items);
+    cursor.chunk++;
+    cursor.processed += chunk.length;
+
+    return listProgress(cursor, data, 'postIds');
+  },
+  finish: async (cursor, params, data) => summarizeQualityResults(await data.readAll('items'), cursor.total)
+});
+
+registerJob({
+  name: 'knowledge-graph',
+  description: 'Rebuild the entity knowledge graph from article metadata',
+  schedule: '0 5 * * 0',
+  start: async (params, data) => {
+    const postIds = await getCatalogPostIds();
+    await data.write('postIds', postIds, KNOWLEDGE_GRAPH_CHUNK_SIZE);
+    return { chunk: 0, processed: 0, total: postIds.length };
+  },
+  step: async (cursor, params, data) => {
+    const chunk = await data.chunk('postIds', cursor.chunk);
+    await addArticlesToGraph(await getCatalogSlice(chunk));
+    cursor.chunk++;
+    cursor.processed += chunk.length;
+
+    return listProgress(cursor, data, 'postIds');
+  },
+  finish: async () => getGraphStats()
+});
+
+registerJob({
+  name: 'outbound-link-health',
+  description: 'HTTP health check of stale outbound links',
+  schedule: '0 */6 * * *',
+  start: async () => ({ checked: 0, summary: null }),
+  step: async (cursor, params, data) => {
+    // Each pass checks the oldest stale links, so repeated passes walk the registry
+    const results = await checkAllLinks({ maxLinks: LINK_HEALTH_CHUNK_SIZE });
+    cursor.checked += results.summary.checked;
+    cursor.summary = results.summary;
+
+    // Lists cover the whole registry, so only the latest pass is kept
+    await data.set('latest', {
+      broken: results.broken.map(l => ({ url: l.url, sourcePostId: l.sourcePostId, httpStatus: l.httpStatus || null })),
+      redirected: results.redirected.map(l => ({ url: l.url, sourcePostId: l.sourcePostId, finalUrl: l.finalUrl || null })),
+      blocked: results.blocked.map(l => ({ url: l.url, sourcePostId: l.sourcePostId }))
+    });
+
+    return {
+      cursor,
+      processed: cursor.checked,
+      total: cursor.checked + results.summary.deferred,
+      done: results.summary.deferred === 0
+    };
+  },
+  finish: async (cursor, params, data) => ({
+    checked: cursor.checked,
+    summary: cursor.summary,
+    broken: [],
+    redirected: [],
+    blocked: [],
+    ...await data.get('latest')
+  })
+});
+
+registerJob({
+  name: 'click-depth',
+  description: 'Recompute BFS click depth from the internal link graph and store it on articles',
+  schedule: '45 2 * * *',
+  // Depths are computed in one pass (metadata only); the metadata writes are chunked
+  start: async (params, data) => {
+    const { changes, total, entryPoints, unreachable } = await planClickDepthUpdates({
+      ...(params.navigationUrls && { navigationUrls: params.navigationUrls }),
+      ...(params.homepageUrl && { homepageUrl: params.homepageUrl })
+    });
+    await data.write('changes', changes, CLICK_DEPTH_CHUNK_SIZE);
+
+    return { chunk: 0, processed: 0, total: changes.length, articles: total, entryPoints, unreachable };
+  },
+  step: async (cursor, params, data) => {
+    cursor.processed += await applyClickDepthUpdates(await data.chunk('changes', cursor.chunk));
+    cursor.chunk++;
+
+    return listProgress(cursor, data, 'changes');
+  },
+  finish: async (cursor) => ({
+    total: cursor.articles,
+    updated: cursor.total,
+    unchanged: cursor.articles - cursor.total,
+    entryPoints: cursor.entryPoints,
+    unreachable: cursor.unreachable
+  })
+});
+
+registerJob({
+  name: 'seo-cache',
+  description: 'Rebuild the SEO link graph, PageRank and orphan cache',
+  schedule: '15 * * * *',
+  // One step: the build lives in this instance's memory and indexing is cheap next to the catalog fetch
+  run: async () => {
+    const build = await startSEOCacheBuild(true);
+    indexSEOCacheBatch(build);
+    const cache = await finishSEOCacheBuild(build);
+
+    return {
+      articles: Object.keys(cache.articleMetadata).length,
+      anchors: Object.keys(cache.anchorUsage).length,
+      reciprocalPairs: Object.keys(cache.reciprocalLinks).length,
+      orphanPages: cache.orphanPages.length,
+      anchorTypeRatios: cache.anchorTypeRatios
+    };
+  }
+});
+
+registerJob({
+  name: 'cannibalization',
+  description: 'Find article pairs competing for the same search intent',
+  schedule: '15 4 * * 0',
+  // The pairwise scan runs a slice of rows per step; the tally keeps counts and the top pairs
+  start: async (params, data) => {
+    const articles = await loadComparableArticles();
+    const runId = crypto.randomUUID();
+    cannibalizationCatalogs.set(getTenant().id, { runId, articles });
+    await data.write('postIds', articles.map(a => a.meta.postId), CANNIBALIZATION_ROWS_PER_STEP);
+
+    return {
+      runId,
+      articleCount: articles.length,
+      settings: {
+        ...CANNIBALIZATION_SETTINGS,
+        ...(params.minSimilarity && { minSimilarity: params.minSimilarity })
+      },
+      offset: 0,
+      tally: createPairTally()
+    };
+  },
+  step: async (cursor, params, data) => {
+    const articles = await getCannibalizationCatalog(cursor, data);
+    const to = cursor.offset + CANNIBALIZATION_ROWS_PER_STEP;
+    tallyPairs(cursor.tally, findPairsInRows(articles, cursor.offset, to, cursor.settings), cursor.settings.maxPairs);
+    cursor.offset = Math.min(to, articles.length);
+
+    return {
+      cursor,
+      processed: cursor.offset,
+      total: articles.length,
+      done: cursor.offset >= articles.length
+    };
+  },
+  finish: async (cursor) => {
+    cannibalizationCatalogs.delete(getTenant().id);
+
+    return {
+      pairs: cursor.tally.pairs,
+      summary: summarizeTally(cursor.tally, cursor.articleCount),
+      settings: cursor.settings
+    };
+  }
+});
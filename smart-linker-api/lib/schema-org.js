@@ -5,20 +5,27 @@
  * search appearance and enable rich results.
  */
 
-const { getClient } = require('./claude');
+const { createMessage } = require('./llm');
+const { getTenant } = require('./tenants');
 
 /**
  * Generate Article schema
  */
 function generateArticleSchema(article, options = {}) {
   const {
-    organizationName = 'LendCity',
-    organizationUrl = 'https://lendcity.ca',
-    logoUrl = 'https://lendcity.ca/logo.png'
+    organizationName = getTenant().name,
+    organizationUrl = getTenant().baseUrl,
+    logoUrl = getTenant().logoUrl || `${organizationUrl}/logo.png`
   } = options;
 
   const meta = article.metadata || article;
 
+  // Registered author profile, else the byline name from sync, else the organization
+  const authorProfile = options.author || (meta.authorName ? { name: meta.authorName } : null);
+  const { '@context': _context, ...author } = authorProfile
+    ? generatePersonSchema(authorProfile, { organizationName, organizationUrl })
+    : { '@type': 'Organization', 'name': organizationName, 'url': organizationUrl };
+
   return {
     '@context': 'https://schema.org',
     '@type': 'Article',
@@ -27,11 +34,7 @@ function generateArticleSchema(article, options = {}) {
     'image': meta.featuredImage || '',
     'datePublished': meta.publishedAt,
     'dateModified': meta.updatedAt || meta.publishedAt,
-    'author': {
-      '@type': 'Organization',
-      'name': organizationName,
-      'url': organizationUrl
-    },
+    'author': author,
     'publisher': {
       '@type': 'Organization',
       'name': organizationName,
@@ -53,6 +56,52 @@ function generateArticleSchema(article, options = {}) {
   };
 }
 
+/**
+ * Generate Person schema for an author
+ * knowsAbout lists declared expertise plus clusters with proven expertise
+ *
+ * @param {Object} author - { name, url, jobTitle, description, image, sameAs, credentials, expertise }
+ * @param {Object} options - organizationName, organizationUrl, provenExpertise ([{ topicCluster, proven }])
+ */
+function generatePersonSchema(author, options = {}) {
+  const {
+    organizationName = getTenant().name,
+    organizationUrl = getTenant().baseUrl,
+    provenExpertise = []
+  } = options;
+
+  const topics = [...new Set([
+    ...(author.expertise || []),
+    ...provenExpertise.filter(e => e.proven).map(e => e.topicCluster)
+  ])];
+
+  const schema = {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    'name': author.name,
+    'worksFor': {
+      '@type': 'Organization',
+      'name': organizationName,
+      'url': organizationUrl
+    }
+  };
+
+  if (author.url) schema.url = author.url;
+  if (author.jobTitle) schema.jobTitle = author.jobTitle;
+  if (author.description) schema.description = author.description;
+  if (author.image) schema.image = author.image;
+  if (author.sameAs?.length > 0) schema.sameAs = author.sameAs;
+  if (topics.length > 0) schema.knowsAbout = topics.map(formatClusterName);
+  if (author.credentials?.length > 0) {
+    schema.hasCredential = author.credentials.map(name => ({
+      '@type': 'EducationalOccupationalCredential',
+      'name': name
+    }));
+  }
+
+  return schema;
+}
+
 /**
  * Generate HowTo schema for instructional content
  */
@@ -94,7 +143,7 @@ function generateFAQSchema(questions) {
 /**
  * Generate BreadcrumbList schema
  */
-function generateBreadcrumbSchema(breadcrumbs, baseUrl = 'https://lendcity.ca') {
+function generateBreadcrumbSchema(breadcrumbs, baseUrl = getTenant().baseUrl) {
   return {
     '@context': 'https://schema.org',
     '@type': 'BreadcrumbList',
@@ -123,8 +172,8 @@ function generateWebPageSchema(article, relatedArticles = []) {
     'dateModified': meta.updatedAt,
     'isPartOf': {
       '@type': 'WebSite',
-      'name': 'LendCity',
-      'url': 'https://lendcity.ca'
+      'name': getTenant().name,
+      'url': getTenant().baseUrl
     }
   };
 
@@ -184,10 +233,7 @@ async function autoGenerateSchema(article, content) {
  * Extract steps from how-to content using Claude
  */
 async function extractStepsFromContent(content) {
-  const client = getClient();
-
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('extract-steps', {
     max_tokens: 500,
     messages: [{
       role: 'user',
@@ -212,10 +258,7 @@ ${content.slice(0, 4000)}`
  * Extract Q&A pairs from FAQ content
  */
 async function extractQuestionsFromContent(content) {
-  const client = getClient();
-
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('extract-questions', {
     max_tokens: 500,
     messages: [{
       role: 'user',
@@ -294,6 +337,10 @@ function validateSchema(schema) {
     if (!schema.datePublished) errors.push('Article missing datePublished');
   }
 
+  if (schema['@type'] === 'Person') {
+    if (!schema.name) errors.push('Person missing name');
+  }
+
   if (schema['@type'] === 'HowTo') {
     if (!schema.step || schema.step.length === 0) {
       errors.push('HowTo missing steps');
@@ -308,6 +355,7 @@ function validateSchema(schema) {
 
 module.exports = {
   generateArticleSchema,
+  generatePersonSchema,
   generateHowToSchema,
   generateFAQSchema,
   generateBreadcrumbSchema,
@@ -20,9 +20,11 @@ const {
   filterByContentType,
   checkContentTypeLinking
 } = require('./seo-scoring');
+const { getBusinessRule } = require('./business-rules');
 
 /**
  * Topic cluster definitions and relationships
+ * Defaults for the editable rules in lib/business-rules.js (GET/POST /api/config)
  */
 const CLUSTER_RELATIONSHIPS = {
   'brrrr-strategy': ['financing', 'rental-properties', 'renovation', 'refinancing'],
@@ -156,7 +158,8 @@ function calculateHybridScore(source, candidate, options = {}) {
       url: candidate.url,
       topicCluster: candidate.topicCluster,
       funnelStage: candidate.funnelStage,
-      contentType: targetType
+      contentType: targetType,
+      authorSlug: candidate.authorSlug || null
     }
   };
 }
@@ -236,7 +239,7 @@ function calculateClusterScore(source, candidate) {
   }
 
   // Check cluster relationship map
-  const clusterRelations = CLUSTER_RELATIONSHIPS[sourceCluster] || [];
+  const clusterRelations = getBusinessRule('CLUSTER_RELATIONSHIPS', CLUSTER_RELATIONSHIPS)[sourceCluster] || [];
   if (clusterRelations.includes(candidateCluster)) {
     return 35;
   }
@@ -265,7 +268,7 @@ function calculateFunnelScore(source, candidate) {
 
   if (!sourceStage || !candidateStage) return 10;
 
-  const allowedStages = FUNNEL_FLOW[sourceStage] || [];
+  const allowedStages = getBusinessRule('FUNNEL_FLOW', FUNNEL_FLOW)[sourceStage] || [];
 
   // Optimal flow
   if (allowedStages[1] === candidateStage) {
@@ -305,7 +308,7 @@ function calculatePersonaScore(source, candidate) {
   }
 
   // Compatible personas
-  const compatible = PERSONA_COMPATIBILITY[sourcePersona] || [];
+  const compatible = getBusinessRule('PERSONA_COMPATIBILITY', PERSONA_COMPATIBILITY)[sourcePersona] || [];
   if (compatible.includes(candidatePersona)) {
     return 15;
   }
@@ -426,7 +429,7 @@ function passesSiloFilter(source, candidate, strict = false) {
 
   // In normal mode, related clusters also pass
   const sourceRelated = source.relatedClusters || [];
-  const clusterRelations = CLUSTER_RELATIONSHIPS[sourceCluster] || [];
+  const clusterRelations = getBusinessRule('CLUSTER_RELATIONSHIPS', CLUSTER_RELATIONSHIPS)[sourceCluster] || [];
 
   return sourceRelated.includes(candidateCluster) ||
          clusterRelations.includes(candidateCluster);
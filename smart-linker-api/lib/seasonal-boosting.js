@@ -5,7 +5,10 @@
  * based on time of year and market cycles.
  */
 
+const { getBusinessRule } = require('./business-rules');
+
 // Seasonal content calendar for Canadian real estate
+// (defaults for the editable rules in lib/business-rules.js)
 const SEASONAL_CONTENT = {
   // Month-based seasons (1-12)
   1: { // January
@@ -90,6 +93,20 @@ const MARKET_CYCLES = {
   }
 };
 
+/**
+ * Seasonal calendar of the current tenant
+ */
+function getSeasonalCalendar() {
+  return getBusinessRule('SEASONAL_CONTENT', SEASONAL_CONTENT);
+}
+
+/**
+ * Market cycle phases of the current tenant
+ */
+function getMarketCycles() {
+  return getBusinessRule('MARKET_CYCLES', MARKET_CYCLES);
+}
+
 /**
  * Get current seasonal boost factors
  */
@@ -97,11 +114,12 @@ function getCurrentSeasonalBoosts() {
   const now = new Date();
   const month = now.getMonth() + 1; // 1-12
 
-  const seasonal = SEASONAL_CONTENT[month] || { topics: [], boost: 1.0 };
+  const calendar = getSeasonalCalendar();
+  const seasonal = calendar[month] || { topics: [], boost: 1.0 };
 
   // Look ahead to next month for upcoming topics
   const nextMonth = month === 12 ? 1 : month + 1;
-  const upcoming = SEASONAL_CONTENT[nextMonth] || { topics: [] };
+  const upcoming = calendar[nextMonth] || { topics: [] };
 
   return {
     currentMonth: month,
@@ -188,7 +206,7 @@ function getUpcomingSeasonalSuggestions() {
   // Look at next 3 months
   for (let i = 1; i <= 3; i++) {
     const targetMonth = ((currentMonth - 1 + i) % 12) + 1;
-    const seasonal = SEASONAL_CONTENT[targetMonth];
+    const seasonal = getSeasonalCalendar()[targetMonth];
 
     if (seasonal) {
       suggestions.push({
@@ -235,10 +253,9 @@ function getDaysUntilMonth(targetMonth) {
 }
 
 /**
- * Generate seasonal title suggestion
+ * Generate seasonal title suggestion (year defaults to the current one)
  */
-function generateSeasonalTitle(topic, month) {
-  const year = new Date().getFullYear();
+function generateSeasonalTitle(topic, month, year = new Date().getFullYear()) {
   const monthName = getMonthName(month);
 
   const templates = {
@@ -281,10 +298,13 @@ function needsSeasonalUpdate(article) {
 
 module.exports = {
   SEASONAL_CONTENT,
+  getSeasonalCalendar,
+  getMarketCycles,
   MARKET_CYCLES,
   getCurrentSeasonalBoosts,
   calculateSeasonalScore,
   applySeasonalBoosting,
   getUpcomingSeasonalSuggestions,
+  generateSeasonalTitle,
   needsSeasonalUpdate
 };
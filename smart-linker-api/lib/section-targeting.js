@@ -0,0 +1,132 @@
+/**
+ * Section-Level Link Targeting
+ *
+ * Turns an article link into a #fragment deep link when the source paragraph
+ * holding the anchor matches one H2/H3 section of the target clearly better
+ * than the target article as a whole. Uses the section embeddings stored by
+ * full enrichment (section-{postId}-{i} vectors), so targets synced without
+ * them keep plain article links.
+ */
+
+const cheerio = require('cheerio');
+const { generateEmbeddings, cosineSimilarity } = require('./embeddings');
+const { querySimilarSections, getArticleEmbeddings } = require('./pinecone');
+const { slugifyHeading } = require('./semantic-enrichment');
+const { PARAGRAPH_SELECTOR } = require('./paragraph-placement');
+
+const SECTION_TARGETING_SETTINGS = {
+  minSectionSimilarity: 0.5,  // Section must be at least this close to the paragraph
+  minAdvantage: 0.08,         // ...and beat the whole-article similarity by this much
+  sectionsPerTarget: 5,       // Best sections fetched per link
+  maxPassageLength: 2000      // Characters of source paragraph embedded
+};
+
+/**
+ * Source paragraph around a link's anchor text
+ * Uses the planned paragraph when there is one, then the first paragraph holding
+ * the anchor, then Claude's placement sentence
+ */
+function findSourcePassage($, link, maxLength) {
+  const anchorLower = (link.anchorText || '').toLowerCase();
+  let passage = null;
+
+  if (link.paragraph) {
+    passage = $(PARAGRAPH_SELECTOR).eq(link.paragraph.index).text().trim() || null;
+  }
+
+  if (!passage && anchorLower) {
+    $(PARAGRAPH_SELECTOR).each((_, el) => {
+      const text = $(el).text().trim();
+      if (text.toLowerCase().includes(anchorLower)) {
+        passage = text;
+        return false;
+      }
+    });
+  }
+
+  if (!passage && link.placement) {
+    passage = link.placement;
+  }
+
+  return passage ? passage.slice(0, maxLength) : null;
+}
+
+/**
+ * Best non-intro section of the target for a passage embedding
+ */
+async function findBestSection(passageEmbedding, targetPostId, topK) {
+  const matches = await querySimilarSections(passageEmbedding, {
+    topK,
+    postIds: [targetPostId]
+  });
+
+  return matches.find(m => m.metadata?.sectionType !== 'intro') || null;
+}
+
+/**
+ * Point links at a target section (#fragment) where a paragraph matches it much better
+ *
+ * @param {string} content - Source HTML
+ * @param {Array} links - Smart-link results ({ postId, url, anchorText, placement, ... })
+ * @param {Object} options - Overrides for SECTION_TARGETING_SETTINGS
+ * @returns {Object} { links, deepLinked }
+ */
+async function applySectionTargeting(content, links, options = {}) {
+  const settings = { ...SECTION_TARGETING_SETTINGS, ...options };
+  const $ = cheerio.load(content || '');
+
+  const candidates = links
+    .map((link, i) => ({ i, link, passage: findSourcePassage($, link, settings.maxPassageLength) }))
+    .filter(c => c.passage && c.link.url && c.link.postId != null);
+
+  if (candidates.length === 0) {
+    return { links, deepLinked: 0 };
+  }
+
+  const [passageEmbeddings, articleEmbeddings] = await Promise.all([
+    generateEmbeddings(candidates.map(c => c.passage)),
+    getArticleEmbeddings([...new Set(candidates.map(c => c.link.postId))])
+  ]);
+
+  const targeted = [...links];
+  let deepLinked = 0;
+
+  await Promise.all(candidates.map(async ({ i, link }, idx) => {
+    const articleEmbedding = articleEmbeddings[link.postId];
+    if (!articleEmbedding) return;
+
+    const section = await findBestSection(passageEmbeddings[idx], link.postId, settings.sectionsPerTarget);
+    if (!section) return;
+
+    const articleSimilarity = cosineSimilarity(passageEmbeddings[idx], articleEmbedding);
+    const advantage = section.score - articleSimilarity;
+    if (section.score < settings.minSectionSimilarity || advantage < settings.minAdvantage) return;
+
+    // Vectors stored before anchors were captured only carry the heading text
+    const heading = section.metadata.sectionHeader || '';
+    const anchor = section.metadata.sectionAnchor || slugifyHeading(heading);
+    if (!anchor) return;
+
+    const articleUrl = link.url.split('#')[0];
+    targeted[i] = {
+      ...link,
+      url: `${articleUrl}#${anchor}`,
+      articleUrl,
+      section: {
+        heading,
+        anchor,
+        index: section.metadata.sectionIndex,
+        similarity: Math.round(section.score * 1000) / 1000,
+        articleSimilarity: Math.round(articleSimilarity * 1000) / 1000
+      }
+    };
+    deepLinked++;
+  }));
+
+  return { links: targeted, deepLinked };
+}
+
+module.exports = {
+  SECTION_TARGETING_SETTINGS,
+  applySectionTargeting
+};
@@ -13,7 +13,9 @@
  */
 
 const { generateEmbedding, generateEmbeddings, cleanForEmbedding } = require('./embeddings');
-const { getClient } = require('./claude');
+const { createMessage } = require('./llm');
+const { isSiteUrl } = require('./tenants');
+const { getBusinessRule } = require('./business-rules');
 
 // ============================================================================
 // LSI KEYWORDS EXTRACTION
@@ -22,6 +24,7 @@ const { getClient } = require('./claude');
 /**
  * Real estate domain LSI keyword mappings
  * Maps core concepts to semantically related terms that Google associates together
+ * (default for the editable rule in lib/business-rules.js)
  */
 const LSI_KEYWORD_MAP = {
   // Investment strategies
@@ -65,22 +68,23 @@ const LSI_KEYWORD_MAP = {
 function extractLSIKeywords(content, mainTopics = [], topicCluster = '') {
   const contentLower = content.toLowerCase();
   const lsiKeywords = new Set();
+  const lsiMap = getBusinessRule('LSI_KEYWORD_MAP', LSI_KEYWORD_MAP);
 
   // Check main topics against LSI map
   for (const topic of mainTopics) {
     const topicKey = topic.toLowerCase().replace(/\s+/g, '-');
-    if (LSI_KEYWORD_MAP[topicKey]) {
-      LSI_KEYWORD_MAP[topicKey].forEach(kw => lsiKeywords.add(kw));
+    if (lsiMap[topicKey]) {
+      lsiMap[topicKey].forEach(kw => lsiKeywords.add(kw));
     }
   }
 
   // Check topic cluster
-  if (topicCluster && LSI_KEYWORD_MAP[topicCluster]) {
-    LSI_KEYWORD_MAP[topicCluster].forEach(kw => lsiKeywords.add(kw));
+  if (topicCluster && lsiMap[topicCluster]) {
+    lsiMap[topicCluster].forEach(kw => lsiKeywords.add(kw));
   }
 
   // Scan content for LSI triggers
-  for (const [key, relatedTerms] of Object.entries(LSI_KEYWORD_MAP)) {
+  for (const [key, relatedTerms] of Object.entries(lsiMap)) {
     const keyPattern = key.replace(/-/g, '[\\s-]?');
     if (new RegExp(keyPattern, 'i').test(contentLower)) {
       relatedTerms.forEach(kw => lsiKeywords.add(kw));
@@ -94,8 +98,6 @@ function extractLSIKeywords(content, mainTopics = [], topicCluster = '') {
  * Use Claude to extract advanced LSI keywords specific to the content
  */
 async function extractLSIKeywordsWithAI(content, title) {
-  const client = getClient();
-
   const prompt = `You are an SEO expert analyzing real estate investment content for semantic relationships.
 
 ARTICLE TITLE: ${title}
@@ -125,8 +127,7 @@ Return JSON:
 Return 15-25 LSI keywords total. Return ONLY valid JSON.`;
 
   try {
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const response = await createMessage('lsi-keywords', {
       max_tokens: 600,
       messages: [{ role: 'user', content: prompt }]
     });
@@ -151,6 +152,31 @@ Return 15-25 LSI keywords total. Return ONLY valid JSON.`;
 // SECTION-LEVEL EMBEDDINGS
 // ============================================================================
 
+/**
+ * Heading text as a URL fragment, the same way WordPress sanitize_title() does
+ * (the plugin gives headings without an id this slug on render)
+ */
+function slugifyHeading(text) {
+  return (text || '')
+    .replace(/<[^>]*>/g, '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&.+?;/g, '')
+    .replace(/\./g, '-')
+    .replace(/[^a-z0-9\s_-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Fragment for a heading: its id attribute if set, otherwise the slug
+ */
+function getHeadingAnchor(attributes, header) {
+  const idMatch = (attributes || '').match(/\sid\s*=\s*["']([^"']+)["']/i);
+  return idMatch ? idMatch[1] : slugifyHeading(header);
+}
+
 /**
  * Extract sections from HTML content based on H2 headers
  * @param {string} html - HTML content
@@ -159,8 +185,8 @@ Return 15-25 LSI keywords total. Return ONLY valid JSON.`;
 function extractSections(html) {
   const sections = [];
 
-  // Match H2 headers and their content
-  const h2Pattern = /<h2[^>]*>(.*?)<\/h2>([\s\S]*?)(?=<h2|$)/gi;
+  // Match H2 headers (with attributes, for the id) and their content
+  const h2Pattern = /<h2([^>]*)>(.*?)<\/h2>([\s\S]*?)(?=<h2|$)/gi;
   let match;
   let sectionIndex = 0;
 
@@ -180,13 +206,14 @@ function extractSections(html) {
 
   // Extract H2 sections
   while ((match = h2Pattern.exec(html)) !== null) {
-    const header = match[1].replace(/<[^>]*>/g, '').trim();
-    const content = cleanForEmbedding(match[2]);
+    const header = match[2].replace(/<[^>]*>/g, '').trim();
+    const content = cleanForEmbedding(match[3]);
 
     if (content.length > 50) {
       sections.push({
         index: sectionIndex++,
         header,
+        anchor: getHeadingAnchor(match[1], header),
         content,
         type: 'section'
       });
@@ -195,15 +222,16 @@ function extractSections(html) {
 
   // If no H2s found, try H3s
   if (sections.length <= 1) {
-    const h3Pattern = /<h3[^>]*>(.*?)<\/h3>([\s\S]*?)(?=<h3|<h2|$)/gi;
+    const h3Pattern = /<h3([^>]*)>(.*?)<\/h3>([\s\S]*?)(?=<h3|<h2|$)/gi;
     while ((match = h3Pattern.exec(html)) !== null) {
-      const header = match[1].replace(/<[^>]*>/g, '').trim();
-      const content = cleanForEmbedding(match[2]);
+      const header = match[2].replace(/<[^>]*>/g, '').trim();
+      const content = cleanForEmbedding(match[3]);
 
       if (content.length > 50) {
         sections.push({
           index: sectionIndex++,
           header,
+          anchor: getHeadingAnchor(match[1], header),
           content,
           type: 'subsection'
         });
@@ -371,8 +399,6 @@ function deduplicateMoments(moments) {
  * Use Claude to identify high-quality linkable passages
  */
 async function detectLinkableMomentsWithAI(content, title) {
-  const client = getClient();
-
   const prompt = `You are analyzing real estate content to find natural link insertion points.
 
 ARTICLE: "${title}"
@@ -407,8 +433,7 @@ Return JSON:
 IMPORTANT: anchorPhrase MUST be exact text from the content. Return ONLY valid JSON.`;
 
   try {
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const response = await createMessage('linkable-moments', {
       max_tokens: 1000,
       messages: [{ role: 'user', content: prompt }]
     });
@@ -730,8 +755,6 @@ function calculateEvidenceScore(text) {
  * These are phrases that would make good anchor text for links TO this article
  */
 async function extractAnchorPhrases(content, title, mainTopics = []) {
-  const client = getClient();
-
   const prompt = `You are an SEO expert identifying anchor text candidates.
 
 ARTICLE TITLE: ${title}
@@ -764,8 +787,7 @@ Return JSON:
 Return ONLY valid JSON.`;
 
   try {
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const response = await createMessage('anchor-phrases', {
       max_tokens: 600,
       messages: [{ role: 'user', content: prompt }]
     });
@@ -863,6 +885,13 @@ function calculateTopicalAuthority(article, clusterArticles = [], linkGraph = {}
 // ENHANCED E-E-A-T ANALYSIS
 // ============================================================================
 
+/**
+ * Whether the HTML links to a site other than the current tenant's
+ */
+function hasOffSiteLinks(html) {
+  return [...html.matchAll(/<a[^>]*href=["'](https?:\/\/[^"']+)["']/gi)].some(([, url]) => !isSiteUrl(url));
+}
+
 /**
  * Comprehensive E-E-A-T analysis for content
  */
@@ -892,7 +921,7 @@ function analyzeEEAT(content, article = {}) {
     // Authoritativeness signals (0-25)
     authoritativeness: {
       hasCitations: /according to|source:|cited from|reference:/i.test(plainText),
-      hasExternalLinks: /<a[^>]*href=["']https?:\/\/(?!.*lendcity)/i.test(html),
+      hasExternalLinks: hasOffSiteLinks(html),
       hasCredentials: /certified|licensed|cpa|cfa|realtor|broker|years of experience/i.test(plainText),
       hasAwards: /award|recognition|featured in|as seen in/i.test(plainText),
       score: 0
@@ -1137,6 +1166,7 @@ module.exports = {
 
   // Section embeddings
   extractSections,
+  slugifyHeading,
   generateSectionEmbeddings,
 
   // Linkable moments
@@ -23,6 +23,8 @@
  */
 
 const { getAllArticles, getArticle, updateMetadata } = require('./pinecone');
+const state = require('./state-store');
+const { getTenant, getTenantConfig } = require('./tenants');
 
 // ============================================================================
 // STEMMING AND SYNONYM SUPPORT
@@ -123,7 +125,7 @@ const GENERIC_ANCHORS = [
 ];
 
 /**
- * Brand terms to detect
+ * Brand terms to detect (default tenant; others set brandTerms in TENANTS)
  */
 const BRAND_TERMS = ['lendcity', 'lend city', 'lend-city'];
 
@@ -142,7 +144,8 @@ function classifyAnchorType(anchorText, target = {}) {
   }
 
   // Check for branded
-  if (BRAND_TERMS.some(brand => anchorLower.includes(brand))) {
+  const brandTerms = getTenantConfig('brandTerms', BRAND_TERMS);
+  if (brandTerms.some(brand => anchorLower.includes(String(brand).toLowerCase()))) {
     return ANCHOR_TYPES.BRANDED;
   }
 
@@ -182,53 +185,92 @@ const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
 const PAGERANK_CONVERGENCE_THRESHOLD = 0.0001;
 const PAGERANK_MAX_ITERATIONS = 50;
 
-// In-memory cache for site-wide SEO data (refreshed periodically)
-let seoCache = {
-  anchorUsage: {},           // { "anchor text": { count: 5, targetIds: [1,2,3], type: 'keyword' } }
-  anchorTypeRatios: {},      // { branded: 0.3, exact_match: 0.2, ... }
-  reciprocalLinks: {},       // { "123-456": true } (postId pairs with reciprocal links)
-  internalPageRank: {},      // { postId: 0.85 }
-  topicPageRank: {},         // { topicCluster: { postId: 0.85 } } - topic-sensitive PR
-  firstLinkAnchors: {},      // { targetPostId: { anchor: "text", sourceId: 123 } } - site-wide first link
-  dismissedOpportunities: {}, // { sourcePostId: { targetPostId: { dismissedAt, reason } } }
-  orphanPages: [],           // Array of { postId, title, inboundCount }
-  linkGraph: {},             // { sourceId: [targetId1, targetId2] }
-  articleMetadata: {},       // { postId: { updatedAt, topicCluster, ... } } - for decay scoring
-  competitorGaps: {},        // { keyword: { ranking: 5, potentialBoost: [...postIds] } }
-  // v2.1: Link velocity tracking
-  linkVelocity: {            // Tracks linking rate to prevent over-optimization
-    daily: [],               // [{ date: '2024-01-09', count: 15 }]
-    weekly: [],              // [{ week: '2024-W02', count: 45 }]
-    byPost: {}               // { postId: { linksAddedThisWeek: 5, lastLinkDate: '...' } }
-  },
-  // v2.1: E-E-A-T signal tracking
-  eeatSignals: {
-    authorPages: {},         // { authorSlug: { postId, expertise: [], articleCount: 0 } }
-    expertiseByTopic: {},    // { topicCluster: { authorSlug: articleCount } }
-    authorityLinks: []       // Links to/from author pages
-  },
-  // v2.1: Semantic clustering for link intent
-  semanticClusters: {
-    awareness: [],           // Articles for awareness stage
-    consideration: [],       // Articles for consideration stage
-    decision: []             // Articles for decision stage
-  },
-  lastRefresh: null,
-  lastIncrementalUpdate: null
-};
+// State store collection for signals that can't be rebuilt from article metadata
+// (link velocity, E-E-A-T author signals)
+const SIGNALS_COLLECTION = 'seo-signals';
 
-// Singleton article cache to prevent multiple fetches
-let articleCache = {
-  articles: null,
-  lastFetch: null,
-  ttl: 10 * 60 * 1000 // 10 minutes
-};
+// Competitor gap keywords imported from rank-tracking tools, keyed by lowercase keyword
+const COMPETITOR_GAPS_COLLECTION = 'competitor-gaps';
+
+/**
+ * Empty in-memory cache for site-wide SEO data (refreshed periodically)
+ */
+function createSeoCache() {
+  return {
+    anchorUsage: {},           // { "anchor text": { count: 5, targetIds: [1,2,3], type: 'keyword' } }
+    anchorTypeRatios: {},      // { branded: 0.3, exact_match: 0.2, ... }
+    reciprocalLinks: {},       // { "123-456": true } (postId pairs with reciprocal links)
+    internalPageRank: {},      // { postId: 0.85 }
+    topicPageRank: {},         // { topicCluster: { postId: 0.85 } } - topic-sensitive PR
+    firstLinkAnchors: {},      // { targetPostId: { anchor: "text", sourceId: 123 } } - site-wide first link
+    dismissedOpportunities: {}, // { sourcePostId: { targetPostId: { dismissedAt, reason } } }
+    orphanPages: [],           // Array of { postId, title, inboundCount }
+    linkGraph: {},             // { sourceId: [targetId1, targetId2] }
+    articleMetadata: {},       // { postId: { updatedAt, topicCluster, ... } } - for decay scoring
+    competitorGaps: {},        // { keyword: { ranking: 5, postId, volume, potentialBoost: [...postIds] } }
+    competitorGapsByPost: {},  // { postId: [keyword, ...] } - pages the ranking boost applies to
+    // v2.1: Link velocity tracking
+    linkVelocity: {            // Tracks linking rate to prevent over-optimization
+      daily: [],               // [{ date: '2024-01-09', count: 15 }]
+      weekly: [],              // [{ week: '2024-W02', count: 45 }]
+      byPost: {}               // { postId: { linksAddedThisWeek: 5, lastLinkDate: '...' } }
+    },
+    // v2.1: E-E-A-T signal tracking
+    eeatSignals: {
+      authorPages: {},         // { authorSlug: { postId, name, expertise: [], articleCount: 0, ... } }
+      expertiseByTopic: {},    // { topicCluster: { authorSlug: articleCount } } - rebuilt from the catalog
+      authorArticles: {},      // { postId: { authorSlug, topicCluster } }
+      authorityLinks: []       // Links to/from author pages
+    },
+    // v2.1: Semantic clustering for link intent
+    semanticClusters: {
+      awareness: [],           // Articles for awareness stage
+      consideration: [],       // Articles for consideration stage
+      decision: []             // Articles for decision stage
+    },
+    lastRefresh: null,
+    lastIncrementalUpdate: null
+  };
+}
+
+/**
+ * Empty article cache (prevents multiple fetches)
+ */
+function createArticleCache() {
+  return {
+    articles: null,
+    lastFetch: null,
+    ttl: 10 * 60 * 1000 // 10 minutes
+  };
+}
+
+// SEO and article caches per tenant - each site has its own catalog and link graph
+const tenantCaches = new Map();
+
+/**
+ * Caches of the current tenant
+ */
+function getTenantCaches() {
+  const { id } = getTenant();
+  if (!tenantCaches.has(id)) {
+    tenantCaches.set(id, { seo: createSeoCache(), articles: createArticleCache() });
+  }
+  return tenantCaches.get(id);
+}
+
+/**
+ * SEO cache of the current tenant
+ */
+function getSeoCache() {
+  return getTenantCaches().seo;
+}
 
 /**
  * Get all articles with singleton caching
  * Prevents multiple expensive Pinecone fetches
  */
 async function getCachedArticles(forceRefresh = false) {
+  const articleCache = getTenantCaches().articles;
   const now = Date.now();
 
   if (!forceRefresh && articleCache.articles && articleCache.lastFetch &&
@@ -244,177 +286,206 @@ async function getCachedArticles(forceRefresh = false) {
 }
 
 /**
- * Refresh SEO cache from Pinecone data
- * Should be called before batch operations
+ * Zero count per anchor type
+ */
+function createAnchorTypeCounts() {
+  return Object.fromEntries(Object.values(ANCHOR_TYPES).map(type => [type, 0]));
+}
+
+/**
+ * Start a rebuild of the SEO cache from the catalog
  *
- * Performance: Uses extended TTL and singleton article cache
+ * The cache is built beside the live one (indexSEOCacheBatch) and swapped in
+ * by finishSEOCacheBuild, so requests keep reading a complete cache meanwhile.
+ * A build can be indexed in batches, e.g. across steps of a scheduled job.
  */
-async function refreshSEOCache(forceRefresh = false) {
-  const now = Date.now();
-  if (!forceRefresh && seoCache.lastRefresh && (now - seoCache.lastRefresh) < CACHE_TTL) {
-    return seoCache; // Cache still valid
-  }
+async function startSEOCacheBuild(forceRefresh = false) {
+  const articles = await getCachedArticles(forceRefresh);
+  const cache = createSeoCache();
+  cache.anchorTypeRatios = createAnchorTypeCounts();
 
-  console.log('Refreshing SEO cache...');
-  const startTime = Date.now();
+  return {
+    articles,
+    cache,
+    offset: 0,
+    anchorTypeCounts: createAnchorTypeCounts(),
+    totalAnchors: 0
+  };
+}
 
-  try {
-    const allArticles = await getCachedArticles(forceRefresh);
-
-    // Reset cache while preserving dismissed opportunities
-    const preservedDismissed = seoCache.dismissedOpportunities;
-
-    seoCache = {
-      anchorUsage: {},
-      anchorTypeRatios: {
-        [ANCHOR_TYPES.BRANDED]: 0,
-        [ANCHOR_TYPES.EXACT_MATCH]: 0,
-        [ANCHOR_TYPES.PARTIAL_MATCH]: 0,
-        [ANCHOR_TYPES.GENERIC]: 0,
-        [ANCHOR_TYPES.NAKED_URL]: 0,
-        [ANCHOR_TYPES.NATURAL]: 0
-      },
-      reciprocalLinks: {},
-      internalPageRank: {},
-      topicPageRank: {},
-      firstLinkAnchors: {},
-      dismissedOpportunities: preservedDismissed,
-      orphanPages: [],
-      linkGraph: {},
-      articleMetadata: {},
-      competitorGaps: {},
-      lastRefresh: now,
-      lastIncrementalUpdate: now
-    };
+/**
+ * Index the next batch of a build's articles: anchors, orphans, link graph
+ *
+ * @returns {Object} { processed, total, done }
+ */
+function indexSEOCacheBatch(build, limit = Infinity) {
+  const { cache } = build;
+  const batch = build.articles.slice(build.offset, build.offset + limit);
 
-    // Track anchor type counts for ratio calculation
-    const anchorTypeCounts = {
-      [ANCHOR_TYPES.BRANDED]: 0,
-      [ANCHOR_TYPES.EXACT_MATCH]: 0,
-      [ANCHOR_TYPES.PARTIAL_MATCH]: 0,
-      [ANCHOR_TYPES.GENERIC]: 0,
-      [ANCHOR_TYPES.NAKED_URL]: 0,
-      [ANCHOR_TYPES.NATURAL]: 0
+  for (const article of batch) {
+    const meta = article.metadata || article;
+    const postId = meta.postId;
+
+    // Store metadata for decay scoring
+    cache.articleMetadata[postId] = {
+      updatedAt: meta.updatedAt,
+      publishedAt: meta.publishedAt,
+      topicCluster: meta.topicCluster,
+      inboundLinkCount: meta.inboundLinkCount || 0,
+      title: meta.title,
+      url: meta.url,
+      isPillar: meta.isPillar
     };
-    let totalAnchors = 0;
 
-    // Build data from articles
-    for (const article of allArticles) {
-      const meta = article.metadata || article;
-      const postId = meta.postId;
-
-      // Store metadata for decay scoring
-      seoCache.articleMetadata[postId] = {
-        updatedAt: meta.updatedAt,
-        publishedAt: meta.publishedAt,
-        topicCluster: meta.topicCluster,
-        inboundLinkCount: meta.inboundLinkCount || 0,
+    // Track orphan pages (0-2 inbound links)
+    const inboundCount = meta.inboundLinkCount || 0;
+    if (inboundCount <= 2) {
+      cache.orphanPages.push({
+        postId,
         title: meta.title,
         url: meta.url,
-        isPillar: meta.isPillar
-      };
-
-      // Track orphan pages (0-2 inbound links)
-      const inboundCount = meta.inboundLinkCount || 0;
-      if (inboundCount <= 2) {
-        seoCache.orphanPages.push({
-          postId,
-          title: meta.title,
-          url: meta.url,
-          inboundCount,
-          topicCluster: meta.topicCluster
-        });
-      }
+        inboundCount,
+        topicCluster: meta.topicCluster
+      });
+    }
 
-      // Track anchor phrases used to link TO this article
-      if (meta.inboundAnchors && Array.isArray(meta.inboundAnchors)) {
-        for (const anchor of meta.inboundAnchors) {
-          const anchorText = anchor.text || (typeof anchor === 'string' ? anchor : '');
-          const anchorLower = anchorText.toLowerCase();
-
-          if (!anchorLower) continue;
-
-          // Classify anchor type
-          const anchorType = classifyAnchorType(anchorText, meta);
-          anchorTypeCounts[anchorType]++;
-          totalAnchors++;
-
-          if (!seoCache.anchorUsage[anchorLower]) {
-            seoCache.anchorUsage[anchorLower] = {
-              count: 0,
-              targetIds: [],
-              sourceIds: [],
-              type: anchorType,
-              createdAt: anchor.createdAt || null
+    // Track anchor phrases used to link TO this article
+    if (meta.inboundAnchors && Array.isArray(meta.inboundAnchors)) {
+      for (const anchor of meta.inboundAnchors) {
+        const anchorText = anchor.text || (typeof anchor === 'string' ? anchor : '');
+        const anchorLower = anchorText.toLowerCase();
+
+        if (!anchorLower) continue;
+
+        // Classify anchor type
+        const anchorType = classifyAnchorType(anchorText, meta);
+        build.anchorTypeCounts[anchorType]++;
+        build.totalAnchors++;
+
+        if (!cache.anchorUsage[anchorLower]) {
+          cache.anchorUsage[anchorLower] = {
+            count: 0,
+            targetIds: [],
+            sourceIds: [],
+            type: anchorType,
+            createdAt: anchor.createdAt || null
+          };
+        }
+        cache.anchorUsage[anchorLower].count++;
+        cache.anchorUsage[anchorLower].targetIds.push(postId);
+        if (anchor.sourceId) {
+          cache.anchorUsage[anchorLower].sourceIds.push(anchor.sourceId);
+
+          // Track site-wide first link to each target
+          if (!cache.firstLinkAnchors[postId]) {
+            cache.firstLinkAnchors[postId] = {
+              anchor: anchorText,
+              sourceId: anchor.sourceId,
+              createdAt: anchor.createdAt
             };
-          }
-          seoCache.anchorUsage[anchorLower].count++;
-          seoCache.anchorUsage[anchorLower].targetIds.push(postId);
-          if (anchor.sourceId) {
-            seoCache.anchorUsage[anchorLower].sourceIds.push(anchor.sourceId);
-
-            // Track site-wide first link to each target
-            if (!seoCache.firstLinkAnchors[postId]) {
-              seoCache.firstLinkAnchors[postId] = {
+          } else if (anchor.createdAt && cache.firstLinkAnchors[postId].createdAt) {
+            // Update if this link is older
+            if (new Date(anchor.createdAt) < new Date(cache.firstLinkAnchors[postId].createdAt)) {
+              cache.firstLinkAnchors[postId] = {
                 anchor: anchorText,
                 sourceId: anchor.sourceId,
                 createdAt: anchor.createdAt
               };
-            } else if (anchor.createdAt && seoCache.firstLinkAnchors[postId].createdAt) {
-              // Update if this link is older
-              if (new Date(anchor.createdAt) < new Date(seoCache.firstLinkAnchors[postId].createdAt)) {
-                seoCache.firstLinkAnchors[postId] = {
-                  anchor: anchorText,
-                  sourceId: anchor.sourceId,
-                  createdAt: anchor.createdAt
-                };
-              }
             }
           }
         }
       }
+    }
 
-      // Track outbound links for reciprocal detection and PageRank
-      if (meta.outboundLinks && Array.isArray(meta.outboundLinks)) {
-        seoCache.linkGraph[postId] = meta.outboundLinks.map(l => l.targetId || l);
+    // Track outbound links for reciprocal detection and PageRank
+    if (meta.outboundLinks && Array.isArray(meta.outboundLinks)) {
+      cache.linkGraph[postId] = meta.outboundLinks.map(l => l.targetId || l);
 
-        // Check for reciprocal links
-        for (const targetId of seoCache.linkGraph[postId]) {
-          const pairKey = [postId, targetId].sort().join('-');
-          if (seoCache.linkGraph[targetId]?.includes(postId)) {
-            seoCache.reciprocalLinks[pairKey] = true;
-          }
+      // Check for reciprocal links
+      for (const targetId of cache.linkGraph[postId]) {
+        const pairKey = [postId, targetId].sort().join('-');
+        if (cache.linkGraph[targetId]?.includes(postId)) {
+          cache.reciprocalLinks[pairKey] = true;
         }
       }
-
-      // Initialize PageRank
-      seoCache.internalPageRank[postId] = 1.0;
     }
 
-    // Calculate anchor type ratios
-    if (totalAnchors > 0) {
-      for (const type of Object.keys(anchorTypeCounts)) {
-        seoCache.anchorTypeRatios[type] = Math.round((anchorTypeCounts[type] / totalAnchors) * 100);
-      }
+    // Initialize PageRank
+    cache.internalPageRank[postId] = 1.0;
+  }
+
+  build.offset += batch.length;
+  return { processed: build.offset, total: build.articles.length, done: build.offset >= build.articles.length };
+}
+
+/**
+ * Swap a fully indexed build in as the live cache and compute PageRank
+ * Dismissals and persisted signals are read now, so changes made while the build ran are kept
+ */
+async function finishSEOCacheBuild(build) {
+  const { cache } = build;
+  const { linkVelocity, eeatSignals } = await loadPersistedSignals();
+  const competitorGaps = await loadCompetitorGaps();
+  rebuildAuthorExpertise(eeatSignals, build.articles);
+
+  // Calculate anchor type ratios
+  if (build.totalAnchors > 0) {
+    for (const type of Object.keys(build.anchorTypeCounts)) {
+      cache.anchorTypeRatios[type] = Math.round((build.anchorTypeCounts[type] / build.totalAnchors) * 100);
     }
+  }
+
+  // Sort orphan pages by inbound count (most orphaned first)
+  cache.orphanPages.sort((a, b) => a.inboundCount - b.inboundCount);
+
+  const now = Date.now();
+  Object.assign(cache, {
+    dismissedOpportunities: getSeoCache().dismissedOpportunities,
+    semanticClusters: getSeoCache().semanticClusters,
+    competitorGaps,
+    competitorGapsByPost: indexCompetitorGaps(competitorGaps),
+    linkVelocity,
+    eeatSignals,
+    lastRefresh: now,
+    lastIncrementalUpdate: now
+  });
 
-    // Sort orphan pages by inbound count (most orphaned first)
-    seoCache.orphanPages.sort((a, b) => a.inboundCount - b.inboundCount);
+  // Swap and rank synchronously, so no request sees the new cache without PageRank
+  getTenantCaches().seo = cache;
+  calculateInternalPageRank(build.articles);
+  calculateTopicPageRank(build.articles);
 
-    // Calculate Internal PageRank with convergence detection
-    calculateInternalPageRank(allArticles);
+  return cache;
+}
 
-    // Calculate topic-sensitive PageRank
-    calculateTopicPageRank(allArticles);
+/**
+ * Refresh SEO cache from Pinecone data
+ * Should be called before batch operations
+ *
+ * Performance: Uses extended TTL and singleton article cache
+ */
+async function refreshSEOCache(forceRefresh = false) {
+  const now = Date.now();
+  if (!forceRefresh && getSeoCache().lastRefresh && (now - getSeoCache().lastRefresh) < CACHE_TTL) {
+    return getSeoCache(); // Cache still valid
+  }
+
+  console.log('Refreshing SEO cache...');
+  const startTime = Date.now();
+
+  try {
+    const build = await startSEOCacheBuild(forceRefresh);
+    indexSEOCacheBatch(build);
+    await finishSEOCacheBuild(build);
 
     const elapsed = Date.now() - startTime;
-    console.log(`SEO cache refreshed in ${elapsed}ms: ${Object.keys(seoCache.anchorUsage).length} anchors, ${Object.keys(seoCache.reciprocalLinks).length} reciprocal pairs, ${seoCache.orphanPages.length} orphan pages`);
+    console.log(`SEO cache refreshed in ${elapsed}ms: ${Object.keys(getSeoCache().anchorUsage).length} anchors, ${Object.keys(getSeoCache().reciprocalLinks).length} reciprocal pairs, ${getSeoCache().orphanPages.length} orphan pages`);
 
   } catch (error) {
     console.error('Failed to refresh SEO cache:', error.message);
   }
 
-  return seoCache;
+  return getSeoCache();
 }
 
 /**
@@ -445,7 +516,7 @@ function calculateInternalPageRank(articles) {
       let incomingRank = 0;
 
       // Sum up rank from all pages linking to this one
-      for (const [sourceId, outboundLinks] of Object.entries(seoCache.linkGraph)) {
+      for (const [sourceId, outboundLinks] of Object.entries(getSeoCache().linkGraph)) {
         if (outboundLinks && outboundLinks.includes(postId)) {
           const sourceOutboundCount = outboundLinks.length || 1;
           incomingRank += (ranks[sourceId] || 0) / sourceOutboundCount;
@@ -474,10 +545,18 @@ function calculateInternalPageRank(articles) {
   // Normalize to 0-100 scale
   const maxRank = Math.max(...Object.values(ranks), 0.01);
   for (const postId of Object.keys(ranks)) {
-    seoCache.internalPageRank[postId] = Math.round((ranks[postId] / maxRank) * 100);
+    getSeoCache().internalPageRank[postId] = Math.round((ranks[postId] / maxRank) * 100);
   }
 }
 
+/**
+ * Internal PageRank of every article (0-100), refreshing the SEO cache if stale
+ */
+async function getInternalPageRanks() {
+  await refreshSEOCache();
+  return { ...getSeoCache().internalPageRank };
+}
+
 /**
  * Calculate topic-sensitive PageRank
  * Weights links within the same topic cluster higher
@@ -498,7 +577,7 @@ function calculateTopicPageRank(articles) {
   for (const [cluster, clusterArts] of Object.entries(clusterArticles)) {
     if (clusterArts.length < 2) continue;
 
-    seoCache.topicPageRank[cluster] = {};
+    getSeoCache().topicPageRank[cluster] = {};
     const ranks = {};
     const numInCluster = clusterArts.length;
 
@@ -519,7 +598,7 @@ function calculateTopicPageRank(articles) {
         // Only count links from within same cluster
         for (const sourceArticle of clusterArts) {
           const sourceId = sourceArticle.metadata?.postId || sourceArticle.postId;
-          const outboundLinks = seoCache.linkGraph[sourceId] || [];
+          const outboundLinks = getSeoCache().linkGraph[sourceId] || [];
 
           if (outboundLinks.includes(postId)) {
             // Count only in-cluster outbound links
@@ -539,7 +618,7 @@ function calculateTopicPageRank(articles) {
     // Normalize
     const maxRank = Math.max(...Object.values(ranks), 0.01);
     for (const postId of Object.keys(ranks)) {
-      seoCache.topicPageRank[cluster][postId] = Math.round((ranks[postId] / maxRank) * 100);
+      getSeoCache().topicPageRank[cluster][postId] = Math.round((ranks[postId] / maxRank) * 100);
     }
   }
 }
@@ -554,7 +633,7 @@ function calculateTopicPageRank(articles) {
  */
 function getAnchorDiversityScore(anchorText, targetId) {
   const anchorLower = anchorText.toLowerCase().trim();
-  const usage = seoCache.anchorUsage[anchorLower];
+  const usage = getSeoCache().anchorUsage[anchorLower];
 
   if (!usage) {
     return {
@@ -604,7 +683,7 @@ function getAnchorDiversityScore(anchorText, targetId) {
  */
 function getAnchorRatioScore(anchorText, target = {}) {
   const anchorType = classifyAnchorType(anchorText, target);
-  const ratios = seoCache.anchorTypeRatios;
+  const ratios = getSeoCache().anchorTypeRatios;
 
   let score = 15; // Default neutral
   let recommendation = '';
@@ -891,7 +970,7 @@ function getFirstLinkScore(sourceId, targetId, anchorText, existingLinks = []) {
   }
 
   // Check site-wide first link
-  const siteFirstLink = seoCache.firstLinkAnchors[targetId];
+  const siteFirstLink = getSeoCache().firstLinkAnchors[targetId];
 
   if (siteFirstLink) {
     // Someone else was first - check if anchor matches
@@ -933,7 +1012,7 @@ function getFirstLinkScore(sourceId, targetId, anchorText, existingLinks = []) {
  * Check for reciprocal links and apply penalty
  */
 function getReciprocalLinkScore(sourceId, targetId) {
-  const targetOutbound = seoCache.linkGraph[targetId] || [];
+  const targetOutbound = getSeoCache().linkGraph[targetId] || [];
   const isReciprocal = targetOutbound.includes(sourceId);
 
   if (isReciprocal) {
@@ -945,7 +1024,7 @@ function getReciprocalLinkScore(sourceId, targetId) {
   }
 
   const pairKey = [sourceId, targetId].sort().join('-');
-  if (seoCache.reciprocalLinks[pairKey]) {
+  if (getSeoCache().reciprocalLinks[pairKey]) {
     return {
       score: -10,
       isReciprocal: true,
@@ -964,14 +1043,14 @@ function getReciprocalLinkScore(sourceId, targetId) {
  * Get Internal PageRank score with topic sensitivity
  */
 function getPageRankScore(sourceId, targetId, topicCluster = null) {
-  const sourcePR = seoCache.internalPageRank[sourceId] || 50;
-  const targetPR = seoCache.internalPageRank[targetId] || 50;
+  const sourcePR = getSeoCache().internalPageRank[sourceId] || 50;
+  const targetPR = getSeoCache().internalPageRank[targetId] || 50;
 
   // Check topic-sensitive PageRank if available
   let topicBonus = 0;
-  if (topicCluster && seoCache.topicPageRank[topicCluster]) {
-    const sourceTopicPR = seoCache.topicPageRank[topicCluster][sourceId] || 50;
-    const targetTopicPR = seoCache.topicPageRank[topicCluster][targetId] || 50;
+  if (topicCluster && getSeoCache().topicPageRank[topicCluster]) {
+    const sourceTopicPR = getSeoCache().topicPageRank[topicCluster][sourceId] || 50;
+    const targetTopicPR = getSeoCache().topicPageRank[topicCluster][targetId] || 50;
 
     // Bonus for high authority within the cluster
     if (sourceTopicPR >= 70 && targetTopicPR <= 30) {
@@ -1005,7 +1084,7 @@ function getPageRankScore(sourceId, targetId, topicCluster = null) {
  * Newer links have more SEO impact
  */
 function getLinkRelevanceDecayScore(targetId) {
-  const targetMeta = seoCache.articleMetadata[targetId];
+  const targetMeta = getSeoCache().articleMetadata[targetId];
 
   if (!targetMeta || !targetMeta.updatedAt) {
     return { score: 10, decay: 'unknown', daysSinceUpdate: null };
@@ -1104,44 +1183,85 @@ function getLinkContextScore(content, anchorText) {
 // ============================================================================
 
 /**
- * Track a new link for velocity monitoring
- * Call this when a new link is inserted
+ * Load link velocity and E-E-A-T signals from the state store
+ * Falls back to the in-memory values if the store is unavailable
  */
-function trackLinkVelocity(sourceId, targetId) {
+async function loadPersistedSignals() {
+  try {
+    const signals = await state.getAll(SIGNALS_COLLECTION);
+    return {
+      linkVelocity: signals.linkVelocity || getSeoCache().linkVelocity,
+      eeatSignals: signals.eeatSignals || getSeoCache().eeatSignals
+    };
+  } catch (error) {
+    console.error('Failed to load persisted SEO signals:', error.message);
+    return {
+      linkVelocity: getSeoCache().linkVelocity,
+      eeatSignals: getSeoCache().eeatSignals
+    };
+  }
+}
+
+/**
+ * Read-modify-write a persisted signal, keeping the cache in sync
+ * On storage failure the change is applied to the in-memory copy only
+ */
+async function updatePersistedSignal(key, mutator) {
+  try {
+    getSeoCache()[key] = await state.update(SIGNALS_COLLECTION, key, stored => {
+      const value = stored || getSeoCache()[key];
+      mutator(value);
+      return value;
+    });
+  } catch (error) {
+    console.error(`Failed to persist ${key}:`, error.message);
+    mutator(getSeoCache()[key]);
+  }
+}
+
+/**
+ * Track new links for velocity monitoring
+ * Call this once per insert with the number of links added to the source post
+ */
+async function trackLinkVelocity(sourceId, linkCount = 1) {
+  if (linkCount <= 0) return;
+
   const today = new Date().toISOString().split('T')[0];
   const weekNum = getISOWeek(new Date());
   const weekKey = `${new Date().getFullYear()}-W${weekNum.toString().padStart(2, '0')}`;
 
-  // Track daily
-  let dailyEntry = seoCache.linkVelocity.daily.find(d => d.date === today);
-  if (!dailyEntry) {
-    dailyEntry = { date: today, count: 0 };
-    seoCache.linkVelocity.daily.push(dailyEntry);
-    // Keep only last 30 days
-    if (seoCache.linkVelocity.daily.length > 30) {
-      seoCache.linkVelocity.daily.shift();
+  await updatePersistedSignal('linkVelocity', linkVelocity => {
+    // Track daily
+    let dailyEntry = linkVelocity.daily.find(d => d.date === today);
+    if (!dailyEntry) {
+      dailyEntry = { date: today, count: 0 };
+      linkVelocity.daily.push(dailyEntry);
+      // Keep only last 30 days
+      if (linkVelocity.daily.length > 30) {
+        linkVelocity.daily.shift();
+      }
     }
-  }
-  dailyEntry.count++;
-
-  // Track weekly
-  let weeklyEntry = seoCache.linkVelocity.weekly.find(w => w.week === weekKey);
-  if (!weeklyEntry) {
-    weeklyEntry = { week: weekKey, count: 0 };
-    seoCache.linkVelocity.weekly.push(weeklyEntry);
-    // Keep only last 12 weeks
-    if (seoCache.linkVelocity.weekly.length > 12) {
-      seoCache.linkVelocity.weekly.shift();
+    dailyEntry.count += linkCount;
+
+    // Track weekly
+    let weeklyEntry = linkVelocity.weekly.find(w => w.week === weekKey);
+    if (!weeklyEntry) {
+      weeklyEntry = { week: weekKey, count: 0 };
+      linkVelocity.weekly.push(weeklyEntry);
+      // Keep only last 12 weeks
+      if (linkVelocity.weekly.length > 12) {
+        linkVelocity.weekly.shift();
+      }
     }
-  }
-  weeklyEntry.count++;
+    weeklyEntry.count += linkCount;
 
-  // Track per post
-  if (!seoCache.linkVelocity.byPost[sourceId]) {
-    seoCache.linkVelocity.byPost[sourceId] = { linksAddedThisWeek: 0, lastLinkDate: null };
-  }
-  seoCache.linkVelocity.byPost[sourceId].linksAddedThisWeek++;
-  seoCache.linkVelocity.byPost[sourceId].lastLinkDate = today;
+    // Track per post
+    if (!linkVelocity.byPost[sourceId]) {
+      linkVelocity.byPost[sourceId] = { linksAddedThisWeek: 0, lastLinkDate: null };
+    }
+    linkVelocity.byPost[sourceId].linksAddedThisWeek += linkCount;
+    linkVelocity.byPost[sourceId].lastLinkDate = today;
+  });
 }
 
 /**
@@ -1161,9 +1281,9 @@ function getISOWeek(date) {
  */
 function getLinkVelocityScore(sourceId) {
   const weekKey = `${new Date().getFullYear()}-W${getISOWeek(new Date()).toString().padStart(2, '0')}`;
-  const weeklyEntry = seoCache.linkVelocity.weekly.find(w => w.week === weekKey);
+  const weeklyEntry = getSeoCache().linkVelocity.weekly.find(w => w.week === weekKey);
   const weeklyCount = weeklyEntry?.count || 0;
-  const postData = seoCache.linkVelocity.byPost[sourceId];
+  const postData = getSeoCache().linkVelocity.byPost[sourceId];
   const postWeeklyCount = postData?.linksAddedThisWeek || 0;
 
   let score = 20; // Default healthy
@@ -1209,17 +1329,17 @@ function getLinkVelocityReport() {
   const weekKey = `${new Date().getFullYear()}-W${getISOWeek(new Date()).toString().padStart(2, '0')}`;
   const today = new Date().toISOString().split('T')[0];
 
-  const todayEntry = seoCache.linkVelocity.daily.find(d => d.date === today);
-  const weeklyEntry = seoCache.linkVelocity.weekly.find(w => w.week === weekKey);
+  const todayEntry = getSeoCache().linkVelocity.daily.find(d => d.date === today);
+  const weeklyEntry = getSeoCache().linkVelocity.weekly.find(w => w.week === weekKey);
 
   // Calculate 7-day average
-  const last7Days = seoCache.linkVelocity.daily.slice(-7);
+  const last7Days = getSeoCache().linkVelocity.daily.slice(-7);
   const avg7Day = last7Days.length > 0
     ? Math.round(last7Days.reduce((sum, d) => sum + d.count, 0) / last7Days.length)
     : 0;
 
   // Find posts with highest velocity
-  const hotPosts = Object.entries(seoCache.linkVelocity.byPost)
+  const hotPosts = Object.entries(getSeoCache().linkVelocity.byPost)
     .map(([postId, data]) => ({ postId: parseInt(postId), ...data }))
     .filter(p => p.linksAddedThisWeek > 3)
     .sort((a, b) => b.linksAddedThisWeek - a.linksAddedThisWeek)
@@ -1229,7 +1349,7 @@ function getLinkVelocityReport() {
     today: todayEntry?.count || 0,
     thisWeek: weeklyEntry?.count || 0,
     average7Day: avg7Day,
-    trend: seoCache.linkVelocity.daily.slice(-14),
+    trend: getSeoCache().linkVelocity.daily.slice(-14),
     hotPosts,
     status: weeklyEntry?.count > 50 ? 'warning' : weeklyEntry?.count > 25 ? 'caution' : 'healthy'
   };
@@ -1239,47 +1359,153 @@ function getLinkVelocityReport() {
 // E-E-A-T SIGNAL TRACKING (v2.1)
 // ============================================================================
 
+// Articles an author needs in a cluster before their expertise there counts as proven
+const PROVEN_EXPERTISE_MIN_ARTICLES = 3;
+
+/**
+ * Recount expertise by topic from authorArticles (plus clusters nobody covers)
+ */
+function recountAuthorExpertise(eeatSignals, clusters = []) {
+  const expertiseByTopic = {};
+  for (const cluster of clusters) {
+    expertiseByTopic[cluster] = {};
+  }
+
+  const articleCounts = {};
+  for (const { authorSlug, topicCluster } of Object.values(eeatSignals.authorArticles || {})) {
+    articleCounts[authorSlug] = (articleCounts[authorSlug] || 0) + 1;
+    if (!topicCluster) continue;
+    if (!expertiseByTopic[topicCluster]) expertiseByTopic[topicCluster] = {};
+    expertiseByTopic[topicCluster][authorSlug] = (expertiseByTopic[topicCluster][authorSlug] || 0) + 1;
+  }
+
+  for (const [slug, page] of Object.entries(eeatSignals.authorPages)) {
+    page.articleCount = articleCounts[slug] || 0;
+  }
+  eeatSignals.expertiseByTopic = expertiseByTopic;
+}
+
+/**
+ * Rebuild author articles and expertise from catalog metadata (authorSlug, topicCluster)
+ * The catalog is the source of truth, so expertise is never persisted on its own
+ */
+function rebuildAuthorExpertise(eeatSignals, articles) {
+  const authorArticles = {};
+  const clusters = new Set();
+
+  for (const article of articles) {
+    const meta = article.metadata || article;
+    if (meta.topicCluster) clusters.add(meta.topicCluster);
+    if (meta.authorSlug) {
+      authorArticles[meta.postId] = { authorSlug: meta.authorSlug, topicCluster: meta.topicCluster || null };
+    }
+  }
+
+  eeatSignals.authorArticles = authorArticles;
+  recountAuthorExpertise(eeatSignals, [...clusters]);
+}
+
+/**
+ * Persist a change to the author pages
+ * The stored signal may carry stale expertise - the in-memory catalog-derived copy wins
+ */
+async function updateAuthorPages(mutator) {
+  const { authorArticles, expertiseByTopic } = getSeoCache().eeatSignals;
+  await updatePersistedSignal('eeatSignals', eeatSignals => mutator(eeatSignals.authorPages));
+  getSeoCache().eeatSignals.authorArticles = authorArticles;
+  recountAuthorExpertise(getSeoCache().eeatSignals, Object.keys(expertiseByTopic));
+}
+
 /**
  * Register an author page for E-E-A-T tracking
+ * profile: name, url, jobTitle, description, image, sameAs, credentials
  */
-function registerAuthorPage(authorSlug, postId, expertise = []) {
-  seoCache.eeatSignals.authorPages[authorSlug] = {
-    postId,
-    expertise,
-    articleCount: 0,
-    registeredAt: new Date().toISOString()
-  };
+async function registerAuthorPage(authorSlug, postId, expertise = [], profile = {}) {
+  const now = new Date().toISOString();
+  await updateAuthorPages(authorPages => {
+    const existing = authorPages[authorSlug];
+    authorPages[authorSlug] = {
+      ...existing,
+      ...profile,
+      slug: authorSlug,
+      postId,
+      expertise,
+      articleCount: existing?.articleCount || 0,
+      registeredAt: existing?.registeredAt || now,
+      updatedAt: now
+    };
+  });
+  return getSeoCache().eeatSignals.authorPages[authorSlug];
+}
+
+/**
+ * Remove an author page (their articles keep counting towards proven expertise)
+ */
+async function removeAuthorPage(authorSlug) {
+  let existed = false;
+  await updateAuthorPages(authorPages => {
+    existed = authorSlug in authorPages;
+    delete authorPages[authorSlug];
+  });
+  return { success: true, removed: existed };
+}
+
+/**
+ * Registered author pages from the state store, without a catalog refresh
+ */
+async function getAuthorPages() {
+  const { eeatSignals } = await loadPersistedSignals();
+  return eeatSignals.authorPages || {};
+}
+
+/**
+ * Slugs of every author with articles in the catalog
+ */
+function getCatalogAuthorSlugs() {
+  return [...new Set(Object.values(getSeoCache().eeatSignals.authorArticles || {}).map(a => a.authorSlug))];
+}
+
+/**
+ * Clusters an author has written in: [{ topicCluster, articles, proven }], most articles first
+ */
+function getAuthorExpertise(authorSlug) {
+  return Object.entries(getSeoCache().eeatSignals.expertiseByTopic)
+    .filter(([, authors]) => authors[authorSlug])
+    .map(([topicCluster, authors]) => ({
+      topicCluster,
+      articles: authors[authorSlug],
+      proven: authors[authorSlug] >= PROVEN_EXPERTISE_MIN_ARTICLES
+    }))
+    .sort((a, b) => b.articles - a.articles);
 }
 
 /**
  * Track author's article for expertise building
+ * Keyed by post, so re-syncs and cluster changes don't double count
  */
-function trackAuthorExpertise(authorSlug, topicCluster) {
-  // Update author article count
-  if (seoCache.eeatSignals.authorPages[authorSlug]) {
-    seoCache.eeatSignals.authorPages[authorSlug].articleCount++;
-  }
+async function trackAuthorExpertise(authorSlug, topicCluster, postId) {
+  const eeatSignals = getSeoCache().eeatSignals;
+  if (!eeatSignals.authorArticles) eeatSignals.authorArticles = {};
 
-  // Track expertise by topic
-  if (!seoCache.eeatSignals.expertiseByTopic[topicCluster]) {
-    seoCache.eeatSignals.expertiseByTopic[topicCluster] = {};
-  }
-  if (!seoCache.eeatSignals.expertiseByTopic[topicCluster][authorSlug]) {
-    seoCache.eeatSignals.expertiseByTopic[topicCluster][authorSlug] = 0;
+  if (authorSlug) {
+    eeatSignals.authorArticles[postId] = { authorSlug, topicCluster: topicCluster || null };
+  } else {
+    delete eeatSignals.authorArticles[postId];
   }
-  seoCache.eeatSignals.expertiseByTopic[topicCluster][authorSlug]++;
+  recountAuthorExpertise(eeatSignals, Object.keys(eeatSignals.expertiseByTopic));
 }
 
 /**
  * Get E-E-A-T score for a link
- * Boosts links that enhance expertise signals
+ * Boosts links to author pages and to articles whose author has proven
+ * expertise (published articles) in the target's cluster
  */
 function getEEATScore(sourceId, targetId, target = {}) {
   let score = 10; // Base score
   const factors = [];
 
   // Check if target is an author page
-  const isAuthorPage = Object.values(seoCache.eeatSignals.authorPages)
+  const isAuthorPage = Object.values(getSeoCache().eeatSignals.authorPages)
     .some(a => a.postId === targetId);
 
   if (isAuthorPage) {
@@ -1287,17 +1513,33 @@ function getEEATScore(sourceId, targetId, target = {}) {
     factors.push('Link to author page - boosts E-E-A-T');
   }
 
-  // Check if source author is expert in target topic
+  // Check the target author's expertise in the target topic
   const targetCluster = target.topicCluster;
-  if (targetCluster && seoCache.eeatSignals.expertiseByTopic[targetCluster]) {
-    const topExperts = Object.entries(seoCache.eeatSignals.expertiseByTopic[targetCluster])
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5);
-
-    // Boost if linking within expert's domain
-    if (topExperts.length > 0) {
-      score += 5;
-      factors.push('Target in established expertise area');
+  const authorSlug = target.authorSlug;
+  let authorExpertise = null;
+
+  if (authorSlug && targetCluster) {
+    const topicAuthors = getSeoCache().eeatSignals.expertiseByTopic[targetCluster] || {};
+    const articleCount = topicAuthors[authorSlug] || 0;
+    const declared = (getSeoCache().eeatSignals.authorPages[authorSlug]?.expertise || []).includes(targetCluster);
+
+    if (articleCount >= PROVEN_EXPERTISE_MIN_ARTICLES) {
+      authorExpertise = 'proven';
+      score += Math.min(10, 5 + articleCount - PROVEN_EXPERTISE_MIN_ARTICLES);
+      factors.push(`Author has ${articleCount} articles in ${targetCluster}`);
+
+      const topExperts = Object.entries(topicAuthors)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([slug]) => slug);
+      if (topExperts.includes(authorSlug)) {
+        score += 5;
+        factors.push('Author is a top expert in this topic');
+      }
+    } else if (declared) {
+      authorExpertise = 'declared';
+      score += 3;
+      factors.push('Author declares expertise in this topic');
     }
   }
 
@@ -1317,6 +1559,7 @@ function getEEATScore(sourceId, targetId, target = {}) {
     score: Math.min(30, score),
     factors,
     isAuthorPage,
+    authorExpertise,
     recommendation: factors.length === 0 ? 'Consider linking to author/expert pages for E-E-A-T boost' : null
   };
 }
@@ -1325,20 +1568,26 @@ function getEEATScore(sourceId, targetId, target = {}) {
  * Get E-E-A-T health report
  */
 function getEEATReport() {
-  const authorCount = Object.keys(seoCache.eeatSignals.authorPages).length;
-  const topicCoverage = Object.keys(seoCache.eeatSignals.expertiseByTopic).length;
+  const authorCount = Object.keys(getSeoCache().eeatSignals.authorPages).length;
+  const expertiseByTopic = getSeoCache().eeatSignals.expertiseByTopic;
 
-  // Find topics without expert coverage
-  const uncoveredTopics = [];
-  // This would be populated from known topic clusters
+  // Clusters where no author has proven expertise
+  const uncoveredTopics = Object.entries(expertiseByTopic)
+    .filter(([, authors]) => !Object.values(authors).some(count => count >= PROVEN_EXPERTISE_MIN_ARTICLES))
+    .map(([topicCluster]) => topicCluster);
+  const topicCoverage = Object.keys(expertiseByTopic).length - uncoveredTopics.length;
+
+  const authoredArticles = Object.keys(getSeoCache().eeatSignals.authorArticles || {}).length;
 
   return {
     authorPagesCount: authorCount,
+    authoredArticles,
     topicsCovered: topicCoverage,
     uncoveredTopics,
-    authorityLinks: seoCache.eeatSignals.authorityLinks.length,
+    authorityLinks: getSeoCache().eeatSignals.authorityLinks.length,
     recommendations: [
       authorCount < 3 ? 'Add more author bio pages' : null,
+      authoredArticles === 0 ? 'Send author with catalog sync so expertise can be measured' : null,
       topicCoverage < 5 ? 'Build expertise across more topic clusters' : null
     ].filter(Boolean)
   };
@@ -1621,6 +1870,7 @@ async function calculateSEOScore(params) {
   const pageRank = getPageRankScore(sourceId, targetId, target?.topicCluster);
   const relevanceDecay = getLinkRelevanceDecayScore(targetId);
   const contextQuality = getLinkContextScore(content, anchorText);
+  const competitorGap = getCompetitorGapScore(targetId);
 
   // Calculate total SEO score with new factors
   const totalSEOScore =
@@ -1635,7 +1885,9 @@ async function calculateSEOScore(params) {
     contextQuality.score;      // 0-25
 
   // Max possible: 180, Min possible: -15
-  const normalizedScore = Math.max(0, Math.min(100, ((totalSEOScore + 15) / 195) * 100));
+  // Competitor gaps add a capped boost on top, so pages without one score as before
+  const gapBoost = getCompetitorGapBoost(competitorGap.score);
+  const normalizedScore = Math.max(0, Math.min(100, ((totalSEOScore + 15) / 195) * 100 + gapBoost));
 
   return {
     totalSEOScore: Math.round(normalizedScore),
@@ -1692,6 +1944,13 @@ async function calculateSEOScore(params) {
         score: contextQuality.score,
         quality: contextQuality.quality,
         factors: contextQuality.factors
+      },
+      competitorGap: {
+        score: competitorGap.score,
+        boost: gapBoost,
+        keyword: competitorGap.keyword,
+        ranking: competitorGap.ranking,
+        band: competitorGap.band
       }
     }
   };
@@ -1705,24 +1964,24 @@ async function trackAnchorUsage(anchorText, sourceId, targetId, persist = true)
   const anchorType = classifyAnchorType(anchorText);
 
   // Update cache
-  if (!seoCache.anchorUsage[anchorLower]) {
-    seoCache.anchorUsage[anchorLower] = { count: 0, targetIds: [], sourceIds: [], type: anchorType };
+  if (!getSeoCache().anchorUsage[anchorLower]) {
+    getSeoCache().anchorUsage[anchorLower] = { count: 0, targetIds: [], sourceIds: [], type: anchorType };
   }
-  seoCache.anchorUsage[anchorLower].count++;
-  seoCache.anchorUsage[anchorLower].targetIds.push(targetId);
-  seoCache.anchorUsage[anchorLower].sourceIds.push(sourceId);
+  getSeoCache().anchorUsage[anchorLower].count++;
+  getSeoCache().anchorUsage[anchorLower].targetIds.push(targetId);
+  getSeoCache().anchorUsage[anchorLower].sourceIds.push(sourceId);
 
   // Update link graph
-  if (!seoCache.linkGraph[sourceId]) {
-    seoCache.linkGraph[sourceId] = [];
+  if (!getSeoCache().linkGraph[sourceId]) {
+    getSeoCache().linkGraph[sourceId] = [];
   }
-  if (!seoCache.linkGraph[sourceId].includes(targetId)) {
-    seoCache.linkGraph[sourceId].push(targetId);
+  if (!getSeoCache().linkGraph[sourceId].includes(targetId)) {
+    getSeoCache().linkGraph[sourceId].push(targetId);
   }
 
   // Track site-wide first link
-  if (!seoCache.firstLinkAnchors[targetId]) {
-    seoCache.firstLinkAnchors[targetId] = {
+  if (!getSeoCache().firstLinkAnchors[targetId]) {
+    getSeoCache().firstLinkAnchors[targetId] = {
       anchor: anchorText,
       sourceId,
       createdAt: new Date().toISOString()
@@ -1730,9 +1989,9 @@ async function trackAnchorUsage(anchorText, sourceId, targetId, persist = true)
   }
 
   // Check for reciprocal link
-  if (seoCache.linkGraph[targetId]?.includes(sourceId)) {
+  if (getSeoCache().linkGraph[targetId]?.includes(sourceId)) {
     const pairKey = [sourceId, targetId].sort().join('-');
-    seoCache.reciprocalLinks[pairKey] = true;
+    getSeoCache().reciprocalLinks[pairKey] = true;
   }
 
   // Persist to Pinecone if requested
@@ -1775,7 +2034,7 @@ async function getOrphanPagesReport(options = {}) {
 
   const { limit = 50, topicCluster = null } = options;
 
-  let orphans = [...seoCache.orphanPages];
+  let orphans = [...getSeoCache().orphanPages];
 
   // Filter by topic cluster if specified
   if (topicCluster) {
@@ -1805,23 +2064,23 @@ async function getOrphanPagesReport(options = {}) {
 async function getSitewideSEOMetrics() {
   await refreshSEOCache();
 
-  const anchorCounts = Object.values(seoCache.anchorUsage).map(a => a.count);
-  const totalAnchors = Object.keys(seoCache.anchorUsage).length;
-  const overusedAnchors = Object.entries(seoCache.anchorUsage)
+  const anchorCounts = Object.values(getSeoCache().anchorUsage).map(a => a.count);
+  const totalAnchors = Object.keys(getSeoCache().anchorUsage).length;
+  const overusedAnchors = Object.entries(getSeoCache().anchorUsage)
     .filter(([_, data]) => data.count > 5)
     .map(([anchor, data]) => ({ anchor, count: data.count, type: data.type }));
 
-  const reciprocalCount = Object.keys(seoCache.reciprocalLinks).length;
-  const totalLinks = Object.values(seoCache.linkGraph)
+  const reciprocalCount = Object.keys(getSeoCache().reciprocalLinks).length;
+  const totalLinks = Object.values(getSeoCache().linkGraph)
     .reduce((sum, links) => sum + (links?.length || 0), 0);
 
-  const pageRankValues = Object.values(seoCache.internalPageRank);
+  const pageRankValues = Object.values(getSeoCache().internalPageRank);
   const avgPageRank = pageRankValues.length > 0
     ? pageRankValues.reduce((a, b) => a + b, 0) / pageRankValues.length
     : 50;
 
   // Anchor ratio health check
-  const ratios = seoCache.anchorTypeRatios;
+  const ratios = getSeoCache().anchorTypeRatios;
   const keywordRichRatio = (ratios[ANCHOR_TYPES.EXACT_MATCH] || 0) + (ratios[ANCHOR_TYPES.PARTIAL_MATCH] || 0);
 
   let anchorRatioHealth = 'good';
@@ -1867,17 +2126,17 @@ async function getSitewideSEOMetrics() {
       }
     },
     orphanPages: {
-      total: seoCache.orphanPages.length,
-      critical: seoCache.orphanPages.filter(p => p.inboundCount === 0).length,
-      needsAttention: seoCache.orphanPages.filter(p => p.inboundCount <= 1).length
+      total: getSeoCache().orphanPages.length,
+      critical: getSeoCache().orphanPages.filter(p => p.inboundCount === 0).length,
+      needsAttention: getSeoCache().orphanPages.filter(p => p.inboundCount <= 1).length
     },
     health: {
       anchorDiversity: overusedAnchors.length < 5 ? 'good' : overusedAnchors.length < 15 ? 'moderate' : 'poor',
       anchorRatios: anchorRatioHealth,
       reciprocalRatio: reciprocalCount / totalLinks < 0.2 ? 'good' : reciprocalCount / totalLinks < 0.4 ? 'moderate' : 'poor',
-      orphanPages: seoCache.orphanPages.length < 10 ? 'good' : seoCache.orphanPages.length < 30 ? 'moderate' : 'poor'
+      orphanPages: getSeoCache().orphanPages.length < 10 ? 'good' : getSeoCache().orphanPages.length < 30 ? 'moderate' : 'poor'
     },
-    lastRefresh: seoCache.lastRefresh
+    lastRefresh: getSeoCache().lastRefresh
   };
 }
 
@@ -1916,11 +2175,11 @@ function filterByContentType(candidates, sourceType) {
 // ============================================================================
 
 async function dismissOpportunity(sourceId, targetId, reason = '', persist = true) {
-  if (!seoCache.dismissedOpportunities[sourceId]) {
-    seoCache.dismissedOpportunities[sourceId] = {};
+  if (!getSeoCache().dismissedOpportunities[sourceId]) {
+    getSeoCache().dismissedOpportunities[sourceId] = {};
   }
 
-  seoCache.dismissedOpportunities[sourceId][targetId] = {
+  getSeoCache().dismissedOpportunities[sourceId][targetId] = {
     dismissedAt: new Date().toISOString(),
     reason: reason || 'User dismissed'
   };
@@ -1958,13 +2217,13 @@ async function dismissOpportunity(sourceId, targetId, reason = '', persist = tru
     success: true,
     sourceId,
     targetId,
-    dismissedAt: seoCache.dismissedOpportunities[sourceId][targetId].dismissedAt
+    dismissedAt: getSeoCache().dismissedOpportunities[sourceId][targetId].dismissedAt
   };
 }
 
 async function restoreOpportunity(sourceId, targetId, persist = true) {
-  if (seoCache.dismissedOpportunities[sourceId]) {
-    delete seoCache.dismissedOpportunities[sourceId][targetId];
+  if (getSeoCache().dismissedOpportunities[sourceId]) {
+    delete getSeoCache().dismissedOpportunities[sourceId][targetId];
   }
 
   if (persist) {
@@ -1985,8 +2244,8 @@ async function restoreOpportunity(sourceId, targetId, persist = true) {
 }
 
 async function clearDismissedOpportunities(sourceId, persist = true) {
-  const count = Object.keys(seoCache.dismissedOpportunities[sourceId] || {}).length;
-  seoCache.dismissedOpportunities[sourceId] = {};
+  const count = Object.keys(getSeoCache().dismissedOpportunities[sourceId] || {}).length;
+  getSeoCache().dismissedOpportunities[sourceId] = {};
 
   if (persist) {
     try {
@@ -2001,8 +2260,8 @@ async function clearDismissedOpportunities(sourceId, persist = true) {
 }
 
 async function getDismissedOpportunities(sourceId) {
-  if (seoCache.dismissedOpportunities[sourceId]) {
-    return Object.entries(seoCache.dismissedOpportunities[sourceId]).map(([targetId, data]) => ({
+  if (getSeoCache().dismissedOpportunities[sourceId]) {
+    return Object.entries(getSeoCache().dismissedOpportunities[sourceId]).map(([targetId, data]) => ({
       targetId: parseInt(targetId),
       ...data
     }));
@@ -2011,9 +2270,9 @@ async function getDismissedOpportunities(sourceId) {
   try {
     const sourceArticle = await getArticle(sourceId);
     if (sourceArticle && sourceArticle.dismissedLinks) {
-      seoCache.dismissedOpportunities[sourceId] = {};
+      getSeoCache().dismissedOpportunities[sourceId] = {};
       for (const dismissed of sourceArticle.dismissedLinks) {
-        seoCache.dismissedOpportunities[sourceId][dismissed.targetId] = {
+        getSeoCache().dismissedOpportunities[sourceId][dismissed.targetId] = {
           dismissedAt: dismissed.dismissedAt,
           reason: dismissed.reason
         };
@@ -2028,11 +2287,11 @@ async function getDismissedOpportunities(sourceId) {
 }
 
 function isOpportunityDismissed(sourceId, targetId) {
-  return !!(seoCache.dismissedOpportunities[sourceId]?.[targetId]);
+  return !!(getSeoCache().dismissedOpportunities[sourceId]?.[targetId]);
 }
 
 function filterDismissedOpportunities(sourceId, opportunities) {
-  const dismissed = seoCache.dismissedOpportunities[sourceId] || {};
+  const dismissed = getSeoCache().dismissedOpportunities[sourceId] || {};
   return opportunities.filter(opp => {
     const targetId = opp.postId || opp.targetId;
     return !dismissed[targetId];
@@ -2043,45 +2302,199 @@ function filterDismissedOpportunities(sourceId, opportunities) {
 // COMPETITOR GAP ANALYSIS
 // ============================================================================
 
+// Ranking bands, best first: pages just off page one gain the most from internal links
+const RANKING_BANDS = [
+  { band: 'striking-distance', min: 11, max: 20, score: 20 },
+  { band: 'page-three', min: 21, max: 30, score: 12 },
+  { band: 'page-one', min: 4, max: 10, score: 8 },
+  { band: 'deep', min: 31, max: 50, score: 6 },
+  { band: 'top-three', min: 1, max: 3, score: 3 }
+];
+const NOT_RANKING_SCORE = 4;
+
+// Points the best gap (score 20) adds to the normalized 0-100 SEO score
+const COMPETITOR_GAP_MAX_BOOST = 10;
+
+/**
+ * Load competitor gaps from the state store
+ * Falls back to the in-memory copy if the store is unavailable
+ */
+async function loadCompetitorGaps() {
+  try {
+    return await state.getAll(COMPETITOR_GAPS_COLLECTION);
+  } catch (error) {
+    console.error('Failed to load competitor gaps:', error.message);
+    return getSeoCache().competitorGaps;
+  }
+}
+
+/**
+ * Pages each gap boosts: the page that ranks for the keyword, else its closest catalog matches
+ */
+function indexCompetitorGaps(gaps) {
+  const byPost = {};
+  for (const [key, gap] of Object.entries(gaps)) {
+    const postIds = gap.postId != null ? [gap.postId] : (gap.potentialBoost || []);
+    for (const postId of postIds) {
+      if (!byPost[postId]) byPost[postId] = [];
+      byPost[postId].push(key);
+    }
+  }
+  return byPost;
+}
+
+/**
+ * Ranking band for a position (null/0 = not ranking)
+ */
+function getRankingBand(ranking) {
+  if (!ranking) return { band: 'not-ranking', score: NOT_RANKING_SCORE };
+  return RANKING_BANDS.find(b => ranking >= b.min && ranking <= b.max) ||
+    { band: 'not-ranking', score: NOT_RANKING_SCORE };
+}
+
 /**
  * Store competitor gap data for a keyword
  * Integration point for external SEO tools (Ahrefs, SEMrush, etc.)
  */
 async function setCompetitorGap(keyword, data) {
-  seoCache.competitorGaps[keyword.toLowerCase()] = {
-    ...data,
-    updatedAt: new Date().toISOString()
-  };
-  return { success: true };
+  return setCompetitorGaps({ [keyword]: data });
+}
+
+/**
+ * Store many keywords at once ({ keyword: data }), optionally replacing everything stored
+ */
+async function setCompetitorGaps(gapsByKeyword, options = {}) {
+  const { replace = false } = options;
+  const updatedAt = new Date().toISOString();
+
+  const entries = {};
+  for (const [keyword, data] of Object.entries(gapsByKeyword)) {
+    entries[keyword.toLowerCase().trim()] = { ...data, keyword: data.keyword || keyword, updatedAt };
+  }
+
+  // A failed write throws before the cache changes, so the cache never holds unsaved gaps
+  await state.updateAll(COMPETITOR_GAPS_COLLECTION, stored => {
+    if (replace) Object.keys(stored).forEach(key => delete stored[key]);
+    Object.assign(stored, entries);
+  });
+
+  getSeoCache().competitorGaps = replace ? entries : { ...getSeoCache().competitorGaps, ...entries };
+  getSeoCache().competitorGapsByPost = indexCompetitorGaps(getSeoCache().competitorGaps);
+
+  return { success: true, stored: Object.keys(entries).length };
+}
+
+/**
+ * Remove keywords (all of them when keywords is omitted)
+ */
+async function removeCompetitorGaps(keywords = null) {
+  const keys = keywords ? keywords.map(k => k.toLowerCase().trim()) : null;
+  let removed = 0;
+
+  await state.updateAll(COMPETITOR_GAPS_COLLECTION, stored => {
+    for (const key of keys || Object.keys(stored)) {
+      if (key in stored) {
+        delete stored[key];
+        removed++;
+      }
+    }
+  });
+
+  if (keys) {
+    keys.forEach(key => delete getSeoCache().competitorGaps[key]);
+  } else {
+    getSeoCache().competitorGaps = {};
+  }
+  getSeoCache().competitorGapsByPost = indexCompetitorGaps(getSeoCache().competitorGaps);
+
+  return { success: true, removed };
 }
 
 /**
  * Get pages that could benefit from internal link boost for a keyword
  */
 function getCompetitorGapOpportunities(keyword) {
-  const gap = seoCache.competitorGaps[keyword.toLowerCase()];
+  const key = keyword.toLowerCase().trim();
+  const gap = getSeoCache().competitorGaps[key];
   if (!gap) return null;
 
   return {
-    keyword,
+    keyword: gap.keyword || keyword,
     currentRanking: gap.ranking,
+    band: getRankingBand(gap.ranking).band,
+    volume: gap.volume ?? null,
+    rankingUrl: gap.url || null,
+    rankingPostId: gap.postId ?? null,
     potentialPages: gap.potentialBoost || [],
-    recommendation: gap.ranking <= 10
-      ? 'Already ranking - maintain with consistent linking'
-      : gap.ranking <= 20
-        ? 'Near first page - prioritize internal links to push to page 1'
-        : 'Needs significant link boost - consider content refresh + linking campaign',
+    matches: gap.matches || [],
+    source: gap.source || null,
+    recommendation: !gap.ranking
+      ? 'Not ranking - link the closest matching page and consider a dedicated article'
+      : gap.ranking <= 10
+        ? 'Already ranking - maintain with consistent linking'
+        : gap.ranking <= 20
+          ? 'Near first page - prioritize internal links to push to page 1'
+          : 'Needs significant link boost - consider content refresh + linking campaign',
     updatedAt: gap.updatedAt
   };
 }
 
 /**
- * Get all competitor gap opportunities
+ * Get all competitor gap opportunities, highest link priority first
  */
 function getAllCompetitorGaps() {
-  return Object.keys(seoCache.competitorGaps).map(keyword =>
-    getCompetitorGapOpportunities(keyword)
-  ).filter(Boolean);
+  return Object.keys(getSeoCache().competitorGaps)
+    .map(keyword => getCompetitorGapOpportunities(keyword))
+    .filter(Boolean)
+    .sort((a, b) =>
+      getRankingBand(b.currentRanking).score - getRankingBand(a.currentRanking).score ||
+      (b.volume || 0) - (a.volume || 0)
+    );
+}
+
+/**
+ * Gap keywords that boost a page
+ */
+function getCompetitorGapsForPost(postId) {
+  return (getSeoCache().competitorGapsByPost[postId] || [])
+    .map(key => getCompetitorGapOpportunities(key))
+    .filter(Boolean);
+}
+
+/**
+ * Ranking-position boost for a link target (0-20)
+ * Best gap keyword wins; search volume scales the band score
+ */
+function getCompetitorGapScore(targetId) {
+  const keys = getSeoCache().competitorGapsByPost[targetId];
+  if (!keys || keys.length === 0) {
+    return { score: 0, keyword: null, ranking: null, band: null };
+  }
+
+  let best = { score: 0, keyword: null, ranking: null, band: null };
+  for (const key of keys) {
+    const gap = getSeoCache().competitorGaps[key];
+    if (!gap) continue;
+
+    const { band, score: bandScore } = getRankingBand(gap.ranking);
+    const volumeWeight = gap.volume > 0
+      ? Math.min(1, Math.max(0.5, 0.5 + Math.log10(gap.volume) / 6))
+      : 0.75;
+    const score = Math.round(bandScore * volumeWeight);
+
+    if (score > best.score) {
+      best = { score, keyword: gap.keyword || key, ranking: gap.ranking ?? null, band };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Points a competitor gap score (0-20) adds to the normalized SEO score (0-COMPETITOR_GAP_MAX_BOOST)
+ */
+function getCompetitorGapBoost(gapScore) {
+  return Math.min(COMPETITOR_GAP_MAX_BOOST, (gapScore / 20) * COMPETITOR_GAP_MAX_BOOST);
 }
 
 // ============================================================================
@@ -2099,9 +2512,10 @@ function escapeRegex(string) {
  * Force refresh the cache
  */
 async function forceRefreshCache() {
+  const articleCache = getTenantCaches().articles;
   articleCache.articles = null;
   articleCache.lastFetch = null;
-  seoCache.lastRefresh = null;
+  getSeoCache().lastRefresh = null;
   return await refreshSEOCache(true);
 }
 
@@ -2120,8 +2534,8 @@ function incrementalCacheUpdate(sourceId, targetId, anchorText, targetMeta = {})
   const now = new Date().toISOString();
 
   // Update anchor usage cache
-  if (!seoCache.anchorUsage[anchorLower]) {
-    seoCache.anchorUsage[anchorLower] = {
+  if (!getSeoCache().anchorUsage[anchorLower]) {
+    getSeoCache().anchorUsage[anchorLower] = {
       count: 0,
       targetIds: [],
       sourceIds: [],
@@ -2129,25 +2543,25 @@ function incrementalCacheUpdate(sourceId, targetId, anchorText, targetMeta = {})
       createdAt: now
     };
   }
-  seoCache.anchorUsage[anchorLower].count++;
-  if (!seoCache.anchorUsage[anchorLower].targetIds.includes(targetId)) {
-    seoCache.anchorUsage[anchorLower].targetIds.push(targetId);
+  getSeoCache().anchorUsage[anchorLower].count++;
+  if (!getSeoCache().anchorUsage[anchorLower].targetIds.includes(targetId)) {
+    getSeoCache().anchorUsage[anchorLower].targetIds.push(targetId);
   }
-  if (!seoCache.anchorUsage[anchorLower].sourceIds.includes(sourceId)) {
-    seoCache.anchorUsage[anchorLower].sourceIds.push(sourceId);
+  if (!getSeoCache().anchorUsage[anchorLower].sourceIds.includes(sourceId)) {
+    getSeoCache().anchorUsage[anchorLower].sourceIds.push(sourceId);
   }
 
   // Update link graph
-  if (!seoCache.linkGraph[sourceId]) {
-    seoCache.linkGraph[sourceId] = [];
+  if (!getSeoCache().linkGraph[sourceId]) {
+    getSeoCache().linkGraph[sourceId] = [];
   }
-  if (!seoCache.linkGraph[sourceId].includes(targetId)) {
-    seoCache.linkGraph[sourceId].push(targetId);
+  if (!getSeoCache().linkGraph[sourceId].includes(targetId)) {
+    getSeoCache().linkGraph[sourceId].push(targetId);
   }
 
   // Track site-wide first link to target
-  if (!seoCache.firstLinkAnchors[targetId]) {
-    seoCache.firstLinkAnchors[targetId] = {
+  if (!getSeoCache().firstLinkAnchors[targetId]) {
+    getSeoCache().firstLinkAnchors[targetId] = {
       anchor: anchorText,
       sourceId,
       createdAt: now
@@ -2155,46 +2569,46 @@ function incrementalCacheUpdate(sourceId, targetId, anchorText, targetMeta = {})
   }
 
   // Check and update reciprocal links
-  if (seoCache.linkGraph[targetId]?.includes(sourceId)) {
+  if (getSeoCache().linkGraph[targetId]?.includes(sourceId)) {
     const pairKey = [sourceId, targetId].sort().join('-');
-    seoCache.reciprocalLinks[pairKey] = true;
+    getSeoCache().reciprocalLinks[pairKey] = true;
   }
 
   // Remove target from orphan pages if present
-  const orphanIndex = seoCache.orphanPages.findIndex(p => p.postId === targetId);
+  const orphanIndex = getSeoCache().orphanPages.findIndex(p => p.postId === targetId);
   if (orphanIndex !== -1) {
-    const orphan = seoCache.orphanPages[orphanIndex];
+    const orphan = getSeoCache().orphanPages[orphanIndex];
     orphan.inboundCount = (orphan.inboundCount || 0) + 1;
     // Remove from orphans if now has > 2 inbound links
     if (orphan.inboundCount > 2) {
-      seoCache.orphanPages.splice(orphanIndex, 1);
+      getSeoCache().orphanPages.splice(orphanIndex, 1);
     }
   }
 
   // Update anchor type ratios incrementally
-  const totalAnchors = Object.values(seoCache.anchorUsage).reduce((sum, a) => sum + a.count, 0);
+  const totalAnchors = Object.values(getSeoCache().anchorUsage).reduce((sum, a) => sum + a.count, 0);
   if (totalAnchors > 0) {
     const typeCounts = {};
     for (const type of Object.values(ANCHOR_TYPES)) {
       typeCounts[type] = 0;
     }
-    for (const usage of Object.values(seoCache.anchorUsage)) {
+    for (const usage of Object.values(getSeoCache().anchorUsage)) {
       if (usage.type && typeCounts[usage.type] !== undefined) {
         typeCounts[usage.type] += usage.count;
       }
     }
     for (const type of Object.keys(typeCounts)) {
-      seoCache.anchorTypeRatios[type] = Math.round((typeCounts[type] / totalAnchors) * 100);
+      getSeoCache().anchorTypeRatios[type] = Math.round((typeCounts[type] / totalAnchors) * 100);
     }
   }
 
   // Mark incremental update time
-  seoCache.lastIncrementalUpdate = Date.now();
+  getSeoCache().lastIncrementalUpdate = Date.now();
 
   return {
     success: true,
-    anchorUsageCount: seoCache.anchorUsage[anchorLower].count,
-    isReciprocal: seoCache.reciprocalLinks[[sourceId, targetId].sort().join('-')] || false
+    anchorUsageCount: getSeoCache().anchorUsage[anchorLower].count,
+    isReciprocal: getSeoCache().reciprocalLinks[[sourceId, targetId].sort().join('-')] || false
   };
 }
 
@@ -2230,6 +2644,9 @@ module.exports = {
   // Core functions
   refreshSEOCache,
   forceRefreshCache,
+  startSEOCacheBuild,
+  indexSEOCacheBatch,
+  finishSEOCacheBuild,
   calculateSEOScore,
   trackAnchorUsage,
   getSitewideSEOMetrics,
@@ -2255,6 +2672,7 @@ module.exports = {
   getFirstLinkScore,
   getReciprocalLinkScore,
   getPageRankScore,
+  getInternalPageRanks,
   getLinkRelevanceDecayScore,
 
   // Orphan pages
@@ -2262,8 +2680,12 @@ module.exports = {
 
   // Competitor gaps
   setCompetitorGap,
+  setCompetitorGaps,
+  removeCompetitorGaps,
   getCompetitorGapOpportunities,
   getAllCompetitorGaps,
+  getCompetitorGapsForPost,
+  getCompetitorGapScore,
 
   // Dismiss functionality
   dismissOpportunity,
@@ -2284,6 +2706,10 @@ module.exports = {
 
   // v2.1: E-E-A-T signals
   registerAuthorPage,
+  removeAuthorPage,
+  getAuthorPages,
+  getAuthorExpertise,
+  getCatalogAuthorSlugs,
   trackAuthorExpertise,
   getEEATScore,
   getEEATReport,
@@ -2299,6 +2725,6 @@ module.exports = {
   getSemanticClusterScore,
 
   // Cache access for testing
-  _getCache: () => seoCache,
-  _getArticleCache: () => articleCache
+  _getCache: () => getSeoCache(),
+  _getArticleCache: () => getTenantCaches().articles
 };
@@ -0,0 +1,452 @@
+/**
+ * Persistent State Store
+ *
+ * Key/value storage for application state that must survive cold starts:
+ * experiments, outbound link registry, knowledge graph, link velocity
+ * and E-E-A-T signals. Values are grouped into named collections.
+ *
+ * Backends:
+ * - kv (default when deployed): Redis over the Upstash REST API (Vercel KV).
+ *   Shared by every function instance; one hash per collection, mutations
+ *   hold a per-collection lock and write back only the keys that changed.
+ *   Single-key reads and updates (get, update) touch only that field, and
+ *   set, setMany, remove and removeMany write or delete without reading.
+ * - file (default locally): one JSON file per collection in STATE_STORE_PATH.
+ *   Every read goes to disk so processes sharing the directory see each
+ *   other's writes. Writes are serialized per collection (within one process)
+ *   and atomic (rename). Refuses a read-only directory.
+ * - memory: process-local, for tests and one-off scripts
+ *
+ * Select with STATE_STORE=kv|file|memory
+ *
+ * Collections belong to the current tenant (lib/tenants.js): other tenants'
+ * collections are stored as "<tenant>--<collection>".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getTenant, DEFAULT_TENANT_ID } = require('./tenants');
+
+const DEFAULT_STATE_PATH = path.join(process.cwd(), '.state');
+
+const KV_SETTINGS = {
+  prefix: 'smart-linker:',
+  lockTtlMs: 10000,         // A crashed instance's lock expires after this
+  lockWaitMs: 15000         // Give up waiting for another instance's lock after this
+};
+
+// Delete the lock only if this instance still owns it
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+/**
+ * Fail fast when the state directory can't be written (e.g. a Vercel deployment)
+ */
+function assertWritableDir(dir) {
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.accessSync(dir, fs.constants.W_OK);
+  } catch (cause) {
+    const error = new Error(
+      `STATE_STORE=file needs a writable directory, "${dir}" is not (${cause.code}). ` +
+      'Use STATE_STORE=kv with KV_REST_API_URL and KV_REST_API_TOKEN when deployed'
+    );
+    error.code = 'STATE_STORE_READ_ONLY';
+    throw error;
+  }
+}
+
+/**
+ * Mutator that applies an update to one key
+ * The updater gets the current value (null if missing); null or undefined leaves it unchanged
+ */
+function updateKeyMutator(key, updater) {
+  return data => {
+    const next = updater(data[key] ?? null);
+    if (next === null || next === undefined) return null;
+    data[key] = next;
+    return next;
+  };
+}
+
+/**
+ * Mutator that deletes keys, returning how many existed
+ */
+function removeKeysMutator(keys) {
+  return data => keys.filter(key => {
+    const existed = key in data;
+    delete data[key];
+    return existed;
+  }).length;
+}
+
+/**
+ * JSON file adapter - one file per collection
+ */
+function createFileAdapter(options = {}) {
+  const dir = options.dir || process.env.STATE_STORE_PATH || DEFAULT_STATE_PATH;
+  const writeChains = new Map();
+
+  assertWritableDir(dir);
+
+  function collectionPath(collection) {
+    return path.join(dir, `${collection.replace(/[^a-z0-9_-]/gi, '_')}.json`);
+  }
+
+  async function read(collection) {
+    try {
+      const raw = await fs.promises.readFile(collectionPath(collection), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async function write(collection, data) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filePath = collectionPath(collection);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Run a read-modify-write against a collection, serialized per collection
+   */
+  function mutate(collection, mutator) {
+    const previous = writeChains.get(collection) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const data = await read(collection);
+      const result = mutator(data);
+      await write(collection, data);
+      return result;
+    });
+    writeChains.set(collection, next);
+    return next;
+  }
+
+  return {
+    backend: 'file',
+    read,
+    readKey: async (collection, key) => (await read(collection))[key] ?? null,
+    mutate,
+    mutateKey: (collection, key, updater) => mutate(collection, updateKeyMutator(key, updater)),
+    writeKeys: (collection, entries) => mutate(collection, data => Object.assign(data, entries)),
+    removeKeys: (collection, keys) => mutate(collection, removeKeysMutator(keys))
+  };
+}
+
+/**
+ * In-memory adapter - process local
+ */
+function createMemoryAdapter() {
+  const collections = new Map();
+
+  function data(collection) {
+    if (!collections.has(collection)) collections.set(collection, {});
+    return collections.get(collection);
+  }
+
+  const copy = value => value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+  return {
+    backend: 'memory',
+    read: async (collection) => copy(data(collection)),
+    readKey: async (collection, key) => copy(data(collection)[key]),
+    mutate: async (collection, mutator) => mutator(data(collection)),
+    mutateKey: async (collection, key, updater) => updateKeyMutator(key, updater)(data(collection)),
+    writeKeys: async (collection, entries) => Object.assign(data(collection), copy(entries)),
+    removeKeys: async (collection, keys) => removeKeysMutator(keys)(data(collection))
+  };
+}
+
+/**
+ * Redis adapter over the Upstash REST API (Vercel KV and Upstash Redis)
+ * A collection is one hash (field per key, JSON values)
+ */
+function createKvAdapter(options = {}) {
+  const url = (options.url || process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL || '').replace(/\/$/, '');
+  const token = options.token || process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+  const settings = { ...KV_SETTINGS, ...options };
+  const writeChains = new Map();
+
+  if (!url || !token) {
+    throw new Error('STATE_STORE=kv needs KV_REST_API_URL and KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN)');
+  }
+
+  async function request(endpoint, body) {
+    const response = await fetch(`${url}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const payload = await response.json().catch(() => ({}));
+    const failed = Array.isArray(payload) ? payload.find(r => r.error) : payload;
+    if (!response.ok || failed?.error) {
+      throw new Error(`State store (kv) request failed: ${failed?.error || `HTTP ${response.status}`}`);
+    }
+    return payload;
+  }
+
+  const command = async (...args) => (await request('', args)).result;
+  const hashKey = collection => `${settings.prefix}state:${collection}`;
+
+  async function read(collection) {
+    const fields = await command('HGETALL', hashKey(collection)) || [];
+    const data = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      data[fields[i]] = JSON.parse(fields[i + 1]);
+    }
+    return data;
+  }
+
+  async function readKey(collection, key) {
+    const raw = await command('HGET', hashKey(collection), key);
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+
+  async function acquireLock(collection) {
+    const key = `${settings.prefix}lock:${collection}`;
+    const owner = crypto.randomUUID();
+    const deadline = Date.now() + settings.lockWaitMs;
+
+    while (await command('SET', key, owner, 'NX', 'PX', settings.lockTtlMs) !== 'OK') {
+      if (Date.now() > deadline) {
+        const error = new Error(`Timed out waiting for the state store lock on "${collection}"`);
+        error.code = 'STATE_STORE_LOCKED';
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, 25 + Math.random() * 75));
+    }
+
+    return () => command('EVAL', RELEASE_LOCK_SCRIPT, 1, key, owner).catch(() => {});
+  }
+
+  /**
+   * Run fn under the collection's lock, after this process's earlier writes to it
+   */
+  function withLock(collection, fn) {
+    const previous = writeChains.get(collection) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const release = await acquireLock(collection);
+      try {
+        return await fn();
+      } finally {
+        await release();
+      }
+    });
+    writeChains.set(collection, next);
+    return next;
+  }
+
+  /**
+   * Run a read-modify-write against a collection under its lock
+   * Only keys the mutator added, changed or deleted are written
+   */
+  function mutate(collection, mutator) {
+    return withLock(collection, async () => {
+      const data = await read(collection);
+      const before = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, JSON.stringify(value)]));
+      const result = mutator(data);
+
+      const changed = Object.entries(data)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, JSON.stringify(value)])
+        .filter(([key, serialized]) => serialized !== before[key]);
+      const removed = Object.keys(before).filter(key => data[key] === undefined);
+
+      const commands = [
+        ...(changed.length ? [['HSET', hashKey(collection), ...changed.flat()]] : []),
+        ...(removed.length ? [['HDEL', hashKey(collection), ...removed]] : [])
+      ];
+      if (commands.length) await request('/multi-exec', commands);
+
+      return result;
+    });
+  }
+
+  /**
+   * Read-modify-write of one key (HGET/HSET) under the collection's lock
+   */
+  function mutateKey(collection, key, updater) {
+    return withLock(collection, async () => {
+      const next = updater(await readKey(collection, key));
+      if (next === null || next === undefined) return null;
+      await command('HSET', hashKey(collection), key, JSON.stringify(next));
+      return next;
+    });
+  }
+
+  /**
+   * Write keys (HSET) without reading the collection, under its lock
+   */
+  function writeKeys(collection, entries) {
+    const fields = Object.entries(entries).flatMap(([key, value]) => [key, JSON.stringify(value)]);
+    if (!fields.length) return Promise.resolve();
+    return withLock(collection, () => command('HSET', hashKey(collection), ...fields));
+  }
+
+  /**
+   * Delete keys (HDEL) without reading the collection, under its lock
+   * @returns {number} How many existed
+   */
+  function removeKeys(collection, keys) {
+    if (!keys.length) return Promise.resolve(0);
+    return withLock(collection, () => command('HDEL', hashKey(collection), ...keys));
+  }
+
+  return {
+    backend: 'kv',
+    read,
+    readKey,
+    mutate,
+    mutateKey,
+    writeKeys,
+    removeKeys
+  };
+}
+
+const BACKENDS = {
+  kv: createKvAdapter,
+  file: createFileAdapter,
+  memory: createMemoryAdapter
+};
+
+/**
+ * kv when a KV store is configured or when running on Vercel, file otherwise
+ */
+function getDefaultBackend() {
+  const kvConfigured = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+  return kvConfigured || process.env.VERCEL ? 'kv' : 'file';
+}
+
+let activeAdapter = null;
+
+/**
+ * Get the active state adapter (singleton)
+ */
+function getStateStore() {
+  if (!activeAdapter) {
+    const backend = (process.env.STATE_STORE || getDefaultBackend()).toLowerCase();
+    const factory = BACKENDS[backend];
+
+    if (!factory) {
+      throw new Error(`Unknown STATE_STORE "${backend}" (expected: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    activeAdapter = factory();
+  }
+  return activeAdapter;
+}
+
+/**
+ * Replace the active adapter (tests and scripts)
+ */
+function setStateStore(adapter) {
+  activeAdapter = adapter;
+}
+
+// ============================================================================
+// COLLECTION API
+// ============================================================================
+
+/**
+ * Storage name of a collection for the current tenant
+ */
+function tenantCollection(collection) {
+  const { id } = getTenant();
+  return id === DEFAULT_TENANT_ID ? collection : `${id}--${collection}`;
+}
+
+/**
+ * Get a single value (null if missing)
+ */
+async function get(collection, key) {
+  return getStateStore().readKey(tenantCollection(collection), key);
+}
+
+/**
+ * Get every value in a collection as { key: value }
+ */
+async function getAll(collection) {
+  return getStateStore().read(tenantCollection(collection));
+}
+
+/**
+ * Store a value
+ */
+async function set(collection, key, value) {
+  await getStateStore().writeKeys(tenantCollection(collection), { [key]: value });
+  return value;
+}
+
+/**
+ * Store several values at once ({ key: value })
+ */
+async function setMany(collection, entries) {
+  await getStateStore().writeKeys(tenantCollection(collection), entries);
+}
+
+/**
+ * Atomically update a value
+ * The updater receives the current value (null if missing) and returns the new one;
+ * returning null or undefined leaves the collection unchanged
+ */
+async function update(collection, key, updater) {
+  return getStateStore().mutateKey(tenantCollection(collection), key, updater);
+}
+
+/**
+ * Atomically modify several values in a collection
+ * The mutator receives the whole collection ({ key: value }) and edits it in place
+ */
+async function updateAll(collection, mutator) {
+  return getStateStore().mutate(tenantCollection(collection), mutator);
+}
+
+/**
+ * Remove a value, returns true if it existed
+ */
+async function remove(collection, key) {
+  return (await getStateStore().removeKeys(tenantCollection(collection), [key])) > 0;
+}
+
+/**
+ * Remove several values, returns how many existed
+ */
+async function removeMany(collection, keys) {
+  return getStateStore().removeKeys(tenantCollection(collection), keys);
+}
+
+/**
+ * Remove every value in a collection
+ */
+async function clear(collection) {
+  return getStateStore().mutate(tenantCollection(collection), data => {
+    const count = Object.keys(data).length;
+    Object.keys(data).forEach(key => delete data[key]);
+    return count;
+  });
+}
+
+module.exports = {
+  getStateStore,
+  setStateStore,
+  createKvAdapter,
+  createFileAdapter,
+  createMemoryAdapter,
+  get,
+  getAll,
+  set,
+  setMany,
+  update,
+  updateAll,
+  remove,
+  removeMany,
+  clear
+};
@@ -8,7 +8,8 @@
 const { analyzeContentGaps, getContentSuggestions } = require('./content-gaps');
 const { getAllArticles, querySimilar } = require('./pinecone');
 const { generateEmbedding } = require('./embeddings');
-const { getClient } = require('./claude');
+const { createMessage } = require('./llm');
+const { getTenant } = require('./tenants');
 
 /**
  * Analyze transcript for content opportunities
@@ -19,7 +20,6 @@ async function analyzeTranscript(transcript, options = {}) {
     maxSuggestions = 3
   } = options;
 
-  const client = getClient();
   const gaps = await analyzeContentGaps();
   const existingArticles = await getAllArticles();
 
@@ -37,7 +37,7 @@ async function analyzeTranscript(transcript, options = {}) {
     .map(r => `- [${r.priority}] ${r.title}: ${r.description}`)
     .join('\n');
 
-  const prompt = `You are a content strategist for a real estate investment education website (LendCity).
+  const prompt = `You are a content strategist for a real estate investment education website (${getTenant().name}).
 
 TRANSCRIPT TO ANALYZE:
 ${transcript.slice(0, 8000)}
@@ -84,8 +84,7 @@ Return JSON:
   "additionalOpportunities": ["Spin-off idea 1", "Spin-off idea 2"]
 }`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('transcript-analysis', {
     max_tokens: 2000,
     messages: [{ role: 'user', content: prompt }]
   });
@@ -109,8 +108,6 @@ Return JSON:
  * Generate strategic article from transcript
  */
 async function generateStrategicArticle(transcript, articleSpec, options = {}) {
-  const client = getClient();
-
   const {
     title,
     topicCluster,
@@ -130,7 +127,7 @@ async function generateStrategicArticle(transcript, articleSpec, options = {}) {
     return `- "${meta.title}" (${meta.url})`;
   }).join('\n');
 
-  const prompt = `You are a real estate investment content expert writing for LendCity.
+  const prompt = `You are a real estate investment content expert writing for ${getTenant().name}.
 
 CONTEXT:
 - Target Cluster: ${topicCluster}
@@ -165,8 +162,7 @@ REQUIREMENTS:
 
 Write the article title as H1 followed by the full article content in markdown.`;
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('strategic-article', {
     max_tokens: 4000,
     messages: [{ role: 'user', content: prompt }]
   });
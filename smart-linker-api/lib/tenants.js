@@ -0,0 +1,262 @@
+/**
+ * Tenants (multi-site)
+ *
+ * One deployment can serve several brand sites. Each tenant has its own API
+ * key, vector store namespace, state store collections and site config:
+ * brand name and terms, base URL, cluster relationships and seasonal calendar.
+ *
+ * Tenants are defined in TENANTS (JSON keyed by tenant id):
+ *   {"investorhub": {"apiKey": "...", "name": "InvestorHub", "baseUrl": "https://investorhub.ca",
+ *    "brandTerms": ["investorhub"], "allowCrossSiteLinks": ["default"]}}
+ *
+ * API_SECRET_KEY stays the key of the "default" tenant, which keeps the
+ * default namespace and unprefixed state collections, so single-site
+ * deployments need no configuration. Add a "default" entry to TENANTS to
+ * change its site config.
+ *
+ * The tenant is resolved from the Bearer key by withTenant() and carried
+ * through the request in an async context, like the usage context.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_TENANT_ID = 'default';
+
+// Site config of the default tenant, and the base for every other tenant
+const DEFAULT_SITE_CONFIG = {
+  name: 'LendCity',
+  baseUrl: 'https://lendcity.ca',
+  logoUrl: null,               // null - <baseUrl>/logo.png
+  brandTerms: null,            // null - lib/seo-scoring.js BRAND_TERMS
+  clusterRelationships: null,  // null - lib/scoring.js CLUSTER_RELATIONSHIPS (rules saved via /api/config win)
+  seasonalContent: null,       // null - lib/seasonal-boosting.js SEASONAL_CONTENT (months merged over it)
+  allowCrossSiteLinks: [],     // Tenant ids whose articles may be suggested as cross-site links
+  publishingCapacityPerWeek: null // null - EDITORIAL_CAPACITY_PER_WEEK, else 3 (lib/editorial-calendar.js)
+};
+
+const tenantContext = new AsyncLocalStorage();
+
+let tenantRegistry = null;
+
+/**
+ * Normalize one tenant definition
+ */
+function normalizeTenant(id, definition = {}) {
+  const tenant = { ...DEFAULT_SITE_CONFIG, ...definition, id };
+
+  if (id !== DEFAULT_TENANT_ID && !tenant.namespace) {
+    tenant.namespace = id;
+  }
+  tenant.namespace = tenant.namespace || null;
+  tenant.baseUrl = String(tenant.baseUrl || '').replace(/\/+$/, '');
+  tenant.allowCrossSiteLinks = (tenant.allowCrossSiteLinks || []).filter(t => t !== id);
+
+  return tenant;
+}
+
+/**
+ * Load tenants from TENANTS and API_SECRET_KEY (cached per process)
+ *
+ * @returns {Map} tenant id -> tenant
+ */
+function getTenants() {
+  if (tenantRegistry) return tenantRegistry;
+
+  let definitions = {};
+  if (process.env.TENANTS) {
+    try {
+      definitions = JSON.parse(process.env.TENANTS);
+    } catch (error) {
+      console.error('Invalid TENANTS JSON:', error.message);
+    }
+  }
+
+  const tenants = new Map();
+  const defaultTenant = normalizeTenant(DEFAULT_TENANT_ID, {
+    ...definitions[DEFAULT_TENANT_ID],
+    apiKey: process.env.API_SECRET_KEY || definitions[DEFAULT_TENANT_ID]?.apiKey
+  });
+  tenants.set(DEFAULT_TENANT_ID, defaultTenant);
+  const keys = new Set([defaultTenant.apiKey]);
+
+  for (const [id, definition] of Object.entries(definitions)) {
+    if (id === DEFAULT_TENANT_ID) continue;
+
+    let problem = null;
+    if (!/^[a-z0-9_-]+$/.test(id)) problem = 'ids may only contain a-z, 0-9, - and _';
+    else if (!definition?.apiKey) problem = 'apiKey is required';
+    else if (keys.has(definition.apiKey)) problem = "apiKey is already another tenant's";
+
+    if (problem) {
+      console.error(`Skipping tenant "${id}": ${problem}`);
+      continue;
+    }
+    keys.add(definition.apiKey);
+    tenants.set(id, normalizeTenant(id, definition));
+  }
+
+  tenantRegistry = tenants;
+  return tenantRegistry;
+}
+
+/**
+ * Forget loaded tenants (tests and scripts that change TENANTS)
+ */
+function resetTenants() {
+  tenantRegistry = null;
+}
+
+/**
+ * Get a tenant by id (null if unknown)
+ */
+function getTenantById(id) {
+  return getTenants().get(id) || null;
+}
+
+/**
+ * Tenant owning a Bearer token (null if no tenant has it)
+ */
+function authenticateRequest(req) {
+  const apiKey = req.headers?.['authorization']?.replace('Bearer ', '');
+  if (!apiKey) return null;
+
+  for (const tenant of getTenants().values()) {
+    if (tenant.apiKey && tenant.apiKey === apiKey) return tenant;
+  }
+  return null;
+}
+
+/**
+ * Token for a read-only feed URL (calendar apps can't send an Authorization header)
+ * Derived from the tenant's API key, so rotating the key revokes it
+ */
+function createFeedToken(tenant, feed) {
+  return crypto.createHmac('sha256', tenant.apiKey)
+    .update(`${tenant.id}:${feed}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Tenant of a feed request (?tenant=<id>&token=<createFeedToken>), null if the token is wrong
+ */
+function authenticateFeedRequest(req, feed) {
+  const { tenant: id = DEFAULT_TENANT_ID, token } = req.query || {};
+  const tenant = getTenantById(id);
+  // Only the token's own shape gets to timingSafeEqual (it throws on buffers of different byte lengths)
+  if (!tenant?.apiKey || typeof token !== 'string' || !/^[0-9a-f]{32}$/.test(token)) return null;
+
+  const expected = createFeedToken(tenant, feed);
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected)) ? tenant : null;
+}
+
+/**
+ * Run fn as a tenant, with the tenant's saved business rules loaded
+ * (required lazily - lib/business-rules.js reads the tenant from here)
+ */
+function withTenantContext(tenant, fn) {
+  return tenantContext.run({ tenant }, async () => {
+    if (tenant) await require('./business-rules').loadBusinessRules();
+    return fn();
+  });
+}
+
+/**
+ * Wrap an API handler so it runs as the tenant owning the request's API key
+ * Unknown keys run with no tenant - the handler answers 401 (getRequestTenant)
+ * With options.feed, a feed token (authenticateFeedRequest) is accepted too
+ */
+function withTenant(handler, options = {}) {
+  return function (req, res) {
+    const tenant = authenticateRequest(req) || (options.feed ? authenticateFeedRequest(req, options.feed) : null);
+    return withTenantContext(tenant, () => handler(req, res));
+  };
+}
+
+/**
+ * Tenant authenticated for the current request (null if the key was invalid)
+ */
+function getRequestTenant() {
+  return tenantContext.getStore()?.tenant || null;
+}
+
+/**
+ * Tenant whose data the current code works on
+ * Outside a request (scripts, cron without a tenant) this is the default tenant
+ */
+function getTenant() {
+  return getRequestTenant() || getTenantById(DEFAULT_TENANT_ID);
+}
+
+/**
+ * Site config value for the current tenant, or fallback when it doesn't set one
+ */
+function getTenantConfig(key, fallback = null) {
+  return getTenant()[key] ?? fallback;
+}
+
+/**
+ * Current tenant's site hostname ("lendcity.ca"), for telling internal from external links
+ * SITE_DOMAIN overrides the default tenant's baseUrl; null when neither resolves
+ */
+function getSiteDomain() {
+  const tenant = getTenant();
+  if (tenant.id === DEFAULT_TENANT_ID && process.env.SITE_DOMAIN) {
+    return process.env.SITE_DOMAIN.trim().toLowerCase().replace(/^www\./, '');
+  }
+
+  try {
+    return new URL(tenant.baseUrl).hostname.replace(/^www\./, '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a link URL points at the current tenant's site: relative URLs, and
+ * absolute ones on its domain or a subdomain. Without a site domain only
+ * relative URLs count, rather than every absolute URL.
+ */
+function isSiteUrl(url) {
+  if (!url) return false;
+  if (!/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) return true;
+
+  const domain = getSiteDomain();
+  if (!domain || !/^(https?:)?\/\//i.test(url)) return false;
+
+  try {
+    const hostname = new URL(url, 'https://relative.invalid').hostname.replace(/^www\./, '');
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Tenants the current tenant may link to across sites
+ */
+function getCrossSiteTenants() {
+  return getTenant().allowCrossSiteLinks
+    .map(getTenantById)
+    .filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  DEFAULT_SITE_CONFIG,
+  getTenants,
+  resetTenants,
+  getTenantById,
+  authenticateRequest,
+  createFeedToken,
+  authenticateFeedRequest,
+  withTenantContext,
+  withTenant,
+  getRequestTenant,
+  getTenant,
+  getTenantConfig,
+  getSiteDomain,
+  isSiteUrl,
+  getCrossSiteTenants
+};
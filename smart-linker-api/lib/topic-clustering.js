@@ -5,22 +5,16 @@
  * topic clusters to content.
  */
 
-const { getAllArticles, updateMetadata } = require('./pinecone');
+const { getAllArticles, getArticleEmbeddings, updateMetadata } = require('./pinecone');
 const { generateEmbedding, cosineSimilarity } = require('./embeddings');
 
 /**
- * Discover topic clusters from existing content using k-means-like approach
+ * Articles in an existing cluster, and articles without one
+ *
+ * @returns {Object} { members: [{ postId, title, cluster }], unclustered: [{ postId, title }] }
  */
-async function discoverClusters(options = {}) {
-  const {
-    minClusterSize = 3,
-    similarityThreshold = 0.75
-  } = options;
-
-  const articles = await getAllArticles();
-
-  // Group articles by existing cluster
-  const existingClusters = {};
+function groupByCluster(articles) {
+  const members = [];
   const unclustered = [];
 
   for (const article of articles) {
@@ -28,51 +22,83 @@ async function discoverClusters(options = {}) {
     const cluster = meta.topicCluster;
 
     if (cluster && cluster !== 'uncategorized') {
-      if (!existingClusters[cluster]) {
-        existingClusters[cluster] = [];
-      }
-      existingClusters[cluster].push({
-        postId: meta.postId,
-        title: meta.title,
-        embedding: article.values // Vector from Pinecone
-      });
+      members.push({ postId: meta.postId, title: meta.title, cluster });
     } else {
-      unclustered.push({
-        postId: meta.postId,
-        title: meta.title,
-        embedding: article.values
-      });
+      unclustered.push({ postId: meta.postId, title: meta.title });
     }
   }
 
-  // Calculate cluster centroids (average embedding)
-  const clusterCentroids = {};
-  for (const [cluster, members] of Object.entries(existingClusters)) {
-    if (members.length >= minClusterSize && members[0].embedding) {
-      const dims = members[0].embedding.length;
-      const centroid = new Array(dims).fill(0);
-
-      for (const member of members) {
-        if (member.embedding) {
-          for (let i = 0; i < dims; i++) {
-            centroid[i] += member.embedding[i] / members.length;
-          }
-        }
-      }
-      clusterCentroids[cluster] = centroid;
+  return { members, unclustered };
+}
+
+/**
+ * Add a batch of cluster members to running per-cluster embedding sums
+ *
+ * @param {Object} sums - { cluster: { count, vector } }, updated in place
+ * @param {Array} members - From groupByCluster
+ * @param {Object} embeddings - { postId: vector }
+ */
+function addToCentroidSums(sums, members, embeddings) {
+  for (const member of members) {
+    const embedding = embeddings[member.postId];
+    if (!embedding) continue;
+
+    const sum = sums[member.cluster] || (sums[member.cluster] = { count: 0, vector: new Array(embedding.length).fill(0) });
+    if (sum.vector.length !== embedding.length) continue;
+
+    for (let i = 0; i < embedding.length; i++) {
+      sum.vector[i] += embedding[i];
+    }
+    sum.count++;
+  }
+  return sums;
+}
+
+/**
+ * Add one set of per-cluster sums into another (sums built from separate batches)
+ */
+function mergeCentroidSums(sums, partial) {
+  for (const [cluster, { count, vector }] of Object.entries(partial)) {
+    const sum = sums[cluster] || (sums[cluster] = { count: 0, vector: new Array(vector.length).fill(0) });
+    if (sum.vector.length !== vector.length) continue;
+
+    for (let i = 0; i < vector.length; i++) {
+      sum.vector[i] += vector[i];
+    }
+    sum.count += count;
+  }
+  return sums;
+}
+
+/**
+ * Cluster centroids (average embedding) of clusters with at least minClusterSize members
+ */
+function centroidsFromSums(sums, memberCounts, minClusterSize) {
+  const centroids = {};
+  for (const [cluster, sum] of Object.entries(sums)) {
+    if ((memberCounts[cluster] || 0) >= minClusterSize && sum.count > 0) {
+      centroids[cluster] = sum.vector.map(v => v / sum.count);
     }
   }
+  return centroids;
+}
 
-  // Suggest clusters for unclustered articles
+/**
+ * Suggest the closest cluster for each unclustered article
+ */
+function suggestClusters(unclustered, embeddings, centroids, similarityThreshold = 0.75) {
   const suggestions = [];
+
   for (const article of unclustered) {
-    if (!article.embedding) continue;
+    const embedding = embeddings[article.postId];
+    if (!embedding) continue;
 
     let bestCluster = null;
     let bestSimilarity = 0;
 
-    for (const [cluster, centroid] of Object.entries(clusterCentroids)) {
-      const similarity = cosineSimilarity(article.embedding, centroid);
+    for (const [cluster, centroid] of Object.entries(centroids)) {
+      if (centroid.length !== embedding.length) continue;
+      const similarity = cosineSimilarity(embedding, centroid);
       if (similarity > bestSimilarity && similarity >= similarityThreshold) {
         bestSimilarity = similarity;
         bestCluster = cluster;
@@ -88,21 +114,61 @@ async function discoverClusters(options = {}) {
     });
   }
 
+  return suggestions;
+}
+
+/**
+ * Member count per existing cluster
+ */
+function countMembers(members) {
+  const counts = {};
+  for (const member of members) {
+    counts[member.cluster] = (counts[member.cluster] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Clustering report from member counts, unclustered articles and suggestions
+ */
+function summarizeClusters(memberCounts, unclusteredCount, suggestions) {
+  const names = Object.keys(memberCounts);
+
   return {
-    existingClusters: Object.keys(existingClusters).map(c => ({
+    existingClusters: names.map(c => ({
       name: c,
-      articleCount: existingClusters[c].length
+      articleCount: memberCounts[c]
     })),
-    unclusteredCount: unclustered.length,
-    suggestions: suggestions.sort((a, b) => b.confidence - a.confidence),
+    unclusteredCount,
+    suggestions: [...suggestions].sort((a, b) => b.confidence - a.confidence),
     clusterHealth: {
-      totalClusters: Object.keys(existingClusters).length,
-      avgClusterSize: Object.values(existingClusters).reduce((sum, c) => sum + c.length, 0) /
-                      Math.max(Object.keys(existingClusters).length, 1)
+      totalClusters: names.length,
+      avgClusterSize: Object.values(memberCounts).reduce((sum, c) => sum + c, 0) /
+                      Math.max(names.length, 1)
     }
   };
 }
 
+/**
+ * Discover topic clusters from existing content using k-means-like approach
+ */
+async function discoverClusters(options = {}) {
+  const {
+    minClusterSize = 3,
+    similarityThreshold = 0.75
+  } = options;
+
+  const articles = await getAllArticles();
+  const { members, unclustered } = groupByCluster(articles);
+  const embeddings = await getArticleEmbeddings(articles.map(a => (a.metadata || a).postId));
+
+  const memberCounts = countMembers(members);
+  const centroids = centroidsFromSums(addToCentroidSums({}, members, embeddings), memberCounts, minClusterSize);
+  const suggestions = suggestClusters(unclustered, embeddings, centroids, similarityThreshold);
+
+  return summarizeClusters(memberCounts, unclustered.length, suggestions);
+}
+
 /**
  * Suggest cluster for a single article based on content
  */
@@ -180,6 +246,13 @@ async function findMisclusteredArticles(threshold = 0.5) {
 
 module.exports = {
   discoverClusters,
+  groupByCluster,
+  countMembers,
+  addToCentroidSums,
+  mergeCentroidSums,
+  centroidsFromSums,
+  suggestClusters,
+  summarizeClusters,
   suggestClusterForArticle,
   findMisclusteredArticles
 };
@@ -0,0 +1,128 @@
+/**
+ * Retired URL History
+ *
+ * Remembers URLs that no longer point at a live catalog article so internal
+ * links to them can be diagnosed and repaired:
+ * - deleted: article removed from the catalog (embedding kept for replacement search)
+ * - moved: article re-synced under a new URL/slug
+ */
+
+const state = require('./state-store');
+
+const COLLECTION = 'retired-urls';
+
+const RETIRED_REASONS = {
+  DELETED: 'deleted',
+  MOVED: 'moved'
+};
+
+/**
+ * Normalize an internal URL to a comparable path
+ * "https://www.lendcity.ca/blog/Post-Slug/?utm=x#top" -> "/blog/post-slug"
+ */
+function normalizeUrlPath(url) {
+  if (!url) return null;
+
+  try {
+    const parsed = new URL(url, 'https://lendcity.ca');
+    const pathname = decodeURIComponent(parsed.pathname)
+      .toLowerCase()
+      .replace(/\/+$/, '');
+    return pathname || '/';
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the last path segment (slug) of a URL
+ */
+function getSlugFromUrl(url) {
+  const path = normalizeUrlPath(url);
+  if (!path || path === '/') return null;
+  return path.split('/').pop();
+}
+
+/**
+ * Record a deleted article
+ */
+async function recordDeletedArticle(article, embedding = null) {
+  const path = normalizeUrlPath(article.url);
+  if (!path) return null;
+
+  return state.set(COLLECTION, path, {
+    reason: RETIRED_REASONS.DELETED,
+    postId: article.postId,
+    url: article.url,
+    title: article.title || '',
+    topicCluster: article.topicCluster || null,
+    embedding,
+    retiredAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Record an article moving to a new URL
+ */
+async function recordUrlChange(postId, oldUrl, newUrl, title = '') {
+  const oldPath = normalizeUrlPath(oldUrl);
+  const newPath = normalizeUrlPath(newUrl);
+  if (!oldPath || !newPath || oldPath === newPath) return null;
+
+  await state.updateAll(COLLECTION, retired => {
+    // The new URL is live again
+    delete retired[newPath];
+
+    retired[oldPath] = {
+      reason: RETIRED_REASONS.MOVED,
+      postId,
+      url: oldUrl,
+      currentUrl: newUrl,
+      title,
+      retiredAt: new Date().toISOString()
+    };
+
+    // Earlier moves of this article now point at the newest URL
+    for (const entry of Object.values(retired)) {
+      if (entry.reason === RETIRED_REASONS.MOVED && entry.postId === postId) {
+        entry.currentUrl = newUrl;
+      }
+    }
+  });
+
+  return { oldPath, newPath };
+}
+
+/**
+ * Clear history for a URL that is live again (e.g. deleted post restored)
+ */
+async function clearRetiredUrl(url) {
+  const path = normalizeUrlPath(url);
+  return path ? state.remove(COLLECTION, path) : false;
+}
+
+/**
+ * Look up a retired URL
+ */
+async function lookupRetiredUrl(url) {
+  const path = normalizeUrlPath(url);
+  return path ? state.get(COLLECTION, path) : null;
+}
+
+/**
+ * Get all retired URLs as { path: entry }
+ */
+async function getRetiredUrls() {
+  return state.getAll(COLLECTION);
+}
+
+module.exports = {
+  RETIRED_REASONS,
+  normalizeUrlPath,
+  getSlugFromUrl,
+  recordDeletedArticle,
+  recordUrlChange,
+  clearRetiredUrl,
+  lookupRetiredUrl,
+  getRetiredUrls
+};
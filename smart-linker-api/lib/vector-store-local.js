@@ -0,0 +1,268 @@
+/**
+ * Local Vector Store Adapter
+ *
+ * Keeps vectors and metadata on local disk and answers similarity queries by
+ * brute-force cosine search. Fine for staging, tests and catalogs of a few
+ * thousand articles; use Pinecone beyond that.
+ *
+ * Storage is a JSON snapshot plus an append-only log of the changes since
+ * (one JSON line per upserted record or deleted id). Writes only append; the
+ * log is folded into the snapshot once it outgrows the store, so a migration
+ * of n articles costs O(n) disk writes, not n full rewrites.
+ *
+ * Supports the Pinecone metadata filter operators used by the catalog:
+ * $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $and, $or
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cosineSimilarity } = require('./embeddings');
+
+const DEFAULT_STORE_PATH = path.join(process.cwd(), '.vector-store');
+
+// The log is compacted when it has more entries than the store has records (and at least this many)
+const MIN_LOG_ENTRIES_BEFORE_COMPACTION = 1000;
+
+/**
+ * Read a file, or null if it doesn't exist
+ */
+async function readIfExists(filePath) {
+  try {
+    return await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Create a vector store backed by a JSON snapshot and a change log
+ *
+ * @param {Object} options - { dir, namespace, minLogEntries }
+ */
+function createLocalStore(options = {}) {
+  const dir = options.dir || process.env.LOCAL_VECTOR_STORE_PATH || DEFAULT_STORE_PATH;
+  const namespace = options.namespace || 'default';
+  const minLogEntries = options.minLogEntries || MIN_LOG_ENTRIES_BEFORE_COMPACTION;
+  const filePath = path.join(dir, `${namespace}.json`);
+  const logPath = path.join(dir, `${namespace}.log`);
+
+  let records = null;
+  let loading = null;
+  let logEntries = 0;
+  let writeChain = Promise.resolve();
+
+  async function readFromDisk() {
+    const loaded = new Map();
+
+    const snapshot = await readIfExists(filePath);
+    for (const record of snapshot ? JSON.parse(snapshot).records || [] : []) {
+      loaded.set(record.id, record);
+    }
+
+    const lines = ((await readIfExists(logPath)) || '').split('\n').filter(Boolean);
+    lines.forEach((line, i) => {
+      let change;
+      try {
+        change = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append leaves a partial last line - the change was never acknowledged
+        if (i === lines.length - 1) return;
+        throw error;
+      }
+      if (change.put) loaded.set(change.put.id, change.put);
+      if (change.delete) loaded.delete(change.delete);
+    });
+
+    logEntries = lines.length;
+    records = loaded;
+    return records;
+  }
+
+  /**
+   * Load records from disk on first access
+   * Concurrent first callers share one read, so none sees a half-loaded store
+   */
+  function load() {
+    loading = loading || readFromDisk().catch(error => {
+      loading = null;
+      throw error;
+    });
+    return loading;
+  }
+
+  /**
+   * Write the whole store as the snapshot (atomic via rename) and start a new log
+   */
+  async function compact() {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ records: Array.from(records.values()) }));
+    await fs.promises.rename(tmpPath, filePath);
+    await fs.promises.rm(logPath, { force: true });
+    logEntries = 0;
+  }
+
+  /**
+   * Append changes to the log (serialized), compacting once it outgrows the store
+   *
+   * @param {Array} changes - [{ put: record } | { delete: id }]
+   */
+  function persist(changes) {
+    writeChain = writeChain.catch(() => {}).then(async () => {
+      if (changes.length === 0) return;
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      logEntries += changes.length;
+      if (logEntries > Math.max(minLogEntries, records.size)) {
+        await compact();
+      } else {
+        await fs.promises.appendFile(logPath, changes.map(change => `${JSON.stringify(change)}\n`).join(''));
+      }
+    });
+    return writeChain;
+  }
+
+  return {
+    backend: 'local',
+    namespace,
+
+    async upsert(items) {
+      const store = await load();
+      const changes = items.map(item => {
+        const record = {
+          id: item.id,
+          values: item.values || [],
+          metadata: item.metadata || {}
+        };
+        store.set(item.id, record);
+        return { put: record };
+      });
+      await persist(changes);
+    },
+
+    async query({ vector, topK = 10, filter, includeMetadata = false, includeValues = false }) {
+      const store = await load();
+      const matches = [];
+
+      for (const record of store.values()) {
+        if (!record.values || record.values.length !== vector.length) continue;
+        if (filter && !matchesFilter(record.metadata, filter)) continue;
+
+        const match = { id: record.id, score: cosineSimilarity(vector, record.values) };
+        if (includeValues) match.values = record.values;
+        if (includeMetadata) match.metadata = record.metadata;
+        matches.push(match);
+      }
+
+      matches.sort((a, b) => b.score - a.score);
+      return { matches: matches.slice(0, topK), namespace };
+    },
+
+    async fetch(ids) {
+      const store = await load();
+      const result = {};
+      for (const id of ids) {
+        if (store.has(id)) result[id] = store.get(id);
+      }
+      return { records: result, namespace };
+    },
+
+    async update({ id, values, metadata }) {
+      const store = await load();
+      const record = store.get(id);
+      if (!record) {
+        throw new Error(`Record ${id} not found`);
+      }
+      if (values) record.values = values;
+      if (metadata) record.metadata = { ...record.metadata, ...metadata };
+      await persist([{ put: record }]);
+    },
+
+    async deleteOne(id) {
+      const store = await load();
+      const existed = store.delete(id);
+      await persist(existed ? [{ delete: id }] : []);
+    },
+
+    async deleteMany(idsOrFilter) {
+      const store = await load();
+      const ids = Array.isArray(idsOrFilter)
+        ? idsOrFilter.filter(id => store.has(id))
+        : Array.from(store).filter(([, record]) => matchesFilter(record.metadata, idsOrFilter)).map(([id]) => id);
+
+      ids.forEach(id => store.delete(id));
+      await persist(ids.map(id => ({ delete: id })));
+    },
+
+    async listPaginated({ prefix = '', limit = 100, paginationToken } = {}) {
+      const store = await load();
+      const ids = Array.from(store.keys())
+        .filter(id => id.startsWith(prefix))
+        .sort();
+
+      const start = paginationToken ? parseInt(paginationToken, 10) : 0;
+      const end = start + limit;
+
+      return {
+        vectors: ids.slice(start, end).map(id => ({ id })),
+        pagination: end < ids.length ? { next: String(end) } : undefined,
+        namespace
+      };
+    },
+
+    async describeIndexStats() {
+      const store = await load();
+      const first = store.values().next().value;
+      return {
+        dimension: first ? first.values.length : 0,
+        totalRecordCount: store.size,
+        namespaceRecordCount: store.size,
+        namespaces: { [namespace]: { recordCount: store.size } }
+      };
+    }
+  };
+}
+
+/**
+ * Check metadata against a Pinecone-style filter
+ */
+function matchesFilter(metadata = {}, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesFilter(metadata, sub));
+    if (key === '$or') return condition.some(sub => matchesFilter(metadata, sub));
+
+    const value = metadata[key];
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return matchesCondition(value, '$eq', condition);
+    }
+    return Object.entries(condition).every(([op, operand]) => matchesCondition(value, op, operand));
+  });
+}
+
+/**
+ * Evaluate a single filter operator
+ * Records missing the field only match $ne and $nin; list-valued metadata
+ * matches $eq/$in when any element matches (Pinecone semantics)
+ */
+function matchesCondition(value, op, operand) {
+  if (value === undefined || value === null) return op === '$ne' || op === '$nin';
+  const values = Array.isArray(value) ? value : [value];
+
+  switch (op) {
+    case '$eq': return values.includes(operand);
+    case '$ne': return !values.includes(operand);
+    case '$in': return values.some(v => operand.includes(v));
+    case '$nin': return !values.some(v => operand.includes(v));
+    case '$gt': return typeof value === 'number' && value > operand;
+    case '$gte': return typeof value === 'number' && value >= operand;
+    case '$lt': return typeof value === 'number' && value < operand;
+    case '$lte': return typeof value === 'number' && value <= operand;
+    default:
+      throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+module.exports = {
+  createLocalStore,
+  matchesFilter
+};
@@ -0,0 +1,53 @@
+/**
+ * Pinecone Vector Store Adapter
+ *
+ * Thin wrapper over a hosted Pinecone index.
+ * The SDK is required lazily so other backends run without Pinecone credentials.
+ */
+
+let pineconeClient = null;
+
+/**
+ * Initialize Pinecone client (singleton)
+ */
+function getClient() {
+  if (!pineconeClient) {
+    const { Pinecone } = require('@pinecone-database/pinecone');
+    pineconeClient = new Pinecone({
+      apiKey: process.env.PINECONE_API_KEY
+    });
+  }
+  return pineconeClient;
+}
+
+/**
+ * Create a vector store backed by a Pinecone index
+ */
+function createPineconeStore(options = {}) {
+  const baseIndex = getClient().index(options.indexName || process.env.PINECONE_INDEX);
+  const index = options.namespace ? baseIndex.namespace(options.namespace) : baseIndex;
+
+  return {
+    backend: 'pinecone',
+    upsert: (records) => index.upsert(records),
+    query: (params) => index.query(params),
+    fetch: (ids) => index.fetch(ids),
+    update: (params) => index.update(params),
+    deleteOne: (id) => index.deleteOne(id),
+    deleteMany: (idsOrFilter) => index.deleteMany(idsOrFilter),
+    listPaginated: (params) => index.listPaginated(params),
+    // Stats are index-wide; namespaceRecordCount is this store's share
+    describeIndexStats: async () => {
+      const stats = await baseIndex.describeIndexStats();
+      return {
+        ...stats,
+        namespaceRecordCount: stats.namespaces?.[options.namespace || '']?.recordCount ?? 0
+      };
+    }
+  };
+}
+
+module.exports = {
+  getClient,
+  createPineconeStore
+};
@@ -0,0 +1,81 @@
+/**
+ * Vector Store Backend Selection
+ *
+ * All catalog access in lib/pinecone.js goes through a vector store adapter.
+ * Adapters expose the subset of the Pinecone index API the catalog uses:
+ *
+ *   upsert(records)                          -> void
+ *   query({ vector, topK, filter,
+ *           includeMetadata, includeValues }) -> { matches: [{ id, score, values?, metadata? }] }
+ *   fetch(ids)                               -> { records: { [id]: { id, values, metadata } } }
+ *   update({ id, values?, metadata? })       -> void (metadata is merged)
+ *   deleteOne(id)                            -> void
+ *   deleteMany(idsOrFilter)                  -> void
+ *   listPaginated({ prefix, limit,
+ *                   paginationToken })       -> { vectors: [{ id }], pagination: { next } }
+ *   describeIndexStats()                     -> { dimension, totalRecordCount, namespaceRecordCount }
+ *
+ * Backends:
+ * - pinecone (default): hosted Pinecone index (PINECONE_API_KEY, PINECONE_INDEX)
+ * - local: vectors and metadata on local disk with brute-force cosine search
+ *   (LOCAL_VECTOR_STORE_PATH) - for staging, tests and offline runs
+ *
+ * Select with VECTOR_STORE=pinecone|local
+ *
+ * Each tenant (lib/tenants.js) gets its own namespace; the default tenant
+ * uses the backend's default namespace.
+ */
+
+const { getTenant } = require('./tenants');
+
+const BACKENDS = {
+  pinecone: (options) => require('./vector-store-pinecone').createPineconeStore(options),
+  local: (options) => require('./vector-store-local').createLocalStore(options)
+};
+
+// Adapters by namespace, and the override set by setVectorStore
+const stores = new Map();
+let activeStore = null;
+
+/**
+ * Get the configured backend name
+ */
+function getBackendName() {
+  return (process.env.VECTOR_STORE || 'pinecone').toLowerCase();
+}
+
+/**
+ * Get the vector store adapter for the current tenant's namespace (one per namespace)
+ */
+function getVectorStore() {
+  if (activeStore) return activeStore;
+
+  const namespace = getTenant().namespace;
+  const key = namespace || '';
+  if (!stores.has(key)) {
+    const backend = getBackendName();
+    const factory = BACKENDS[backend];
+
+    if (!factory) {
+      throw new Error(`Unknown VECTOR_STORE "${backend}" (expected: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    stores.set(key, factory(namespace ? { namespace } : {}));
+  }
+  return stores.get(key);
+}
+
+/**
+ * Replace the adapter for every tenant (tests and scripts)
+ * Pass null to fall back to the configured backend on next access
+ */
+function setVectorStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  getVectorStore,
+  setVectorStore,
+  getBackendName,
+  BACKENDS
+};
@@ -5,7 +5,7 @@
  * question-based content and conversational patterns.
  */
 
-const { getClient } = require('./claude');
+const { createMessage } = require('./llm');
 
 // Common question patterns for voice search
 const QUESTION_PATTERNS = [
@@ -184,10 +184,7 @@ function detectVoiceIntent(query) {
  * Generate voice search optimized summary
  */
 async function generateVoiceOptimizedSummary(content, title) {
-  const client = getClient();
-
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-20250514',
+  const response = await createMessage('voice-summary', {
     max_tokens: 300,
     messages: [{
       role: 'user',
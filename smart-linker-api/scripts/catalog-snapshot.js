@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Catalog Snapshot Script
+ *
+ * Exports every vector and its metadata to a versioned local archive,
+ * compares snapshots and restores one when an enrichment run goes wrong.
+ *
+ * Usage:
+ *   node scripts/catalog-snapshot.js create --label="before re-enrichment"
+ *   node scripts/catalog-snapshot.js list
+ *   node scripts/catalog-snapshot.js diff --from=latest [--to=current] [--limit=50] [--json]
+ *   node scripts/catalog-snapshot.js restore --id=3 [--posts=12,34] [--prune] [--dry-run]
+ *
+ * Snapshots are referenced by id, version number, "latest" or "previous";
+ * diff also accepts "current" for the live index.
+ *
+ * Options:
+ *   --dir=<path>      Archive directory (default: CATALOG_SNAPSHOT_PATH or ./.catalog-snapshots,
+ *                     with a subdirectory per tenant other than the default one)
+ *   --tenant=<id>     Work on this tenant's namespace (default: default)
+ *   --posts=<ids>     Restore only these articles and their section vectors
+ *   --prune           Delete vectors that are not in the snapshot (whole-catalog restore)
+ *   --no-backup       Skip the automatic snapshot taken before a restore
+ *   --dry-run         Show what a restore would write without writing it
+ */
+
+require('dotenv').config();
+
+const {
+  createSnapshot,
+  listSnapshots,
+  diffSnapshots,
+  restoreSnapshot,
+  getSnapshotDir
+} = require('../lib/catalog-snapshot');
+const { getBackendName } = require('../lib/pinecone');
+const { getTenantById, withTenantContext, DEFAULT_TENANT_ID } = require('../lib/tenants');
+
+// Parse command line arguments
+const [command, ...rest] = process.argv.slice(2);
+const args = rest.reduce((acc, arg) => {
+  const [key, ...value] = arg.replace('--', '').split('=');
+  acc[key] = value.length > 0 ? value.join('=') : true;
+  return acc;
+}, {});
+
+const OPTIONS = args.dir ? { dir: args.dir } : {};
+const TENANT = getTenantById(typeof args.tenant === 'string' ? args.tenant : DEFAULT_TENANT_ID);
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log(`Catalog Snapshots (${getBackendName()} vector store, tenant ${TENANT.id})`);
+  console.log('='.repeat(60));
+  console.log(`Archive: ${getSnapshotDir(OPTIONS)}\n`);
+
+  switch (command) {
+    case 'create':
+      return create();
+    case 'list':
+      return list();
+    case 'diff':
+      return diff();
+    case 'restore':
+      return restore();
+    default:
+      console.error(command ? `Unknown command: ${command}` : 'No command specified');
+      console.log('\nUsage: node scripts/catalog-snapshot.js <create|list|diff|restore> [options]');
+      process.exit(1);
+  }
+}
+
+async function create() {
+  const startTime = Date.now();
+  const manifest = await createSnapshot({ ...OPTIONS, label: typeof args.label === 'string' ? args.label : null });
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+
+  console.log(`Created snapshot ${manifest.id}`);
+  console.log(`  Articles: ${manifest.articleCount}`);
+  console.log(`  Sections: ${manifest.sectionCount}`);
+  console.log(`  Vectors:  ${manifest.vectorCount}`);
+  console.log(`  Duration: ${duration}s`);
+}
+
+async function list() {
+  const snapshots = await listSnapshots(OPTIONS);
+  if (snapshots.length === 0) {
+    console.log('No snapshots yet - run: node scripts/catalog-snapshot.js create');
+    return;
+  }
+
+  for (const s of snapshots) {
+    console.log(`${String(s.version).padStart(4)}  ${s.id}  ${String(s.articleCount).padStart(6)} articles  ${s.backend}${s.label ? `  "${s.label}"` : ''}`);
+  }
+}
+
+async function diff() {
+  if (!args.from) {
+    console.error('Error: --from is required (e.g. --from=latest)');
+    process.exit(1);
+  }
+
+  const result = await diffSnapshots(args.from, args.to || 'current', OPTIONS);
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const { summary } = result;
+  console.log(`Diff ${result.from} -> ${result.to}`);
+  console.log(`  Articles: ${summary.articlesBefore} -> ${summary.articlesAfter}`);
+  console.log(`  Added: ${summary.added}, removed: ${summary.removed}, changed: ${summary.changed}, re-embedded: ${summary.reembedded}`);
+
+  const fieldChanges = Object.entries(summary.fieldChanges).filter(([, count]) => count > 0);
+  if (fieldChanges.length > 0) {
+    console.log('\nChanged fields:');
+    fieldChanges.forEach(([field, count]) => console.log(`  ${field}: ${count}`));
+  }
+
+  const moves = Object.entries(summary.clusterMoves).sort((a, b) => b[1] - a[1]);
+  if (moves.length > 0) {
+    console.log('\nCluster moves:');
+    moves.forEach(([move, count]) => console.log(`  ${move}: ${count}`));
+  }
+
+  const limit = parseInt(args.limit) || 50;
+  if (result.changed.length > 0) {
+    console.log(`\nChanged articles (first ${Math.min(limit, result.changed.length)}):`);
+    for (const article of result.changed.slice(0, limit)) {
+      const fields = Object.entries(article.changes)
+        .map(([field, { from, to }]) => `${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+      if (article.embeddingChanged) fields.push('embedding');
+      console.log(`  #${article.postId} ${(article.title || '').slice(0, 50)}`);
+      fields.forEach(f => console.log(`      ${f}`));
+    }
+  }
+
+  result.added.slice(0, limit).forEach(a => console.log(`  + #${a.postId} ${a.title || ''}`));
+  result.removed.slice(0, limit).forEach(a => console.log(`  - #${a.postId} ${a.title || ''}`));
+}
+
+async function restore() {
+  if (!args.id) {
+    console.error('Error: --id is required (snapshot id, version number, "latest" or "previous")');
+    process.exit(1);
+  }
+
+  const postIds = typeof args.posts === 'string'
+    ? args.posts.split(',').map(id => parseInt(id.trim())).filter(Number.isFinite)
+    : null;
+  const dryRun = args['dry-run'] || false;
+
+  if (dryRun) {
+    console.log('[DRY RUN MODE - No data will be written]\n');
+  }
+
+  const result = await restoreSnapshot(args.id, {
+    ...OPTIONS,
+    postIds,
+    prune: args.prune || false,
+    backup: !args['no-backup'],
+    dryRun
+  });
+
+  if (result.backup) {
+    console.log(`Backed up current catalog as ${result.backup}`);
+  }
+  console.log(`${dryRun ? 'Would restore' : 'Restored'} ${result.restored} vectors (${result.articles} articles) from ${result.snapshot}`);
+  if (result.removed > 0) {
+    console.log(`${dryRun ? 'Would delete' : 'Deleted'} ${result.removed} vectors not in the snapshot`);
+  }
+}
+
+if (!TENANT) {
+  console.error(`Unknown tenant: ${args.tenant} (define it in TENANTS)`);
+  process.exit(1);
+}
+
+withTenantContext(TENANT, main).catch(error => {
+  console.error(`Snapshot ${command || ''} failed: ${error.message}`);
+  process.exit(1);
+});
@@ -10,20 +10,41 @@
  *   2. Run: node scripts/migrate-catalog.js --file=catalog-export.json
  *
  * Options:
- *   --file=<path>     Path to exported catalog JSON
- *   --batch=<size>    Batch size for processing (default: 10)
- *   --dry-run         Preview without writing to Pinecone
+ *   --file=<path>         Path to exported catalog JSON
+ *   --batch=<size>        Batch size for processing (default: 10)
+ *   --concurrency=<n>     Articles processed in parallel within a batch (default: 1)
+ *   --enrich              Full semantic enrichment (LSI, linkable moments, section
+ *                         embeddings, anchor phrases) via enrichArticle
+ *   --resume              Skip articles the checkpoint records as completed
+ *   --only-changed        Skip articles whose content hash matches the checkpoint
+ *   --retry-failed        Migrate only the articles in the failed-items file
+ *   --checkpoint=<path>   Checkpoint file (default: <file>.checkpoint.json)
+ *   --failed=<path>       Failed-items file (default: <file>.failed.json)
+ *   --tenant=<id>         Migrate into this tenant's namespace (default: default)
+ *   --dry-run             Preview without writing to Pinecone
+ *   --no-snapshot         Skip the catalog snapshot taken before writing
+ *                         (restore with scripts/catalog-snapshot.js)
+ *
+ * Every migrated article is recorded in the checkpoint with a hash of its
+ * content and business fields, so a crashed run continues with --resume and
+ * a re-export only re-embeds what changed with --only-changed.
  */
 
 require('dotenv').config();
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 // Import from parent directory
-const { upsertArticle, getIndex } = require('../lib/pinecone');
+const { upsertArticle, getIndex, getBackendName } = require('../lib/pinecone');
 const { generateArticleEmbedding } = require('../lib/embeddings');
 const { generateSummary, extractKeywords } = require('../lib/claude');
+const { enrichArticle } = require('../lib/semantic-enrichment');
+const { extractInternalLinkUrls } = require('../lib/link-integrity');
+const { withUsageContext } = require('../lib/llm-usage');
+const { createSnapshot } = require('../lib/catalog-snapshot');
+const { getTenantById, withTenantContext, DEFAULT_TENANT_ID } = require('../lib/tenants');
 
 // Parse command line arguments
 const args = process.argv.slice(2).reduce((acc, arg) => {
@@ -33,13 +54,24 @@ const args = process.argv.slice(2).reduce((acc, arg) => {
 }, {});
 
 const BATCH_SIZE = parseInt(args.batch) || 10;
+const CONCURRENCY = Math.max(1, parseInt(args.concurrency) || 1);
 const DRY_RUN = args['dry-run'] || false;
 const INPUT_FILE = args.file;
+const SNAPSHOT = !args['no-snapshot'];
+const ENRICH = args.enrich || false;
+const RESUME = args.resume || false;
+const ONLY_CHANGED = args['only-changed'] || false;
+const RETRY_FAILED = args['retry-failed'] || false;
+const CHECKPOINT_FILE = args.checkpoint || `${INPUT_FILE}.checkpoint.json`;
+const FAILED_FILE = args.failed || `${INPUT_FILE}.failed.json`;
+const MODE = ENRICH ? 'full' : 'light';
+const TENANT = getTenantById(typeof args.tenant === 'string' ? args.tenant : DEFAULT_TENANT_ID);
 
 async function main() {
   console.log('='.repeat(60));
   console.log('WordPress to Pinecone Migration');
   console.log('='.repeat(60));
+  console.log(`Tenant: ${TENANT.id}`);
 
   if (!INPUT_FILE) {
     console.error('\nError: No input file specified');
@@ -67,39 +99,90 @@ function export_catalog_for_migration() {
     process.exit(1);
   }
 
-  // Read catalog file
-  console.log(`\nReading catalog from: ${INPUT_FILE}`);
+  // Read catalog file (or the failed items of an earlier run)
+  const sourceFile = RETRY_FAILED ? FAILED_FILE : INPUT_FILE;
+  console.log(`\nReading ${RETRY_FAILED ? 'failed items' : 'catalog'} from: ${sourceFile}`);
   let catalog;
   try {
-    const raw = fs.readFileSync(INPUT_FILE, 'utf8');
-    catalog = JSON.parse(raw);
+    const raw = JSON.parse(fs.readFileSync(sourceFile, 'utf8'));
+    catalog = Array.isArray(raw) ? raw : (raw.items || []).map(item => item.article);
   } catch (error) {
     console.error(`Error reading file: ${error.message}`);
     process.exit(1);
   }
 
-  console.log(`Found ${catalog.length} articles to migrate`);
+  console.log(`Found ${catalog.length} articles`);
 
   if (DRY_RUN) {
     console.log('\n[DRY RUN MODE - No data will be written]\n');
   }
 
-  // Verify Pinecone connection
+  // Verify vector store connection
   try {
     const index = getIndex();
-    console.log(`Connected to Pinecone index: ${process.env.PINECONE_INDEX}`);
+    console.log(getBackendName() === 'pinecone'
+      ? `Connected to Pinecone index: ${process.env.PINECONE_INDEX}`
+      : `Using ${getBackendName()} vector store`);
   } catch (error) {
-    console.error(`Pinecone connection failed: ${error.message}`);
+    console.error(`Vector store connection failed: ${error.message}`);
     process.exit(1);
   }
 
+  // Skip what earlier runs already migrated
+  const checkpoint = readJsonFile(CHECKPOINT_FILE) || { source: INPUT_FILE, completed: {} };
+  // A retry re-runs every failed item, so only its own failures are kept
+  const failedItems = new Map(RETRY_FAILED
+    ? []
+    : (readJsonFile(FAILED_FILE)?.items || []).map(item => [failedKey(item), item]));
+
+  const pending = [];
+  let skippedCompleted = 0;
+  let skippedUnchanged = 0;
+
+  for (const wp of catalog) {
+    const mapped = mapWordPressArticle(wp);
+    const hash = hashArticle(mapped);
+    const entry = checkpoint.completed[mapped.postId];
+
+    if (entry && RESUME) {
+      skippedCompleted++;
+    } else if (entry && ONLY_CHANGED && entry.hash === hash) {
+      skippedUnchanged++;
+    } else {
+      pending.push({ wp, mapped, hash });
+    }
+  }
+
+  if (RESUME || ONLY_CHANGED) {
+    console.log(`Checkpoint: ${CHECKPOINT_FILE}`);
+    console.log(`Skipping ${skippedCompleted} completed and ${skippedUnchanged} unchanged articles`);
+  }
+
+  if (pending.length === 0) {
+    console.log('\nNothing to migrate');
+    return;
+  }
+
+  // Snapshot the catalog so a bad run can be rolled back (a resumed run already has one)
+  if (!DRY_RUN && SNAPSHOT && !RESUME) {
+    try {
+      const snapshot = await createSnapshot({ label: `before migration of ${path.basename(INPUT_FILE)}` });
+      console.log(`Snapshot ${snapshot.id} saved (${snapshot.articleCount} articles)`);
+    } catch (error) {
+      console.error(`Snapshot failed: ${error.message}`);
+      console.log('Re-run with --no-snapshot to migrate without one');
+      process.exit(1);
+    }
+  }
+
   // Process in batches
   const batches = [];
-  for (let i = 0; i < catalog.length; i += BATCH_SIZE) {
-    batches.push(catalog.slice(i, i + BATCH_SIZE));
+  for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+    batches.push(pending.slice(i, i + BATCH_SIZE));
   }
 
-  console.log(`\nProcessing ${batches.length} batches of ${BATCH_SIZE} articles each\n`);
+  console.log(`\nProcessing ${batches.length} batches of ${BATCH_SIZE} articles each`);
+  console.log(`Enrichment: ${MODE}, concurrency: ${CONCURRENCY}\n`);
 
   let processed = 0;
   let errors = 0;
@@ -109,47 +192,42 @@ function export_catalog_for_migration() {
     const batch = batches[batchIndex];
     console.log(`Batch ${batchIndex + 1}/${batches.length}:`);
 
-    for (const article of batch) {
+    await runWithConcurrency(batch, CONCURRENCY, async ({ wp, mapped, hash }) => {
       try {
-        // Map WordPress catalog fields to our schema
-        const mapped = mapWordPressArticle(article);
-
-        // Generate embedding
-        console.log(`  Processing: ${mapped.title.slice(0, 50)}...`);
-        const embedding = await generateArticleEmbedding({
-          title: mapped.title,
-          summary: mapped.summary,
-          body: mapped.content || ''
-        });
-        mapped.embedding = embedding;
-
-        // Generate summary if missing
-        if (!mapped.summary && mapped.content) {
-          mapped.summary = await generateSummary(mapped.content);
+        if (mapped.postId === undefined || mapped.postId === null) {
+          throw new Error('Missing post_id');
         }
 
-        // Extract keywords if missing
-        if ((!mapped.mainTopics || mapped.mainTopics.length === 0) && mapped.content) {
-          const keywords = await extractKeywords(mapped.content);
-          mapped.mainTopics = keywords.mainTopics;
-          mapped.semanticKeywords = keywords.semanticKeywords;
-        }
-
-        // Upsert to Pinecone
-        if (!DRY_RUN) {
-          await upsertArticle(mapped);
-        }
+        console.log(`  Processing: ${mapped.title.slice(0, 50)}...`);
+        await withUsageContext(
+          { route: 'migrate-catalog', postId: mapped.postId },
+          () => migrateArticle(mapped)
+        );
 
         processed++;
-        console.log(`    ✓ Done (${processed}/${catalog.length})`);
+        checkpoint.completed[mapped.postId] = { hash, mode: MODE, migratedAt: new Date().toISOString() };
+        failedItems.delete(failedKey(mapped));
+        console.log(`    ✓ Done #${mapped.postId} (${processed}/${pending.length})`);
 
       } catch (error) {
         errors++;
-        console.log(`    ✗ Error: ${error.message}`);
+        failedItems.set(failedKey(mapped), {
+          postId: mapped.postId ?? null,
+          title: mapped.title,
+          error: error.message,
+          failedAt: new Date().toISOString(),
+          article: wp
+        });
+        console.log(`    ✗ Error #${mapped.postId}: ${error.message}`);
       }
 
       // Rate limiting - avoid API throttling
       await sleep(200);
+    });
+
+    // Checkpoint after every batch, so a crash loses at most one batch
+    if (!DRY_RUN) {
+      saveProgress(checkpoint, failedItems);
     }
 
     // Pause between batches
@@ -164,15 +242,140 @@ function export_catalog_for_migration() {
   console.log('\n' + '='.repeat(60));
   console.log('Migration Complete');
   console.log('='.repeat(60));
-  console.log(`\nProcessed: ${processed}/${catalog.length} articles`);
+  console.log(`\nProcessed: ${processed}/${pending.length} articles`);
+  if (skippedCompleted || skippedUnchanged) {
+    console.log(`Skipped: ${skippedCompleted} completed, ${skippedUnchanged} unchanged`);
+  }
   console.log(`Errors: ${errors}`);
   console.log(`Duration: ${duration}s`);
 
   if (DRY_RUN) {
     console.log('\n[DRY RUN - No data was written to Pinecone]');
+  } else if (failedItems.size > 0) {
+    console.log(`\n${failedItems.size} failed articles saved to ${FAILED_FILE}`);
+    console.log(`Retry with: node scripts/migrate-catalog.js --file=${INPUT_FILE} --retry-failed`);
+  }
+}
+
+/**
+ * Embed, fill in missing summary/keywords, enrich and upsert one article
+ * In dry-run mode everything but the upsert runs
+ */
+async function migrateArticle(mapped) {
+  mapped.embedding = await generateArticleEmbedding({
+    title: mapped.title,
+    summary: mapped.summary,
+    body: mapped.content || ''
+  });
+
+  // Generate summary if missing
+  if (!mapped.summary && mapped.content) {
+    mapped.summary = await generateSummary(mapped.content);
+  }
+
+  // Extract keywords if missing
+  if ((!mapped.mainTopics || mapped.mainTopics.length === 0) && mapped.content) {
+    const keywords = await extractKeywords(mapped.content);
+    mapped.mainTopics = keywords.mainTopics;
+    mapped.semanticKeywords = keywords.semanticKeywords;
+  }
+
+  // Full enrichment - same settings as catalog-sync with fullEnrichment
+  if (ENRICH) {
+    const enrichment = await enrichArticle(mapped, {
+      generateSectionEmbed: true,
+      generateMultiVector: false,
+      extractLSI: true,
+      detectLinkable: true,
+      analyzeStructure: true,
+      analyzeEEATSignals: true,
+      extractAnchors: true,
+      useAI: true
+    });
+    if (enrichment.error) {
+      throw new Error(`Enrichment failed: ${enrichment.error}`);
+    }
+
+    Object.assign(mapped, {
+      ...enrichment,
+      anchorPhrases: enrichment.anchorPhrases?.length > 0 ? enrichment.anchorPhrases : mapped.anchorPhrases,
+      internalLinks: extractInternalLinkUrls(mapped.content)
+    });
+  }
+
+  // Upsert to Pinecone
+  if (!DRY_RUN) {
+    await upsertArticle(mapped);
   }
 }
 
+/**
+ * Hash of everything that ends up in the catalog (dates excluded - they
+ * default to "now" when the export lacks them) plus the enrichment mode
+ */
+function hashArticle(mapped) {
+  const { publishedAt, updatedAt, ...fields } = mapped;
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ mode: MODE, ...fields }))
+    .digest('hex');
+}
+
+/**
+ * Failed-items key - rows without a postId are told apart by title
+ */
+function failedKey({ postId, title }) {
+  return postId !== undefined && postId !== null ? String(postId) : `missing-id:${title}`;
+}
+
+/**
+ * Run fn over items with at most `concurrency` in flight
+ */
+async function runWithConcurrency(items, concurrency, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      await fn(items[next++]);
+    }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * Write the checkpoint and failed-items files (the failed file is removed once empty)
+ */
+function saveProgress(checkpoint, failedItems) {
+  checkpoint.updatedAt = new Date().toISOString();
+  writeJsonFile(CHECKPOINT_FILE, checkpoint);
+
+  if (failedItems.size > 0) {
+    writeJsonFile(FAILED_FILE, { source: INPUT_FILE, items: [...failedItems.values()] });
+  } else if (fs.existsSync(FAILED_FILE)) {
+    fs.unlinkSync(FAILED_FILE);
+  }
+}
+
+/**
+ * Read a JSON file, null when it doesn't exist
+ */
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically (a crash mid-write keeps the previous version)
+ */
+function writeJsonFile(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
 /**
  * Map WordPress catalog fields to Pinecone schema
  */
@@ -234,8 +437,13 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Run migration
-main().catch(error => {
+// Run migration as the tenant
+if (!TENANT) {
+  console.error(`Unknown tenant: ${args.tenant} (define it in TENANTS)`);
+  process.exit(1);
+}
+
+withTenantContext(TENANT, main).catch(error => {
   console.error('Migration failed:', error);
   process.exit(1);
 });
@@ -0,0 +1,107 @@
+process.env.STATE_STORE = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const state = require('../lib/state-store');
+const {
+  JOB_SETTINGS,
+  RUN_STATUS,
+  registerJob,
+  runJob,
+  cancelJob,
+  getJobStatus,
+  getJobHistory,
+  getLatestJobResult
+} = require('../lib/jobs');
+
+// Squares 1..n, one chunk of ids per step
+registerJob({
+  name: 'squares',
+  start: async (params, data) => {
+    const ids = Array.from({ length: params.n }, (_, i) => i + 1);
+    await data.write('ids', ids, 2);
+    return { chunk: 0, processed: 0 };
+  },
+  step: async (cursor, params, data) => {
+    const ids = await data.chunk('ids', cursor.chunk);
+    await data.append('squares', ids.map(id => id * id));
+    cursor.chunk++;
+    cursor.processed += ids.length;
+    return { cursor, processed: cursor.processed, total: params.n, done: cursor.chunk >= data.chunkCount('ids') };
+  },
+  finish: async (cursor, params, data) => data.readAll('squares')
+});
+
+registerJob({ name: 'single', run: async params => ({ echo: params.value }) });
+
+// budgetMs 0 runs exactly one step per invocation
+const runOneStep = (name, options = {}) => runJob(name, { budgetMs: 0, ...options });
+
+test('a chunked run resumes across invocations with only a small cursor on the run', async () => {
+  const first = await runOneStep('squares', { params: { n: 5 } });
+  assert.strictEqual(first.status, RUN_STATUS.IN_PROGRESS);
+  assert.deepStrictEqual(first.progress, { processed: 2, total: 5, percent: 40, invocations: 1 });
+
+  const record = await state.get('jobs', 'squares');
+  assert.strictEqual(record.runId, first.runId);
+  assert.strictEqual(record.run, undefined);
+  const run = await state.get('job-runs', first.runId);
+  assert.deepStrictEqual(run.cursor, { chunk: 1, processed: 2 });
+  assert.deepStrictEqual(run.chunks, { ids: 3, squares: 1 });
+
+  const status = await getJobStatus('squares');
+  assert.strictEqual(status.currentRun.runId, first.runId);
+
+  await runOneStep('squares');
+  const last = await runOneStep('squares');
+  assert.strictEqual(last.status, RUN_STATUS.COMPLETED);
+  assert.deepStrictEqual(last.result, [1, 4, 9, 16, 25]);
+  assert.strictEqual(last.progress.invocations, 3);
+});
+
+test('finished runs leave no run data behind', async () => {
+  await runJob('squares', { params: { n: 3 } });
+
+  assert.deepStrictEqual(await state.getAll('job-runs'), {});
+  assert.deepStrictEqual(await state.getAll('job-run-data'), {});
+  assert.strictEqual((await state.get('jobs', 'squares')).runId, null);
+});
+
+test('history keeps the newest runs per job, trimmed by key', async () => {
+  for (let i = 0; i < JOB_SETTINGS.historyLimit + 2; i++) {
+    await runJob('single', { params: { value: i } });
+  }
+
+  const history = await getJobHistory('single');
+  assert.strictEqual(history.length, JOB_SETTINGS.historyLimit);
+  assert.strictEqual(history[0].result, undefined);
+
+  const stored = Object.values(await state.getAll('job-history')).filter(h => h.name === 'single');
+  assert.strictEqual(stored.length, JOB_SETTINGS.historyLimit);
+
+  const latest = await getLatestJobResult('single');
+  assert.deepStrictEqual(latest.result, { echo: JOB_SETTINGS.historyLimit + 1 });
+});
+
+test('cancelling drops the run and its data', async () => {
+  const started = await runOneStep('squares', { params: { n: 6 } });
+  const cancelled = await cancelJob('squares');
+  assert.strictEqual(cancelled.runId, started.runId);
+
+  assert.strictEqual(await state.get('job-runs', started.runId), null);
+  assert.deepStrictEqual(await state.getAll('job-run-data'), {});
+  assert.strictEqual((await getJobHistory('squares'))[0].status, RUN_STATUS.CANCELLED);
+
+  const next = await runOneStep('squares', { params: { n: 1 } });
+  assert.notStrictEqual(next.runId, started.runId);
+  assert.strictEqual(next.status, RUN_STATUS.COMPLETED);
+});
+
+test('restart discards the run in progress', async () => {
+  const first = await runOneStep('squares', { params: { n: 6 } });
+  const restarted = await runJob('squares', { params: { n: 2 }, restart: true });
+
+  assert.notStrictEqual(restarted.runId, first.runId);
+  assert.deepStrictEqual(restarted.result, [1, 4]);
+  assert.deepStrictEqual(await state.getAll('job-run-data'), {});
+});
@@ -0,0 +1,49 @@
+process.env.STATE_STORE = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const state = require('../lib/state-store');
+const {
+  LEDGER_POST_LIMIT,
+  withUsageRoute,
+  getPeriodKeys,
+  recordLLMUsage,
+  getPeriodSpend
+} = require('../lib/llm-usage');
+
+const call = (postId, inputTokens) => recordLLMUsage({
+  task: 'test',
+  model: 'claude-sonnet-4-20250514',
+  provider: 'anthropic',
+  inputTokens,
+  postId
+});
+
+test('records each call on the route, day and month keys', async () => {
+  await withUsageRoute('usage-test', async () => {
+    await call('1', 1000);
+    await call('1', 1000);
+  })({}, {});
+
+  const { day, month } = await getPeriodSpend();
+  const keys = getPeriodKeys();
+  assert.strictEqual(day.period, keys.day.slice(4));
+  assert.strictEqual(month.period, keys.month.slice(6));
+  assert.strictEqual(day.byRoute['usage-test'].calls, 2);
+  assert.strictEqual(month.byPost['1'].inputTokens, 2000);
+
+  const usage = await state.get('llm-usage', 'usage-test');
+  assert.strictEqual(usage.byTask.test.calls, 2);
+});
+
+test('a ledger keeps only the most expensive posts', async () => {
+  for (let i = 0; i < LEDGER_POST_LIMIT + 20; i++) {
+    await call(`post-${i}`, 10 + i);
+  }
+
+  const { day } = await getPeriodSpend();
+  const postIds = Object.keys(day.byPost);
+  assert.strictEqual(postIds.length, LEDGER_POST_LIMIT);
+  assert.ok(postIds.includes(`post-${LEDGER_POST_LIMIT + 19}`));
+  assert.ok(!postIds.includes('post-0'));
+});
@@ -0,0 +1,99 @@
+process.env.STATE_STORE = 'memory';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MAX_CONCURRENCY = '2';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const state = require('../lib/state-store');
+const { withUsageRoute } = require('../lib/llm-usage');
+const { LLM_SETTINGS, createMessage, setMockResponder } = require('../lib/llm');
+
+LLM_SETTINGS.retryBackoff = 1;
+
+const ask = (task, content = 'hello') => createMessage(task, {
+  max_tokens: 100,
+  messages: [{ role: 'user', content }]
+});
+
+const apiError = (status, headers = {}) => Object.assign(new Error(`status ${status}`), { status, headers });
+
+afterEach(() => setMockResponder('test', null));
+
+test('mock provider answers in the Anthropic response shape and records usage', async () => {
+  const response = await withUsageRoute('llm-test', () => ask('meta', 'Title: Growing tomatoes\nSummary: How to grow them'))({}, {});
+
+  assert.strictEqual(response.model, 'mock');
+  assert.deepStrictEqual(JSON.parse(response.content[0].text), {
+    metaTitle: 'Growing tomatoes',
+    metaDescription: 'How to grow them',
+    reasoning: 'Mock provider'
+  });
+
+  const usage = await state.get('llm-usage', 'llm-test');
+  assert.strictEqual(usage.byTask.meta.calls, 1);
+  assert.ok(usage.byTask.meta.inputTokens > 0);
+});
+
+test('retries rate limits and overloads until a call succeeds', async () => {
+  let calls = 0;
+  setMockResponder('test', () => {
+    calls++;
+    if (calls === 1) throw apiError(429);
+    if (calls === 2) throw apiError(529);
+    return 'ok';
+  });
+
+  const response = await ask('test');
+  assert.strictEqual(response.content[0].text, 'ok');
+  assert.strictEqual(calls, 3);
+});
+
+test('does not retry client errors', async () => {
+  let calls = 0;
+  setMockResponder('test', () => {
+    calls++;
+    throw apiError(400);
+  });
+
+  await assert.rejects(ask('test'), { status: 400 });
+  assert.strictEqual(calls, 1);
+});
+
+test('gives up after maxRetries and throws the last error', async () => {
+  let calls = 0;
+  setMockResponder('test', () => {
+    calls++;
+    throw apiError(503);
+  });
+
+  await assert.rejects(ask('test'), { status: 503 });
+  assert.strictEqual(calls, LLM_SETTINGS.maxRetries + 1);
+});
+
+test('waits for a server-requested retry-after', async () => {
+  const times = [];
+  setMockResponder('test', () => {
+    times.push(Date.now());
+    if (times.length === 1) throw apiError(429, { 'retry-after': '0.1' });
+    return 'ok';
+  });
+
+  await ask('test');
+  assert.ok(times[1] - times[0] >= 90, `retried after ${times[1] - times[0]}ms`);
+});
+
+test('never runs more than LLM_MAX_CONCURRENCY calls at once', async () => {
+  let active = 0;
+  let peak = 0;
+  setMockResponder('test', async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    active--;
+    return 'ok';
+  });
+
+  const responses = await Promise.all(Array.from({ length: 6 }, () => ask('test')));
+  assert.strictEqual(responses.length, 6);
+  assert.strictEqual(peak, 2);
+});
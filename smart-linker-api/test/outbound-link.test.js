@@ -0,0 +1,70 @@
+process.env.STATE_STORE = 'memory';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const http = require('http');
+const {
+  LINK_STATUS,
+  assertPublicUrl,
+  checkLinkHealth,
+  checkAllLinks,
+  registerOutboundLink
+} = require('../lib/outbound-link');
+
+let server;
+let port;
+let hits = 0;
+const lookup = dns.lookup;
+const promisesLookup = dns.promises.lookup;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits++;
+    res.end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+
+  // rebind.test resolves to a public address for assertPublicUrl, then to loopback on connect
+  dns.promises.lookup = async (hostname, options) => hostname === 'rebind.test'
+    ? [{ address: '93.184.216.34', family: 4 }]
+    : promisesLookup(hostname, options);
+  dns.lookup = (hostname, options, callback) => {
+    if (hostname !== 'rebind.test') return lookup(hostname, options, callback);
+    return options.all ? callback(null, [{ address: '127.0.0.1', family: 4 }]) : callback(null, '127.0.0.1', 4);
+  };
+});
+
+after(() => {
+  dns.lookup = lookup;
+  dns.promises.lookup = promisesLookup;
+  server.close();
+});
+
+test('assertPublicUrl refuses private, loopback and NAT64 addresses', async () => {
+  for (const url of ['http://127.0.0.1/', 'http://10.1.2.3/', 'http://[::1]/', 'http://[64:ff9b::7f00:1]/', 'ftp://example.com/', 'http://db.internal/']) {
+    await assert.rejects(assertPublicUrl(url), { code: 'URL_NOT_ALLOWED' }, url);
+  }
+  await assertPublicUrl('https://8.8.8.8/');
+});
+
+test('a host that resolves to a blocked address at connect time is never requested', async () => {
+  await assertPublicUrl(`http://rebind.test:${port}/`);
+
+  const health = await checkLinkHealth(`http://rebind.test:${port}/`, { retries: 0 });
+  assert.strictEqual(health.status, LINK_STATUS.BLOCKED);
+  assert.match(health.error, /not a public address/);
+  assert.strictEqual(health.attempts, 1);
+  assert.strictEqual(hits, 0);
+});
+
+test('checkAllLinks reports refused links as blocked, not broken', async () => {
+  await registerOutboundLink('1', { url: `http://127.0.0.1:${port}/` });
+
+  const results = await checkAllLinks({ retries: 0 });
+  assert.strictEqual(results.summary.blocked, 1);
+  assert.strictEqual(results.summary.broken, 0);
+  assert.strictEqual(results.blocked[0].status, LINK_STATUS.BLOCKED);
+  assert.strictEqual(hits, 0);
+});
@@ -0,0 +1,28 @@
+process.env.STATE_STORE = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const state = require('../lib/state-store');
+const {
+  getCachedResponse,
+  flushCacheStats,
+  scheduleCacheStatsFlush
+} = require('../lib/response-cache');
+
+const flushed = () => state.get('cache-stats', 'smart-link');
+
+test('scheduled flush waits for a batch of events after a recent flush', async () => {
+  getCachedResponse('missing');
+  await flushCacheStats();
+  assert.strictEqual((await flushed()).misses, 1);
+
+  getCachedResponse('missing');
+  scheduleCacheStatsFlush();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual((await flushed()).misses, 1);
+
+  for (let i = 0; i < 49; i++) getCachedResponse('missing');
+  scheduleCacheStatsFlush();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual((await flushed()).misses, 51);
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createKvAdapter, createMemoryAdapter } = require('../lib/state-store');
+
+/**
+ * Minimal Upstash REST server: the commands the kv adapter sends
+ */
+function createFakeUpstash() {
+  const hashes = new Map();
+  const strings = new Map();
+  const commands = [];
+
+  const hash = key => hashes.get(key) || hashes.set(key, new Map()).get(key);
+
+  function run([name, key, ...args]) {
+    commands.push(name);
+    switch (name) {
+      case 'HGETALL': return [...hash(key)].flat();
+      case 'HGET': return hash(key).get(args[0]) ?? null;
+      case 'HSET':
+        for (let i = 0; i < args.length; i += 2) hash(key).set(args[i], args[i + 1]);
+        return args.length / 2;
+      case 'HDEL': return args.filter(field => hash(key).delete(field)).length;
+      case 'SET':
+        if (strings.has(key)) return null;
+        strings.set(key, args[0]);
+        return 'OK';
+      case 'EVAL': {
+        const [, lockKey, owner] = args;
+        if (strings.get(lockKey) !== owner) return 0;
+        strings.delete(lockKey);
+        return 1;
+      }
+      default: throw new Error(`Unsupported command ${name}`);
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const result = req.url === '/multi-exec'
+        ? payload.map(cmd => ({ result: run(cmd) }))
+        : { result: run(payload) };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(result));
+    });
+  });
+
+  return { server, commands, strings };
+}
+
+let upstash;
+let kv;
+
+before(async () => {
+  upstash = createFakeUpstash();
+  await new Promise(resolve => upstash.server.listen(0, '127.0.0.1', resolve));
+  kv = createKvAdapter({ url: `http://127.0.0.1:${upstash.server.address().port}`, token: 't' });
+});
+
+after(() => upstash.server.close());
+
+test('kv: single-key reads and updates use HGET/HSET, not HGETALL', async () => {
+  await kv.mutate('things', data => { data.a = 1; data.b = 2; });
+  upstash.commands.length = 0;
+
+  assert.strictEqual(await kv.readKey('things', 'a'), 1);
+  assert.strictEqual(await kv.readKey('things', 'missing'), null);
+  assert.strictEqual(await kv.mutateKey('things', 'a', current => current + 10), 11);
+  assert.strictEqual(await kv.mutateKey('things', 'b', () => null), null);
+
+  assert.ok(!upstash.commands.includes('HGETALL'));
+  assert.deepStrictEqual(await kv.read('things'), { a: 11, b: 2 });
+});
+
+test('kv: concurrent updates from two instances are not lost', async () => {
+  const other = createKvAdapter({ url: `http://127.0.0.1:${upstash.server.address().port}`, token: 't' });
+  await Promise.all(Array.from({ length: 20 }, (_, i) =>
+    (i % 2 ? kv : other).mutateKey('counters', 'n', current => (current || 0) + 1)
+  ));
+
+  assert.strictEqual(await kv.readKey('counters', 'n'), 20);
+  assert.strictEqual([...upstash.strings.keys()].length, 0, 'every lock is released');
+});
+
+test('kv: mutate writes back changed keys and deletes removed ones', async () => {
+  await kv.mutate('things', data => { delete data.b; data.c = { nested: true }; });
+  assert.deepStrictEqual(await kv.read('things'), { a: 11, c: { nested: true } });
+});
+
+test('kv: writeKeys and removeKeys write and delete without reading the collection', async () => {
+  upstash.commands.length = 0;
+
+  await kv.writeKeys('blobs', { x: [1, 2], y: 'two' });
+  assert.strictEqual(await kv.removeKeys('blobs', ['x', 'missing']), 1);
+
+  assert.ok(!upstash.commands.includes('HGETALL'));
+  assert.deepStrictEqual(await kv.read('blobs'), { y: 'two' });
+});
+
+test('memory: readKey returns a copy', async () => {
+  const memory = createMemoryAdapter();
+  await memory.mutateKey('things', 'list', () => [1]);
+  const list = await memory.readKey('things', 'list');
+  list.push(2);
+  assert.deepStrictEqual(await memory.readKey('things', 'list'), [1]);
+});
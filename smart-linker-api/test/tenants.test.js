@@ -0,0 +1,41 @@
+process.env.STATE_STORE = 'memory';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { getSiteDomain, isSiteUrl, resetTenants, getTenantById, withTenantContext } = require('../lib/tenants');
+
+afterEach(() => {
+  delete process.env.SITE_DOMAIN;
+  delete process.env.TENANTS;
+  resetTenants();
+});
+
+test('isSiteUrl: relative URLs and the site domain or its subdomains only', () => {
+  assert.strictEqual(getSiteDomain(), 'lendcity.ca');
+  for (const url of ['/guides/brrrr', '#top', 'https://lendcity.ca/a', 'https://www.lendcity.ca/a', 'https://blog.lendcity.ca/', '//lendcity.ca/a']) {
+    assert.ok(isSiteUrl(url), url);
+  }
+  for (const url of ['https://evil-lendcity.ca/', 'https://other.com/lendcity.ca', 'mailto:team@lendcity.ca', '']) {
+    assert.ok(!isSiteUrl(url), url);
+  }
+});
+
+test('SITE_DOMAIN overrides the default tenant only', async () => {
+  process.env.SITE_DOMAIN = 'www.Example.com';
+  process.env.TENANTS = JSON.stringify({ investorhub: { apiKey: 'k2', baseUrl: 'https://investorhub.ca' } });
+  resetTenants();
+
+  assert.strictEqual(getSiteDomain(), 'example.com');
+  await withTenantContext(getTenantById('investorhub'), async () => {
+    assert.strictEqual(getSiteDomain(), 'investorhub.ca');
+  });
+});
+
+test('without a site domain only relative URLs are internal', () => {
+  process.env.TENANTS = JSON.stringify({ default: { baseUrl: 'not a url' } });
+  resetTenants();
+
+  assert.strictEqual(getSiteDomain(), null);
+  assert.ok(isSiteUrl('/a'));
+  assert.ok(!isSiteUrl('https://anything.com/'));
+});
@@ -0,0 +1,116 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStore, matchesFilter } = require('../lib/vector-store-local');
+
+const dirs = [];
+const tmpDir = () => dirs[dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'vector-store-'))) - 1];
+
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('filter: $eq and $in match any element of list metadata', () => {
+  const metadata = { tags: ['a', 'b'], cluster: 'x' };
+  assert.ok(matchesFilter(metadata, { tags: 'b' }));
+  assert.ok(matchesFilter(metadata, { tags: { $eq: 'a' } }));
+  assert.ok(matchesFilter(metadata, { tags: { $in: ['z', 'b'] } }));
+  assert.ok(!matchesFilter(metadata, { tags: { $in: ['z'] } }));
+  assert.ok(!matchesFilter(metadata, { tags: { $nin: ['a'] } }));
+  assert.ok(!matchesFilter(metadata, { tags: { $ne: 'a' } }));
+});
+
+test('filter: $ne and $nin match records missing the field, other operators do not', () => {
+  const metadata = { title: 'x' };
+  assert.ok(matchesFilter(metadata, { cluster: { $ne: 'a' } }));
+  assert.ok(matchesFilter(metadata, { cluster: { $nin: ['a'] } }));
+  assert.ok(!matchesFilter(metadata, { cluster: { $eq: 'a' } }));
+  assert.ok(!matchesFilter(metadata, { cluster: { $in: ['a'] } }));
+  assert.ok(!matchesFilter(metadata, { score: { $gt: 0 } }));
+  assert.ok(!matchesFilter(metadata, { score: { $lte: 0 } }));
+});
+
+test('filter: numeric comparisons only match numbers', () => {
+  assert.ok(matchesFilter({ n: 5 }, { n: { $gt: 4, $lte: 5 } }));
+  assert.ok(!matchesFilter({ n: 5 }, { n: { $gte: 6 } }));
+  assert.ok(matchesFilter({ n: 5 }, { n: { $lt: 6 } }));
+  assert.ok(!matchesFilter({ n: '5' }, { n: { $gt: 4 } }));
+});
+
+test('filter: $and, $or and unsupported operators', () => {
+  const metadata = { a: 1, b: 'x' };
+  assert.ok(matchesFilter(metadata, { $and: [{ a: 1 }, { b: 'x' }] }));
+  assert.ok(!matchesFilter(metadata, { $and: [{ a: 1 }, { b: 'y' }] }));
+  assert.ok(matchesFilter(metadata, { $or: [{ a: 2 }, { b: 'x' }] }));
+  assert.throws(() => matchesFilter(metadata, { a: { $regex: '1' } }), /Unsupported filter operator/);
+});
+
+test('query ranks by cosine similarity and applies the filter', async () => {
+  const store = createLocalStore({ dir: tmpDir() });
+  await store.upsert([
+    { id: 'a', values: [1, 0], metadata: { cluster: 'x' } },
+    { id: 'b', values: [0.9, 0.1], metadata: { cluster: 'y' } },
+    { id: 'c', values: [0, 1], metadata: {} }
+  ]);
+
+  const all = await store.query({ vector: [1, 0], topK: 3 });
+  assert.deepStrictEqual(all.matches.map(m => m.id), ['a', 'b', 'c']);
+
+  const filtered = await store.query({ vector: [1, 0], topK: 3, filter: { cluster: { $ne: 'x' } }, includeMetadata: true });
+  assert.deepStrictEqual(filtered.matches.map(m => m.id), ['b', 'c']);
+});
+
+test('changes are appended to the log and survive a reload', async () => {
+  const dir = tmpDir();
+  const store = createLocalStore({ dir });
+  for (let i = 0; i < 50; i++) {
+    await store.upsert([{ id: `r${i}`, values: [i, 1], metadata: { i } }]);
+  }
+  await store.update({ id: 'r1', metadata: { tagged: true } });
+  await store.deleteOne('r2');
+  await store.deleteMany({ i: { $gte: 40 } });
+
+  // No full rewrite per upsert: nothing compacted into a snapshot yet
+  assert.ok(!fs.existsSync(path.join(dir, 'default.json')));
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'default.log'), 'utf8').trim().split('\n').length, 62);
+
+  const reloaded = createLocalStore({ dir });
+  const { records } = await reloaded.fetch(['r1', 'r2', 'r39', 'r40']);
+  assert.deepStrictEqual(Object.keys(records), ['r1', 'r39']);
+  assert.strictEqual(records.r1.metadata.tagged, true);
+});
+
+test('the log is compacted into the snapshot once it outgrows the store', async () => {
+  const dir = tmpDir();
+  const store = createLocalStore({ dir, minLogEntries: 10 });
+  for (let i = 0; i < 12; i++) {
+    await store.upsert([{ id: 'same', values: [i, 1], metadata: { i } }]);
+  }
+
+  assert.ok(fs.existsSync(path.join(dir, 'default.json')));
+  const { records } = await createLocalStore({ dir }).fetch(['same']);
+  assert.strictEqual(records.same.metadata.i, 11);
+});
+
+test('a partial last log line from a crash is ignored', async () => {
+  const dir = tmpDir();
+  const store = createLocalStore({ dir });
+  await store.upsert([{ id: 'a', values: [1], metadata: {} }]);
+  fs.appendFileSync(path.join(dir, 'default.log'), '{"put":{"id":"b","val');
+
+  const { records } = await createLocalStore({ dir }).fetch(['a', 'b']);
+  assert.deepStrictEqual(Object.keys(records), ['a']);
+});
+
+test('concurrent first calls share one load', async () => {
+  const dir = tmpDir();
+  await createLocalStore({ dir }).upsert([{ id: 'a', values: [1, 0], metadata: {} }]);
+
+  const store = createLocalStore({ dir });
+  await Promise.all([
+    store.upsert([{ id: 'b', values: [0, 1], metadata: {} }]),
+    store.query({ vector: [1, 0], topK: 5 })
+  ]);
+  const { records } = await createLocalStore({ dir }).fetch(['a', 'b']);
+  assert.deepStrictEqual(Object.keys(records).sort(), ['a', 'b']);
+});